@@ -19,6 +19,18 @@ const notificationRoutes = require("./routes/notifications");
 const notificationPreferenceRoutes = require("./routes/notificationPreferences");
 const reviewRoutes = require("./routes/reviews");
 const dashboardRoutes = require("./routes/dashboard");
+const paymentRoutes = require("./routes/payments");
+const escrowRoutes = require("./routes/escrow");
+const walletRoutes = require("./routes/wallet");
+const feeRoutes = require("./routes/fees");
+const invoiceRoutes = require("./routes/invoices");
+const fxRoutes = require("./routes/fx");
+const reconciliationRoutes = require("./routes/reconciliation");
+const couponRoutes = require("./routes/coupons");
+const creditRoutes = require("./routes/credit");
+const listingRoutes = require("./routes/listings");
+const eventPlanRoutes = require("./routes/eventPlans");
+const quoteRequestRoutes = require("./routes/quoteRequests");
 
 const app = express();
 
@@ -45,8 +57,14 @@ app.use(
   })
 );
 
-// Body parser
-app.use(express.json());
+// Body parser (keep the raw body around for webhook signature checks)
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Serve uploaded files
@@ -79,6 +97,18 @@ app.use("/api/notifications", notificationRoutes);
 app.use("/api/notification-preferences", notificationPreferenceRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/escrow", escrowRoutes);
+app.use("/api/wallet", walletRoutes);
+app.use("/api/fees", feeRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/fx", fxRoutes);
+app.use("/api/reconciliation", reconciliationRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/credit", creditRoutes);
+app.use("/api/centers/:centerId/listings", listingRoutes);
+app.use("/api/event-plans", eventPlanRoutes);
+app.use("/api/quote-requests", quoteRequestRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
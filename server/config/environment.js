@@ -1,11 +1,50 @@
 require("dotenv").config();
 
+const env = process.env.NODE_ENV || "development";
+
+// Outside production the quote and encryption keys fall back to JWT_SECRET.
+// Production needs dedicated keys, so rotating JWT_SECRET cannot make stored
+// account numbers impossible to decrypt (checked at startup, see server.js).
+const devSecret = env === "production" ? undefined : process.env.JWT_SECRET;
+
 module.exports = {
   port: process.env.PORT || 5000,
-  env: process.env.NODE_ENV || "development",
+  env,
   mongoUri: process.env.MONGODB_URI,
   jwtSecret: process.env.JWT_SECRET,
   jwtExpire: process.env.JWT_EXPIRE || "7d",
+  // Booking quotes are signed separately from auth tokens
+  quoteSecret: process.env.QUOTE_SECRET || devSecret,
+  quoteExpire: process.env.QUOTE_EXPIRE || "30m",
+  // Payments
+  // Checked at startup (see server.js): "mock" also needs ENABLE_MOCK_GATEWAY
+  paymentGateway: process.env.PAYMENT_GATEWAY || "mock",
+  // The mock gateway settles any checkout on request, so it is off unless
+  // explicitly enabled (never in production)
+  enableMockGateway: process.env.ENABLE_MOCK_GATEWAY === "true",
+  paymentCallbackUrl: process.env.PAYMENT_CALLBACK_URL,
+  // Front end that co-payer payment links point to
+  clientUrl: process.env.CLIENT_URL || "http://localhost:3000",
+  paystackSecretKey: process.env.PAYSTACK_SECRET_KEY,
+  flutterwaveSecretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+  flutterwaveWebhookHash: process.env.FLUTTERWAVE_WEBHOOK_HASH,
+  stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+  stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  mockWebhookSecret: process.env.MOCK_WEBHOOK_SECRET || "mock_webhook_secret",
+  escrowHoldDays: parseInt(process.env.ESCROW_HOLD_DAYS) || 7,
+  // Used when no fee rule matches a booking
+  platformFeePercentage: parseFloat(process.env.PLATFORM_FEE_PERCENTAGE) || 5,
+  paymentReminderDays: parseInt(process.env.PAYMENT_REMINDER_DAYS) || 3,
+  // How long a new booking holds its slot while the customer checks out
+  bookingHoldMinutes: parseInt(process.env.BOOKING_HOLD_MINUTES) || 15,
+  // Resolves payout bank account names ("mock" or "paystack")
+  bankLookupProvider: process.env.BANK_LOOKUP_PROVIDER || "mock",
+  // Encrypts stored bank account numbers
+  dataEncryptionKey: process.env.DATA_ENCRYPTION_KEY || devSecret,
+  // Shown on invoices and receipts
+  platformName: process.env.PLATFORM_NAME || "Ocassia",
+  // Charged by VAT-registered providers and centers
+  vatRate: parseFloat(process.env.VAT_RATE) || 7.5,
   allowedOrigins: process.env.ALLOWED_ORIGINS
     ? process.env.ALLOWED_ORIGINS.split(",")
     : [
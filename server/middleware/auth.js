@@ -80,4 +80,34 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+/**
+ * Re-authenticate - require the current password in the request body
+ * before sensitive changes (e.g. payout details)
+ */
+const confirmPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        success: false,
+        message: "Please confirm your password to make this change",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { protect, authorize, confirmPassword };
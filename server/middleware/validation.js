@@ -1,5 +1,9 @@
 const Joi = require("joi");
-const { STATUS_CODES } = require("../utils/constants");
+const {
+  STATUS_CODES,
+  PROVIDER_TIERS,
+  PAYMENT_GATEWAYS,
+} = require("../utils/constants");
 
 /**
  * Validate request body against Joi schema
@@ -187,6 +191,76 @@ const schemas = {
       .optional(),
   }),
 
+  // Create hall listing (multipart; nested fields arrive parsed)
+  createListing: Joi.object({
+    hallName: Joi.string().min(2).max(100).required(),
+    description: Joi.string().max(1000).allow("").optional(),
+    location: Joi.object({
+      address: Joi.string().max(200).required(),
+      city: Joi.string().max(50).required(),
+      state: Joi.string().max(50).required(),
+      country: Joi.string().max(50).optional(),
+      coordinates: Joi.object({
+        lat: Joi.number().min(-90).max(90).optional(),
+        lng: Joi.number().min(-180).max(180).optional(),
+      }).optional(),
+      landmark: Joi.string().max(200).optional(),
+    }).required(),
+    capacity: Joi.object({
+      minimum: Joi.number().integer().min(1).required(),
+      maximum: Joi.number().integer().min(Joi.ref("minimum")).required(),
+    }).required(),
+    pricing: Joi.object({
+      type: Joi.string().valid("hourly", "daily", "package").required(),
+      hourlyRate: Joi.number().min(0).optional(),
+      dailyRate: Joi.number().min(0).optional(),
+      currency: Joi.string().length(3).optional(),
+      packages: Joi.array().items(Joi.object().unknown(true)).optional(),
+      addOns: Joi.array().items(Joi.object().unknown(true)).optional(),
+      discounts: Joi.array().items(Joi.object().unknown(true)).optional(),
+    }).required(),
+    facilities: Joi.array().items(Joi.string()).optional(),
+    eventTypes: Joi.array().items(Joi.string()).optional(),
+    buffers: Joi.object({
+      setupMinutes: Joi.number().integer().min(0).max(1440).optional(),
+      teardownMinutes: Joi.number().integer().min(0).max(1440).optional(),
+    }).optional(),
+  }),
+
+  // Update hall listing
+  updateListing: Joi.object({
+    hallName: Joi.string().min(2).max(100).optional(),
+    description: Joi.string().max(1000).allow("").optional(),
+    location: Joi.object().unknown(true).optional(),
+    capacity: Joi.object({
+      minimum: Joi.number().integer().min(1).required(),
+      maximum: Joi.number().integer().min(Joi.ref("minimum")).required(),
+    }).optional(),
+    pricing: Joi.object().unknown(true).optional(),
+    facilities: Joi.array().items(Joi.string()).optional(),
+    eventTypes: Joi.array().items(Joi.string()).optional(),
+    buffers: Joi.object({
+      setupMinutes: Joi.number().integer().min(0).max(1440).optional(),
+      teardownMinutes: Joi.number().integer().min(0).max(1440).optional(),
+    }).optional(),
+    isActive: Joi.boolean().optional(),
+    replaceImages: Joi.boolean().optional(),
+    removeImages: Joi.array().items(Joi.string()).optional(),
+  }),
+
+  // Setup/teardown time a provider keeps free around bookings
+  bookingBuffers: Joi.object({
+    setupMinutes: Joi.number().integer().min(0).max(1440).required(),
+    teardownMinutes: Joi.number().integer().min(0).max(1440).required(),
+  }),
+
+  // Block dates on a hall
+  blockListingDates: Joi.object({
+    startDate: Joi.date().required(),
+    endDate: Joi.date().min(Joi.ref("startDate")).required(),
+    reason: Joi.string().max(200).optional(),
+  }),
+
   // CAC verification
   verifyCac: Joi.object({
     cacNumber: Joi.string().required(),
@@ -206,6 +280,11 @@ const schemas = {
       then: Joi.required(),
       otherwise: Joi.optional(),
     }),
+    listingId: Joi.string().when("bookingType", {
+      is: "center",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
     eventDetails: Joi.object({
       eventName: Joi.string().max(100).optional(),
       eventType: Joi.string()
@@ -228,22 +307,13 @@ const schemas = {
       guestCount: Joi.number().min(1).optional(),
       specialRequests: Joi.string().max(1000).optional(),
     }).required(),
+    quoteToken: Joi.string().required(),
+    // Optional; must equal the quoted total when sent
     pricing: Joi.object({
-      baseAmount: Joi.number().min(0).required(),
-      additionalCharges: Joi.array()
-        .items(
-          Joi.object({
-            description: Joi.string(),
-            amount: Joi.number().min(0),
-          })
-        )
-        .optional(),
-      discount: Joi.number().min(0).optional(),
-      totalAmount: Joi.number().min(0).required(),
-      currency: Joi.string().default("NGN"),
-    }).required(),
+      totalAmount: Joi.number().min(0).optional(),
+    }).optional(),
     paymentMethod: Joi.string()
-      .valid("escrow", "direct", "cash")
+      .valid("escrow", "direct", "cash", "credit")
       .default("escrow"),
     notes: Joi.string().max(2000).optional(),
   }),
@@ -254,11 +324,522 @@ const schemas = {
       .valid("pending", "confirmed", "cancelled", "completed")
       .required(),
     reason: Joi.string().max(500).optional(),
+    refundTo: Joi.string().valid("original", "credit").optional(),
   }),
 
   // Cancel booking
   cancelBooking: Joi.object({
     reason: Joi.string().max(500).optional(),
+    refundTo: Joi.string().valid("original", "credit").optional(),
+  }),
+
+  // Initialize payment
+  initializePayment: Joi.object({
+    bookingId: Joi.string().required(),
+    gateway: Joi.string()
+      .valid(...Object.values(PAYMENT_GATEWAYS))
+      .optional(),
+    amount: Joi.number().positive().optional(),
+    callbackUrl: Joi.string().uri().optional(),
+  }),
+
+  // Host invites co-payers to a booking
+  inviteCoPayers: Joi.object({
+    coPayers: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().trim().max(100).required(),
+          email: Joi.string().email().required(),
+          amount: Joi.number().positive().required(),
+          note: Joi.string().max(500).allow("").optional(),
+        })
+      )
+      .min(1)
+      .max(20)
+      .unique("email", { ignoreUndefined: true })
+      .required(),
+  }),
+
+  // Co-payer starts paying their share from a payment link
+  initializeSharePayment: Joi.object({
+    gateway: Joi.string()
+      .valid(...Object.values(PAYMENT_GATEWAYS))
+      .optional(),
+    amount: Joi.number().positive().optional(),
+    callbackUrl: Joi.string().uri().optional(),
+  }),
+
+  // Pay for a booking from store credit
+  payWithCredit: Joi.object({
+    bookingId: Joi.string().required(),
+    amount: Joi.number().positive().optional(),
+  }),
+
+  // Admin grants goodwill credit
+  grantCredit: Joi.object({
+    userId: Joi.string().required(),
+    amount: Joi.number().positive().required(),
+    currency: Joi.string().length(3).uppercase().optional(),
+    reason: Joi.string().min(3).max(500).required(),
+  }),
+
+  // Submit bank transfer (multipart form fields)
+  submitBankTransfer: Joi.object({
+    bookingId: Joi.string().required(),
+    amount: Joi.number().positive().optional(),
+    accountName: Joi.string().max(100).optional(),
+    accountNumber: Joi.string()
+      .pattern(/^[0-9]{10}$/)
+      .optional(),
+    bankName: Joi.string().max(100).optional(),
+    transferReference: Joi.string().max(100).required(),
+    transferDate: Joi.date().max("now").optional(),
+  }),
+
+  // Structured cancellation policy (provider or center)
+  cancellationPolicy: Joi.object({
+    preset: Joi.string()
+      .valid("flexible", "moderate", "strict", "custom")
+      .required(),
+    tiers: Joi.when("preset", {
+      is: "custom",
+      then: Joi.array()
+        .items(
+          Joi.object({
+            daysBefore: Joi.number().integer().min(0).required(),
+            refundPercentage: Joi.number().min(0).max(100).required(),
+          })
+        )
+        .min(1)
+        .unique("daysBefore")
+        .required(),
+      otherwise: Joi.forbidden(),
+    }),
+    description: Joi.string().max(2000).optional(),
+  }),
+
+  // VAT registration and any other taxes a provider or center charges
+  taxSettings: Joi.object({
+    vatRegistered: Joi.boolean().required(),
+    vatNumber: Joi.when("vatRegistered", {
+      is: true,
+      then: Joi.string().trim().max(50).required(),
+      otherwise: Joi.string().trim().allow("").max(50).optional(),
+    }),
+    additionalTaxes: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string()
+            .trim()
+            .max(50)
+            .invalid("VAT")
+            .insensitive()
+            .required(),
+          rate: Joi.number().min(0).max(100).required(),
+          appliesTo: Joi.string().valid("all", "base", "addon").optional(),
+        })
+      )
+      .max(5)
+      .unique("name", { ignoreUndefined: true })
+      .optional(),
+  }),
+
+  // How long a center's slots are held while a customer checks out
+  bookingSettings: Joi.object({
+    holdMinutes: Joi.number().integer().min(5).max(1440).allow(null).required(),
+  }),
+
+  // Change a booking's date, times, guest count or add-ons (also used to
+  // counter a proposed change)
+  proposeModification: Joi.object({
+    eventDate: Joi.date().min("now").optional(),
+    startTime: Joi.string()
+      .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+      .optional(),
+    endTime: Joi.string()
+      .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+      .optional(),
+    guestCount: Joi.number().integer().min(1).optional(),
+    addOns: Joi.array()
+      .items(
+        Joi.object({
+          addOnId: Joi.string().required(),
+          quantity: Joi.number().integer().min(1).optional(),
+        })
+      )
+      .optional(),
+    reason: Joi.string().max(500).optional(),
+  }).or("eventDate", "startTime", "endTime", "guestCount", "addOns"),
+
+  // Accept or decline a proposed booking change
+  respondModification: Joi.object({
+    note: Joi.string().max(500).optional(),
+  }),
+
+  // Close out a pending cancellation refund
+  resolveRefund: Joi.object({
+    status: Joi.string().valid("completed", "rejected").required(),
+    note: Joi.string().max(500).optional(),
+  }),
+
+  // Booking quote
+  bookingQuote: Joi.object({
+    bookingType: Joi.string().valid("provider", "center").required(),
+    serviceProviderId: Joi.string().when("bookingType", {
+      is: "provider",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    serviceId: Joi.string().optional(),
+    eventCenterId: Joi.string().when("bookingType", {
+      is: "center",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    listingId: Joi.string().when("bookingType", {
+      is: "center",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    packageId: Joi.string().optional(),
+    eventDetails: Joi.object({
+      eventDate: Joi.date().min("now").required(),
+      startTime: Joi.string()
+        .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+        .required(),
+      endTime: Joi.string()
+        .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+        .required(),
+      guestCount: Joi.number().integer().min(1).optional(),
+    }).required(),
+    addOns: Joi.array()
+      .items(
+        Joi.object({
+          addOnId: Joi.string().required(),
+          quantity: Joi.number().integer().min(1).optional(),
+        })
+      )
+      .optional(),
+    // Display currency; the booking is still charged in the listing's own
+    currency: Joi.string().length(3).optional(),
+    couponCode: Joi.string().trim().max(30).optional(),
+  }),
+
+  // Event plan grouping bookings with several vendors
+  createEventPlan: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    eventDetails: Joi.object({
+      eventType: Joi.string()
+        .valid(
+          "Wedding",
+          "Birthday",
+          "Corporate",
+          "Conference",
+          "Workshop",
+          "Concert",
+          "Exhibition",
+          "Religious",
+          "Social",
+          "Other"
+        )
+        .optional(),
+      eventDate: Joi.date().min("now").required(),
+      guestCount: Joi.number().integer().min(1).optional(),
+    }).required(),
+    budget: Joi.object({
+      amount: Joi.number().min(0).required(),
+      currency: Joi.string().length(3).optional(),
+    }).optional(),
+  }),
+
+  updateEventPlan: Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    eventDetails: Joi.object({
+      eventType: Joi.string()
+        .valid(
+          "Wedding",
+          "Birthday",
+          "Corporate",
+          "Conference",
+          "Workshop",
+          "Concert",
+          "Exhibition",
+          "Religious",
+          "Social",
+          "Other"
+        )
+        .optional(),
+      eventDate: Joi.date().min("now").optional(),
+      guestCount: Joi.number().integer().min(1).optional(),
+    }).optional(),
+    budget: Joi.object({
+      amount: Joi.number().min(0).required(),
+      currency: Joi.string().length(3).optional(),
+    }).optional(),
+  }),
+
+  // A quoted vendor added to an event plan (quote with the plan's date and
+  // guest count)
+  eventPlanCartItem: Joi.object({
+    bookingType: Joi.string().valid("provider", "center").required(),
+    serviceProviderId: Joi.string().when("bookingType", {
+      is: "provider",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    eventCenterId: Joi.string().when("bookingType", {
+      is: "center",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    listingId: Joi.string().when("bookingType", {
+      is: "center",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    startTime: Joi.string()
+      .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+      .required(),
+    endTime: Joi.string()
+      .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+      .required(),
+    specialRequests: Joi.string().max(1000).optional(),
+    notes: Joi.string().max(2000).optional(),
+    quoteToken: Joi.string().required(),
+  }),
+
+  checkoutEventPlan: Joi.object({
+    paymentMethod: Joi.string()
+      .valid("escrow", "direct", "cash", "credit")
+      .optional(),
+  }),
+
+  cancelEventPlan: Joi.object({
+    reason: Joi.string().max(500).optional(),
+    refundTo: Joi.string().valid("original", "credit").optional(),
+  }),
+
+  // Request for a quote from a provider with negotiable pricing
+  createQuoteRequest: Joi.object({
+    serviceProviderId: Joi.string().required(),
+    serviceId: Joi.string().optional(),
+    eventDetails: Joi.object({
+      eventName: Joi.string().max(100).optional(),
+      eventType: Joi.string()
+        .valid(
+          "Wedding",
+          "Birthday",
+          "Corporate",
+          "Conference",
+          "Workshop",
+          "Concert",
+          "Exhibition",
+          "Religious",
+          "Social",
+          "Other"
+        )
+        .optional(),
+      eventDate: Joi.date().min("now").required(),
+      startTime: Joi.string()
+        .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+        .required(),
+      endTime: Joi.string()
+        .pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+        .required(),
+      guestCount: Joi.number().integer().min(1).optional(),
+      specialRequests: Joi.string().max(1000).optional(),
+    }).required(),
+    message: Joi.string().max(2000).optional(),
+    budget: Joi.object({
+      amount: Joi.number().min(0).required(),
+      currency: Joi.string().length(3).optional(),
+    }).optional(),
+  }),
+
+  // Itemised offer (or counter-offer) on a quote request
+  quoteOffer: Joi.object({
+    lineItems: Joi.array()
+      .items(
+        Joi.object({
+          type: Joi.string().valid("base", "addon", "discount").optional(),
+          description: Joi.string().max(200).required(),
+          quantity: Joi.number().positive().optional(),
+          unitPrice: Joi.number().min(0).required(),
+        })
+      )
+      .min(1)
+      .max(50)
+      .required(),
+    expiresAt: Joi.date().greater("now").optional(),
+    message: Joi.string().max(1000).optional(),
+  }),
+
+  respondQuoteOffer: Joi.object({
+    note: Joi.string().max(500).optional(),
+    // Only used when the customer accepts
+    paymentMethod: Joi.string()
+      .valid("escrow", "direct", "cash", "credit")
+      .optional(),
+  }),
+
+  closeQuoteRequest: Joi.object({
+    reason: Joi.string().max(500).optional(),
+  }),
+
+  // Platform fee rule (admin)
+  feeRule: Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(500).allow("").optional(),
+    isActive: Joi.boolean().optional(),
+    priority: Joi.number().integer().optional(),
+    conditions: Joi.object({
+      bookingType: Joi.string().valid("provider", "center").allow(null),
+      serviceCategory: Joi.string().max(100).allow(null, ""),
+      providerTier: Joi.string()
+        .valid(...Object.values(PROVIDER_TIERS))
+        .allow(null),
+      validFrom: Joi.date().allow(null),
+      validUntil: Joi.date().allow(null),
+    }).optional(),
+    percentage: Joi.number().min(0).max(100).required(),
+    flatMinimum: Joi.number().min(0).optional(),
+    currency: Joi.string().length(3).uppercase().optional(),
+  }),
+
+  // Provider tier (admin)
+  providerTier: Joi.object({
+    tier: Joi.string()
+      .valid(...Object.values(PROVIDER_TIERS))
+      .required(),
+  }),
+
+  // Payout request
+  requestPayout: Joi.object({
+    amount: Joi.number().positive().required(),
+    currency: Joi.string().length(3).uppercase().optional(),
+    note: Joi.string().max(500).optional(),
+  }),
+
+  // Add a payout bank account (password re-authenticates)
+  addPayoutAccount: Joi.object({
+    bankCode: Joi.string().max(10).required(),
+    accountNumber: Joi.string()
+      .pattern(/^[0-9]{10}$/)
+      .required(),
+    eventCenterId: Joi.string().optional(),
+    isDefault: Joi.boolean().optional(),
+    password: Joi.string().required(),
+  }),
+
+  // Change to an existing payout account
+  confirmPayoutChange: Joi.object({
+    password: Joi.string().required(),
+  }),
+
+  // Admin accepts a payout account whose name did not match
+  approvePayoutAccount: Joi.object({
+    note: Joi.string().max(500).optional(),
+  }),
+
+  // Admin sets the exchange rate for a currency pair
+  fxRate: Joi.object({
+    baseCurrency: Joi.string().length(3).required(),
+    quoteCurrency: Joi.string().length(3).required(),
+    rate: Joi.number().positive().required(),
+  }),
+
+  // Admin uploads a gateway settlement export
+  reconciliationUpload: Joi.object({
+    gateway: Joi.string().valid("paystack", "flutterwave").required(),
+    amountUnit: Joi.string().valid("major", "minor").optional(),
+  }),
+
+  // Close out a reconciliation discrepancy
+  resolveReconciliationItem: Joi.object({
+    status: Joi.string().valid("resolved", "ignored").required(),
+    note: Joi.string().max(500).when("status", {
+      is: "ignored",
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+  }),
+
+  // Coupon code (admin, or a provider/center owner for their own listing)
+  coupon: Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^[A-Za-z0-9_-]{3,30}$/)
+      .required(),
+    description: Joi.string().max(500).allow("").optional(),
+    discountType: Joi.string().valid("percentage", "fixed").required(),
+    value: Joi.when("discountType", {
+      is: "percentage",
+      then: Joi.number().greater(0).max(100).required(),
+      otherwise: Joi.number().positive().required(),
+    }),
+    maxDiscount: Joi.number().positive().optional(),
+    minSpend: Joi.number().min(0).optional(),
+    currency: Joi.string().length(3).uppercase().optional(),
+    validFrom: Joi.date().optional(),
+    validUntil: Joi.date().greater(Joi.ref("validFrom")).optional(),
+    usageLimit: Joi.number().integer().min(1).optional(),
+    perUserLimit: Joi.number().integer().min(1).optional(),
+    scope: Joi.object({
+      bookingType: Joi.string().valid("provider", "center").optional(),
+      serviceCategory: Joi.string().max(100).optional(),
+      serviceProvider: Joi.string().optional(),
+      eventCenter: Joi.string().optional(),
+    }).optional(),
+    platformShare: Joi.number().min(0).max(100).optional(),
+  }),
+
+  // Coupon changes; the code and discount type are fixed once created
+  updateCoupon: Joi.object({
+    description: Joi.string().max(500).allow("").optional(),
+    value: Joi.number().positive().optional(),
+    maxDiscount: Joi.number().positive().allow(null).optional(),
+    minSpend: Joi.number().min(0).optional(),
+    currency: Joi.string().length(3).uppercase().optional(),
+    validFrom: Joi.date().allow(null).optional(),
+    validUntil: Joi.date().allow(null).optional(),
+    usageLimit: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).optional(),
+    platformShare: Joi.number().min(0).max(100).optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Check a code against a booking before applying it
+  validateCoupon: Joi.object({
+    code: Joi.string().trim().required(),
+    bookingType: Joi.string().valid("provider", "center").required(),
+    serviceProviderId: Joi.string().when("bookingType", {
+      is: "provider",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    eventCenterId: Joi.string().when("bookingType", {
+      is: "center",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    amount: Joi.number().min(0).required(),
+    currency: Joi.string().length(3).uppercase().optional(),
+  }),
+
+  // Open escrow dispute
+  openDispute: Joi.object({
+    reason: Joi.string().min(10).max(1000).required(),
+  }),
+
+  // Resolve escrow dispute
+  resolveDispute: Joi.object({
+    outcome: Joi.string().valid("release", "refund", "split").required(),
+    releaseAmount: Joi.number().positive().when("outcome", {
+      is: "split",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    resolution: Joi.string().max(1000).required(),
   }),
 
   // Create review
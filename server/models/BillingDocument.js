@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+
+const billingDocumentSchema = new mongoose.Schema(
+  {
+    documentType: {
+      type: String,
+      enum: ["invoice", "receipt"],
+      required: [true, "Document type is required"],
+    },
+    // Sequential number, e.g. INV-2026-000042 / RCT-2026-000107
+    number: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    // What the document was issued for, so it is only issued once
+    // ("invoice:<bookingId>", "payment:<transactionId>", "release:<escrowId>")
+    sourceKey: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    receiptType: {
+      type: String,
+      enum: ["payment", "escrow_release"],
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: [true, "Booking reference is required"],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Customer is required"],
+    },
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Provider is required"],
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DirectPaymentTransaction",
+    },
+    escrow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EscrowTransaction",
+    },
+
+    // Parties and booking details as they were when issued
+    billTo: {
+      name: { type: String },
+      email: { type: String },
+      phone: { type: String },
+    },
+    issuedBy: {
+      name: { type: String },
+      email: { type: String },
+      phone: { type: String },
+      vatNumber: { type: String },
+    },
+    bookingNumber: { type: String },
+    eventName: { type: String },
+    eventDate: { type: Date },
+
+    // Figures
+    lineItems: [
+      {
+        description: { type: String },
+        quantity: { type: Number },
+        unitPrice: { type: Number },
+        amount: { type: Number },
+      },
+    ],
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    taxes: [
+      {
+        name: { type: String },
+        rate: { type: Number },
+        amount: { type: Number },
+      },
+    ],
+    taxTotal: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    platformFee: {
+      percentage: { type: Number },
+      amount: { type: Number, default: 0 },
+    },
+    // Invoice: paid to date and still owed. Receipt: amount received
+    // (payment) or released (escrow release) and the provider's net.
+    amountPaid: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+    providerNet: { type: Number },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    payment: {
+      method: { type: String },
+      reference: { type: String },
+      paidAt: { type: Date },
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+billingDocumentSchema.index({ booking: 1, documentType: 1 });
+billingDocumentSchema.index({ customer: 1, createdAt: -1 });
+billingDocumentSchema.index({ provider: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BillingDocument", billingDocumentSchema);
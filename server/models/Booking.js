@@ -34,6 +34,22 @@ const bookingSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "EventCenter",
     },
+    // The hall booked at the center
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Listing",
+    },
+
+    // Event plan the booking was checked out as part of
+    eventPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventPlan",
+    },
+    // Quote request whose accepted offer set the (negotiated) price
+    quoteRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QuoteRequest",
+    },
 
     // Common booking details
     eventDetails: {
@@ -97,6 +113,23 @@ const bookingSchema = new mongoose.Schema(
         default: 0,
         min: [0, "Discount cannot be negative"],
       },
+      // Taxes charged on the discounted price, per the provider's or
+      // center's tax settings at booking time
+      taxes: [
+        {
+          name: { type: String },
+          rate: { type: Number },
+          amount: { type: Number, min: 0 },
+        },
+      ],
+      taxTotal: {
+        type: Number,
+        default: 0,
+        min: [0, "Tax cannot be negative"],
+      },
+      vatNumber: {
+        type: String,
+      },
       totalAmount: {
         type: Number,
         required: [true, "Total amount is required"],
@@ -108,6 +141,51 @@ const bookingSchema = new mongoose.Schema(
       },
     },
 
+    // Currency the customer saw the price in and the rate applied; the
+    // booking is charged and settled in pricing.currency
+    fx: {
+      displayCurrency: { type: String },
+      rate: { type: Number },
+      rateAsOf: { type: Date },
+      displayTotal: { type: Number },
+    },
+
+    // Coupon applied at checkout; its discount is part of pricing.discount
+    coupon: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: { type: String },
+      discount: { type: Number },
+      platformCost: { type: Number },
+      providerCost: { type: Number },
+    },
+
+    // What the booking was priced from (see services/quoteService)
+    quote: {
+      serviceId: { type: mongoose.Schema.Types.ObjectId },
+      packageId: { type: mongoose.Schema.Types.ObjectId },
+      listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing" },
+      durationHours: { type: Number },
+      lineItems: [
+        {
+          type: { type: String, enum: ["base", "addon", "discount"] },
+          // Add-on picked (kept so the booking can be repriced)
+          addOnId: { type: mongoose.Schema.Types.ObjectId },
+          description: { type: String },
+          quantity: { type: Number },
+          unitPrice: { type: Number },
+          amount: { type: Number },
+          taxes: [
+            {
+              name: { type: String },
+              rate: { type: Number },
+              amount: { type: Number },
+            },
+          ],
+        },
+      ],
+      quotedAt: { type: Date },
+    },
+
     // Payment details
     paymentStatus: {
       type: String,
@@ -116,7 +194,7 @@ const bookingSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ["escrow", "direct", "cash"],
+      enum: ["escrow", "direct", "cash", "credit"],
       default: "escrow",
     },
     depositPaid: {
@@ -124,11 +202,34 @@ const bookingSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Deposit cannot be negative"],
     },
+    // Until payment or confirmation, the slot is only held until this time
+    holdExpiresAt: {
+      type: Date,
+    },
     balanceDue: {
       type: Number,
       default: 0,
       min: [0, "Balance cannot be negative"],
     },
+    // Installments generated when the booking is confirmed
+    paymentSchedule: [
+      {
+        installment: {
+          type: String,
+          enum: ["deposit", "balance", "full_payment"],
+          required: true,
+        },
+        amount: { type: Number, required: true, min: 0 },
+        dueDate: { type: Date, required: true },
+        status: {
+          type: String,
+          enum: ["pending", "paid"],
+          default: "pending",
+        },
+        paidAt: { type: Date },
+        reminderSentAt: { type: Date },
+      },
+    ],
 
     // Booking status
     status: {
@@ -144,6 +245,18 @@ const bookingSchema = new mongoose.Schema(
         changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         changedAt: { type: Date, default: Date.now },
         reason: { type: String },
+        // Details changed by an accepted modification, old and new
+        modification: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "BookingModification",
+        },
+        changes: [
+          {
+            field: { type: String },
+            from: { type: mongoose.Schema.Types.Mixed },
+            to: { type: mongoose.Schema.Types.Mixed },
+          },
+        ],
       },
     ],
 
@@ -157,6 +270,9 @@ const bookingSchema = new mongoose.Schema(
         type: String,
         enum: ["pending", "processing", "completed", "rejected"],
       },
+      // Where the refund goes; payments made from credit always return to it
+      refundTo: { type: String, enum: ["original", "credit"] },
+      creditAmount: { type: Number, min: 0 },
     },
 
     // Communication
@@ -207,8 +323,15 @@ bookingSchema.pre("save", function (next) {
 bookingSchema.index({ customer: 1, status: 1 });
 bookingSchema.index({ provider: 1, status: 1 });
 bookingSchema.index({ eventCenter: 1, "eventDetails.eventDate": 1 });
+bookingSchema.index({ listing: 1, "eventDetails.eventDate": 1 });
 bookingSchema.index({ serviceProvider: 1, status: 1 });
+bookingSchema.index({ eventPlan: 1 });
+bookingSchema.index({ quoteRequest: 1 });
 bookingSchema.index({ "eventDetails.eventDate": 1 });
 bookingSchema.index({ status: 1, paymentStatus: 1 });
+bookingSchema.index({
+  "paymentSchedule.status": 1,
+  "paymentSchedule.dueDate": 1,
+});
 
 module.exports = mongoose.model("Booking", bookingSchema);
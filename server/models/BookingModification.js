@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const detailsSchema = {
+  eventDate: { type: Date },
+  startTime: { type: String },
+  endTime: { type: String },
+  guestCount: { type: Number },
+  addOns: [
+    {
+      addOnId: { type: mongoose.Schema.Types.ObjectId },
+      quantity: { type: Number },
+      _id: false,
+    },
+  ],
+};
+
+// A change to a booking's date, times, guest count or add-ons proposed by
+// one party. The other party accepts, rejects or counters it (a counter is
+// a new modification pointing back at the one it answers). The booking's
+// details and price before and after are kept for audit.
+const bookingModificationSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: [true, "Booking reference is required"],
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Proposer is required"],
+    },
+    // Which side has to answer it
+    awaiting: {
+      type: String,
+      enum: ["customer", "provider"],
+      required: true,
+    },
+    counterOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingModification",
+    },
+    reason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+
+    // Booking details when proposed and as they would become
+    previous: detailsSchema,
+    proposed: detailsSchema,
+
+    // Price when proposed and the new price (see services/quoteService)
+    previousPricing: { type: mongoose.Schema.Types.Mixed },
+    pricing: { type: mongoose.Schema.Types.Mixed },
+    lineItems: { type: mongoose.Schema.Types.Mixed },
+    durationHours: { type: Number },
+    coupon: { type: mongoose.Schema.Types.Mixed },
+    display: { type: mongoose.Schema.Types.Mixed },
+    priceDifference: {
+      type: Number,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "accepted",
+        "rejected",
+        "countered",
+        "withdrawn",
+        "expired",
+      ],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    respondedAt: {
+      type: Date,
+    },
+    responseNote: {
+      type: String,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+
+    // How the price difference was settled on acceptance
+    settlement: {
+      amountPaid: { type: Number },
+      // More to pay through the booking's usual payments
+      amountDue: { type: Number },
+      refundAmount: { type: Number },
+      creditAmount: { type: Number },
+      refundStatus: {
+        type: String,
+        enum: ["completed", "pending", "rejected"],
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+bookingModificationSchema.index({ booking: 1, createdAt: -1 });
+// One open proposal per booking at a time
+bookingModificationSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model(
+  "BookingModification",
+  bookingModificationSchema
+);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Named sequences (e.g. invoice numbers per year)
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
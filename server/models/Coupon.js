@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, "Code must be 3-30 letters or digits"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: [true, "Discount type is required"],
+    },
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0, "Discount cannot be negative"],
+    },
+    // Cap on what a percentage coupon can take off
+    maxDiscount: {
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+    },
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum spend cannot be negative"],
+    },
+    // Currency of the fixed value, maxDiscount and minSpend; converted into
+    // the booking's currency when the coupon is applied
+    currency: {
+      type: String,
+      default: "NGN",
+      uppercase: true,
+      trim: true,
+    },
+    validFrom: {
+      type: Date,
+    },
+    validUntil: {
+      type: Date,
+    },
+    // Total redemptions allowed (unlimited when unset)
+    usageLimit: {
+      type: Number,
+      min: [1, "Usage limit must be at least 1"],
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Bookings the coupon applies to; unset fields match anything
+    scope: {
+      bookingType: { type: String, enum: ["provider", "center"] },
+      serviceCategory: { type: String },
+      serviceProvider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ServiceProvider",
+      },
+      eventCenter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "EventCenter",
+      },
+    },
+    // Share of each discount the platform absorbs; the provider covers the rest
+    platformShare: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+couponSchema.index({ createdBy: 1, isActive: 1 });
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Which of the customer's uses this is (1 to the coupon's perUserLimit);
+    // unique while applied, so two checkouts cannot take the same use
+    useNumber: {
+      type: Number,
+      min: 1,
+    },
+    discount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Who bears the discount
+    platformCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    providerCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    // Released when the booking is cancelled
+    status: {
+      type: String,
+      enum: ["applied", "released"],
+      default: "applied",
+    },
+    releasedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+couponRedemptionSchema.index({ coupon: 1, booking: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, customer: 1, status: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, customer: 1, useNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: "applied",
+      useNumber: { $exists: true },
+    },
+  }
+);
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
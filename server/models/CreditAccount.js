@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A customer's platform credit in one currency; see services/creditService
+const creditAccountSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: [0, "Credit balance cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+creditAccountSchema.index({ user: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model("CreditAccount", creditAccountSchema);
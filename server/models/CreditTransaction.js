@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const creditTransactionSchema = new mongoose.Schema(
+  {
+    // Idempotency key, e.g. "refund:<bookingId>"
+    reference: {
+      type: String,
+      unique: true,
+      required: [true, "Reference is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    type: {
+      type: String,
+      enum: ["refund", "goodwill", "booking_payment", "payment_reversal"],
+      required: [true, "Type is required"],
+    },
+    // Positive when credit is added, negative when it is spent
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+    },
+    balanceAfter: {
+      type: Number,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DirectPaymentTransaction",
+    },
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerEntry",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+creditTransactionSchema.index({ booking: 1 });
+
+module.exports = mongoose.model("CreditTransaction", creditTransactionSchema);
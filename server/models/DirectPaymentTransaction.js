@@ -22,9 +22,19 @@ const directPaymentTransactionSchema = new mongoose.Schema(
       ref: "User",
       required: [true, "Provider is required"],
     },
+    // Co-payer share this pays towards (split payments); unset for the host
+    paymentShare: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentShare",
+    },
+    // Who paid, when it was not the booking customer
+    payer: {
+      name: { type: String },
+      email: { type: String },
+    },
     transactionType: {
       type: String,
-      enum: ["deposit", "full_payment", "balance"],
+      enum: ["deposit", "full_payment", "balance", "contribution"],
       required: [true, "Transaction type is required"],
     },
     amount: {
@@ -40,7 +50,15 @@ const directPaymentTransactionSchema = new mongoose.Schema(
     gateway: {
       name: {
         type: String,
-        enum: ["paystack", "flutterwave", "stripe", "bank_transfer", "cash"],
+        enum: [
+          "paystack",
+          "flutterwave",
+          "stripe",
+          "mock",
+          "bank_transfer",
+          "cash",
+          "credit",
+        ],
         required: true,
       },
       transactionId: { type: String },
@@ -136,6 +154,7 @@ directPaymentTransactionSchema.pre("save", async function (next) {
 // Indexes for performance
 directPaymentTransactionSchema.index({ paymentFlow: 1 });
 directPaymentTransactionSchema.index({ booking: 1 });
+directPaymentTransactionSchema.index({ paymentShare: 1, status: 1 });
 directPaymentTransactionSchema.index({ customer: 1, status: 1 });
 directPaymentTransactionSchema.index({ provider: 1, status: 1 });
 directPaymentTransactionSchema.index({ "gateway.reference": 1 });
@@ -81,11 +81,24 @@ const escrowTransactionSchema = new mongoose.Schema(
       disputedAt: { type: Date },
       disputedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
       reason: { type: String, maxlength: 1000 },
+      evidence: [
+        {
+          url: { type: String, required: true },
+          caption: { type: String },
+          uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          uploadedAt: { type: Date, default: Date.now },
+        },
+      ],
       status: {
         type: String,
         enum: ["open", "investigating", "resolved", "closed"],
       },
       resolution: { type: String },
+      outcome: {
+        type: String,
+        enum: ["release", "refund", "split"],
+      },
+      releaseAmount: { type: Number, min: 0 },
       resolvedAt: { type: Date },
       resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     },
@@ -131,7 +144,7 @@ escrowTransactionSchema.pre("save", function (next) {
 });
 
 // Indexes for performance
-escrowTransactionSchema.index({ paymentFlow: 1 });
+escrowTransactionSchema.index({ paymentFlow: 1 }, { unique: true });
 escrowTransactionSchema.index({ booking: 1 });
 escrowTransactionSchema.index({ customer: 1, status: 1 });
 escrowTransactionSchema.index({ provider: 1, status: 1 });
@@ -38,7 +38,13 @@ const eventCenterSchema = new mongoose.Schema(
     resetPasswordToken: String,
     resetPasswordExpire: Date,
 
-    // CAC fields
+    // CAC fields; companyName is the registered name (centerName is what
+    // customers see)
+    companyName: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Company name cannot exceed 200 characters"],
+    },
     cacNumber: {
       type: String,
       trim: true,
@@ -130,6 +136,50 @@ const eventCenterSchema = new mongoose.Schema(
         isPrimary: { type: Boolean, default: false },
       },
     ],
+    // Minutes a new booking holds a hall while the customer checks out
+    // (defaults to BOOKING_HOLD_MINUTES)
+    holdMinutes: {
+      type: Number,
+      min: [5, "Hold must be at least 5 minutes"],
+      max: [1440, "Hold cannot exceed a day"],
+    },
+    terms: {
+      cancellationPolicy: { type: String },
+      cancellationRules: {
+        preset: {
+          type: String,
+          enum: ["flexible", "moderate", "strict", "custom"],
+          default: "moderate",
+        },
+        tiers: [
+          {
+            daysBefore: { type: Number, required: true, min: 0 },
+            refundPercentage: {
+              type: Number,
+              required: true,
+              min: 0,
+              max: 100,
+            },
+          },
+        ],
+      },
+    },
+    // Taxes charged on bookings (see services/taxService)
+    taxSettings: {
+      vatRegistered: { type: Boolean, default: false },
+      vatNumber: { type: String, trim: true },
+      additionalTaxes: [
+        {
+          name: { type: String, trim: true, required: true },
+          rate: { type: Number, required: true, min: 0, max: 100 },
+          appliesTo: {
+            type: String,
+            enum: ["all", "base", "addon"],
+            default: "all",
+          },
+        },
+      ],
+    },
     videos: [
       {
         url: { type: String },
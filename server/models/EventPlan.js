@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+
+// One event booked across several vendors (venue, caterer, DJ, ...). The
+// plan holds the details every booking shares and a cart of quoted vendors;
+// checking out turns the cart into bookings that point back at the plan.
+const eventPlanSchema = new mongoose.Schema(
+  {
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Host is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Plan name is required"],
+      trim: true,
+      maxlength: [100, "Plan name cannot exceed 100 characters"],
+    },
+
+    // Shared by every booking in the plan
+    eventDetails: {
+      eventType: {
+        type: String,
+        enum: [
+          "Wedding",
+          "Birthday",
+          "Corporate",
+          "Conference",
+          "Workshop",
+          "Concert",
+          "Exhibition",
+          "Religious",
+          "Social",
+          "Other",
+        ],
+      },
+      eventDate: {
+        type: Date,
+        required: [true, "Event date is required"],
+      },
+      guestCount: {
+        type: Number,
+        min: [1, "Guest count must be at least 1"],
+      },
+    },
+
+    budget: {
+      amount: {
+        type: Number,
+        min: [0, "Budget cannot be negative"],
+      },
+      currency: {
+        type: String,
+        default: "NGN",
+      },
+    },
+
+    // Vendors quoted for the event, booked together at checkout
+    cart: [
+      {
+        bookingType: {
+          type: String,
+          enum: ["provider", "center"],
+          required: true,
+        },
+        serviceProvider: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ServiceProvider",
+        },
+        eventCenter: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "EventCenter",
+        },
+        listing: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Listing",
+        },
+        startTime: { type: String, required: true },
+        endTime: { type: String, required: true },
+        specialRequests: { type: String, maxlength: 1000 },
+        notes: { type: String, maxlength: 2000 },
+        // Verified quote the booking is made from (see services/quoteService);
+        // priced again at checkout, as items can sit here well past expiry
+        quote: { type: mongoose.Schema.Types.Mixed, required: true },
+        totalAmount: { type: Number, required: true },
+        currency: { type: String, default: "NGN" },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ["planning", "cancelled"],
+      default: "planning",
+    },
+    cancellation: {
+      cancelledAt: { type: Date },
+      reason: { type: String },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+eventPlanSchema.index({ host: 1, createdAt: -1 });
+eventPlanSchema.index({ "eventDetails.eventDate": 1 });
+
+module.exports = mongoose.model("EventPlan", eventPlanSchema);
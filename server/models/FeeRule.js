@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const { PROVIDER_TIERS } = require("../utils/constants");
+
+const feeRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Higher priority wins when several rules match
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // Unset conditions match everything
+    conditions: {
+      bookingType: {
+        type: String,
+        enum: ["provider", "center"],
+      },
+      // ServiceProvider.serviceCategory, or EventCenter.centerType
+      serviceCategory: {
+        type: String,
+        trim: true,
+      },
+      providerTier: {
+        type: String,
+        enum: Object.values(PROVIDER_TIERS),
+      },
+      // Promo period
+      validFrom: { type: Date },
+      validUntil: { type: Date },
+    },
+    percentage: {
+      type: Number,
+      required: [true, "Fee percentage is required"],
+      min: [0, "Fee percentage cannot be negative"],
+      max: [100, "Fee percentage cannot exceed 100"],
+    },
+    // Smallest fee charged on a booking, whatever the percentage gives
+    flatMinimum: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum fee cannot be negative"],
+    },
+    // Currency of flatMinimum; converted into the booking's currency
+    currency: {
+      type: String,
+      default: "NGN",
+      uppercase: true,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Promo periods must end after they start
+feeRuleSchema.pre("validate", function (next) {
+  const { validFrom, validUntil } = this.conditions || {};
+  if (validFrom && validUntil && validUntil <= validFrom) {
+    return next(new Error("Promo period must end after it starts"));
+  }
+  next();
+});
+
+// Indexes for performance
+feeRuleSchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.model("FeeRule", feeRuleSchema);
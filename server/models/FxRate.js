@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// One unit of baseCurrency is worth `rate` units of quoteCurrency
+const fxRateSchema = new mongoose.Schema(
+  {
+    baseCurrency: {
+      type: String,
+      required: [true, "Base currency is required"],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+    },
+    quoteCurrency: {
+      type: String,
+      required: [true, "Quote currency is required"],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+    },
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0.000001, "Rate must be greater than 0"],
+    },
+    source: {
+      type: String,
+      enum: ["manual", "import"],
+      default: "manual",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+fxRateSchema.index({ baseCurrency: 1, quoteCurrency: 1 }, { unique: true });
+
+module.exports = mongoose.model("FxRate", fxRateSchema);
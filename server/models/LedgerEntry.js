@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const { LEDGER_ACCOUNTS } = require("../utils/constants");
+
+const APPEND_ONLY_ERROR = "Ledger entries are append-only";
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    // Idempotency key, e.g. "release:<escrowId>"
+    reference: {
+      type: String,
+      unique: true,
+      required: [true, "Reference is required"],
+    },
+    entryType: {
+      type: String,
+      enum: [
+        "payment_received",
+        "escrow_release",
+        "platform_fee",
+        "coupon_subsidy",
+        "refund",
+        "payout",
+        "credit_grant",
+      ],
+      required: [true, "Entry type is required"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    // Debits and credits; they must balance
+    lines: [
+      {
+        account: {
+          type: String,
+          enum: Object.values(LEDGER_ACCOUNTS),
+          required: true,
+        },
+        // Account holder for per-user accounts (provider payable, escrow)
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        debit: { type: Number, default: 0, min: 0 },
+        credit: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    // What the entry records
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    paymentFlow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentFlow",
+    },
+    escrow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EscrowTransaction",
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DirectPaymentTransaction",
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutRequest",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Every entry must have lines and its debits must equal its credits
+ledgerEntrySchema.pre("validate", function (next) {
+  if (this.lines.length < 2) {
+    return next(new Error("A ledger entry needs at least two lines"));
+  }
+
+  // Compare in minor units to avoid floating point drift
+  const toMinor = (value) => Math.round(value * 100);
+  const debits = this.lines.reduce((sum, line) => sum + toMinor(line.debit), 0);
+  const credits = this.lines.reduce(
+    (sum, line) => sum + toMinor(line.credit),
+    0
+  );
+
+  if (debits !== credits || debits === 0) {
+    return next(new Error("Ledger entry debits and credits must balance"));
+  }
+  next();
+});
+
+// Entries are never changed or removed; corrections are new entries
+ledgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error(APPEND_ONLY_ERROR));
+  next();
+});
+
+ledgerEntrySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error(APPEND_ONLY_ERROR));
+  }
+);
+
+// Indexes for performance
+ledgerEntrySchema.index({ "lines.account": 1, "lines.user": 1 });
+ledgerEntrySchema.index({ booking: 1 });
+ledgerEntrySchema.index({ entryType: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -88,6 +88,31 @@ const listingSchema = new mongoose.Schema(
           features: [{ type: String }],
         },
       ],
+      // Optional extras the customer can add to a quote
+      addOns: [
+        {
+          name: { type: String, trim: true, required: true },
+          description: { type: String, trim: true },
+          price: { type: Number, min: 0, required: true },
+          unit: {
+            type: String,
+            enum: ["flat", "per_guest", "per_hour"],
+            default: "flat",
+          },
+        },
+      ],
+      // Automatic discounts; the best one that applies is used
+      discounts: [
+        {
+          name: { type: String, trim: true, required: true },
+          type: { type: String, enum: ["percentage", "fixed"], required: true },
+          value: { type: Number, min: 0, required: true },
+          minHours: { type: Number, min: 0 },
+          minGuests: { type: Number, min: 0 },
+          validFrom: { type: Date },
+          validUntil: { type: Date },
+        },
+      ],
     },
     // Facilities available in this listing
     facilities: [
@@ -142,6 +167,12 @@ const listingSchema = new mongoose.Schema(
     ],
     // Availability
     availability: {
+      // Time kept free before and after each booking
+      buffers: {
+        setupMinutes: { type: Number, min: 0, default: 0 },
+        teardownMinutes: { type: Number, min: 0, default: 0 },
+      },
+      // Superseded by the Reservation collection; kept for older records
       bookedDates: [
         {
           startDate: { type: Date, required: true },
@@ -21,6 +21,9 @@ const notificationSchema = new mongoose.Schema(
         "booking_completed",
         "payment_received",
         "payment_released",
+        "dispute_opened",
+        "dispute_updated",
+        "dispute_resolved",
         "review_received",
         "message_received",
         "cac_verified",
@@ -113,6 +113,9 @@ notificationPreferenceSchema.methods.shouldSendNotification = function (
     booking_completed: "bookings",
     payment_received: "payments",
     payment_released: "payments",
+    dispute_opened: "payments",
+    dispute_updated: "payments",
+    dispute_resolved: "payments",
     review_received: "reviews",
     message_received: "messages",
     reminder: "reminders",
@@ -37,10 +37,33 @@ const paymentFlowSchema = new mongoose.Schema(
         default: 5,
         min: [0, "Fee percentage cannot be negative"],
       },
+      flatMinimum: {
+        type: Number,
+        default: 0,
+        min: [0, "Minimum fee cannot be negative"],
+      },
       amount: {
         type: Number,
         min: [0, "Fee amount cannot be negative"],
       },
+      // Fee rule that applied, copied so later rule edits don't change it
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "FeeRule",
+      },
+      ruleSnapshot: {
+        name: { type: String },
+        priority: { type: Number },
+        conditions: { type: mongoose.Schema.Types.Mixed },
+        appliedAt: { type: Date },
+      },
+    },
+    // Platform-funded share of the booking's coupon discount, owed to the
+    // provider on top of what the customer paid
+    couponSubsidy: {
+      type: Number,
+      default: 0,
+      min: [0, "Coupon subsidy cannot be negative"],
     },
     providerAmount: {
       type: Number,
@@ -65,7 +88,7 @@ const paymentFlowSchema = new mongoose.Schema(
     gateway: {
       name: {
         type: String,
-        enum: ["paystack", "flutterwave", "stripe"],
+        enum: ["paystack", "flutterwave", "stripe", "mock"],
       },
       transactionId: { type: String },
       reference: { type: String },
@@ -107,11 +130,18 @@ const paymentFlowSchema = new mongoose.Schema(
 paymentFlowSchema.pre("save", function (next) {
   if (
     this.isModified("totalAmount") ||
-    this.isModified("platformFee.percentage")
+    this.isModified("platformFee.percentage") ||
+    this.isModified("platformFee.flatMinimum") ||
+    this.isModified("couponSubsidy")
   ) {
-    this.platformFee.amount =
+    const percentageFee =
       (this.totalAmount * this.platformFee.percentage) / 100;
-    this.providerAmount = this.totalAmount - this.platformFee.amount;
+    this.platformFee.amount = Math.min(
+      this.totalAmount,
+      Math.max(percentageFee, this.platformFee.flatMinimum || 0)
+    );
+    this.providerAmount =
+      this.totalAmount - this.platformFee.amount + (this.couponSubsidy || 0);
   }
   next();
 });
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const paymentShareSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: [true, "Booking reference is required"],
+    },
+    // Booking customer who invited the co-payer
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Host is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Co-payer name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    email: {
+      type: String,
+      required: [true, "Co-payer email is required"],
+      lowercase: true,
+      trim: true,
+    },
+    // Set when the co-payer has an account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    amount: {
+      type: Number,
+      required: [true, "Share amount is required"],
+      min: [0, "Share amount cannot be negative"],
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    // Secret in the co-payer's payment link
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["invited", "partially_paid", "paid", "cancelled"],
+      default: "invited",
+    },
+    note: {
+      type: String,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    paidAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+paymentShareSchema.index({ booking: 1, status: 1 });
+paymentShareSchema.index({ user: 1, status: 1 });
+paymentShareSchema.index({ email: 1 });
+
+module.exports = mongoose.model("PaymentShare", paymentShareSchema);
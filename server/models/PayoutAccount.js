@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+const payoutAccountSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner is required"],
+    },
+    // Business whose CAC name the account was checked against
+    serviceProvider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceProvider",
+    },
+    eventCenter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventCenter",
+    },
+    bankCode: {
+      type: String,
+      required: [true, "Bank code is required"],
+      trim: true,
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+    // Full number, encrypted (see utils/encryption); never returned by default
+    accountNumberEncrypted: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    maskedAccountNumber: {
+      type: String,
+      required: true,
+    },
+    // HMAC of bankCode:accountNumber, to spot duplicates without decrypting
+    fingerprint: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Name the bank returned for the account
+    accountName: {
+      type: String,
+      trim: true,
+    },
+    nameCheck: {
+      status: {
+        type: String,
+        enum: ["matched", "mismatched", "approved"],
+        required: true,
+      },
+      expectedName: { type: String },
+      score: { type: Number },
+      checkedAt: { type: Date },
+      // Admin override for a mismatched name
+      approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      approvedAt: { type: Date },
+      note: { type: String, maxlength: 500 },
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    removedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+payoutAccountSchema.index({ owner: 1, isActive: 1 });
+payoutAccountSchema.index({ fingerprint: 1, isActive: 1 });
+payoutAccountSchema.index({ "nameCheck.status": 1, isActive: 1 });
+
+module.exports = mongoose.model("PayoutAccount", payoutAccountSchema);
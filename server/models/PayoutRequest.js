@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const payoutRequestSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Provider is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [1, "Amount must be greater than 0"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    reference: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    note: {
+      type: String,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    // Where the money goes, as it was when the payout was requested
+    payoutAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutAccount",
+    },
+    destination: {
+      bankCode: { type: String },
+      bankName: { type: String },
+      maskedAccountNumber: { type: String },
+      accountName: { type: String },
+    },
+    // Admin review
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerEntry",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+payoutRequestSchema.index({ provider: 1, status: 1 });
+payoutRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("PayoutRequest", payoutRequestSchema);
@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+
+// An itemised price offered by one side of a quote request. Answering it
+// with a counter-offer marks it "countered".
+const offerSchema = new mongoose.Schema(
+  {
+    offeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    party: {
+      type: String,
+      enum: ["customer", "provider"],
+      required: true,
+    },
+    lineItems: [
+      {
+        type: { type: String, enum: ["base", "addon", "discount"] },
+        description: { type: String },
+        quantity: { type: Number },
+        unitPrice: { type: Number },
+        amount: { type: Number },
+        taxes: [
+          {
+            name: { type: String },
+            rate: { type: Number },
+            amount: { type: Number },
+            _id: false,
+          },
+        ],
+        _id: false,
+      },
+    ],
+    // Booking pricing the offer locks in when accepted
+    pricing: { type: mongoose.Schema.Types.Mixed, required: true },
+    durationHours: { type: Number },
+    message: {
+      type: String,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "accepted",
+        "rejected",
+        "countered",
+        "withdrawn",
+        "expired",
+      ],
+      default: "pending",
+    },
+    respondedAt: { type: Date },
+    responseNote: {
+      type: String,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A host asking a provider with negotiable pricing for a price. The two
+// sides trade offers until one is accepted, which books the provider at
+// the offered price.
+const quoteRequestSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Customer is required"],
+    },
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Provider is required"],
+    },
+    serviceProvider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceProvider",
+      required: [true, "Service provider is required"],
+    },
+    // One of the provider's services, when asking about a specific one
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
+    eventDetails: {
+      eventName: { type: String, trim: true, maxlength: 100 },
+      eventType: {
+        type: String,
+        enum: [
+          "Wedding",
+          "Birthday",
+          "Corporate",
+          "Conference",
+          "Workshop",
+          "Concert",
+          "Exhibition",
+          "Religious",
+          "Social",
+          "Other",
+        ],
+      },
+      eventDate: {
+        type: Date,
+        required: [true, "Event date is required"],
+      },
+      startTime: {
+        type: String,
+        required: [true, "Start time is required"],
+      },
+      endTime: {
+        type: String,
+        required: [true, "End time is required"],
+      },
+      guestCount: {
+        type: Number,
+        min: [1, "Guest count must be at least 1"],
+      },
+      specialRequests: { type: String, maxlength: 1000 },
+    },
+    message: {
+      type: String,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    budget: {
+      amount: { type: Number, min: 0 },
+      currency: { type: String, default: "NGN" },
+    },
+
+    offers: [offerSchema],
+
+    status: {
+      type: String,
+      enum: ["open", "accepted", "declined", "cancelled", "expired"],
+      default: "open",
+    },
+    // Booking made from the accepted offer
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    closedAt: { type: Date },
+    closeReason: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+quoteRequestSchema.index({ customer: 1, createdAt: -1 });
+quoteRequestSchema.index({ provider: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("QuoteRequest", quoteRequestSchema);
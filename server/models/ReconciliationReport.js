@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    gateway: {
+      type: String,
+      enum: ["paystack", "flutterwave"],
+      required: [true, "Gateway is required"],
+    },
+    fileName: {
+      type: String,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Date range covered by the settlement file
+    period: {
+      from: { type: Date },
+      to: { type: Date },
+    },
+    summary: {
+      totalRows: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      missingInSystem: { type: Number, default: 0 },
+      missingInGateway: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 },
+      amountMismatches: { type: Number, default: 0 },
+      statusMismatches: { type: Number, default: 0 },
+      currencyMismatches: { type: Number, default: 0 },
+    },
+    // Discrepancies found; matching rows are only counted
+    items: [
+      {
+        issue: {
+          type: String,
+          enum: [
+            "missing_in_system",
+            "missing_in_gateway",
+            "duplicate",
+            "amount_mismatch",
+            "status_mismatch",
+            "currency_mismatch",
+          ],
+          required: true,
+        },
+        gatewayReference: { type: String },
+        gatewayTransactionId: { type: String },
+        gatewayAmount: { type: Number },
+        gatewayStatus: { type: String },
+        systemAmount: { type: Number },
+        systemStatus: { type: String },
+        currency: { type: String },
+        systemCurrency: { type: String },
+        transaction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "DirectPaymentTransaction",
+        },
+        paymentFlow: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PaymentFlow",
+        },
+        booking: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Booking",
+        },
+        // Line in the uploaded file (1 = first data row)
+        row: { type: Number },
+        resolution: {
+          status: {
+            type: String,
+            enum: ["open", "resolved", "ignored"],
+            default: "open",
+          },
+          note: { type: String, maxlength: 500 },
+          resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          resolvedAt: { type: Date },
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+reconciliationReportSchema.index({ gateway: 1, createdAt: -1 });
+reconciliationReportSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model(
+  "ReconciliationReport",
+  reconciliationReportSchema
+);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// One time slot of a bookable resource claimed by a booking. A booking
+// claims every slot its interval (with setup/teardown buffers) touches; the
+// unique index on resource + slot makes a second claim on any of them fail,
+// so overlapping bookings cannot both get in. New bookings only hold their
+// slots until expiresAt; payment or confirmation makes them booked.
+const reservationSchema = new mongoose.Schema(
+  {
+    resourceType: {
+      type: String,
+      enum: ["service_provider", "event_center", "listing"],
+      required: true,
+    },
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Start of the slot (see SLOT_MINUTES in services/availabilityService)
+    slot: {
+      type: Date,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["held", "booked"],
+      default: "booked",
+    },
+    // Set while held; expired holds no longer block the slot
+    expiresAt: {
+      type: Date,
+    },
+    // The booking's full claimed interval, buffers included
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+reservationSchema.index(
+  { resourceType: 1, resource: 1, slot: 1 },
+  { unique: true }
+);
+reservationSchema.index({ booking: 1 });
+// Clean up expired holds (only held slots carry expiresAt)
+reservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Reservation", reservationSchema);
@@ -102,6 +102,31 @@ const serviceProviderSchema = new mongoose.Schema(
           features: [{ type: String }],
         },
       ],
+      // Optional extras the customer can add to a quote
+      addOns: [
+        {
+          name: { type: String, trim: true, required: true },
+          description: { type: String, trim: true },
+          price: { type: Number, min: 0, required: true },
+          unit: {
+            type: String,
+            enum: ["flat", "per_guest", "per_hour"],
+            default: "flat",
+          },
+        },
+      ],
+      // Automatic discounts; the best one that applies is used
+      discounts: [
+        {
+          name: { type: String, trim: true, required: true },
+          type: { type: String, enum: ["percentage", "fixed"], required: true },
+          value: { type: Number, min: 0, required: true },
+          minHours: { type: Number, min: 0 },
+          minGuests: { type: Number, min: 0 },
+          validFrom: { type: Date },
+          validUntil: { type: Date },
+        },
+      ],
     },
     availability: {
       status: {
@@ -114,6 +139,11 @@ const serviceProviderSchema = new mongoose.Schema(
           type: Date,
         },
       ],
+      // Time kept free before and after each booking
+      buffers: {
+        setupMinutes: { type: Number, min: 0, default: 0 },
+        teardownMinutes: { type: Number, min: 0, default: 0 },
+      },
     },
     serviceArea: {
       states: [{ type: String }],
@@ -159,6 +189,35 @@ const serviceProviderSchema = new mongoose.Schema(
               features: [{ type: String }],
             },
           ],
+          // Optional extras the customer can add to a quote
+          addOns: [
+            {
+              name: { type: String, trim: true, required: true },
+              description: { type: String, trim: true },
+              price: { type: Number, min: 0, required: true },
+              unit: {
+                type: String,
+                enum: ["flat", "per_guest", "per_hour"],
+                default: "flat",
+              },
+            },
+          ],
+          // Automatic discounts; the best one that applies is used
+          discounts: [
+            {
+              name: { type: String, trim: true, required: true },
+              type: {
+                type: String,
+                enum: ["percentage", "fixed"],
+                required: true,
+              },
+              value: { type: Number, min: 0, required: true },
+              minHours: { type: Number, min: 0 },
+              minGuests: { type: Number, min: 0 },
+              validFrom: { type: Date },
+              validUntil: { type: Date },
+            },
+          ],
         },
         images: [
           {
@@ -177,7 +236,11 @@ const serviceProviderSchema = new mongoose.Schema(
         },
         isActive: { type: Boolean, default: true },
         moderation: {
-          status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+          status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"],
+            default: "pending",
+          },
           notes: { type: String },
           moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
           moderatedAt: { type: Date },
@@ -186,10 +249,45 @@ const serviceProviderSchema = new mongoose.Schema(
     ],
     terms: {
       cancellationPolicy: { type: String },
+      cancellationRules: {
+        preset: {
+          type: String,
+          enum: ["flexible", "moderate", "strict", "custom"],
+          default: "moderate",
+        },
+        tiers: [
+          {
+            daysBefore: { type: Number, required: true, min: 0 },
+            refundPercentage: {
+              type: Number,
+              required: true,
+              min: 0,
+              max: 100,
+            },
+          },
+        ],
+      },
       refundPolicy: { type: String },
       advanceBookingDays: { type: Number, default: 7 },
       depositRequired: { type: Boolean, default: false },
       depositPercentage: { type: Number, min: 0, max: 100 },
+      balanceDueDays: { type: Number, min: 0, default: 7 },
+    },
+    // Taxes charged on bookings (see services/taxService)
+    taxSettings: {
+      vatRegistered: { type: Boolean, default: false },
+      vatNumber: { type: String, trim: true },
+      additionalTaxes: [
+        {
+          name: { type: String, trim: true, required: true },
+          rate: { type: Number, required: true, min: 0, max: 100 },
+          appliesTo: {
+            type: String,
+            enum: ["all", "base", "addon"],
+            default: "all",
+          },
+        },
+      ],
     },
     rating: {
       average: { type: Number, min: 0, max: 5, default: 0 },
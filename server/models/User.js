@@ -1,7 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
-const { USER_ROLES } = require("../utils/constants");
+const { USER_ROLES, PROVIDER_TIERS } = require("../utils/constants");
 
 const userSchema = new mongoose.Schema(
   {
@@ -53,6 +53,12 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Commercial tier for providers and centers (drives fee rules)
+    providerTier: {
+      type: String,
+      enum: Object.values(PROVIDER_TIERS),
+      default: PROVIDER_TIERS.STANDARD,
+    },
 
     // Host-specific data moved to Host model (referenced via `host`)
 
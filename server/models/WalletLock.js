@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Serialises the checks and writes that take money out of a provider's
+// wallet (payout requests and approvals), so two of them can never both
+// pass the balance check. Held until lockedUntil in case a holder dies.
+const walletLockSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Provider is required"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    lockId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+walletLockSchema.index({ provider: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model("WalletLock", walletLockSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      enum: ["paystack", "flutterwave", "stripe", "mock"],
+      required: [true, "Gateway is required"],
+    },
+    // Gateway event id (or a hash of the payload when the gateway has none)
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+    },
+    eventType: {
+      type: String,
+    },
+    reference: {
+      type: String,
+    },
+    signatureValid: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed", "rejected"],
+      default: "received",
+    },
+    // Raw delivery
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    headers: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Processing outcome
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    processedAt: {
+      type: Date,
+    },
+    result: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    paymentFlow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentFlow",
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DirectPaymentTransaction",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A genuine event is only ever applied once. Unsigned deliveries are kept for
+// auditing but must not be able to claim an event id ahead of the real one.
+webhookEventSchema.index(
+  { gateway: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+
+// Indexes for performance
+webhookEventSchema.index({ reference: 1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -1,229 +1,72 @@
 const express = require("express");
 const router = express.Router();
 const Booking = require("../models/Booking");
-const ServiceProvider = require("../models/ServiceProvider");
-const EventCenter = require("../models/EventCenter");
+const BookingModification = require("../models/BookingModification");
 const User = require("../models/User");
 const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
 const { successResponse, errorResponse } = require("../utils/helpers");
+const { markEventCompleted } = require("../services/escrowService");
+const { schedulePayments } = require("../services/paymentService");
+const { buildQuote, signQuote } = require("../services/quoteService");
+const {
+  calculateRefund,
+  resolveCancellationRefund,
+} = require("../services/cancellationService");
+const { claimSlots } = require("../services/reservationService");
+const { createBooking, cancelBooking } = require("../services/bookingService");
+const {
+  getParty,
+  proposeModification,
+  acceptModification,
+  rejectModification,
+  counterModification,
+  withdrawModification,
+  resolveModificationRefund,
+} = require("../services/modificationService");
 const {
   STATUS_CODES,
   USER_ROLES,
   BOOKING_STATUS,
+  CANCELLATION_POLICIES,
 } = require("../utils/constants");
 
 /**
- * @route   POST /api/bookings
- * @desc    Create a new booking
+ * @route   POST /api/bookings/quote
+ * @desc    Price a booking and return a signed quote to book with
  * @access  Private
  */
-router.post("/", protect, async (req, res, next) => {
-  try {
-    const {
-      bookingType,
-      serviceProviderId,
-      eventCenterId,
-      eventDetails,
-      pricing,
-      paymentMethod = "escrow",
-      notes,
-    } = req.body;
-
-    // Validate booking type
-    if (!["provider", "center"].includes(bookingType)) {
-      return errorResponse(
-        res,
-        STATUS_CODES.BAD_REQUEST,
-        'Booking type must be either "provider" or "center"'
-      );
-    }
-
-    // Validate required fields
-    if (
-      !eventDetails ||
-      !eventDetails.eventDate ||
-      !eventDetails.startTime ||
-      !eventDetails.endTime
-    ) {
-      return errorResponse(
-        res,
-        STATUS_CODES.BAD_REQUEST,
-        "Event date, start time, and end time are required"
-      );
-    }
-
-    if (!pricing || !pricing.totalAmount) {
-      return errorResponse(
-        res,
-        STATUS_CODES.BAD_REQUEST,
-        "Pricing information is required"
-      );
-    }
-
-    let provider = null;
-    let serviceProvider = null;
-    let eventCenter = null;
-
-    // Provider booking
-    if (bookingType === "provider") {
-      if (!serviceProviderId) {
-        return errorResponse(
-          res,
-          STATUS_CODES.BAD_REQUEST,
-          "Service provider ID is required for provider bookings"
-        );
-      }
-
-      serviceProvider = await ServiceProvider.findById(serviceProviderId);
-      if (!serviceProvider) {
-        return errorResponse(
-          res,
-          STATUS_CODES.NOT_FOUND,
-          "Service provider not found"
-        );
-      }
-
-      if (
-        !serviceProvider.isActive ||
-        serviceProvider.verificationStatus !== "verified"
-      ) {
-        return errorResponse(
-          res,
-          STATUS_CODES.BAD_REQUEST,
-          "Service provider is not available"
-        );
-      }
-
-      provider = serviceProvider.provider;
-
-      // Check availability
-      const eventDate = new Date(eventDetails.eventDate);
-      const isUnavailable = serviceProvider.availability.unavailableDates.some(
-        (unavailableDate) =>
-          new Date(unavailableDate).toDateString() === eventDate.toDateString()
-      );
-
-      if (
-        isUnavailable ||
-        serviceProvider.availability.status !== "available"
-      ) {
-        return errorResponse(
-          res,
-          STATUS_CODES.CONFLICT,
-          "Service provider is not available on the selected date"
-        );
-      }
-    }
-
-    // Center booking
-    if (bookingType === "center") {
-      if (!eventCenterId) {
-        return errorResponse(
-          res,
-          STATUS_CODES.BAD_REQUEST,
-          "Event center ID is required for center bookings"
-        );
-      }
-
-      eventCenter = await EventCenter.findById(eventCenterId);
-      if (!eventCenter) {
-        return errorResponse(
-          res,
-          STATUS_CODES.NOT_FOUND,
-          "Event center not found"
-        );
-      }
-
-      if (
-        !eventCenter.isActive ||
-        eventCenter.verificationStatus !== "verified"
-      ) {
-        return errorResponse(
-          res,
-          STATUS_CODES.BAD_REQUEST,
-          "Event center is not available"
-        );
-      }
-
-      provider = eventCenter.owner;
-
-      // Check availability
-      const startDate = new Date(eventDetails.eventDate);
-      const endDate = new Date(eventDetails.eventDate);
-      endDate.setHours(23, 59, 59, 999);
-
-      // Check booked dates
-      const isBooked = eventCenter.availability.bookedDates.some((booking) => {
-        const bookingStart = new Date(booking.startDate);
-        const bookingEnd = new Date(booking.endDate);
-        return startDate <= bookingEnd && endDate >= bookingStart;
-      });
-
-      // Check blocked dates
-      const isBlocked = eventCenter.availability.blockedDates.some((block) => {
-        const blockStart = new Date(block.startDate);
-        const blockEnd = new Date(block.endDate);
-        return startDate <= blockEnd && endDate >= blockStart;
-      });
-
-      if (isBooked || isBlocked) {
-        return errorResponse(
-          res,
-          STATUS_CODES.CONFLICT,
-          "Event center is not available on the selected date"
-        );
-      }
-
-      // Validate capacity
-      if (eventDetails.guestCount) {
-        if (
-          eventDetails.guestCount < eventCenter.capacity.minimum ||
-          eventDetails.guestCount > eventCenter.capacity.maximum
-        ) {
-          return errorResponse(
-            res,
-            STATUS_CODES.BAD_REQUEST,
-            `Guest count must be between ${eventCenter.capacity.minimum} and ${eventCenter.capacity.maximum}`
-          );
-        }
-      }
-    }
-
-    // Prevent self-booking
-    if (provider.toString() === req.user._id.toString()) {
-      return errorResponse(
+router.post(
+  "/quote",
+  protect,
+  validate(schemas.bookingQuote),
+  async (req, res, next) => {
+    try {
+      const quote = await buildQuote(req.body, req.user._id);
+      const { quoteToken, expiresAt } = signQuote(quote, req.user._id);
+
+      successResponse(
         res,
-        STATUS_CODES.BAD_REQUEST,
-        "You cannot book your own service/center"
+        STATUS_CODES.OK,
+        { quote, quoteToken, expiresAt },
+        "Quote generated successfully"
       );
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Create booking
-    const bookingData = {
-      bookingType,
-      customer: req.user._id,
-      provider,
-      serviceProvider: serviceProviderId,
-      eventCenter: eventCenterId,
-      eventDetails,
-      pricing: {
-        ...pricing,
-        currency: pricing.currency || "NGN",
-      },
-      paymentMethod,
-      notes,
-      status: BOOKING_STATUS.PENDING,
-      statusHistory: [
-        {
-          status: BOOKING_STATUS.PENDING,
-          changedBy: req.user._id,
-          changedAt: new Date(),
-          reason: "Booking created",
-        },
-      ],
-    };
-
-    const booking = await Booking.create(bookingData);
+/**
+ * @route   POST /api/bookings
+ * @desc    Create a new booking from a signed quote (see POST /quote)
+ * @access  Private
+ */
+router.post("/", protect, async (req, res, next) => {
+  try {
+    const booking = await createBooking(req.user, req.body, {
+      notificationService: req.app.get("notificationService"),
+    });
 
     // Populate booking details
     await booking.populate([
@@ -233,7 +76,8 @@ router.post("/", protect, async (req, res, next) => {
         path: "serviceProvider",
         select: "serviceName serviceCategory pricing",
       },
-      { path: "eventCenter", select: "centerName location capacity pricing" },
+      { path: "eventCenter", select: "centerName location" },
+      { path: "listing", select: "hallName location capacity pricing" },
     ]);
 
     successResponse(
@@ -317,7 +161,8 @@ router.get("/users/:userId/bookings", protect, async (req, res, next) => {
       .populate("customer", "name email phone")
       .populate("provider", "name email phone")
       .populate("serviceProvider", "serviceName serviceCategory pricing images")
-      .populate("eventCenter", "centerName location capacity pricing images")
+      .populate("eventCenter", "centerName location images")
+      .populate("listing", "hallName capacity pricing images")
       .sort(sortOptions)
       .limit(limitNum)
       .skip(skip)
@@ -347,6 +192,20 @@ router.get("/users/:userId/bookings", protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/bookings/cancellation-policies
+ * @desc    Cancellation policy presets providers and centers can pick from
+ * @access  Public
+ */
+router.get("/cancellation-policies", (req, res) => {
+  successResponse(
+    res,
+    STATUS_CODES.OK,
+    { policies: CANCELLATION_POLICIES },
+    "Cancellation policies retrieved"
+  );
+});
+
 /**
  * @route   GET /api/bookings/:bookingId
  * @desc    Get booking details
@@ -361,9 +220,10 @@ router.get("/:bookingId", protect, async (req, res, next) => {
         "serviceProvider",
         "serviceName serviceCategory description pricing images portfolio terms"
       )
+      .populate("eventCenter", "centerName description location images terms")
       .populate(
-        "eventCenter",
-        "centerName description location capacity pricing images terms"
+        "listing",
+        "hallName description location capacity pricing facilities images"
       )
       .populate("statusHistory.changedBy", "name")
       .populate("review");
@@ -403,7 +263,7 @@ router.get("/:bookingId", protect, async (req, res, next) => {
  */
 router.put("/:bookingId/status", protect, async (req, res, next) => {
   try {
-    const { status, reason } = req.body;
+    const { status, reason, refundTo } = req.body;
 
     if (!status) {
       return errorResponse(res, STATUS_CODES.BAD_REQUEST, "Status is required");
@@ -477,59 +337,42 @@ router.put("/:bookingId/status", protect, async (req, res, next) => {
       );
     }
 
-    // Update status
-    booking.status = status;
-    booking.statusHistory.push({
-      status,
-      changedBy: req.user._id,
-      changedAt: new Date(),
-      reason: reason || `Status changed to ${status}`,
-    });
-
-    // Handle confirmed booking - mark dates as booked
-    if (
-      status === BOOKING_STATUS.CONFIRMED &&
-      booking.bookingType === "center"
-    ) {
-      const eventCenter = await EventCenter.findById(booking.eventCenter);
-      if (eventCenter) {
-        const eventDate = new Date(booking.eventDetails.eventDate);
-        const endDate = new Date(eventDate);
-        endDate.setHours(23, 59, 59, 999);
-
-        eventCenter.availability.bookedDates.push({
-          startDate: eventDate,
-          endDate: endDate,
-          booking: booking._id,
-        });
-        await eventCenter.save();
-      }
+    // Confirming makes the slot firmly booked (a lapsed hold is claimed
+    // again, and fails if the slot has since been taken)
+    if (status === BOOKING_STATUS.CONFIRMED) {
+      await claimSlots(booking);
+      booking.holdExpiresAt = undefined;
     }
 
-    // Handle cancellation
     if (status === BOOKING_STATUS.CANCELLED) {
-      booking.cancellation = {
-        cancelledBy: req.user._id,
-        cancelledAt: new Date(),
-        reason: reason || "No reason provided",
-      };
-
-      // Remove from booked dates if center booking
-      if (booking.bookingType === "center") {
-        const eventCenter = await EventCenter.findById(booking.eventCenter);
-        if (eventCenter) {
-          eventCenter.availability.bookedDates =
-            eventCenter.availability.bookedDates.filter(
-              (bookedDate) =>
-                bookedDate.booking.toString() !== booking._id.toString()
-            );
-          await eventCenter.save();
-        }
-      }
+      await cancelBooking(booking, req.user, {
+        reason,
+        refundTo,
+        notificationService: req.app.get("notificationService"),
+      });
+    } else {
+      // Update status
+      booking.status = status;
+      booking.statusHistory.push({
+        status,
+        changedBy: req.user._id,
+        changedAt: new Date(),
+        reason: reason || `Status changed to ${status}`,
+      });
+    }
+
+    // Split the price into deposit/balance installments
+    if (status === BOOKING_STATUS.CONFIRMED) {
+      await schedulePayments(booking);
     }
 
     await booking.save();
 
+    // Completed events unlock customer approval of escrowed funds
+    if (status === BOOKING_STATUS.COMPLETED) {
+      await markEventCompleted(booking._id, req.user._id);
+    }
+
     // Populate for response
     await booking.populate([
       { path: "customer", select: "name email" },
@@ -557,7 +400,7 @@ router.put("/:bookingId/status", protect, async (req, res, next) => {
  */
 router.delete("/:bookingId", protect, async (req, res, next) => {
   try {
-    const { reason } = req.body;
+    const { reason, refundTo } = req.body;
 
     const booking = await Booking.findById(req.params.bookingId);
 
@@ -595,50 +438,424 @@ router.delete("/:bookingId", protect, async (req, res, next) => {
       );
     }
 
-    // Update status
-    booking.status = BOOKING_STATUS.CANCELLED;
-    booking.cancellation = {
-      cancelledBy: req.user._id,
-      cancelledAt: new Date(),
-      reason: reason || "No reason provided",
-    };
-
-    booking.statusHistory.push({
-      status: BOOKING_STATUS.CANCELLED,
-      changedBy: req.user._id,
-      changedAt: new Date(),
-      reason: reason || "Booking cancelled",
+    // Refund per the provider's cancellation policy
+    const refund = await cancelBooking(booking, req.user, {
+      reason,
+      refundTo,
+      notificationService: req.app.get("notificationService"),
     });
-
-    // Remove from booked dates if center booking
-    if (booking.bookingType === "center") {
-      const eventCenter = await EventCenter.findById(booking.eventCenter);
-      if (eventCenter) {
-        eventCenter.availability.bookedDates =
-          eventCenter.availability.bookedDates.filter(
-            (bookedDate) =>
-              bookedDate.booking.toString() !== booking._id.toString()
-          );
-        await eventCenter.save();
-      }
-    }
-
     await booking.save();
 
     successResponse(
       res,
       STATUS_CODES.OK,
-      { booking },
+      { booking, refund },
       "Booking cancelled successfully"
     );
 
-    // TODO: Handle refund logic
     // TODO: Send notifications
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @route   GET /api/bookings/:bookingId/cancellation-preview
+ * @desc    Preview the refund cancelling now would give, under the provider's policy
+ * @access  Private
+ */
+router.get(
+  "/:bookingId/cancellation-preview",
+  protect,
+  async (req, res, next) => {
+    try {
+      const booking = await Booking.findById(req.params.bookingId);
+
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      // Check authorization
+      if (
+        booking.customer.toString() !== req.user._id.toString() &&
+        booking.provider.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to cancel this booking"
+        );
+      }
+
+      if (
+        booking.status === BOOKING_STATUS.CANCELLED ||
+        booking.status === BOOKING_STATUS.COMPLETED
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          `Cannot cancel a ${booking.status} booking`
+        );
+      }
+
+      const refund = await calculateRefund(booking, req.user);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { refund },
+        "Cancellation preview retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/bookings/:bookingId/refund
+ * @desc    Confirm a pending cancellation refund was paid back (or reject it, admin only)
+ * @access  Private (Provider, Admin)
+ */
+router.put(
+  "/:bookingId/refund",
+  protect,
+  validate(schemas.resolveRefund),
+  async (req, res, next) => {
+    try {
+      const { status, note } = req.body;
+
+      const booking = await Booking.findById(req.params.bookingId);
+
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      const isProvider =
+        booking.provider.toString() === req.user._id.toString();
+      const isAdmin = req.user.role === USER_ROLES.ADMIN;
+
+      if (!isProvider && !isAdmin) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this refund"
+        );
+      }
+
+      if (status === "rejected" && !isAdmin) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Only an admin can reject a refund"
+        );
+      }
+
+      await resolveCancellationRefund(
+        booking,
+        { status, user: req.user, note },
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { booking },
+        `Refund marked as ${status}`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Load a booking (and one of its modifications when the route names one),
+// 404ing if missing and 403ing anyone but the customer, provider or admin
+async function loadModification(req, res) {
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+    return {};
+  }
+
+  if (!getParty(booking, req.user) && req.user.role !== USER_ROLES.ADMIN) {
+    errorResponse(
+      res,
+      STATUS_CODES.FORBIDDEN,
+      "Not authorized to access this booking"
+    );
+    return {};
+  }
+
+  if (!req.params.modificationId) return { booking };
+
+  const modification = await BookingModification.findOne({
+    _id: req.params.modificationId,
+    booking: booking._id,
+  });
+  if (!modification) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking change not found");
+    return {};
+  }
+  return { booking, modification };
+}
+
+/**
+ * @route   POST /api/bookings/:bookingId/modifications
+ * @desc    Propose a new date, times, guest count or add-ons. The new slot
+ *          is checked and the booking repriced for the other party to
+ *          accept, reject or counter.
+ * @access  Private (Customer or Provider)
+ */
+router.post(
+  "/:bookingId/modifications",
+  protect,
+  validate(schemas.proposeModification),
+  async (req, res, next) => {
+    try {
+      const { booking } = await loadModification(req, res);
+      if (!booking) return;
+
+      const modification = await proposeModification(
+        booking,
+        req.user,
+        req.body,
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { modification },
+        "Booking change proposed"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/bookings/:bookingId/modifications
+ * @desc    Changes proposed for a booking, newest first
+ * @access  Private
+ */
+router.get("/:bookingId/modifications", protect, async (req, res, next) => {
+  try {
+    const { booking } = await loadModification(req, res);
+    if (!booking) return;
+
+    const modifications = await BookingModification.find({
+      booking: booking._id,
+    })
+      .populate("proposedBy", "name")
+      .populate("respondedBy", "name")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { modifications },
+      "Booking changes retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/bookings/:bookingId/modifications/:modificationId/accept
+ * @desc    Accept a proposed change: the booking moves to the new slot and
+ *          price, and any difference is left to pay or refunded
+ * @access  Private (Customer or Provider)
+ */
+router.put(
+  "/:bookingId/modifications/:modificationId/accept",
+  protect,
+  validate(schemas.respondModification),
+  async (req, res, next) => {
+    try {
+      const { booking, modification } = await loadModification(req, res);
+      if (!modification) return;
+
+      const accepted = await acceptModification(
+        modification,
+        booking,
+        req.user,
+        {
+          note: req.body.note,
+          notificationService: req.app.get("notificationService"),
+        }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        {
+          modification: accepted,
+          booking: await Booking.findById(booking._id),
+        },
+        "Booking change accepted"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/bookings/:bookingId/modifications/:modificationId/reject
+ * @desc    Decline a proposed change
+ * @access  Private (Customer or Provider)
+ */
+router.put(
+  "/:bookingId/modifications/:modificationId/reject",
+  protect,
+  validate(schemas.respondModification),
+  async (req, res, next) => {
+    try {
+      const { booking, modification } = await loadModification(req, res);
+      if (!modification) return;
+
+      const rejected = await rejectModification(
+        modification,
+        booking,
+        req.user,
+        {
+          note: req.body.note,
+          notificationService: req.app.get("notificationService"),
+        }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { modification: rejected },
+        "Booking change declined"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/bookings/:bookingId/modifications/:modificationId/counter
+ * @desc    Answer a proposed change with different details, for the other
+ *          party to accept, reject or counter in turn
+ * @access  Private (Customer or Provider)
+ */
+router.put(
+  "/:bookingId/modifications/:modificationId/counter",
+  protect,
+  validate(schemas.proposeModification),
+  async (req, res, next) => {
+    try {
+      const { booking, modification } = await loadModification(req, res);
+      if (!modification) return;
+
+      const counter = await counterModification(
+        modification,
+        booking,
+        req.user,
+        req.body,
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { modification: counter },
+        "Counter-proposal sent"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/bookings/:bookingId/modifications/:modificationId/withdraw
+ * @desc    Take back a change before it is answered
+ * @access  Private (Proposer)
+ */
+router.put(
+  "/:bookingId/modifications/:modificationId/withdraw",
+  protect,
+  async (req, res, next) => {
+    try {
+      const { modification } = await loadModification(req, res);
+      if (!modification) return;
+
+      const withdrawn = await withdrawModification(modification, req.user);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { modification: withdrawn },
+        "Booking change withdrawn"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/bookings/:bookingId/modifications/:modificationId/refund
+ * @desc    Confirm the refund from an accepted change was paid back (or
+ *          reject it, admin only)
+ * @access  Private (Provider, Admin)
+ */
+router.put(
+  "/:bookingId/modifications/:modificationId/refund",
+  protect,
+  validate(schemas.resolveRefund),
+  async (req, res, next) => {
+    try {
+      const { status } = req.body;
+
+      const { booking, modification } = await loadModification(req, res);
+      if (!modification) return;
+
+      const isProvider = getParty(booking, req.user) === "provider";
+      const isAdmin = req.user.role === USER_ROLES.ADMIN;
+
+      if (!isProvider && !isAdmin) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this refund"
+        );
+      }
+
+      if (status === "rejected" && !isAdmin) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Only an admin can reject a refund"
+        );
+      }
+
+      const resolved = await resolveModificationRefund(modification, booking, {
+        status,
+        user: req.user,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { modification: resolved },
+        `Refund marked as ${status}`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/bookings/:bookingId/history
  * @desc    Get booking status history
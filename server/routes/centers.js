@@ -9,6 +9,10 @@ const { protect, authorize } = require("../middleware/auth");
 const { validate, schemas } = require("../middleware/validation");
 const { successResponse, errorResponse } = require("../utils/helpers");
 const { uploadBuffer, deleteFileByUrl } = require("../utils/storage");
+const { getPolicyTiers } = require("../services/cancellationService");
+const { getTaxRates } = require("../services/taxService");
+const { createConverter, getDisplayPricing } = require("../services/fxService");
+const { bookingHoldMinutes } = require("../config/environment");
 const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
 
 // Use memory storage and delegate persistence to storage helper
@@ -20,6 +24,7 @@ const MAX_IMAGES = 10;
 /**
  * @route   GET /api/centers
  * @desc    Get all event centers with filtering, search, and pagination
+ *          (?currency= adds displayPricing in that currency)
  * @access  Public
  */
 router.get("/", async (req, res, next) => {
@@ -47,6 +52,9 @@ router.get("/", async (req, res, next) => {
       // Sorting
       sortBy = "createdAt",
       order = "desc",
+
+      // Display currency for prices
+      currency,
     } = req.query;
 
     // Build query
@@ -144,6 +152,14 @@ router.get("/", async (req, res, next) => {
       hasPrev: pageNum > 1,
     };
 
+    // Prices are also shown in the display currency
+    if (currency) {
+      const converter = await createConverter(currency);
+      centers.forEach((center) => {
+        center.displayPricing = getDisplayPricing(center, converter);
+      });
+    }
+
     successResponse(
       res,
       STATUS_CODES.OK,
@@ -160,7 +176,8 @@ router.get("/", async (req, res, next) => {
 
 /**
  * @route   GET /api/centers/:centerId
- * @desc    Get single event center details
+ * @desc    Get single event center details (?currency= adds
+ *          displayPricing in that currency)
  * @access  Public
  */
 router.get("/:centerId", async (req, res, next) => {
@@ -182,10 +199,15 @@ router.get("/:centerId", async (req, res, next) => {
     center.views += 1;
     await center.save();
 
+    // Prices are also shown in the display currency
+    const displayPricing = req.query.currency
+      ? getDisplayPricing(center, await createConverter(req.query.currency))
+      : undefined;
+
     successResponse(
       res,
       STATUS_CODES.OK,
-      { center },
+      { center, displayPricing },
       "Event center details retrieved"
     );
   } catch (error) {
@@ -674,4 +696,165 @@ router.post("/:centerId/block-dates", protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   PUT /api/centers/:centerId/cancellation-policy
+ * @desc    Pick a preset or define tiered cancellation refunds
+ * @access  Private (Owner or Admin)
+ */
+router.put(
+  "/:centerId/cancellation-policy",
+  protect,
+  validate(schemas.cancellationPolicy),
+  async (req, res, next) => {
+    try {
+      const { preset, tiers, description } = req.body;
+
+      const center = await EventCenter.findById(req.params.centerId);
+
+      if (!center) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Event center not found"
+        );
+      }
+
+      // Check ownership or admin
+      if (
+        center.owner.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this listing"
+        );
+      }
+
+      center.terms.cancellationRules = {
+        preset,
+        tiers: preset === "custom" ? tiers : [],
+      };
+      if (description !== undefined) {
+        center.terms.cancellationPolicy = description;
+      }
+      await center.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { cancellationPolicy: getPolicyTiers(center.terms.cancellationRules) },
+        "Cancellation policy updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/centers/:centerId/tax-settings
+ * @desc    Set VAT registration and additional taxes charged on bookings
+ * @access  Private (Owner or Admin)
+ */
+router.put(
+  "/:centerId/tax-settings",
+  protect,
+  validate(schemas.taxSettings),
+  async (req, res, next) => {
+    try {
+      const center = await EventCenter.findById(req.params.centerId);
+
+      if (!center) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Event center not found"
+        );
+      }
+
+      // Check ownership or admin
+      if (
+        center.owner.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this listing"
+        );
+      }
+
+      const { vatRegistered, vatNumber, additionalTaxes = [] } = req.body;
+      center.taxSettings = {
+        vatRegistered,
+        vatNumber: vatRegistered ? vatNumber : undefined,
+        additionalTaxes,
+      };
+      await center.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        {
+          taxSettings: center.taxSettings,
+          taxRates: getTaxRates(center.taxSettings),
+        },
+        "Tax settings updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/centers/:centerId/booking-settings
+ * @desc    Set how many minutes a slot is held during checkout (null goes
+ *          back to the platform default)
+ * @access  Private (Owner or Admin)
+ */
+router.put(
+  "/:centerId/booking-settings",
+  protect,
+  validate(schemas.bookingSettings),
+  async (req, res, next) => {
+    try {
+      const center = await EventCenter.findById(req.params.centerId);
+
+      if (!center) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Event center not found"
+        );
+      }
+
+      // Check ownership or admin
+      if (
+        center.owner.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this listing"
+        );
+      }
+
+      center.holdMinutes = req.body.holdMinutes ?? undefined;
+      await center.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { holdMinutes: center.holdMinutes || bookingHoldMinutes },
+        "Booking settings updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,392 @@
+const express = require("express");
+const router = express.Router();
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+const { checkCoupon } = require("../services/couponService");
+
+const buildPagination = (total, pageNum, limitNum) => ({
+  total,
+  page: pageNum,
+  pages: Math.ceil(total / limitNum),
+  limit: limitNum,
+  hasNext: pageNum < Math.ceil(total / limitNum),
+  hasPrev: pageNum > 1,
+});
+
+const canManage = (coupon, user) =>
+  user.role === USER_ROLES.ADMIN ||
+  coupon.createdBy.toString() === user._id.toString();
+
+/**
+ * Scope a provider or center owner's coupon to their own listing; returns
+ * an error message when they do not own the one asked for
+ */
+async function scopeToOwnListing(scope, user) {
+  if (user.role === USER_ROLES.PROVIDER) {
+    const serviceProvider = await ServiceProvider.findOne({
+      provider: user._id,
+    }).select("_id");
+    if (!serviceProvider) return "Create your provider profile first";
+    if (
+      scope.serviceProvider &&
+      scope.serviceProvider !== serviceProvider._id.toString()
+    ) {
+      return "You can only create coupons for your own services";
+    }
+    return {
+      ...scope,
+      bookingType: "provider",
+      serviceProvider: serviceProvider._id,
+      eventCenter: undefined,
+    };
+  }
+
+  const centers = await EventCenter.find({ owner: user._id }).select("_id");
+  const eventCenter = scope.eventCenter
+    ? centers.find((c) => c._id.toString() === scope.eventCenter)
+    : centers.length === 1 && centers[0];
+  if (!eventCenter) {
+    return centers.length === 0
+      ? "Create your event center first"
+      : "Choose one of your own event centers for this coupon";
+  }
+  return {
+    ...scope,
+    bookingType: "center",
+    eventCenter: eventCenter._id,
+    serviceProvider: undefined,
+  };
+}
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Create a coupon code. Provider and center coupons only apply to
+ *          their own listing and are fully provider-funded.
+ * @access  Private (Admin, Provider, Center)
+ */
+router.post(
+  "/",
+  protect,
+  authorize(USER_ROLES.ADMIN, USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  validate(schemas.coupon),
+  async (req, res, next) => {
+    try {
+      const data = { ...req.body, code: req.body.code.trim().toUpperCase() };
+
+      if (req.user.role !== USER_ROLES.ADMIN) {
+        const scope = await scopeToOwnListing(data.scope || {}, req.user);
+        if (typeof scope === "string") {
+          return errorResponse(res, STATUS_CODES.FORBIDDEN, scope);
+        }
+        data.scope = scope;
+        data.platformShare = 0;
+      }
+
+      if (await Coupon.exists({ code: data.code })) {
+        return errorResponse(
+          res,
+          STATUS_CODES.CONFLICT,
+          "A coupon with this code already exists"
+        );
+      }
+
+      const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { coupon },
+        "Coupon created successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/coupons
+ * @desc    Coupons you created (admins see all; filter by ?isActive)
+ * @access  Private (Admin, Provider, Center)
+ */
+router.get(
+  "/",
+  protect,
+  authorize(USER_ROLES.ADMIN, USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  async (req, res, next) => {
+    try {
+      const { isActive, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (req.user.role !== USER_ROLES.ADMIN) query.createdBy = req.user._id;
+      if (isActive !== undefined) query.isActive = isActive === "true";
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const coupons = await Coupon.find(query)
+        .populate("scope.serviceProvider", "serviceName")
+        .populate("scope.eventCenter", "centerName")
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await Coupon.countDocuments(query);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { coupons, pagination: buildPagination(total, pageNum, limitNum) },
+        "Coupons retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/coupons/validate
+ * @desc    Check a code against a booking and preview its discount (the
+ *          amount is in currency, NGN by default)
+ * @access  Private
+ */
+router.post(
+  "/validate",
+  protect,
+  validate(schemas.validateCoupon),
+  async (req, res, next) => {
+    try {
+      const {
+        code,
+        bookingType,
+        serviceProviderId,
+        eventCenterId,
+        amount,
+        currency,
+      } = req.body;
+
+      const context = { bookingType, amount, currency };
+      if (bookingType === "provider") {
+        const serviceProvider = await ServiceProvider.findById(
+          serviceProviderId
+        ).select("serviceCategory");
+        if (!serviceProvider) {
+          return errorResponse(
+            res,
+            STATUS_CODES.NOT_FOUND,
+            "Service provider not found"
+          );
+        }
+        context.serviceProvider = serviceProvider._id;
+        context.serviceCategory = serviceProvider.serviceCategory;
+      } else {
+        const eventCenter = await EventCenter.findById(eventCenterId).select(
+          "centerType"
+        );
+        if (!eventCenter) {
+          return errorResponse(
+            res,
+            STATUS_CODES.NOT_FOUND,
+            "Event center not found"
+          );
+        }
+        context.eventCenter = eventCenter._id;
+        context.serviceCategory = eventCenter.centerType;
+      }
+
+      const { coupon, discount } = await checkCoupon(
+        code,
+        context,
+        req.user._id
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        {
+          code: coupon.code,
+          description: coupon.description,
+          discountType: coupon.discountType,
+          value: coupon.value,
+          currency: coupon.currency,
+          discount,
+          amountAfterDiscount: Math.round((amount - discount) * 100) / 100,
+          validUntil: coupon.validUntil,
+        },
+        "Coupon is valid"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/coupons/:couponId
+ * @desc    Update a coupon's terms, limits or active flag
+ * @access  Private (Creator or Admin)
+ */
+router.put(
+  "/:couponId",
+  protect,
+  validate(schemas.updateCoupon),
+  async (req, res, next) => {
+    try {
+      const coupon = await Coupon.findById(req.params.couponId);
+
+      if (!coupon) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Coupon not found");
+      }
+
+      if (!canManage(coupon, req.user)) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this coupon"
+        );
+      }
+
+      const updates = { ...req.body };
+      if (req.user.role !== USER_ROLES.ADMIN) delete updates.platformShare;
+      if (
+        coupon.discountType === "percentage" &&
+        updates.value !== undefined &&
+        updates.value > 100
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "A percentage discount cannot exceed 100"
+        );
+      }
+
+      coupon.set(updates);
+      await coupon.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { coupon },
+        "Coupon updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/coupons/:couponId
+ * @desc    Deactivate a coupon (redemptions are kept)
+ * @access  Private (Creator or Admin)
+ */
+router.delete("/:couponId", protect, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+
+    if (!coupon) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Coupon not found");
+    }
+
+    if (!canManage(coupon, req.user)) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to deactivate this coupon"
+      );
+    }
+
+    coupon.isActive = false;
+    await coupon.save();
+
+    successResponse(res, STATUS_CODES.OK, { coupon }, "Coupon deactivated");
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/coupons/:couponId/redemptions
+ * @desc    Bookings a coupon was used on, with totals of what it cost the
+ *          platform and the provider
+ * @access  Private (Creator or Admin)
+ */
+router.get("/:couponId/redemptions", protect, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+
+    if (!coupon) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Coupon not found");
+    }
+
+    if (!canManage(coupon, req.user)) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to view this coupon"
+      );
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { coupon: coupon._id };
+    if (status) query.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const redemptions = await CouponRedemption.find(query)
+      .populate("customer", "name email")
+      .populate("booking", "bookingNumber status eventDetails.eventDate")
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .lean();
+
+    const total = await CouponRedemption.countDocuments(query);
+
+    const [totals] = await CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id, status: "applied" } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          discount: { $sum: "$discount" },
+          platformCost: { $sum: "$platformCost" },
+          providerCost: { $sum: "$providerCost" },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      {
+        redemptions,
+        totals: totals || {
+          redemptions: 0,
+          discount: 0,
+          platformCost: 0,
+          providerCost: 0,
+        },
+        pagination: buildPagination(total, pageNum, limitNum),
+      },
+      "Coupon redemptions retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
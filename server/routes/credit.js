@@ -0,0 +1,130 @@
+const express = require("express");
+const router = express.Router();
+const CreditAccount = require("../models/CreditAccount");
+const CreditTransaction = require("../models/CreditTransaction");
+const User = require("../models/User");
+const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+const { grantGoodwillCredit } = require("../services/creditService");
+
+const buildPagination = (total, pageNum, limitNum) => ({
+  total,
+  page: pageNum,
+  pages: Math.ceil(total / limitNum),
+  limit: limitNum,
+  hasNext: pageNum < Math.ceil(total / limitNum),
+  hasPrev: pageNum > 1,
+});
+
+// Admins can look at any customer's credit with ?userId
+const creditOwner = (req) =>
+  req.user.role === USER_ROLES.ADMIN && req.query.userId
+    ? req.query.userId
+    : req.user._id;
+
+/**
+ * @route   GET /api/credit
+ * @desc    Store credit balance in each currency
+ * @access  Private
+ */
+router.get("/", protect, async (req, res, next) => {
+  try {
+    const accounts = await CreditAccount.find({ user: creditOwner(req) })
+      .select("currency balance updatedAt")
+      .lean();
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { balances: accounts },
+      "Credit balance retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/credit/transactions
+ * @desc    Credit history: refunds, goodwill grants and payments
+ *          (filter by ?type and ?currency)
+ * @access  Private
+ */
+router.get("/transactions", protect, async (req, res, next) => {
+  try {
+    const { type, currency, page = 1, limit = 20 } = req.query;
+
+    const query = { user: creditOwner(req) };
+    if (type) query.type = type;
+    if (currency) query.currency = currency;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const transactions = await CreditTransaction.find(query)
+      .populate("booking", "bookingNumber")
+      .populate("createdBy", "name")
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .lean();
+
+    const total = await CreditTransaction.countDocuments(query);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { transactions, pagination: buildPagination(total, pageNum, limitNum) },
+      "Credit history retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/credit/grants
+ * @desc    Grant a customer goodwill credit
+ * @access  Private (Admin)
+ */
+router.post(
+  "/grants",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.grantCredit),
+  async (req, res, next) => {
+    try {
+      const { userId, amount, currency = "NGN", reason } = req.body;
+
+      const user = await User.findById(userId).select("_id");
+      if (!user) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "User not found");
+      }
+
+      const credit = await grantGoodwillCredit(
+        {
+          user: user._id,
+          amount,
+          currency: currency.toUpperCase(),
+          reason,
+          grantedBy: req.user._id,
+        },
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { credit },
+        "Goodwill credit granted"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
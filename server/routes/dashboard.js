@@ -10,6 +10,40 @@ const { protect, authorize } = require('../middleware/auth');
 const { successResponse, errorResponse } = require('../utils/helpers');
 const { STATUS_CODES, USER_ROLES, BOOKING_STATUS } = require('../utils/constants');
 
+/**
+ * Taxes charged on completed, fully paid bookings, per tax and rate
+ */
+const getTaxSummary = async (match) => {
+  const byTax = await Booking.aggregate([
+    {
+      $match: {
+        ...match,
+        status: BOOKING_STATUS.COMPLETED,
+        paymentStatus: 'completed'
+      }
+    },
+    { $unwind: '$pricing.taxes' },
+    {
+      $group: {
+        _id: { name: '$pricing.taxes.name', rate: '$pricing.taxes.rate' },
+        amount: { $sum: '$pricing.taxes.amount' },
+        bookings: { $sum: 1 }
+      }
+    },
+    { $sort: { amount: -1 } }
+  ]);
+
+  return {
+    totalTax: byTax.reduce((sum, tax) => sum + tax.amount, 0),
+    byTax: byTax.map(tax => ({
+      name: tax._id.name,
+      rate: tax._id.rate,
+      amount: tax.amount,
+      bookings: tax.bookings
+    }))
+  };
+};
+
 /**
  * @route   GET /api/dashboard/host
  * @desc    Get host dashboard data
@@ -266,12 +300,16 @@ router.get('/provider', protect, authorize(USER_ROLES.PROVIDER), async (req, res
             month: { $month: '$createdAt' }
           },
           total: { $sum: '$pricing.totalAmount' },
+          tax: { $sum: '$pricing.taxTotal' },
           count: { $sum: 1 }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
 
+    // Get taxes charged on completed bookings
+    const taxSummary = await getTaxSummary({ provider: userId });
+
     // Get recent reviews
     const recentReviews = await Review.find({
       provider: userId,
@@ -307,6 +345,7 @@ router.get('/provider', protect, authorize(USER_ROLES.PROVIDER), async (req, res
           pendingBookings,
           totalEarnings,
           pendingEarnings,
+          totalTax: taxSummary.totalTax,
           averageRating,
           totalReviews,
           responseRate
@@ -315,7 +354,8 @@ router.get('/provider', protect, authorize(USER_ROLES.PROVIDER), async (req, res
         upcomingBookings,
         recentReviews,
         bookingStatusBreakdown: statusCounts,
-        earningsByMonth
+        earningsByMonth,
+        taxSummary
       },
       'Provider dashboard data retrieved'
     );
@@ -467,12 +507,16 @@ router.get('/center', protect, authorize(USER_ROLES.CENTER), async (req, res, ne
             month: { $month: '$createdAt' }
           },
           total: { $sum: '$pricing.totalAmount' },
+          tax: { $sum: '$pricing.taxTotal' },
           count: { $sum: 1 }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
 
+    // Get taxes charged on completed bookings
+    const taxSummary = await getTaxSummary({ eventCenter: { $in: centerIds } });
+
     // Get recent reviews
     const recentReviews = await Review.find({
       eventCenter: { $in: centerIds },
@@ -505,6 +549,7 @@ router.get('/center', protect, authorize(USER_ROLES.CENTER), async (req, res, ne
           pendingBookings,
           totalRevenue,
           pendingRevenue,
+          totalTax: taxSummary.totalTax,
           averageRating,
           totalReviews,
           responseRate
@@ -514,7 +559,8 @@ router.get('/center', protect, authorize(USER_ROLES.CENTER), async (req, res, ne
         recentReviews,
         bookingStatusBreakdown: statusCounts,
         revenueByMonth,
-        bookingsByEventType
+        bookingsByEventType,
+        taxSummary
       },
       'Center dashboard data retrieved'
     );
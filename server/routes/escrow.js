@@ -0,0 +1,488 @@
+const express = require("express");
+const router = express.Router();
+const Booking = require("../models/Booking");
+const EscrowTransaction = require("../models/EscrowTransaction");
+const multer = require("multer");
+const path = require("path");
+const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { uploadBuffer, deleteFileByUrl } = require("../utils/storage");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+const {
+  approveRelease,
+  releaseEscrow,
+  releaseExpiredEscrows,
+  assertCanDispute,
+  assertDisputeOpen,
+  openDispute,
+  addDisputeEvidence,
+  investigateDispute,
+  resolveDispute,
+  withdrawDispute,
+} = require("../services/escrowService");
+
+// Use memory storage and delegate persistence to storage helper
+const storage = multer.memoryStorage();
+const upload = multer({ storage });
+// Maximum evidence files per upload
+const MAX_EVIDENCE_FILES = 5;
+
+const removeEvidence = (evidence) =>
+  Promise.all(evidence.map((item) => deleteFileByUrl(item.url)));
+
+// Persist uploaded evidence files and return [{ url, caption }]
+async function uploadEvidence(files = []) {
+  const evidence = [];
+  try {
+    for (const f of files) {
+      const ext = path.extname(f.originalname);
+      const filename = `${Date.now()}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}${ext}`;
+      // eslint-disable-next-line no-await-in-loop
+      const url = await uploadBuffer(f.buffer, filename, f.mimetype);
+      evidence.push({ url, caption: f.originalname });
+    }
+  } catch (error) {
+    await removeEvidence(evidence);
+    throw error;
+  }
+  return evidence;
+}
+
+// Upload evidence for an action already checked as allowed, and remove it
+// again if the action still fails (the escrow changed in the meantime)
+async function withEvidence(files, action) {
+  const evidence = await uploadEvidence(files);
+  try {
+    return await action(evidence);
+  } catch (error) {
+    await removeEvidence(evidence);
+    throw error;
+  }
+}
+
+// Load an escrow and check the user is its customer or provider
+async function loadEscrowForParty(req, res) {
+  const escrow = await EscrowTransaction.findById(req.params.escrowId);
+
+  if (!escrow) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Escrow not found");
+    return null;
+  }
+
+  if (
+    escrow.customer.toString() !== req.user._id.toString() &&
+    escrow.provider.toString() !== req.user._id.toString()
+  ) {
+    errorResponse(
+      res,
+      STATUS_CODES.FORBIDDEN,
+      "Only the booking customer or provider can do this"
+    );
+    return null;
+  }
+
+  return escrow;
+}
+
+/**
+ * @route   GET /api/escrow/disputes
+ * @desc    Dispute queue (filter by ?status=open|investigating|resolved|closed)
+ * @access  Private (Admin)
+ */
+router.get(
+  "/disputes",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const query = { "dispute.status": { $exists: true } };
+      if (status) query["dispute.status"] = status;
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const disputes = await EscrowTransaction.find(query)
+        .populate("customer", "name email")
+        .populate("provider", "name email")
+        .populate("booking", "bookingNumber eventDetails")
+        .populate("dispute.disputedBy", "name")
+        .sort({ "dispute.disputedAt": 1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await EscrowTransaction.countDocuments(query);
+
+      const pagination = {
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        limit: limitNum,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      };
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { disputes, pagination },
+        "Disputes retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/escrow/booking/:bookingId
+ * @desc    Get the escrow transaction for a booking
+ * @access  Private (Customer, provider or admin)
+ */
+router.get("/booking/:bookingId", protect, async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId).select(
+      "customer provider"
+    );
+
+    if (!booking) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+    }
+
+    if (
+      booking.customer.toString() !== req.user._id.toString() &&
+      booking.provider.toString() !== req.user._id.toString() &&
+      req.user.role !== USER_ROLES.ADMIN
+    ) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to access this escrow"
+      );
+    }
+
+    const escrow = await EscrowTransaction.findOne({ booking: booking._id })
+      .populate("history.performedBy", "name")
+      .populate("releasedBy", "name");
+
+    if (!escrow) {
+      return errorResponse(
+        res,
+        STATUS_CODES.NOT_FOUND,
+        "No escrow found for this booking"
+      );
+    }
+
+    successResponse(res, STATUS_CODES.OK, { escrow }, "Escrow retrieved");
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/escrow/:escrowId/approve
+ * @desc    Customer approves release of escrowed funds after the event
+ * @access  Private (Booking customer)
+ */
+router.post("/:escrowId/approve", protect, async (req, res, next) => {
+  try {
+    const escrow = await EscrowTransaction.findById(req.params.escrowId);
+
+    if (!escrow) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Escrow not found");
+    }
+
+    if (escrow.customer.toString() !== req.user._id.toString()) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Only the booking customer can approve release"
+      );
+    }
+
+    const released = await approveRelease(escrow, req.user._id, {
+      notificationService: req.app.get("notificationService"),
+    });
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { escrow: released },
+      "Escrow released to provider"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/escrow/:escrowId/release
+ * @desc    Release escrowed funds to the provider
+ * @access  Private (Admin)
+ */
+router.post(
+  "/:escrowId/release",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const escrow = await EscrowTransaction.findById(req.params.escrowId);
+
+      if (!escrow) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Escrow not found");
+      }
+
+      const released = await releaseEscrow(escrow, {
+        method: "admin",
+        releasedBy: req.user._id,
+        note: req.body.reason || "Released by admin",
+        notificationService: req.app.get("notificationService"),
+      });
+
+      if (!released) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          `Escrow is ${escrow.status} and cannot be released`
+        );
+      }
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { escrow: released },
+        "Escrow released to provider"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/escrow/release-expired
+ * @desc    Run the auto-release job now
+ * @access  Private (Admin)
+ */
+router.post(
+  "/release-expired",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const releasedCount = await releaseExpiredEscrows(
+        req.app.get("notificationService")
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { releasedCount },
+        "Expired escrow holds released"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/escrow/:escrowId/dispute
+ * @desc    Open a dispute (freezes auto-release). Multipart: reason + evidence files
+ * @access  Private (Booking customer or provider)
+ */
+router.post(
+  "/:escrowId/dispute",
+  protect,
+  upload.array("evidence", MAX_EVIDENCE_FILES),
+  validate(schemas.openDispute),
+  async (req, res, next) => {
+    try {
+      const escrow = await loadEscrowForParty(req, res);
+      if (!escrow) return;
+
+      // Nothing is uploaded for a dispute that cannot be opened
+      assertCanDispute(escrow);
+
+      const disputed = await withEvidence(req.files, (evidence) =>
+        openDispute(
+          escrow,
+          { openedBy: req.user._id, reason: req.body.reason, evidence },
+          { notificationService: req.app.get("notificationService") }
+        )
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { escrow: disputed },
+        "Dispute opened"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/escrow/:escrowId/dispute/evidence
+ * @desc    Add evidence files to an open dispute
+ * @access  Private (Booking customer or provider)
+ */
+router.post(
+  "/:escrowId/dispute/evidence",
+  protect,
+  upload.array("evidence", MAX_EVIDENCE_FILES),
+  async (req, res, next) => {
+    try {
+      const escrow = await loadEscrowForParty(req, res);
+      if (!escrow) return;
+
+      if (!req.files || req.files.length === 0) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "At least one evidence file is required"
+        );
+      }
+
+      assertDisputeOpen(escrow);
+
+      const updated = await withEvidence(req.files, (evidence) =>
+        addDisputeEvidence(
+          escrow,
+          { uploadedBy: req.user._id, evidence },
+          { notificationService: req.app.get("notificationService") }
+        )
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { escrow: updated },
+        "Evidence added"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/escrow/:escrowId/dispute/withdraw
+ * @desc    Withdraw a dispute and resume the hold
+ * @access  Private (Party who opened the dispute)
+ */
+router.put("/:escrowId/dispute/withdraw", protect, async (req, res, next) => {
+  try {
+    const escrow = await loadEscrowForParty(req, res);
+    if (!escrow) return;
+
+    if (
+      !escrow.dispute.disputedBy ||
+      escrow.dispute.disputedBy.toString() !== req.user._id.toString()
+    ) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Only the party who opened the dispute can withdraw it"
+      );
+    }
+
+    const updated = await withdrawDispute(
+      escrow,
+      { user: req.user._id },
+      { notificationService: req.app.get("notificationService") }
+    );
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { escrow: updated },
+      "Dispute withdrawn"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/escrow/:escrowId/dispute/investigate
+ * @desc    Move an open dispute into investigation
+ * @access  Private (Admin)
+ */
+router.put(
+  "/:escrowId/dispute/investigate",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const escrow = await EscrowTransaction.findById(req.params.escrowId);
+
+      if (!escrow) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Escrow not found");
+      }
+
+      const updated = await investigateDispute(
+        escrow,
+        { admin: req.user._id, note: req.body.note },
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { escrow: updated },
+        "Dispute under investigation"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/escrow/:escrowId/dispute/resolve
+ * @desc    Resolve a dispute with a full release, full refund or split
+ * @access  Private (Admin)
+ */
+router.put(
+  "/:escrowId/dispute/resolve",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.resolveDispute),
+  async (req, res, next) => {
+    try {
+      const { outcome, releaseAmount, resolution } = req.body;
+
+      const escrow = await EscrowTransaction.findById(req.params.escrowId);
+
+      if (!escrow) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Escrow not found");
+      }
+
+      const resolved = await resolveDispute(
+        escrow,
+        { admin: req.user._id, outcome, releaseAmount, resolution },
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { escrow: resolved },
+        "Dispute resolved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
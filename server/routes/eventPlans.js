@@ -0,0 +1,358 @@
+const express = require("express");
+const router = express.Router();
+const EventPlan = require("../models/EventPlan");
+const Booking = require("../models/Booking");
+const { protect } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const {
+  getPlanSummary,
+  addCartItem,
+  checkoutPlan,
+  previewPlanCancellation,
+  cancelPlan,
+} = require("../services/eventPlanService");
+const {
+  STATUS_CODES,
+  USER_ROLES,
+  BOOKING_STATUS,
+} = require("../utils/constants");
+
+const buildPagination = (total, pageNum, limitNum) => ({
+  total,
+  page: pageNum,
+  pages: Math.ceil(total / limitNum),
+  limit: limitNum,
+  hasNext: pageNum < Math.ceil(total / limitNum),
+  hasPrev: pageNum > 1,
+});
+
+// Load a plan the user hosts (admins can manage any, but only the host
+// books for it), 404ing/403ing otherwise
+async function loadPlan(req, res, { hostOnly = false } = {}) {
+  const plan = await EventPlan.findById(req.params.planId);
+  if (!plan) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Event plan not found");
+    return null;
+  }
+
+  const isHost = plan.host.toString() === req.user._id.toString();
+  if (!isHost && (hostOnly || req.user.role !== USER_ROLES.ADMIN)) {
+    errorResponse(
+      res,
+      STATUS_CODES.FORBIDDEN,
+      "Not authorized to access this event plan"
+    );
+    return null;
+  }
+  return plan;
+}
+
+/**
+ * @route   POST /api/event-plans
+ * @desc    Start planning an event: its date, guest count and budget are
+ *          shared by every vendor booked for it
+ * @access  Private
+ */
+router.post(
+  "/",
+  protect,
+  validate(schemas.createEventPlan),
+  async (req, res, next) => {
+    try {
+      const { name, eventDetails, budget } = req.body;
+
+      const plan = await EventPlan.create({
+        host: req.user._id,
+        name,
+        eventDetails,
+        budget,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { plan },
+        "Event plan created successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/event-plans
+ * @desc    The user's event plans (filter by ?status)
+ * @access  Private
+ */
+router.get("/", protect, async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const query = { host: req.user._id };
+    if (status) query.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const plans = await EventPlan.find(query)
+      .select("-cart.quote")
+      .sort({ "eventDetails.eventDate": 1 })
+      .limit(limitNum)
+      .skip(skip)
+      .lean();
+
+    const total = await EventPlan.countDocuments(query);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { plans, pagination: buildPagination(total, pageNum, limitNum) },
+      "Event plans retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/event-plans/:planId
+ * @desc    Plan details: its bookings, combined status (all confirmed,
+ *          some pending, ...), cart and spend against the budget
+ * @access  Private (Host or Admin)
+ */
+router.get("/:planId", protect, async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    await plan.populate([
+      { path: "cart.serviceProvider", select: "serviceName serviceCategory" },
+      { path: "cart.eventCenter", select: "centerName location" },
+      { path: "cart.listing", select: "hallName capacity" },
+    ]);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { plan, ...(await getPlanSummary(plan)) },
+      "Event plan retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/event-plans/:planId
+ * @desc    Update a plan's name, details or budget. The date and guest
+ *          count only change while no vendor is booked, and empty the cart
+ *          (its quotes were for the old ones).
+ * @access  Private (Host or Admin)
+ */
+router.put(
+  "/:planId",
+  protect,
+  validate(schemas.updateEventPlan),
+  async (req, res, next) => {
+    try {
+      const { name, eventDetails = {}, budget } = req.body;
+
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (plan.status !== "planning") {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          `Cannot change a ${plan.status} plan`
+        );
+      }
+
+      const { eventDate, guestCount } = eventDetails;
+      if (eventDate !== undefined || guestCount !== undefined) {
+        const booked = await Booking.exists({
+          eventPlan: plan._id,
+          status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
+        });
+        if (booked) {
+          return errorResponse(
+            res,
+            STATUS_CODES.BAD_REQUEST,
+            "The date and guest count cannot change once vendors are booked"
+          );
+        }
+        plan.cart = [];
+      }
+
+      if (name !== undefined) plan.name = name;
+      Object.entries(eventDetails).forEach(([key, value]) => {
+        plan.set(`eventDetails.${key}`, value);
+      });
+      if (budget !== undefined) plan.budget = budget;
+      await plan.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { plan },
+        "Event plan updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/event-plans/:planId/cart
+ * @desc    Add a vendor to the plan's cart from a quote for the plan's date
+ *          and guest count (see POST /api/bookings/quote)
+ * @access  Private (Host)
+ */
+router.post(
+  "/:planId/cart",
+  protect,
+  validate(schemas.eventPlanCartItem),
+  async (req, res, next) => {
+    try {
+      const plan = await loadPlan(req, res, { hostOnly: true });
+      if (!plan) return;
+
+      const item = await addCartItem(plan, req.user, req.body);
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { item, cartSize: plan.cart.length },
+        "Added to the plan"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/event-plans/:planId/cart/:itemId
+ * @desc    Remove a vendor from the plan's cart
+ * @access  Private (Host or Admin)
+ */
+router.delete("/:planId/cart/:itemId", protect, async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    const item = plan.cart.id(req.params.itemId);
+    if (!item) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Cart item not found");
+    }
+
+    plan.cart.pull(item._id);
+    await plan.save();
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { cartSize: plan.cart.length },
+      "Removed from the plan"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/event-plans/:planId/checkout
+ * @desc    Book every vendor in the cart in one go (all or none), priced
+ *          again first; a 409 means some prices changed and the cart now
+ *          shows them. Each booking is then paid as usual, or from credit
+ *          when paymentMethod is "credit".
+ * @access  Private (Host)
+ */
+router.post(
+  "/:planId/checkout",
+  protect,
+  validate(schemas.checkoutEventPlan),
+  async (req, res, next) => {
+    try {
+      const plan = await loadPlan(req, res, { hostOnly: true });
+      if (!plan) return;
+
+      const { bookings, paymentErrors } = await checkoutPlan(plan, req.user, {
+        paymentMethod: req.body.paymentMethod,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { bookings, paymentErrors, ...(await getPlanSummary(plan)) },
+        `${bookings.length} booking(s) created`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/event-plans/:planId/cancellation-preview
+ * @desc    Preview what cancelling the whole plan would refund, under each
+ *          vendor's own policy
+ * @access  Private (Host or Admin)
+ */
+router.get("/:planId/cancellation-preview", protect, async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      await previewPlanCancellation(plan, req.user),
+      "Cancellation preview retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/event-plans/:planId
+ * @desc    Cancel the whole plan: every open booking is cancelled and
+ *          refunded per its vendor's policy
+ * @access  Private (Host or Admin)
+ */
+router.delete(
+  "/:planId",
+  protect,
+  validate(schemas.cancelEventPlan),
+  async (req, res, next) => {
+    try {
+      const { reason, refundTo } = req.body;
+
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      const { refunds, totalRefund } = await cancelPlan(plan, req.user, {
+        reason,
+        refundTo,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { plan, refunds, totalRefund },
+        "Event plan cancelled successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
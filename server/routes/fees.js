@@ -0,0 +1,279 @@
+const express = require("express");
+const router = express.Router();
+const FeeRule = require("../models/FeeRule");
+const User = require("../models/User");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const {
+  STATUS_CODES,
+  USER_ROLES,
+  PROVIDER_TIERS,
+} = require("../utils/constants");
+const {
+  resolveFeeRule,
+  getFlatMinimum,
+  calculateFee,
+} = require("../services/feeService");
+
+/**
+ * @route   GET /api/fees/preview
+ * @desc    Preview the platform fee and net payout for an amount
+ *          (?amount=&serviceProviderId= or ?centerId=, or ?bookingType=&serviceCategory=;
+ *          ?currency= is the amount's currency, NGN by default)
+ * @access  Private (Provider, Center, Admin)
+ */
+router.get(
+  "/preview",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER, USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { serviceProviderId, centerId, currency = "NGN" } = req.query;
+      const amount = Number(req.query.amount);
+
+      if (!(amount > 0)) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "A positive amount is required"
+        );
+      }
+
+      const context = {
+        bookingType: req.query.bookingType,
+        serviceCategory: req.query.serviceCategory,
+        providerTier: req.user.providerTier || PROVIDER_TIERS.STANDARD,
+      };
+
+      // Admins can preview for any tier
+      if (req.user.role === USER_ROLES.ADMIN && req.query.providerTier) {
+        context.providerTier = req.query.providerTier;
+      }
+
+      if (serviceProviderId) {
+        const serviceProvider = await ServiceProvider.findById(
+          serviceProviderId
+        ).select("serviceCategory");
+        if (!serviceProvider) {
+          return errorResponse(
+            res,
+            STATUS_CODES.NOT_FOUND,
+            "Service provider not found"
+          );
+        }
+        context.bookingType = "provider";
+        context.serviceCategory = serviceProvider.serviceCategory;
+      } else if (centerId) {
+        const center = await EventCenter.findById(centerId).select(
+          "centerType"
+        );
+        if (!center) {
+          return errorResponse(
+            res,
+            STATUS_CODES.NOT_FOUND,
+            "Event center not found"
+          );
+        }
+        context.bookingType = "center";
+        context.serviceCategory = center.centerType;
+      }
+
+      const rule = await resolveFeeRule(context);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        {
+          preview: calculateFee(
+            amount,
+            rule,
+            await getFlatMinimum(rule, currency)
+          ),
+          rule: rule
+            ? { _id: rule._id, name: rule.name, conditions: rule.conditions }
+            : { name: "Default platform fee" },
+        },
+        "Fee preview calculated"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/fees/rules
+ * @desc    List fee rules (filter by ?isActive=true|false)
+ * @access  Private (Admin)
+ */
+router.get(
+  "/rules",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const query = {};
+      if (req.query.isActive !== undefined) {
+        query.isActive = req.query.isActive === "true";
+      }
+
+      const rules = await FeeRule.find(query)
+        .populate("createdBy", "name")
+        .populate("updatedBy", "name")
+        .sort({ isActive: -1, priority: -1, updatedAt: -1 })
+        .lean();
+
+      successResponse(res, STATUS_CODES.OK, { rules }, "Fee rules retrieved");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/fees/rules
+ * @desc    Create a fee rule
+ * @access  Private (Admin)
+ */
+router.post(
+  "/rules",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.feeRule),
+  async (req, res, next) => {
+    try {
+      const rule = await FeeRule.create({
+        ...req.body,
+        createdBy: req.user._id,
+        updatedBy: req.user._id,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { rule },
+        "Fee rule created successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/fees/rules/:ruleId
+ * @desc    Replace a fee rule (bookings already paid keep their snapshot)
+ * @access  Private (Admin)
+ */
+router.put(
+  "/rules/:ruleId",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.feeRule),
+  async (req, res, next) => {
+    try {
+      const rule = await FeeRule.findById(req.params.ruleId);
+
+      if (!rule) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Fee rule not found");
+      }
+
+      const { name, description, isActive, priority, conditions } = req.body;
+      rule.set({
+        name,
+        description,
+        isActive: isActive !== undefined ? isActive : rule.isActive,
+        priority: priority !== undefined ? priority : rule.priority,
+        conditions: conditions || {},
+        percentage: req.body.percentage,
+        flatMinimum: req.body.flatMinimum || 0,
+        currency: req.body.currency || "NGN",
+        updatedBy: req.user._id,
+      });
+      await rule.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { rule },
+        "Fee rule updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/fees/rules/:ruleId
+ * @desc    Deactivate a fee rule (kept for the flows that snapshot it)
+ * @access  Private (Admin)
+ */
+router.delete(
+  "/rules/:ruleId",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const rule = await FeeRule.findByIdAndUpdate(
+        req.params.ruleId,
+        { isActive: false, updatedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!rule) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Fee rule not found");
+      }
+
+      successResponse(res, STATUS_CODES.OK, { rule }, "Fee rule deactivated");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/fees/provider-tier/:userId
+ * @desc    Set a provider's or center owner's tier
+ * @access  Private (Admin)
+ */
+router.put(
+  "/provider-tier/:userId",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.providerTier),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.userId);
+
+      if (!user) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "User not found");
+      }
+
+      if (![USER_ROLES.PROVIDER, USER_ROLES.CENTER].includes(user.role)) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "Tiers only apply to providers and centers"
+        );
+      }
+
+      user.providerTier = req.body.tier;
+      await user.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { user: { _id: user._id, name: user.name, tier: user.providerTier } },
+        "Provider tier updated"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const FxRate = require("../models/FxRate");
+const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+const {
+  getRate,
+  upsertRate,
+  parseRateFile,
+  importRates,
+} = require("../services/fxService");
+
+const storage = multer.memoryStorage();
+const upload = multer({ storage, limits: { fileSize: 1024 * 1024 } });
+
+/**
+ * @route   GET /api/fx/rates
+ * @desc    Stored exchange rates
+ * @access  Public
+ */
+router.get("/rates", async (req, res, next) => {
+  try {
+    const rates = await FxRate.find()
+      .select("baseCurrency quoteCurrency rate source updatedAt")
+      .sort({ baseCurrency: 1, quoteCurrency: 1 })
+      .lean();
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { rates },
+      "Exchange rates retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/fx/convert
+ * @desc    Convert an amount (?amount=&from=&to=)
+ * @access  Public
+ */
+router.get("/convert", async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const amount = Number(req.query.amount);
+
+    if (!(amount >= 0) || !from || !to) {
+      return errorResponse(
+        res,
+        STATUS_CODES.BAD_REQUEST,
+        "amount, from and to are required"
+      );
+    }
+
+    const { rate, asOf, via } = await getRate(from, to);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      {
+        amount,
+        from: from.toUpperCase(),
+        to: to.toUpperCase(),
+        rate,
+        via,
+        asOf,
+        converted: Math.round(amount * rate * 100) / 100,
+      },
+      "Amount converted"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/fx/rates
+ * @desc    Set the rate for a currency pair
+ * @access  Private (Admin)
+ */
+router.put(
+  "/rates",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.fxRate),
+  async (req, res, next) => {
+    try {
+      const rate = await upsertRate(req.body, req.user._id);
+
+      successResponse(res, STATUS_CODES.OK, { rate }, "Exchange rate saved");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/fx/rates/import
+ * @desc    Import rates from a CSV (baseCurrency,quoteCurrency,rate) or
+ *          JSON file uploaded as "file"
+ * @access  Private (Admin)
+ */
+router.post(
+  "/rates/import",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  upload.single("file"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "A rate file is required"
+        );
+      }
+
+      const rates = await importRates(parseRateFile(req.file), req.user._id);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { imported: rates.length, rates },
+        "Exchange rates imported"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/fx/rates/:rateId
+ * @desc    Remove a currency pair
+ * @access  Private (Admin)
+ */
+router.delete(
+  "/rates/:rateId",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const rate = await FxRate.findByIdAndDelete(req.params.rateId);
+
+      if (!rate) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Exchange rate not found"
+        );
+      }
+
+      successResponse(res, STATUS_CODES.OK, null, "Exchange rate removed");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const BillingDocument = require("../models/BillingDocument");
+const { protect } = require("../middleware/auth");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+const {
+  issueInvoice,
+  syncBookingDocuments,
+  renderPdf,
+} = require("../services/invoiceService");
+
+const buildPagination = (total, pageNum, limitNum) => ({
+  total,
+  page: pageNum,
+  pages: Math.ceil(total / limitNum),
+  limit: limitNum,
+  hasNext: pageNum < Math.ceil(total / limitNum),
+  hasPrev: pageNum > 1,
+});
+
+// Customers, the provider and admins can see a booking's documents
+const canAccess = (record, user) =>
+  user.role === USER_ROLES.ADMIN ||
+  record.customer.toString() === user._id.toString() ||
+  record.provider.toString() === user._id.toString();
+
+// Load a booking the user may see documents for, responding if not
+async function loadBooking(req, res) {
+  const booking = await Booking.findById(req.params.bookingId);
+
+  if (!booking) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+    return null;
+  }
+  if (!canAccess(booking, req.user)) {
+    errorResponse(
+      res,
+      STATUS_CODES.FORBIDDEN,
+      "Not authorized to access this booking's documents"
+    );
+    return null;
+  }
+  return booking;
+}
+
+const sendPdf = async (res, document) => {
+  const pdf = await renderPdf(document);
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${document.number}.pdf"`,
+    "Content-Length": pdf.length,
+  });
+  res.send(pdf);
+};
+
+/**
+ * @route   GET /api/invoices
+ * @desc    Invoices and receipts for the current user (all for admins;
+ *          filter by ?documentType=invoice|receipt and ?bookingId)
+ * @access  Private
+ */
+router.get("/", protect, async (req, res, next) => {
+  try {
+    const { documentType, bookingId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (documentType) query.documentType = documentType;
+    if (bookingId && mongoose.Types.ObjectId.isValid(bookingId)) {
+      query.booking = bookingId;
+    }
+    if (req.user.role !== USER_ROLES.ADMIN) {
+      query.$or = [{ customer: req.user._id }, { provider: req.user._id }];
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const documents = await BillingDocument.find(query)
+      .sort({ issuedAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .lean();
+
+    const total = await BillingDocument.countDocuments(query);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { documents, pagination: buildPagination(total, pageNum, limitNum) },
+      "Documents retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/invoices/booking/:bookingId
+ * @desc    A booking's invoice and receipts (issuing any that are missing)
+ * @access  Private (Customer, Provider, Admin)
+ */
+router.get("/booking/:bookingId", protect, async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const { invoice, receipts } = await syncBookingDocuments(booking);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { invoice, receipts },
+      "Booking documents retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/invoices/booking/:bookingId/pdf
+ * @desc    Download a booking's invoice as PDF
+ * @access  Private (Customer, Provider, Admin)
+ */
+router.get("/booking/:bookingId/pdf", protect, async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const invoice = await issueInvoice(booking);
+    await sendPdf(res, invoice);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/invoices/:documentId/pdf
+ * @desc    Download an invoice or receipt as PDF
+ * @access  Private (Customer, Provider, Admin)
+ */
+router.get("/:documentId/pdf", protect, async (req, res, next) => {
+  try {
+    const document = await BillingDocument.findById(req.params.documentId);
+
+    if (!document) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Document not found");
+    }
+
+    if (!canAccess(document, req.user)) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to access this document"
+      );
+    }
+
+    await sendPdf(res, document);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,456 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const EventCenter = require("../models/EventCenter");
+const Listing = require("../models/Listing");
+const multer = require("multer");
+const path = require("path");
+const { protect } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { uploadBuffer, deleteFileByUrl } = require("../utils/storage");
+const {
+  checkListingAvailability,
+  getListingSlots,
+} = require("../services/listingService");
+const { createConverter, getDisplayPricing } = require("../services/fxService");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+
+// Use memory storage and delegate persistence to storage helper
+const storage = multer.memoryStorage();
+const upload = multer({ storage });
+// Maximum images allowed per hall
+const MAX_IMAGES = 10;
+
+// Multipart forms send nested fields as JSON strings
+const JSON_FIELDS = [
+  "location",
+  "capacity",
+  "pricing",
+  "facilities",
+  "eventTypes",
+  "buffers",
+  "removeImages",
+];
+const BOOLEAN_FIELDS = ["isActive", "replaceImages"];
+
+/**
+ * Turn JSON-string and "true"/"false" form fields back into values
+ */
+function parseFormFields(req, res, next) {
+  for (const field of JSON_FIELDS) {
+    if (typeof req.body[field] === "string") {
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (e) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          `${field} must be valid JSON`
+        );
+      }
+    }
+  }
+  for (const field of BOOLEAN_FIELDS) {
+    if (typeof req.body[field] === "string") {
+      req.body[field] = ["true", "1"].includes(req.body[field]);
+    }
+  }
+  next();
+}
+
+const isOwnerOrAdmin = (center, user) =>
+  center.owner.toString() === user._id.toString() ||
+  user.role === USER_ROLES.ADMIN;
+
+// Load the center from the URL, 404ing if it does not exist
+async function loadCenter(req, res) {
+  const center = await EventCenter.findById(req.params.centerId).select(
+    "owner centerName isActive verificationStatus"
+  );
+  if (!center) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Event center not found");
+    return null;
+  }
+  return center;
+}
+
+// Load the center and one of its halls, 404ing if either does not exist
+async function loadListing(req, res) {
+  const center = await loadCenter(req, res);
+  if (!center) return {};
+
+  const listing = await Listing.findOne({
+    _id: req.params.listingId,
+    eventCenter: center._id,
+  });
+  if (!listing) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Listing not found");
+    return {};
+  }
+  return { center, listing };
+}
+
+// Persist uploaded images via storage helper
+async function saveImages(files = []) {
+  const images = [];
+  for (const f of files) {
+    const ext = path.extname(f.originalname);
+    const filename = `${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}${ext}`;
+    // eslint-disable-next-line no-await-in-loop
+    const url = await uploadBuffer(f.buffer, filename, f.mimetype);
+    images.push({ url });
+  }
+  return images;
+}
+
+const LISTING_FIELDS = [
+  "hallName",
+  "description",
+  "location",
+  "capacity",
+  "pricing",
+  "facilities",
+  "eventTypes",
+];
+
+/**
+ * @route   GET /api/centers/:centerId/listings
+ * @desc    Active halls at an event center (?currency= adds
+ *          displayPricing in that currency)
+ * @access  Public
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { currency } = req.query;
+
+    const center = await loadCenter(req, res);
+    if (!center) return;
+
+    const listings = await Listing.find({
+      eventCenter: center._id,
+      isActive: true,
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Prices are also shown in the display currency
+    if (currency) {
+      const converter = await createConverter(currency);
+      listings.forEach((listing) => {
+        listing.displayPricing = getDisplayPricing(listing, converter);
+      });
+    }
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { listings, total: listings.length },
+      "Listings retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/centers/:centerId/listings/:listingId
+ * @desc    Hall details (?currency= adds displayPricing in that currency)
+ * @access  Public
+ */
+router.get("/:listingId", async (req, res, next) => {
+  try {
+    const { listing } = await loadListing(req, res);
+    if (!listing) return;
+
+    // Increment view count
+    listing.views += 1;
+    await listing.save();
+
+    // Prices are also shown in the display currency
+    const displayPricing = req.query.currency
+      ? getDisplayPricing(listing, await createConverter(req.query.currency))
+      : undefined;
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { listing, displayPricing },
+      "Listing details retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/centers/:centerId/listings
+ * @desc    Add a hall (with images)
+ * @access  Private (Owner or Admin)
+ */
+router.post(
+  "/",
+  protect,
+  upload.array("images", MAX_IMAGES),
+  parseFormFields,
+  validate(schemas.createListing),
+  async (req, res, next) => {
+    try {
+      const center = await loadCenter(req, res);
+      if (!center) return;
+
+      if (!isOwnerOrAdmin(center, req.user)) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to add listings to this center"
+        );
+      }
+
+      const data = { eventCenter: center._id };
+      LISTING_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+      if (req.body.buffers) data.availability = { buffers: req.body.buffers };
+
+      const images = await saveImages(req.files);
+      if (images.length > 0) {
+        images[0].isPrimary = true;
+        data.images = images;
+      }
+
+      const listing = await Listing.create(data);
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { listing, imagesCount: listing.images.length },
+        "Listing created successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/centers/:centerId/listings/:listingId
+ * @desc    Update a hall; new images are appended unless replaceImages is
+ *          set, and removeImages lists image URLs to delete
+ * @access  Private (Owner or Admin)
+ */
+router.put(
+  "/:listingId",
+  protect,
+  upload.array("images", MAX_IMAGES),
+  parseFormFields,
+  validate(schemas.updateListing),
+  async (req, res, next) => {
+    try {
+      const { center, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      if (!isOwnerOrAdmin(center, req.user)) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this listing"
+        );
+      }
+
+      LISTING_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) listing.set(field, req.body[field]);
+      });
+      if (req.body.isActive !== undefined) {
+        listing.isActive = req.body.isActive;
+      }
+      ["setupMinutes", "teardownMinutes"].forEach((key) => {
+        const minutes = req.body.buffers?.[key];
+        if (minutes !== undefined) {
+          listing.set(`availability.buffers.${key}`, minutes);
+        }
+      });
+
+      // Images: replace all, or drop the removed ones, then append uploads
+      const { replaceImages, removeImages = [] } = req.body;
+      const uploaded = await saveImages(req.files);
+      const dropped = (listing.images || []).filter(
+        (img) =>
+          (replaceImages && uploaded.length > 0) ||
+          removeImages.includes(img.url)
+      );
+      if (dropped.length > 0) {
+        await Promise.all(dropped.map((img) => deleteFileByUrl(img.url)));
+      }
+
+      const kept = listing.images.filter((img) => !dropped.includes(img));
+      listing.images = [...kept, ...uploaded].slice(-MAX_IMAGES);
+      if (
+        listing.images.length > 0 &&
+        !listing.images.some((img) => img.isPrimary)
+      ) {
+        listing.images[0].isPrimary = true;
+      }
+
+      await listing.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { listing, imagesCount: listing.images.length },
+        "Listing updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/centers/:centerId/listings/:listingId
+ * @desc    Take a hall off the center; it stays on record for past bookings
+ * @access  Private (Owner or Admin)
+ */
+router.delete("/:listingId", protect, async (req, res, next) => {
+  try {
+    const { center, listing } = await loadListing(req, res);
+    if (!listing) return;
+
+    if (!isOwnerOrAdmin(center, req.user)) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to delete this listing"
+      );
+    }
+
+    listing.isActive = false;
+    await listing.save();
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { listing },
+      "Listing deleted successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/centers/:centerId/listings/:listingId/availability
+ * @desc    Check a hall's availability for a date range
+ * @access  Public
+ */
+router.get("/:listingId/availability", async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return errorResponse(
+        res,
+        STATUS_CODES.BAD_REQUEST,
+        "Start date and end date are required"
+      );
+    }
+
+    const { listing } = await loadListing(req, res);
+    if (!listing) return;
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const { isAvailable, reason, type } = await checkListingAvailability(
+      listing,
+      start,
+      end
+    );
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { isAvailable, startDate: start, endDate: end, reason, type },
+      "Availability checked"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/centers/:centerId/listings/:listingId/slots
+ * @desc    Free windows on a day (?date=YYYY-MM-DD), leaving room for the
+ *          hall's setup and teardown buffers
+ * @access  Public
+ */
+router.get("/:listingId/slots", async (req, res, next) => {
+  try {
+    const { date } = req.query;
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return errorResponse(
+        res,
+        STATUS_CODES.BAD_REQUEST,
+        "A valid date is required"
+      );
+    }
+
+    const { listing } = await loadListing(req, res);
+    if (!listing) return;
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      await getListingSlots(listing, new Date(date)),
+      "Free slots retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/centers/:centerId/listings/:listingId/block-dates
+ * @desc    Block dates on a hall
+ * @access  Private (Owner only)
+ */
+router.post(
+  "/:listingId/block-dates",
+  protect,
+  validate(schemas.blockListingDates),
+  async (req, res, next) => {
+    try {
+      const { startDate, endDate, reason } = req.body;
+
+      const { center, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      if (center.owner.toString() !== req.user._id.toString()) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to block dates for this listing"
+        );
+      }
+
+      listing.availability.blockedDates.push({
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        reason,
+      });
+      await listing.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { listing },
+        "Dates blocked successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -249,6 +249,9 @@ router.get("/types", protect, async (req, res, next) => {
       "booking_completed",
       "payment_received",
       "payment_released",
+      "dispute_opened",
+      "dispute_updated",
+      "dispute_resolved",
       "review_received",
       "message_received",
       "cac_verified",
@@ -0,0 +1,863 @@
+const express = require("express");
+const router = express.Router();
+const Booking = require("../models/Booking");
+const PaymentFlow = require("../models/PaymentFlow");
+const DirectPaymentTransaction = require("../models/DirectPaymentTransaction");
+const WebhookEvent = require("../models/WebhookEvent");
+const multer = require("multer");
+const path = require("path");
+const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { uploadBuffer } = require("../utils/storage");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+const { getGateway } = require("../services/gateways");
+const {
+  initializePayment,
+  verifyPayment,
+  submitBankTransfer,
+  payWithCredit,
+  approveBankTransfer,
+  rejectBankTransfer,
+} = require("../services/paymentService");
+const { handleWebhook } = require("../services/webhookService");
+const {
+  paymentLink,
+  inviteCoPayers,
+  cancelShare,
+  getContributions,
+  findShareByToken,
+} = require("../services/splitPaymentService");
+
+// Use memory storage and delegate persistence to storage helper
+const storage = multer.memoryStorage();
+const upload = multer({ storage });
+
+// Admins verify any transfer; providers only those paid straight to them
+async function canVerifyTransfer(user, transaction) {
+  if (user.role === USER_ROLES.ADMIN) return true;
+  if (transaction.provider.toString() !== user._id.toString()) return false;
+
+  const paymentFlow = await PaymentFlow.findById(
+    transaction.paymentFlow
+  ).select("paymentMethod");
+  return Boolean(paymentFlow && paymentFlow.paymentMethod === "direct");
+}
+
+// Load an unverified bank transfer the user may verify
+async function loadTransferForVerification(req, res) {
+  const transaction = await DirectPaymentTransaction.findById(
+    req.params.transactionId
+  );
+
+  if (!transaction || transaction.gateway.name !== "bank_transfer") {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Bank transfer not found");
+    return null;
+  }
+
+  if (!(await canVerifyTransfer(req.user, transaction))) {
+    errorResponse(
+      res,
+      STATUS_CODES.FORBIDDEN,
+      "Not authorized to verify this transfer"
+    );
+    return null;
+  }
+
+  if (transaction.status !== "processing") {
+    errorResponse(
+      res,
+      STATUS_CODES.CONFLICT,
+      `Transfer has already been ${transaction.status}`
+    );
+    return null;
+  }
+
+  return transaction;
+}
+
+/**
+ * @route   POST /api/payments/initialize
+ * @desc    Start a gateway payment for a booking
+ * @access  Private (Booking customer)
+ */
+router.post(
+  "/initialize",
+  protect,
+  validate(schemas.initializePayment),
+  async (req, res, next) => {
+    try {
+      const { bookingId, gateway, amount, callbackUrl } = req.body;
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      if (booking.customer.toString() !== req.user._id.toString()) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Only the booking customer can pay for this booking"
+        );
+      }
+
+      const { paymentFlow, transaction } = await initializePayment({
+        booking,
+        payer: req.user,
+        gatewayName: gateway,
+        amount,
+        callbackUrl,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        {
+          reference: transaction.gateway.reference,
+          authorizationUrl: transaction.gateway.authorizationUrl,
+          accessCode: transaction.gateway.accessCode,
+          transaction,
+          paymentFlow,
+        },
+        "Payment initialized"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/payments/credit
+ * @desc    Pay for a booking (or part of it) from store credit
+ * @access  Private (Booking customer)
+ */
+router.post(
+  "/credit",
+  protect,
+  validate(schemas.payWithCredit),
+  async (req, res, next) => {
+    try {
+      const { bookingId, amount } = req.body;
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      if (booking.customer.toString() !== req.user._id.toString()) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Only the booking customer can pay for this booking"
+        );
+      }
+
+      const { paymentFlow, transaction } = await payWithCredit({
+        booking,
+        amount,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { transaction, paymentFlow },
+        "Paid from credit balance"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/verify/:reference
+ * @desc    Verify a payment with its gateway and settle the booking
+ * @access  Private (Customer, provider or admin)
+ */
+router.get("/verify/:reference", protect, async (req, res, next) => {
+  try {
+    const existing = await DirectPaymentTransaction.findOne({
+      "gateway.reference": req.params.reference,
+    });
+
+    if (!existing) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Payment not found");
+    }
+
+    if (
+      existing.customer.toString() !== req.user._id.toString() &&
+      existing.provider.toString() !== req.user._id.toString() &&
+      req.user.role !== USER_ROLES.ADMIN
+    ) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to verify this payment"
+      );
+    }
+
+    const transaction = await verifyPayment(req.params.reference, {
+      notificationService: req.app.get("notificationService"),
+    });
+    const booking = await Booking.findById(transaction.booking).select(
+      "bookingNumber paymentStatus depositPaid balanceDue pricing.totalAmount"
+    );
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { transaction, booking },
+      `Payment ${transaction.status}`
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/payments/booking/:bookingId
+ * @desc    Get the payment flow and transactions for a booking
+ * @access  Private (Customer, provider or admin)
+ */
+router.get("/booking/:bookingId", protect, async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId).select(
+      "bookingNumber customer provider paymentStatus paymentMethod depositPaid balanceDue paymentSchedule pricing"
+    );
+
+    if (!booking) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+    }
+
+    if (
+      booking.customer.toString() !== req.user._id.toString() &&
+      booking.provider.toString() !== req.user._id.toString() &&
+      req.user.role !== USER_ROLES.ADMIN
+    ) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to access these payments"
+      );
+    }
+
+    const paymentFlows = await PaymentFlow.find({ booking: booking._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const transactions = await DirectPaymentTransaction.find({
+      booking: booking._id,
+    })
+      .select("-gatewayResponse")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { booking, paymentFlows, transactions },
+      "Payments retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/payments/booking/:bookingId/shares
+ * @desc    Invite co-payers to fund part of a booking; each gets a payment link
+ * @access  Private (Booking customer)
+ */
+router.post(
+  "/booking/:bookingId/shares",
+  protect,
+  validate(schemas.inviteCoPayers),
+  async (req, res, next) => {
+    try {
+      const booking = await Booking.findById(req.params.bookingId);
+
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      if (booking.customer.toString() !== req.user._id.toString()) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Only the booking customer can invite co-payers"
+        );
+      }
+
+      const shares = await inviteCoPayers(
+        booking,
+        req.body.coPayers,
+        req.user,
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        {
+          shares: shares.map((share) => ({
+            ...share.toObject(),
+            paymentLink: paymentLink(share),
+          })),
+        },
+        "Co-payers invited"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/booking/:bookingId/contributions
+ * @desc    Contribution tracker: what the host and each co-payer owe and have paid
+ * @access  Private (Customer, provider or admin)
+ */
+router.get(
+  "/booking/:bookingId/contributions",
+  protect,
+  async (req, res, next) => {
+    try {
+      const booking = await Booking.findById(req.params.bookingId).select(
+        "bookingNumber customer provider paymentStatus pricing"
+      );
+
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      if (
+        booking.customer.toString() !== req.user._id.toString() &&
+        booking.provider.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to access these payments"
+        );
+      }
+
+      const contributions = await getContributions(booking);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { bookingNumber: booking.bookingNumber, ...contributions },
+        "Contributions retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/payments/booking/:bookingId/shares/:shareId
+ * @desc    Withdraw an unpaid co-payer invitation
+ * @access  Private (Booking customer)
+ */
+router.delete(
+  "/booking/:bookingId/shares/:shareId",
+  protect,
+  async (req, res, next) => {
+    try {
+      const booking = await Booking.findById(req.params.bookingId);
+
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      if (booking.customer.toString() !== req.user._id.toString()) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Only the booking customer can manage co-payers"
+        );
+      }
+
+      const share = await cancelShare(booking, req.params.shareId);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { share },
+        "Co-payer invitation cancelled"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/shares/:token
+ * @desc    What a co-payer's payment link is for
+ * @access  Public (link holder)
+ */
+router.get("/shares/:token", async (req, res, next) => {
+  try {
+    const share = await findShareByToken(req.params.token);
+    const booking = await Booking.findById(share.booking)
+      .select("bookingNumber eventDetails customer status")
+      .populate("customer", "name");
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      {
+        share: {
+          name: share.name,
+          amount: share.amount,
+          amountPaid: share.amountPaid,
+          remaining: Math.max(share.amount - share.amountPaid, 0),
+          currency: share.currency,
+          status: share.status,
+          note: share.note,
+        },
+        booking: {
+          bookingNumber: booking.bookingNumber,
+          eventName: booking.eventDetails.eventName,
+          eventDate: booking.eventDetails.eventDate,
+          status: booking.status,
+          host: booking.customer?.name,
+        },
+      },
+      "Payment link retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/payments/shares/:token/initialize
+ * @desc    Start a gateway payment for a co-payer's share
+ * @access  Public (link holder)
+ */
+router.post(
+  "/shares/:token/initialize",
+  validate(schemas.initializeSharePayment),
+  async (req, res, next) => {
+    try {
+      const { gateway, amount, callbackUrl } = req.body;
+
+      const share = await findShareByToken(req.params.token);
+      const booking = await Booking.findById(share.booking);
+
+      const { transaction } = await initializePayment({
+        booking,
+        payer: { email: share.email },
+        gatewayName: gateway,
+        amount,
+        callbackUrl,
+        share,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        {
+          reference: transaction.gateway.reference,
+          authorizationUrl: transaction.gateway.authorizationUrl,
+          accessCode: transaction.gateway.accessCode,
+          amount: transaction.amount,
+          currency: transaction.currency,
+        },
+        "Payment initialized"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/shares/:token/verify/:reference
+ * @desc    Verify a co-payer's payment with its gateway
+ * @access  Public (link holder)
+ */
+router.get("/shares/:token/verify/:reference", async (req, res, next) => {
+  try {
+    const share = await findShareByToken(req.params.token);
+    const existing = await DirectPaymentTransaction.findOne({
+      "gateway.reference": req.params.reference,
+      paymentShare: share._id,
+    });
+
+    if (!existing) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Payment not found");
+    }
+
+    const transaction = await verifyPayment(req.params.reference, {
+      notificationService: req.app.get("notificationService"),
+    });
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      {
+        status: transaction.status,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        paidAt: transaction.paidAt,
+      },
+      `Payment ${transaction.status}`
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/payments/mock/checkout/:reference
+ * @desc    Complete a mock gateway checkout (only with ENABLE_MOCK_GATEWAY=true).
+ *          ?status=failed to decline
+ * @access  Public
+ */
+router.get("/mock/checkout/:reference", async (req, res, next) => {
+  try {
+    const mockGateway = getGateway("mock");
+    const { status = "successful" } = req.query;
+
+    if (!["successful", "failed"].includes(status)) {
+      return errorResponse(
+        res,
+        STATUS_CODES.BAD_REQUEST,
+        'Status must be either "successful" or "failed"'
+      );
+    }
+
+    const checkout = mockGateway.complete(req.params.reference, status);
+    if (!checkout) {
+      return errorResponse(res, STATUS_CODES.NOT_FOUND, "Checkout not found");
+    }
+
+    const transaction = await verifyPayment(req.params.reference, {
+      notificationService: req.app.get("notificationService"),
+    });
+
+    if (checkout.callbackUrl) {
+      const separator = checkout.callbackUrl.includes("?") ? "&" : "?";
+      return res.redirect(
+        `${checkout.callbackUrl}${separator}reference=${encodeURIComponent(
+          req.params.reference
+        )}`
+      );
+    }
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { transaction },
+      `Mock payment ${transaction.status}`
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/payments/bank-transfer
+ * @desc    Submit a bank transfer with proof of payment (multipart, file field "proof")
+ * @access  Private (Booking customer)
+ */
+router.post(
+  "/bank-transfer",
+  protect,
+  upload.single("proof"),
+  validate(schemas.submitBankTransfer),
+  async (req, res, next) => {
+    try {
+      const {
+        bookingId,
+        amount,
+        accountName,
+        accountNumber,
+        bankName,
+        transferReference,
+        transferDate,
+      } = req.body;
+
+      if (!req.file) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "Proof of payment is required"
+        );
+      }
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return errorResponse(res, STATUS_CODES.NOT_FOUND, "Booking not found");
+      }
+
+      if (booking.customer.toString() !== req.user._id.toString()) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Only the booking customer can pay for this booking"
+        );
+      }
+
+      const ext = path.extname(req.file.originalname);
+      const filename = `${Date.now()}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}${ext}`;
+      const proofOfPayment = await uploadBuffer(
+        req.file.buffer,
+        filename,
+        req.file.mimetype
+      );
+
+      const { paymentFlow, transaction } = await submitBankTransfer({
+        booking,
+        amount,
+        details: {
+          accountName,
+          accountNumber,
+          bankName,
+          transferReference,
+          transferDate: transferDate ? new Date(transferDate) : undefined,
+        },
+        proofOfPayment,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { transaction, paymentFlow },
+        "Bank transfer submitted for verification"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/bank-transfers/pending
+ * @desc    Queue of unverified bank transfers (all for admins, own direct payments for providers)
+ * @access  Private (Admin, Provider, Center)
+ */
+router.get(
+  "/bank-transfers/pending",
+  protect,
+  authorize(USER_ROLES.ADMIN, USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const query = {
+        "gateway.name": "bank_transfer",
+        status: "processing",
+        verified: false,
+      };
+
+      if (req.user.role !== USER_ROLES.ADMIN) {
+        const directFlows = await PaymentFlow.find({
+          provider: req.user._id,
+          paymentMethod: "direct",
+        }).distinct("_id");
+        query.provider = req.user._id;
+        query.paymentFlow = { $in: directFlows };
+      }
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      // Oldest first so the queue is worked in order
+      const transfers = await DirectPaymentTransaction.find(query)
+        .populate("customer", "name email phone")
+        .populate("booking", "bookingNumber eventDetails pricing.totalAmount")
+        .select("-gatewayResponse")
+        .sort({ createdAt: 1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await DirectPaymentTransaction.countDocuments(query);
+
+      const pagination = {
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        limit: limitNum,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      };
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { transfers, pagination },
+        "Pending bank transfers retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/payments/bank-transfers/:transactionId/approve
+ * @desc    Approve a bank transfer and settle the booking
+ * @access  Private (Admin, or provider for direct payments)
+ */
+router.put(
+  "/bank-transfers/:transactionId/approve",
+  protect,
+  async (req, res, next) => {
+    try {
+      const transaction = await loadTransferForVerification(req, res);
+      if (!transaction) return;
+
+      const approved = await approveBankTransfer(transaction, req.user._id, {
+        note: req.body.note,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { transaction: approved },
+        "Bank transfer approved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/payments/bank-transfers/:transactionId/reject
+ * @desc    Reject a bank transfer
+ * @access  Private (Admin, or provider for direct payments)
+ */
+router.put(
+  "/bank-transfers/:transactionId/reject",
+  protect,
+  async (req, res, next) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "A reason is required to reject a transfer"
+        );
+      }
+
+      const transaction = await loadTransferForVerification(req, res);
+      if (!transaction) return;
+
+      const rejected = await rejectBankTransfer(transaction, req.user._id, {
+        reason,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { transaction: rejected },
+        "Bank transfer rejected"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/payments/webhooks/:gateway
+ * @desc    Receive a signed gateway webhook (paystack, flutterwave, stripe, mock)
+ * @access  Public (signature verified)
+ */
+router.post("/webhooks/:gateway", async (req, res, next) => {
+  try {
+    const { event, duplicate, rejected } = await handleWebhook(
+      req.params.gateway,
+      { rawBody: req.rawBody, headers: req.headers, body: req.body },
+      { notificationService: req.app.get("notificationService") }
+    );
+
+    if (rejected) {
+      return errorResponse(
+        res,
+        STATUS_CODES.UNAUTHORIZED,
+        "Invalid webhook signature"
+      );
+    }
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { eventId: event.eventId, status: event.status },
+      duplicate ? "Duplicate event ignored" : "Webhook received"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/payments/webhook-events
+ * @desc    List stored webhook deliveries
+ * @access  Private (Admin)
+ */
+router.get(
+  "/webhook-events",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { gateway, status, reference, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (gateway) query.gateway = gateway;
+      if (status) query.status = status;
+      if (reference) query.reference = reference;
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const events = await WebhookEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await WebhookEvent.countDocuments(query);
+
+      const pagination = {
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        limit: limitNum,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      };
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { events, pagination },
+        "Webhook events retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -10,6 +10,10 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const { uploadBuffer, deleteFileByUrl } = require("../utils/storage");
+const { getPolicyTiers } = require("../services/cancellationService");
+const { getTaxRates } = require("../services/taxService");
+const { createConverter, getDisplayPricing } = require("../services/fxService");
+const { getProviderSlots } = require("../services/availabilityService");
 
 // Use memory storage and delegate persistence to storage helper (disk or S3)
 const storage = multer.memoryStorage();
@@ -33,6 +37,7 @@ async function resolveProvider(id) {
 /**
  * @route   GET /api/providers
  * @desc    Get all service providers with filtering, search, and pagination
+ *          (?currency= adds displayPricing in that currency)
  * @access  Public
  */
 router.get("/", async (req, res, next) => {
@@ -57,6 +62,9 @@ router.get("/", async (req, res, next) => {
       // Sorting
       sortBy = "createdAt",
       order = "desc",
+
+      // Display currency for prices
+      currency,
     } = req.query;
 
     // Build query
@@ -134,6 +142,14 @@ router.get("/", async (req, res, next) => {
       hasPrev: pageNum > 1,
     };
 
+    // Prices are also shown in the display currency
+    if (currency) {
+      const converter = await createConverter(currency);
+      providers.forEach((provider) => {
+        provider.displayPricing = getDisplayPricing(provider, converter);
+      });
+    }
+
     successResponse(
       res,
       STATUS_CODES.OK,
@@ -150,7 +166,8 @@ router.get("/", async (req, res, next) => {
 
 /**
  * @route   GET /api/providers/:providerId
- * @desc    Get single service provider details
+ * @desc    Get single service provider details (?currency= adds
+ *          displayPricing in that currency)
  * @access  Public
  */
 router.get("/:providerId", async (req, res, next) => {
@@ -171,10 +188,15 @@ router.get("/:providerId", async (req, res, next) => {
     provider.views += 1;
     await provider.save();
 
+    // Prices are also shown in the display currency
+    const displayPricing = req.query.currency
+      ? getDisplayPricing(provider, await createConverter(req.query.currency))
+      : undefined;
+
     successResponse(
       res,
       STATUS_CODES.OK,
-      { provider },
+      { provider, displayPricing },
       "Service provider details retrieved"
     );
   } catch (error) {
@@ -390,6 +412,94 @@ router.get("/:providerId/availability", async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/providers/:providerId/slots
+ * @desc    Free windows on a day (?date=YYYY-MM-DD), leaving room for the
+ *          provider's setup and teardown buffers
+ * @access  Public
+ */
+router.get("/:providerId/slots", async (req, res, next) => {
+  try {
+    const { date } = req.query;
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return errorResponse(
+        res,
+        STATUS_CODES.BAD_REQUEST,
+        "A valid date is required"
+      );
+    }
+
+    const provider = await resolveProvider(req.params.providerId);
+
+    if (!provider) {
+      return errorResponse(
+        res,
+        STATUS_CODES.NOT_FOUND,
+        "Service provider not found"
+      );
+    }
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      await getProviderSlots(provider, new Date(date)),
+      "Free slots retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/providers/:providerId/booking-buffers
+ * @desc    Set the setup and teardown time kept free around bookings
+ * @access  Private (Owner or Admin)
+ */
+router.put(
+  "/:providerId/booking-buffers",
+  protect,
+  validate(schemas.bookingBuffers),
+  async (req, res, next) => {
+    try {
+      const provider = await ServiceProvider.findById(req.params.providerId);
+
+      if (!provider) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Service provider not found"
+        );
+      }
+
+      // Check ownership or admin
+      if (
+        provider.provider.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this listing"
+        );
+      }
+
+      const { setupMinutes, teardownMinutes } = req.body;
+      provider.availability.buffers = { setupMinutes, teardownMinutes };
+      await provider.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { buffers: provider.availability.buffers },
+        "Booking buffers updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route POST /api/providers/:providerId/services
  * @desc Create a service for provider
@@ -839,4 +949,118 @@ router.put(
   }
 );
 
+/**
+ * @route   PUT /api/providers/:providerId/cancellation-policy
+ * @desc    Pick a preset or define tiered cancellation refunds
+ * @access  Private (Owner or Admin)
+ */
+router.put(
+  "/:providerId/cancellation-policy",
+  protect,
+  validate(schemas.cancellationPolicy),
+  async (req, res, next) => {
+    try {
+      const { preset, tiers, description } = req.body;
+
+      const provider = await ServiceProvider.findById(req.params.providerId);
+
+      if (!provider) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Service provider not found"
+        );
+      }
+
+      // Check ownership or admin
+      if (
+        provider.provider.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this listing"
+        );
+      }
+
+      provider.terms.cancellationRules = {
+        preset,
+        tiers: preset === "custom" ? tiers : [],
+      };
+      if (description !== undefined) {
+        provider.terms.cancellationPolicy = description;
+      }
+      await provider.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        {
+          cancellationPolicy: getPolicyTiers(provider.terms.cancellationRules),
+        },
+        "Cancellation policy updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/providers/:providerId/tax-settings
+ * @desc    Set VAT registration and additional taxes charged on bookings
+ * @access  Private (Owner or Admin)
+ */
+router.put(
+  "/:providerId/tax-settings",
+  protect,
+  validate(schemas.taxSettings),
+  async (req, res, next) => {
+    try {
+      const provider = await ServiceProvider.findById(req.params.providerId);
+
+      if (!provider) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Service provider not found"
+        );
+      }
+
+      // Check ownership or admin
+      if (
+        provider.provider.toString() !== req.user._id.toString() &&
+        req.user.role !== USER_ROLES.ADMIN
+      ) {
+        return errorResponse(
+          res,
+          STATUS_CODES.FORBIDDEN,
+          "Not authorized to update this listing"
+        );
+      }
+
+      const { vatRegistered, vatNumber, additionalTaxes = [] } = req.body;
+      provider.taxSettings = {
+        vatRegistered,
+        vatNumber: vatRegistered ? vatNumber : undefined,
+        additionalTaxes,
+      };
+      await provider.save();
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        {
+          taxSettings: provider.taxSettings,
+          taxRates: getTaxRates(provider.taxSettings),
+        },
+        "Tax settings updated successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
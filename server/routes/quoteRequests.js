@@ -0,0 +1,301 @@
+const express = require("express");
+const router = express.Router();
+const QuoteRequest = require("../models/QuoteRequest");
+const { protect } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const {
+  getParty,
+  createQuoteRequest,
+  makeOffer,
+  acceptOffer,
+  rejectOffer,
+  withdrawOffer,
+  closeQuoteRequest,
+} = require("../services/quoteRequestService");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+
+const buildPagination = (total, pageNum, limitNum) => ({
+  total,
+  page: pageNum,
+  pages: Math.ceil(total / limitNum),
+  limit: limitNum,
+  hasNext: pageNum < Math.ceil(total / limitNum),
+  hasPrev: pageNum > 1,
+});
+
+// Load a quote request (and one of its offers when the route names one),
+// 404ing if missing and 403ing anyone but the customer, provider or admin
+async function loadRequest(req, res) {
+  const request = await QuoteRequest.findById(req.params.requestId);
+  if (!request) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Quote request not found");
+    return {};
+  }
+
+  if (!getParty(request, req.user) && req.user.role !== USER_ROLES.ADMIN) {
+    errorResponse(
+      res,
+      STATUS_CODES.FORBIDDEN,
+      "Not authorized to access this quote request"
+    );
+    return {};
+  }
+
+  if (!req.params.offerId) return { request };
+
+  const offer = request.offers.id(req.params.offerId);
+  if (!offer) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Offer not found");
+    return {};
+  }
+  return { request, offer };
+}
+
+/**
+ * @route   POST /api/quote-requests
+ * @desc    Ask a provider with negotiable pricing to quote for an event
+ * @access  Private
+ */
+router.post(
+  "/",
+  protect,
+  validate(schemas.createQuoteRequest),
+  async (req, res, next) => {
+    try {
+      const request = await createQuoteRequest(req.user, req.body, {
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { request },
+        "Quote request sent"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/quote-requests
+ * @desc    Quote requests the user sent or received (filter by ?as=customer
+ *          or ?as=provider, and ?status)
+ * @access  Private
+ */
+router.get("/", protect, async (req, res, next) => {
+  try {
+    const { as, status, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (as === "customer") query.customer = req.user._id;
+    else if (as === "provider") query.provider = req.user._id;
+    else query.$or = [{ customer: req.user._id }, { provider: req.user._id }];
+    if (status) query.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const requests = await QuoteRequest.find(query)
+      .populate("customer", "name")
+      .populate("serviceProvider", "serviceName serviceCategory images")
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .lean();
+
+    const total = await QuoteRequest.countDocuments(query);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { requests, pagination: buildPagination(total, pageNum, limitNum) },
+      "Quote requests retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quote-requests/:requestId
+ * @desc    A quote request with its offers, oldest first
+ * @access  Private (Customer, Provider or Admin)
+ */
+router.get("/:requestId", protect, async (req, res, next) => {
+  try {
+    const { request } = await loadRequest(req, res);
+    if (!request) return;
+
+    await request.populate([
+      { path: "customer", select: "name email phone" },
+      { path: "provider", select: "name email phone" },
+      { path: "serviceProvider", select: "serviceName serviceCategory images" },
+      { path: "booking", select: "bookingNumber status paymentStatus" },
+    ]);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { request },
+      "Quote request retrieved"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/quote-requests/:requestId/close
+ * @desc    End the negotiation without booking: the customer cancels the
+ *          request or the provider declines it
+ * @access  Private (Customer or Provider)
+ */
+router.put(
+  "/:requestId/close",
+  protect,
+  validate(schemas.closeQuoteRequest),
+  async (req, res, next) => {
+    try {
+      const { request } = await loadRequest(req, res);
+      if (!request) return;
+
+      const closed = await closeQuoteRequest(request, req.user, {
+        reason: req.body.reason,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { request: closed },
+        `Quote request ${closed.status}`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/quote-requests/:requestId/offers
+ * @desc    Make an itemised offer with an expiry. The provider makes the
+ *          first; either side can then counter the offer waiting on them.
+ * @access  Private (Customer or Provider)
+ */
+router.post(
+  "/:requestId/offers",
+  protect,
+  validate(schemas.quoteOffer),
+  async (req, res, next) => {
+    try {
+      const { request } = await loadRequest(req, res);
+      if (!request) return;
+
+      const { offer } = await makeOffer(request, req.user, req.body, {
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(res, STATUS_CODES.CREATED, { offer }, "Offer sent");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/quote-requests/:requestId/offers/:offerId/accept
+ * @desc    Accept an offer, booking the provider at exactly the offered
+ *          price (paid as usual, or from credit when the customer accepts
+ *          with paymentMethod "credit")
+ * @access  Private (Customer or Provider)
+ */
+router.put(
+  "/:requestId/offers/:offerId/accept",
+  protect,
+  validate(schemas.respondQuoteOffer),
+  async (req, res, next) => {
+    try {
+      const { request, offer } = await loadRequest(req, res);
+      if (!offer) return;
+
+      const result = await acceptOffer(request, offer, req.user, {
+        note: req.body.note,
+        paymentMethod: req.body.paymentMethod,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        result,
+        "Offer accepted and booking created"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/quote-requests/:requestId/offers/:offerId/reject
+ * @desc    Turn an offer down; either side can make a new one
+ * @access  Private (Customer or Provider)
+ */
+router.put(
+  "/:requestId/offers/:offerId/reject",
+  protect,
+  validate(schemas.respondQuoteOffer),
+  async (req, res, next) => {
+    try {
+      const { request, offer } = await loadRequest(req, res);
+      if (!offer) return;
+
+      const updated = await rejectOffer(request, offer, req.user, {
+        note: req.body.note,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { request: updated },
+        "Offer declined"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/quote-requests/:requestId/offers/:offerId/withdraw
+ * @desc    Take back an offer before it is answered
+ * @access  Private (Whoever made the offer)
+ */
+router.put(
+  "/:requestId/offers/:offerId/withdraw",
+  protect,
+  async (req, res, next) => {
+    try {
+      const { request, offer } = await loadRequest(req, res);
+      if (!offer) return;
+
+      const updated = await withdrawOffer(request, offer, req.user);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { request: updated },
+        "Offer withdrawn"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const ReconciliationReport = require("../models/ReconciliationReport");
+const { protect, authorize } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+const {
+  parseSettlementFile,
+  reconcileSettlement,
+  resolveItem,
+} = require("../services/reconciliationService");
+
+const storage = multer.memoryStorage();
+const upload = multer({ storage, limits: { fileSize: 10 * 1024 * 1024 } });
+
+const buildPagination = (total, pageNum, limitNum) => ({
+  total,
+  page: pageNum,
+  pages: Math.ceil(total / limitNum),
+  limit: limitNum,
+  hasNext: pageNum < Math.ceil(total / limitNum),
+  hasPrev: pageNum > 1,
+});
+
+/**
+ * @route   POST /api/reconciliation
+ * @desc    Upload a Paystack/Flutterwave settlement CSV ("file") and
+ *          reconcile it against our transactions
+ * @access  Private (Admin)
+ */
+router.post(
+  "/",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  upload.single("file"),
+  validate(schemas.reconciliationUpload),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "A settlement file is required"
+        );
+      }
+
+      const { gateway, amountUnit } = req.body;
+      const text = req.file.buffer.toString("utf8");
+      const rows = parseSettlementFile(text, gateway, {
+        minorUnits: amountUnit === "minor",
+      });
+
+      const report = await reconcileSettlement({
+        gateway,
+        rows,
+        fileName: req.file.originalname,
+        uploadedBy: req.user._id,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { report },
+        "Settlement file reconciled"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reconciliation
+ * @desc    Reconciliation reports, without their items
+ *          (filter by ?gateway and ?status)
+ * @access  Private (Admin)
+ */
+router.get(
+  "/",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { gateway, status, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (gateway) query.gateway = gateway;
+      if (status) query.status = status;
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const reports = await ReconciliationReport.find(query)
+        .select("-items")
+        .populate("uploadedBy", "name")
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await ReconciliationReport.countDocuments(query);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { reports, pagination: buildPagination(total, pageNum, limitNum) },
+        "Reconciliation reports retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reconciliation/:reportId
+ * @desc    A report and its discrepancies (filter by ?issue and ?resolution)
+ * @access  Private (Admin)
+ */
+router.get(
+  "/:reportId",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { issue, resolution } = req.query;
+
+      const report = await ReconciliationReport.findById(req.params.reportId)
+        .populate("uploadedBy", "name")
+        .populate("items.booking", "bookingNumber")
+        .populate("items.resolution.resolvedBy", "name")
+        .lean();
+
+      if (!report) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Reconciliation report not found"
+        );
+      }
+
+      report.items = report.items.filter(
+        (item) =>
+          (!issue || item.issue === issue) &&
+          (!resolution || item.resolution.status === resolution)
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { report },
+        "Reconciliation report retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/reconciliation/:reportId/items/:itemId
+ * @desc    Mark a discrepancy resolved or ignored (ignoring needs a note)
+ * @access  Private (Admin)
+ */
+router.put(
+  "/:reportId/items/:itemId",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.resolveReconciliationItem),
+  async (req, res, next) => {
+    try {
+      const report = await ReconciliationReport.findById(req.params.reportId);
+
+      if (!report) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Reconciliation report not found"
+        );
+      }
+
+      const updated = await resolveItem(report, req.params.itemId, {
+        status: req.body.status,
+        note: req.body.note,
+        resolvedBy: req.user._id,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { report: updated },
+        "Reconciliation item updated"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -4,10 +4,12 @@ const ServiceProvider = require("../models/ServiceProvider");
 const EventCenter = require("../models/EventCenter");
 const { successResponse, errorResponse } = require("../utils/helpers");
 const { STATUS_CODES } = require("../utils/constants");
+const { createConverter, getDisplayPricing } = require("../services/fxService");
 
 /**
  * @route   GET /api/search
  * @desc    Unified search across providers and centers
+ *          (?currency= adds displayPricing in that currency)
  * @access  Public
  */
 router.get("/", async (req, res, next) => {
@@ -42,6 +44,9 @@ router.get("/", async (req, res, next) => {
       // Sorting
       sortBy = "createdAt",
       order = "desc",
+
+      // Display currency for prices
+      currency,
     } = req.query;
 
     if (!q && !type) {
@@ -202,14 +207,22 @@ router.get("/", async (req, res, next) => {
       },
     };
 
+    // Prices are also shown in the display currency; they are still
+    // charged in the listing's own
+    const converter = currency ? await createConverter(currency) : null;
+    const withDisplayPricing = (listing) =>
+      converter
+        ? { ...listing, displayPricing: getDisplayPricing(listing, converter) }
+        : listing;
+
     // Format results
     const results = {
       providers: providers.map((p) => ({
-        ...p,
+        ...withDisplayPricing(p),
         resultType: "provider",
       })),
       centers: centers.map((c) => ({
-        ...c,
+        ...withDisplayPricing(c),
         resultType: "center",
       })),
     };
@@ -227,6 +240,7 @@ router.get("/", async (req, res, next) => {
           city,
           rating,
           priceRange: { min: minPrice, max: maxPrice },
+          currency: converter?.currency,
         },
       },
       "Search completed successfully"
@@ -251,12 +251,14 @@ router.post(
           ec = await EventCenter.create({
             owner: user._id,
             cacNumber,
+            companyName: businessName,
             centerName: businessName,
             cacVerified: false,
           });
           user.eventCenter = ec._id;
         } else {
           ec.cacNumber = cacNumber;
+          ec.companyName = businessName;
           ec.centerName = businessName;
           ec.cacVerified = false;
           await ec.save();
@@ -0,0 +1,542 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const PayoutRequest = require("../models/PayoutRequest");
+const PayoutAccount = require("../models/PayoutAccount");
+const { protect, authorize, confirmPassword } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const { successResponse, errorResponse } = require("../utils/helpers");
+const {
+  STATUS_CODES,
+  USER_ROLES,
+  LEDGER_ACCOUNTS,
+} = require("../utils/constants");
+const { getAccountBalance } = require("../services/ledgerService");
+const {
+  getWallet,
+  requestPayout,
+  approvePayout,
+  rejectPayout,
+  cancelPayout,
+} = require("../services/payoutService");
+const {
+  addPayoutAccount,
+  setDefaultPayoutAccount,
+  removePayoutAccount,
+  approvePayoutAccount,
+} = require("../services/payoutAccountService");
+const { getBankLookup } = require("../services/bankLookup");
+
+const buildPagination = (total, pageNum, limitNum) => ({
+  total,
+  page: pageNum,
+  pages: Math.ceil(total / limitNum),
+  limit: limitNum,
+  hasNext: pageNum < Math.ceil(total / limitNum),
+  hasPrev: pageNum > 1,
+});
+
+// Load a payout request, 404ing if it does not exist
+async function loadPayout(req, res) {
+  const payout = await PayoutRequest.findById(req.params.payoutId);
+  if (!payout) {
+    errorResponse(res, STATUS_CODES.NOT_FOUND, "Payout request not found");
+    return null;
+  }
+  return payout;
+}
+
+/**
+ * @route   GET /api/wallet
+ * @desc    Wallet balance (owed, reserved by pending payouts, held in escrow)
+ * @access  Private (Provider, Center)
+ */
+router.get(
+  "/",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  async (req, res, next) => {
+    try {
+      const wallet = await getWallet(req.user._id, req.query.currency);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { wallet },
+        "Wallet retrieved successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/wallet/entries
+ * @desc    Ledger entries that touch the user's wallet
+ * @access  Private (Provider, Center)
+ */
+router.get(
+  "/entries",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const query = {
+        lines: {
+          $elemMatch: {
+            account: LEDGER_ACCOUNTS.PROVIDER_PAYABLE,
+            user: req.user._id,
+          },
+        },
+      };
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const entries = await LedgerEntry.find(query)
+        .populate("booking", "bookingNumber")
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await LedgerEntry.countDocuments(query);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { entries, pagination: buildPagination(total, pageNum, limitNum) },
+        "Wallet entries retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/wallet/ledger/summary
+ * @desc    Balance of every ledger account (trial balance)
+ * @access  Private (Admin)
+ */
+router.get(
+  "/ledger/summary",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { currency = "NGN" } = req.query;
+
+      const balances = {};
+      for (const account of Object.values(LEDGER_ACCOUNTS)) {
+        // eslint-disable-next-line no-await-in-loop
+        balances[account] = await getAccountBalance(account, { currency });
+      }
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { currency, balances },
+        "Ledger summary retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/wallet/payouts
+ * @desc    Request a payout from the available wallet balance
+ * @access  Private (Provider, Center)
+ */
+router.post(
+  "/payouts",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  validate(schemas.requestPayout),
+  async (req, res, next) => {
+    try {
+      const { amount, currency, note } = req.body;
+
+      const payout = await requestPayout({
+        provider: req.user._id,
+        amount,
+        currency,
+        note,
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { payout },
+        "Payout requested successfully"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/wallet/payouts
+ * @desc    Payout requests (own for providers, all for admins; filter by ?status)
+ * @access  Private (Provider, Center, Admin)
+ */
+router.get(
+  "/payouts",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER, USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { status, provider, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+      if (req.user.role === USER_ROLES.ADMIN) {
+        if (provider && mongoose.Types.ObjectId.isValid(provider)) {
+          query.provider = provider;
+        }
+      } else {
+        query.provider = req.user._id;
+      }
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const payouts = await PayoutRequest.find(query)
+        .populate("provider", "name email")
+        .populate("reviewedBy", "name")
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await PayoutRequest.countDocuments(query);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { payouts, pagination: buildPagination(total, pageNum, limitNum) },
+        "Payout requests retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/wallet/payouts/:payoutId/approve
+ * @desc    Approve a payout and debit the provider's wallet
+ * @access  Private (Admin)
+ */
+router.put(
+  "/payouts/:payoutId/approve",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const payout = await loadPayout(req, res);
+      if (!payout) return;
+
+      const approved = await approvePayout(payout, req.user._id, {
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { payout: approved },
+        "Payout approved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/wallet/payouts/:payoutId/reject
+ * @desc    Reject a payout request
+ * @access  Private (Admin)
+ */
+router.put(
+  "/payouts/:payoutId/reject",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return errorResponse(
+          res,
+          STATUS_CODES.BAD_REQUEST,
+          "A reason is required to reject a payout"
+        );
+      }
+
+      const payout = await loadPayout(req, res);
+      if (!payout) return;
+
+      const rejected = await rejectPayout(payout, req.user._id, {
+        reason,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { payout: rejected },
+        "Payout rejected"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/wallet/payouts/:payoutId/cancel
+ * @desc    Withdraw a pending payout request
+ * @access  Private (Requesting provider)
+ */
+router.put("/payouts/:payoutId/cancel", protect, async (req, res, next) => {
+  try {
+    const payout = await loadPayout(req, res);
+    if (!payout) return;
+
+    if (payout.provider.toString() !== req.user._id.toString()) {
+      return errorResponse(
+        res,
+        STATUS_CODES.FORBIDDEN,
+        "Not authorized to cancel this payout"
+      );
+    }
+
+    const cancelled = await cancelPayout(payout);
+
+    successResponse(
+      res,
+      STATUS_CODES.OK,
+      { payout: cancelled },
+      "Payout request cancelled"
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/wallet/banks
+ * @desc    Banks payout accounts can be held with
+ * @access  Private (Provider, Center)
+ */
+router.get(
+  "/banks",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  async (req, res, next) => {
+    try {
+      const banks = await getBankLookup().listBanks();
+
+      successResponse(res, STATUS_CODES.OK, { banks }, "Banks retrieved");
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/wallet/payout-accounts
+ * @desc    Payout bank accounts (own for providers; admins see all and can
+ *          filter by ?nameCheck=mismatched to review name mismatches)
+ * @access  Private (Provider, Center, Admin)
+ */
+router.get(
+  "/payout-accounts",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER, USER_ROLES.ADMIN),
+  async (req, res, next) => {
+    try {
+      const { nameCheck, owner, page = 1, limit = 20 } = req.query;
+
+      const query = { isActive: true };
+      if (nameCheck) query["nameCheck.status"] = nameCheck;
+      if (req.user.role === USER_ROLES.ADMIN) {
+        if (owner && mongoose.Types.ObjectId.isValid(owner)) {
+          query.owner = owner;
+        }
+      } else {
+        query.owner = req.user._id;
+      }
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const accounts = await PayoutAccount.find(query)
+        .populate("owner", "name email")
+        .sort({ isDefault: -1, createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean();
+
+      const total = await PayoutAccount.countDocuments(query);
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { accounts, pagination: buildPagination(total, pageNum, limitNum) },
+        "Payout accounts retrieved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/wallet/payout-accounts
+ * @desc    Add a payout bank account; the account name is resolved with the
+ *          bank and checked against the CAC-registered business name
+ * @access  Private (Provider, Center; password required)
+ */
+router.post(
+  "/payout-accounts",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  validate(schemas.addPayoutAccount),
+  confirmPassword,
+  async (req, res, next) => {
+    try {
+      const { bankCode, accountNumber, eventCenterId, isDefault } = req.body;
+
+      const account = await addPayoutAccount(
+        req.user,
+        { bankCode, accountNumber, eventCenterId, isDefault },
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.CREATED,
+        { account },
+        account.nameCheck.status === "matched"
+          ? "Payout account added"
+          : "Payout account added; the account name does not match your registered business name and is awaiting review"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/wallet/payout-accounts/:accountId/default
+ * @desc    Send future payouts to this account
+ * @access  Private (Provider, Center; password required)
+ */
+router.put(
+  "/payout-accounts/:accountId/default",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  validate(schemas.confirmPayoutChange),
+  confirmPassword,
+  async (req, res, next) => {
+    try {
+      const account = await setDefaultPayoutAccount(
+        req.user,
+        req.params.accountId,
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { account },
+        "Default payout account updated"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/wallet/payout-accounts/:accountId
+ * @desc    Remove a payout account
+ * @access  Private (Provider, Center; password required)
+ */
+router.delete(
+  "/payout-accounts/:accountId",
+  protect,
+  authorize(USER_ROLES.PROVIDER, USER_ROLES.CENTER),
+  validate(schemas.confirmPayoutChange),
+  confirmPassword,
+  async (req, res, next) => {
+    try {
+      const account = await removePayoutAccount(
+        req.user,
+        req.params.accountId,
+        { notificationService: req.app.get("notificationService") }
+      );
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { account },
+        "Payout account removed"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/wallet/payout-accounts/:accountId/approve
+ * @desc    Accept an account whose name did not match the business name
+ * @access  Private (Admin)
+ */
+router.put(
+  "/payout-accounts/:accountId/approve",
+  protect,
+  authorize(USER_ROLES.ADMIN),
+  validate(schemas.approvePayoutAccount),
+  async (req, res, next) => {
+    try {
+      const account = await PayoutAccount.findById(req.params.accountId);
+      if (!account) {
+        return errorResponse(
+          res,
+          STATUS_CODES.NOT_FOUND,
+          "Payout account not found"
+        );
+      }
+
+      const approved = await approvePayoutAccount(account, req.user._id, {
+        note: req.body.note,
+        notificationService: req.app.get("notificationService"),
+      });
+
+      successResponse(
+        res,
+        STATUS_CODES.OK,
+        { account: approved },
+        "Payout account approved"
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -2,7 +2,36 @@ const app = require("./app");
 const connectDB = require("./config/database");
 const { setupSocket } = require("./config/socket");
 const NotificationService = require("./services/notificationService");
-const { port, env } = require("./config/environment");
+const { releaseExpiredEscrows } = require("./services/escrowService");
+const { sendPaymentReminders } = require("./services/paymentScheduleService");
+const { getGateway } = require("./services/gateways");
+const {
+  port,
+  env,
+  paymentGateway,
+  quoteSecret,
+  dataEncryptionKey,
+} = require("./config/environment");
+
+// Quotes are signed and bank details encrypted with their own keys
+const missingKeys = [
+  ["QUOTE_SECRET", quoteSecret],
+  ["DATA_ENCRYPTION_KEY", dataEncryptionKey],
+]
+  .filter(([, value]) => !value)
+  .map(([name]) => name);
+if (missingKeys.length > 0) {
+  console.error(`Error: ${missingKeys.join(" and ")} must be set`);
+  process.exit(1);
+}
+
+// Every payment goes through the default gateway, so it must be usable
+try {
+  getGateway();
+} catch (error) {
+  console.error(`Error: PAYMENT_GATEWAY "${paymentGateway}": ${error.message}`);
+  process.exit(1);
+}
 
 // Connect to database
 connectDB();
@@ -30,6 +59,20 @@ if (env === "production") {
   }, 24 * 60 * 60 * 1000); // Run every 24 hours
 }
 
+// Release escrow holds whose hold period has expired (run hourly)
+setInterval(() => {
+  releaseExpiredEscrows(notificationService).catch((error) =>
+    console.error("Error auto-releasing escrow:", error)
+  );
+}, 60 * 60 * 1000);
+
+// Remind customers of installments falling due (run hourly)
+setInterval(() => {
+  sendPaymentReminders(notificationService).catch((error) =>
+    console.error("Error sending payment reminders:", error)
+  );
+}, 60 * 60 * 1000);
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
   console.error(`Unhandled Rejection: ${err.message}`);
@@ -0,0 +1,324 @@
+const Reservation = require("../models/Reservation");
+const { parseTime } = require("./quoteService");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Bookings claim time in slots of this many minutes (see
+// services/reservationService), so availability is worked out in them too
+const SLOT_MINUTES = 15;
+const SLOT = SLOT_MINUTES * MINUTE;
+
+/**
+ * The whole calendar day a date falls on
+ */
+function getDayRange(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return { start, end: new Date(start.getTime() + DAY) };
+}
+
+/**
+ * When an event actually runs: its date at startTime until endTime (an end
+ * at or before the start runs past midnight). Whole-day bookings take the
+ * full calendar day.
+ */
+function getEventInterval({ eventDate, startTime, endTime }, { wholeDay }) {
+  const day = getDayRange(eventDate);
+  if (wholeDay || !startTime || !endTime) return day;
+
+  const startMinutes = parseTime(startTime);
+  let endMinutes = parseTime(endTime);
+  if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+  return {
+    start: new Date(day.start.getTime() + startMinutes * MINUTE),
+    end: new Date(day.start.getTime() + endMinutes * MINUTE),
+  };
+}
+
+const getBuffers = (availability) => ({
+  setupMinutes: availability?.buffers?.setupMinutes || 0,
+  teardownMinutes: availability?.buffers?.teardownMinutes || 0,
+});
+
+/**
+ * The time a booking ties the resource up: setup before it starts and
+ * teardown after it ends
+ */
+const withBuffers = ({ start, end }, { setupMinutes, teardownMinutes }) => ({
+  start: new Date(start.getTime() - setupMinutes * MINUTE),
+  end: new Date(end.getTime() + teardownMinutes * MINUTE),
+});
+
+/**
+ * A period widened to the slots it touches: two periods that share a slot
+ * cannot both be claimed, even if the times themselves do not overlap
+ */
+const toSlots = (period) => ({
+  ...period,
+  start: new Date(Math.floor(period.start.getTime() / SLOT) * SLOT),
+  end: new Date(Math.ceil(period.end.getTime() / SLOT) * SLOT),
+});
+
+// Back-to-back intervals (one ends as the next starts) do not overlap
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * The first busy period an interval (with its buffers) runs into
+ * @param {Object} interval - { start, end } of the event itself
+ * @param {Array} busy - { start, end, reason } already including buffers
+ * @returns {Object|null}
+ */
+function findConflict(interval, busy, buffers) {
+  const needed = toSlots(withBuffers(interval, buffers));
+  return busy.find((period) => overlaps(needed, toSlots(period))) || null;
+}
+
+/**
+ * Windows on a day in which an event can run, given the busy periods
+ * around it. An event in a window still leaves room for its own setup and
+ * teardown.
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+function getFreeWindows(date, busy, buffers) {
+  const day = getDayRange(date);
+  // Look a day either side so events near midnight see their neighbours
+  const horizon = {
+    start: new Date(day.start.getTime() - DAY),
+    end: new Date(day.end.getTime() + DAY),
+  };
+
+  const periods = busy
+    .map(toSlots)
+    .filter((period) => overlaps(period, horizon))
+    .sort((a, b) => a.start - b.start);
+
+  const gaps = [];
+  let cursor = horizon.start;
+  periods.forEach((period) => {
+    if (period.start > cursor) gaps.push({ start: cursor, end: period.start });
+    if (period.end > cursor) cursor = period.end;
+  });
+  if (cursor < horizon.end) gaps.push({ start: cursor, end: horizon.end });
+
+  return gaps
+    .map((gap) => ({
+      start: new Date(
+        Math.max(
+          gap.start.getTime() + buffers.setupMinutes * MINUTE,
+          day.start.getTime()
+        )
+      ),
+      end: new Date(
+        Math.min(
+          gap.end.getTime() - buffers.teardownMinutes * MINUTE,
+          day.end.getTime()
+        )
+      ),
+    }))
+    .filter((window) => window.end > window.start);
+}
+
+/**
+ * Hourly halls are booked by the hour; daily and package halls by the day
+ */
+const isWholeDayListing = (listing) => listing.pricing?.type !== "hourly";
+
+// Whole-day bookings already cover setup and teardown
+const getListingBuffers = (listing) =>
+  isWholeDayListing(listing)
+    ? getBuffers(undefined)
+    : getBuffers(listing.availability);
+
+/**
+ * Intervals bookings have claimed on a resource (buffers included) that
+ * overlap a range, firm bookings and live checkout holds alike
+ */
+async function getReservedIntervals(
+  resourceType,
+  resource,
+  range,
+  { excludeBooking } = {}
+) {
+  const match = {
+    resourceType,
+    resource: resource._id || resource,
+    start: { $lt: range.end },
+    end: { $gt: range.start },
+    $or: [{ status: { $ne: "held" } }, { expiresAt: { $gt: new Date() } }],
+  };
+  if (excludeBooking) match.booking = { $ne: excludeBooking };
+
+  return Reservation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$booking",
+        start: { $first: "$start" },
+        end: { $first: "$end" },
+        status: { $first: "$status" },
+        expiresAt: { $first: "$expiresAt" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        booking: "$_id",
+        start: 1,
+        end: 1,
+        status: 1,
+        expiresAt: 1,
+      },
+    },
+  ]);
+}
+
+// Busy period for a claimed interval; holds are told apart from bookings
+const reservedPeriod = ({ start, end, status, expiresAt }) =>
+  status === "held"
+    ? { start, end, type: "held", reason: "Held during checkout", expiresAt }
+    : { start, end, type: "booked", reason: "Already booked" };
+
+// A range wide enough to catch bookings whose buffers reach into it
+const around = ({ start, end }) => ({
+  start: new Date(start.getTime() - DAY),
+  end: new Date(end.getTime() + DAY),
+});
+
+/**
+ * Periods a hall is taken around a range: reserved bookings and dates the
+ * owner has blocked
+ */
+async function getListingBusy(listing, range, options) {
+  const reserved = await getReservedIntervals(
+    "listing",
+    listing,
+    around(range),
+    options
+  );
+  const { blockedDates = [] } = listing.availability || {};
+
+  return [
+    ...reserved.map(reservedPeriod),
+    ...blockedDates.map((block) => ({
+      start: new Date(block.startDate),
+      end: new Date(block.endDate),
+      type: "blocked",
+      reason: "Blocked by owner",
+    })),
+  ];
+}
+
+/**
+ * Periods a provider is taken around a range: reserved bookings and whole
+ * days they have marked unavailable
+ */
+async function getProviderBusy(serviceProvider, range, options) {
+  const reserved = await getReservedIntervals(
+    "service_provider",
+    serviceProvider,
+    around(range),
+    options
+  );
+
+  return [
+    ...reserved.map(reservedPeriod),
+    ...(serviceProvider.availability?.unavailableDates || []).map(
+      (unavailable) => ({
+        ...getDayRange(unavailable),
+        type: "unavailable",
+        reason: "Marked unavailable",
+      })
+    ),
+  ];
+}
+
+/**
+ * Check a provider is free for an event
+ * @throws 409 when they are not
+ */
+async function assertProviderAvailable(serviceProvider, eventDetails, options) {
+  if (serviceProvider.availability?.status !== "available") {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "Service provider is not taking bookings at the moment"
+    );
+  }
+
+  const interval = getEventInterval(eventDetails, { wholeDay: false });
+  const busy = await getProviderBusy(serviceProvider, interval, options);
+  const conflict = findConflict(
+    interval,
+    busy,
+    getBuffers(serviceProvider.availability)
+  );
+
+  if (conflict) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      `Service provider is not available at the selected time (${conflict.reason.toLowerCase()})`
+    );
+  }
+}
+
+/**
+ * A day's schedule: the windows still free for an event and the busy
+ * periods that overlap the day
+ */
+function describeDay(date, busy, buffers, { wholeDay } = {}) {
+  const day = getDayRange(date);
+  let slots;
+  if (wholeDay) {
+    slots = findConflict(day, busy, buffers) ? [] : [day];
+  } else {
+    slots = getFreeWindows(date, busy, buffers);
+  }
+
+  return {
+    date: day.start,
+    wholeDay: Boolean(wholeDay),
+    buffers,
+    slots,
+    busy: busy
+      .filter((period) => overlaps(period, day))
+      .sort((a, b) => a.start - b.start),
+  };
+}
+
+/**
+ * Free windows for a provider on a day
+ */
+async function getProviderSlots(serviceProvider, date) {
+  const busy = await getProviderBusy(serviceProvider, getDayRange(date));
+  const schedule = describeDay(
+    date,
+    busy,
+    getBuffers(serviceProvider.availability)
+  );
+
+  // Providers not taking bookings have no free windows
+  if (serviceProvider.availability?.status !== "available") {
+    schedule.slots = [];
+  }
+  return schedule;
+}
+
+module.exports = {
+  SLOT_MINUTES,
+  getDayRange,
+  getEventInterval,
+  getBuffers,
+  withBuffers,
+  findConflict,
+  getFreeWindows,
+  isWholeDayListing,
+  getListingBuffers,
+  getListingBusy,
+  getProviderBusy,
+  assertProviderAvailable,
+  describeDay,
+  getProviderSlots,
+};
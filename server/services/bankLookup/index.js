@@ -0,0 +1,44 @@
+const mockBankLookup = require("./mock");
+const paystackBankLookup = require("./paystack");
+const { env, bankLookupProvider } = require("../../config/environment");
+const { createError } = require("../../utils/helpers");
+const { STATUS_CODES } = require("../../utils/constants");
+
+/**
+ * Bank lookup adapters
+ *
+ * Every adapter exposes the same interface:
+ *   listBanks() -> [{ code, name }]
+ *   resolveAccount({ bankCode, accountNumber })
+ *     -> { accountName, accountNumber, bankName? }
+ *     (throws when the account cannot be resolved)
+ */
+const adapters = {
+  [mockBankLookup.name]: mockBankLookup,
+  [paystackBankLookup.name]: paystackBankLookup,
+};
+
+/**
+ * Resolve a bank lookup adapter by name (defaults to BANK_LOOKUP_PROVIDER)
+ */
+const getBankLookup = (name = bankLookupProvider) => {
+  const adapter = adapters[name];
+
+  if (!adapter) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Unsupported bank lookup provider "${name}"`
+    );
+  }
+
+  if (adapter === mockBankLookup && env === "production") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Mock bank lookup is not available in production"
+    );
+  }
+
+  return adapter;
+};
+
+module.exports = { getBankLookup, adapters };
@@ -0,0 +1,51 @@
+/**
+ * Mock bank lookup
+ * Local stand-in for development and testing. Accounts resolve to a name
+ * registered with register(), or to a fixed test name; numbers ending in
+ * 0000 are treated as unknown.
+ */
+
+const BANKS = [
+  { code: "044", name: "Access Bank" },
+  { code: "011", name: "First Bank of Nigeria" },
+  { code: "058", name: "Guaranty Trust Bank" },
+  { code: "033", name: "United Bank For Africa" },
+  { code: "057", name: "Zenith Bank" },
+];
+
+const DEFAULT_ACCOUNT_NAME = "OCASSIA TEST ACCOUNT";
+
+// "bankCode:accountNumber" -> account name
+const accounts = new Map();
+
+const mockBankLookup = {
+  name: "mock",
+
+  async listBanks() {
+    return BANKS;
+  },
+
+  async resolveAccount({ bankCode, accountNumber }) {
+    const bank = BANKS.find((b) => b.code === bankCode);
+    if (!bank) throw new Error(`Unknown bank code ${bankCode}`);
+    if (accountNumber.endsWith("0000")) {
+      throw new Error("Could not resolve account name");
+    }
+
+    return {
+      accountName:
+        accounts.get(`${bankCode}:${accountNumber}`) || DEFAULT_ACCOUNT_NAME,
+      accountNumber,
+      bankName: bank.name,
+    };
+  },
+
+  /**
+   * Set the name an account resolves to (dev/test only)
+   */
+  register({ bankCode, accountNumber, accountName }) {
+    accounts.set(`${bankCode}:${accountNumber}`, accountName);
+  },
+};
+
+module.exports = mockBankLookup;
@@ -0,0 +1,46 @@
+const { paystackSecretKey } = require("../../config/environment");
+
+const BASE_URL = "https://api.paystack.co";
+
+/**
+ * Call the Paystack API and unwrap its { status, message, data } envelope
+ */
+async function request(path) {
+  if (!paystackSecretKey) {
+    throw new Error("Paystack not configured. Set PAYSTACK_SECRET_KEY");
+  }
+
+  const response = await fetch(`${BASE_URL}${path}`, {
+    headers: { Authorization: `Bearer ${paystackSecretKey}` },
+  });
+  const body = await response.json();
+
+  if (!response.ok || !body.status) {
+    throw new Error(`Paystack error: ${body.message || response.statusText}`);
+  }
+  return body.data;
+}
+
+const paystackBankLookup = {
+  name: "paystack",
+
+  async listBanks() {
+    const banks = await request("/bank?country=nigeria&perPage=100");
+    return banks.map((bank) => ({ code: bank.code, name: bank.name }));
+  },
+
+  async resolveAccount({ bankCode, accountNumber }) {
+    const data = await request(
+      `/bank/resolve?account_number=${encodeURIComponent(
+        accountNumber
+      )}&bank_code=${encodeURIComponent(bankCode)}`
+    );
+
+    return {
+      accountName: data.account_name,
+      accountNumber: data.account_number,
+    };
+  },
+};
+
+module.exports = paystackBankLookup;
@@ -0,0 +1,350 @@
+const Booking = require("../models/Booking");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const { payWithCredit } = require("./paymentService");
+const { verifyQuote, assertMatchesQuote } = require("./quoteService");
+const { applyCancellationRefund } = require("./cancellationService");
+const { redeemCoupon, releaseCoupon } = require("./couponService");
+const { getCreditBalance } = require("./creditService");
+const { assertProviderAvailable } = require("./availabilityService");
+const {
+  findBookableListing,
+  assertListingBookable,
+} = require("./listingService");
+const { claimSlots, releaseSlots } = require("./reservationService");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES, BOOKING_STATUS } = require("../utils/constants");
+
+/**
+ * Load the vendor a booking is for and check they can take it: an active,
+ * verified provider free at the event's hours, or a hall at an active,
+ * verified center that is free and fits the guests
+ * @returns {Promise<{provider, serviceProvider, eventCenter, listing}>}
+ */
+async function resolveVendor({
+  bookingType,
+  serviceProviderId,
+  eventCenterId,
+  listingId,
+  eventDetails,
+}) {
+  if (bookingType === "provider") {
+    if (!serviceProviderId) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        "Service provider ID is required for provider bookings"
+      );
+    }
+
+    const serviceProvider = await ServiceProvider.findById(serviceProviderId);
+    if (!serviceProvider) {
+      throw createError(STATUS_CODES.NOT_FOUND, "Service provider not found");
+    }
+
+    if (
+      !serviceProvider.isActive ||
+      serviceProvider.verificationStatus !== "verified"
+    ) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        "Service provider is not available"
+      );
+    }
+
+    // Check the provider is free for the event's hours
+    await assertProviderAvailable(serviceProvider, eventDetails);
+
+    return { provider: serviceProvider.provider, serviceProvider };
+  }
+
+  if (!eventCenterId) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Event center ID is required for center bookings"
+    );
+  }
+
+  const eventCenter = await EventCenter.findById(eventCenterId);
+  if (!eventCenter) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Event center not found");
+  }
+
+  if (!eventCenter.isActive || eventCenter.verificationStatus !== "verified") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Event center is not available"
+    );
+  }
+
+  // Availability and capacity are per hall
+  if (!listingId) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Listing ID is required for center bookings"
+    );
+  }
+  const listing = await findBookableListing(eventCenter._id, listingId);
+  await assertListingBookable(listing, eventDetails);
+
+  return { provider: eventCenter.owner, eventCenter, listing };
+}
+
+/**
+ * Undo a booking that could not be completed: give back its coupon use and
+ * held time, and remove it
+ */
+async function discardBooking(booking) {
+  await releaseCoupon(booking);
+  await releaseSlots(booking);
+  await Booking.deleteOne({ _id: booking._id });
+}
+
+/**
+ * Book a provider or a hall from a signed quote (see POST
+ * /api/bookings/quote). The slot is held while the customer checks out and
+ * credit bookings are paid straight away; if any step fails nothing is
+ * left behind.
+ * @param {Object} customer - User making the booking
+ * @param {Object} input - Booking request body
+ * @param {Object} [options]
+ * @param {Object} [options.eventPlan] - Plan the booking belongs to
+ * @param {Object} [options.quote] - Quote agreed some other way (an
+ * accepted offer, or a plan's cart item priced again at checkout); used
+ * instead of a quote token, its prices locked in
+ * @param {Object} [options.quoteRequest] - Quote request it was agreed on
+ * @param {boolean} [options.payWithCredit] - Pay credit bookings now
+ * (default true; plan checkout pays once every booking is in)
+ * @param {Object} [options.notificationService]
+ * @returns {Promise<Object>} The booking
+ */
+async function createBooking(
+  customer,
+  input,
+  {
+    eventPlan,
+    quote: agreedQuote,
+    quoteRequest,
+    payWithCredit: payNow = true,
+    notificationService,
+  } = {}
+) {
+  const {
+    bookingType,
+    serviceProviderId,
+    eventCenterId,
+    listingId,
+    eventDetails,
+    quoteToken,
+    paymentMethod = "escrow",
+    notes,
+  } = input;
+
+  // Validate booking type
+  if (!["provider", "center"].includes(bookingType)) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      'Booking type must be either "provider" or "center"'
+    );
+  }
+
+  // Validate required fields
+  if (
+    !eventDetails ||
+    !eventDetails.eventDate ||
+    !eventDetails.startTime ||
+    !eventDetails.endTime
+  ) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Event date, start time, and end time are required"
+    );
+  }
+
+  if (!quoteToken && !agreedQuote) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "A quote is required, request one from POST /api/bookings/quote"
+    );
+  }
+
+  // Prices come from the signed (or agreed) quote, never from the request
+  const quote = agreedQuote || verifyQuote(quoteToken, customer._id);
+  assertMatchesQuote(quote, input);
+
+  const { provider, listing } = await resolveVendor(input);
+
+  // Prevent self-booking
+  if (provider.toString() === customer._id.toString()) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "You cannot book your own service/center"
+    );
+  }
+
+  // Credit bookings are paid in full from the customer's balance
+  if (paymentMethod === "credit" && payNow) {
+    const balance = await getCreditBalance(
+      customer._id,
+      quote.pricing.currency
+    );
+    if (balance < quote.pricing.totalAmount) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        `Insufficient credit balance (${balance} available)`
+      );
+    }
+  }
+
+  const booking = await Booking.create({
+    bookingType,
+    customer: customer._id,
+    provider,
+    serviceProvider: serviceProviderId,
+    eventCenter: eventCenterId,
+    listing: listing?._id,
+    eventPlan: eventPlan?._id,
+    quoteRequest: quoteRequest?._id,
+    eventDetails,
+    pricing: quote.pricing,
+    quote: {
+      serviceId: quote.selection.serviceId,
+      packageId: quote.selection.packageId,
+      listingId: quote.selection.listingId,
+      durationHours: quote.durationHours,
+      lineItems: quote.lineItems,
+      quotedAt: new Date(),
+    },
+    fx: quote.display && {
+      displayCurrency: quote.display.currency,
+      rate: quote.display.rate,
+      rateAsOf: quote.display.rateAsOf,
+      displayTotal: quote.display.totalAmount,
+    },
+    coupon: quote.coupon && {
+      coupon: quote.coupon.couponId,
+      code: quote.coupon.code,
+      discount: quote.coupon.discount,
+      platformCost: quote.coupon.platformCost,
+      providerCost: quote.coupon.providerCost,
+    },
+    paymentMethod,
+    notes,
+    status: BOOKING_STATUS.PENDING,
+    statusHistory: [
+      {
+        status: BOOKING_STATUS.PENDING,
+        changedBy: customer._id,
+        changedAt: new Date(),
+        reason: "Booking created",
+      },
+    ],
+  });
+
+  try {
+    // Hold the time slot during checkout; a concurrent booking may have
+    // beaten us to it
+    const hold = await claimSlots(booking, { hold: true });
+    booking.holdExpiresAt = hold.expiresAt;
+    await booking.save();
+
+    // Claim the coupon use; the booking does not stand without it
+    if (quote.coupon) {
+      await redeemCoupon(quote.coupon, booking);
+    }
+
+    if (paymentMethod === "credit" && payNow) {
+      await payWithCredit({ booking, notificationService });
+      return await Booking.findById(booking._id);
+    }
+  } catch (error) {
+    await discardBooking(booking);
+    throw error;
+  }
+
+  return booking;
+}
+
+/**
+ * Cancel a booking: refund per the vendor's cancellation policy (only the
+ * customer, or an admin, can take it as credit) and give back its coupon
+ * use and time slot. The caller saves the booking.
+ * @param {Object} booking - Booking document
+ * @param {Object|null} user - User cancelling (null when the platform does)
+ * @param {Object} [options]
+ * @param {boolean} [options.fullRefund] - Refund in full whatever the policy
+ * @returns {Promise<Object>} The refund applied
+ */
+async function cancelBooking(
+  booking,
+  user,
+  { reason, refundTo, fullRefund, notificationService } = {}
+) {
+  const isProvider = Boolean(
+    user && booking.provider.toString() === user._id.toString()
+  );
+
+  booking.status = BOOKING_STATUS.CANCELLED;
+  booking.cancellation = {
+    cancelledBy: user?._id,
+    cancelledAt: new Date(),
+    reason: reason || "No reason provided",
+  };
+
+  booking.statusHistory.push({
+    status: BOOKING_STATUS.CANCELLED,
+    changedBy: user?._id,
+    changedAt: new Date(),
+    reason: reason || "Booking cancelled",
+  });
+
+  const refund = await applyCancellationRefund(booking, user, {
+    notificationService,
+    refundTo: refundTo === "credit" && !isProvider ? "credit" : undefined,
+    fullRefund,
+  });
+  await releaseCoupon(booking);
+  await releaseSlots(booking);
+
+  return refund;
+}
+
+/**
+ * Cancel a booking whose hold lapsed and whose slot was taken before its
+ * payment came in: the customer gets everything back and both sides are
+ * told. Saves the booking.
+ */
+async function cancelUnreservedBooking(booking, { notificationService } = {}) {
+  const reason =
+    "The time slot was taken by another booking before payment arrived";
+
+  const refund = await cancelBooking(booking, null, {
+    reason,
+    fullRefund: true,
+    notificationService,
+  });
+  await booking.save();
+
+  if (notificationService) {
+    [booking.customer, booking.provider].forEach((userId) => {
+      notificationService
+        .notifySystem(
+          userId,
+          "Booking Cancelled",
+          `Booking ${booking.bookingNumber} was cancelled: ${reason}. The payment is being refunded in full.`,
+          `/bookings/${booking._id}`,
+          "View Booking",
+          "high"
+        )
+        .catch(() => {});
+    });
+  }
+
+  return refund;
+}
+
+module.exports = {
+  createBooking,
+  discardBooking,
+  cancelBooking,
+  cancelUnreservedBooking,
+};
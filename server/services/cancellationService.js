@@ -0,0 +1,459 @@
+const PaymentFlow = require("../models/PaymentFlow");
+const EscrowTransaction = require("../models/EscrowTransaction");
+const DirectPaymentTransaction = require("../models/DirectPaymentTransaction");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const { getAmountPaid } = require("./paymentService");
+const { refundEscrow } = require("./escrowService");
+const { addCredit } = require("./creditService");
+const { getPaidByShare } = require("./splitPaymentService");
+const {
+  getAccountBalance,
+  getPlatformFee,
+  getCouponSubsidy,
+  recordEscrowRelease,
+  recordRefund,
+} = require("./ledgerService");
+const {
+  createError,
+  generateReference,
+  formatMoney,
+} = require("../utils/helpers");
+const {
+  STATUS_CODES,
+  PAYMENT_STATUS,
+  CANCELLATION_POLICIES,
+  LEDGER_ACCOUNTS,
+} = require("../utils/constants");
+
+const DEFAULT_PRESET = "moderate";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve structured cancellation rules to refund tiers, most generous first
+ * @param {Object} [rules] - terms.cancellationRules ({ preset, tiers })
+ * @returns {{preset: string, tiers: Array<{daysBefore: number, refundPercentage: number}>}}
+ */
+function getPolicyTiers(rules = {}) {
+  const preset = rules.preset || DEFAULT_PRESET;
+  const tiers =
+    preset === "custom"
+      ? (rules.tiers || []).map(({ daysBefore, refundPercentage }) => ({
+          daysBefore,
+          refundPercentage,
+        }))
+      : CANCELLATION_POLICIES[preset];
+
+  return {
+    preset,
+    tiers: [...tiers].sort((a, b) => b.daysBefore - a.daysBefore),
+  };
+}
+
+/**
+ * Load the cancellation rules of the provider or center a booking is with
+ */
+async function getBookingPolicy(booking) {
+  let listing;
+  if (booking.bookingType === "center") {
+    listing = await EventCenter.findById(booking.eventCenter).select("terms");
+  } else {
+    listing = await ServiceProvider.findById(booking.serviceProvider).select(
+      "terms"
+    );
+  }
+
+  const rules = listing?.terms?.cancellationRules;
+  return getPolicyTiers(rules ? rules.toObject() : {});
+}
+
+/**
+ * Work out what cancelling a booking now would refund.
+ * Cancellations by the provider (or center owner) always refund in full;
+ * customers and admins get the provider's policy.
+ * @param {Object} booking - Booking document
+ * @param {Object} user - User cancelling (null when the platform cancels)
+ * @param {Object} [options]
+ * @param {boolean} [options.fullRefund] - Refund everything regardless of
+ * policy (the booking fell through at no fault of the customer)
+ */
+async function calculateRefund(booking, user, { fullRefund = false } = {}) {
+  const policy = await getBookingPolicy(booking);
+  const amountPaid = await getAmountPaid(booking._id);
+
+  const eventDate = new Date(booking.eventDetails.eventDate);
+  const daysBeforeEvent = Math.floor((eventDate - Date.now()) / DAY_MS);
+  const cancelledByProvider = Boolean(
+    user && booking.provider.toString() === user._id.toString()
+  );
+
+  let refundPercentage = 0;
+  if (cancelledByProvider || fullRefund) {
+    refundPercentage = 100;
+  } else {
+    const tier = policy.tiers.find(
+      (item) => daysBeforeEvent >= item.daysBefore
+    );
+    refundPercentage = tier ? tier.refundPercentage : 0;
+  }
+
+  const refundAmount = roundMoney((amountPaid * refundPercentage) / 100);
+
+  return {
+    policy,
+    daysBeforeEvent,
+    cancelledByProvider,
+    refundPercentage,
+    amountPaid,
+    refundAmount,
+    retainedAmount: roundMoney(amountPaid - refundAmount),
+  };
+}
+
+/**
+ * Sum of a booking's successful payments made from store credit
+ */
+async function getCreditPaid(booking) {
+  const result = await DirectPaymentTransaction.aggregate([
+    {
+      $match: {
+        booking: booking._id,
+        status: "successful",
+        "gateway.name": "credit",
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+}
+
+/**
+ * Record a refund against the booking's successful payments: credit
+ * payments first (they return to credit), then newest first. With
+ * hostFirst the host's own payments come before co-payers', so a refund
+ * the host takes as credit is drawn from what they paid.
+ */
+async function refundTransactions(
+  booking,
+  refundAmount,
+  { reason, refundedBy, hostFirst = false }
+) {
+  const payments = await DirectPaymentTransaction.find({
+    booking: booking._id,
+    status: "successful",
+  }).sort({ paidAt: -1 });
+
+  const rank = (transaction) => {
+    if (transaction.gateway.name === "credit") return 0;
+    return hostFirst && !transaction.paymentShare ? 1 : 2;
+  };
+  const transactions = [0, 1, 2].flatMap((order) =>
+    payments.filter((transaction) => rank(transaction) === order)
+  );
+
+  let remaining = refundAmount;
+  for (const transaction of transactions) {
+    if (remaining <= 0) break;
+
+    // Part of a payment may have been refunded already (booking changes)
+    const alreadyRefunded = transaction.refund?.refundAmount || 0;
+    const amount = Math.min(remaining, transaction.amount - alreadyRefunded);
+    if (amount <= 0) continue;
+    remaining -= amount;
+
+    transaction.refund = {
+      refundedAt: new Date(),
+      refundAmount: alreadyRefunded + amount,
+      refundReason: reason,
+      refundReference: generateReference("RFD"),
+      refundedBy,
+    };
+    if (alreadyRefunded + amount >= transaction.amount) {
+      transaction.status = "refunded";
+    }
+    transaction.history.push({
+      status: transaction.status,
+      note: `Refunded ${amount}: ${reason}`,
+    });
+    // eslint-disable-next-line no-await-in-loop
+    await transaction.save();
+  }
+}
+
+/**
+ * Mark the refund as paid out on the payment records and the booking, and
+ * add any part of it going to store credit to the customer's balance
+ */
+async function settleRefund(booking, paymentFlow, refundedBy) {
+  const { refundAmount, creditAmount } = booking.cancellation;
+  const reason = `Booking cancelled: ${booking.cancellation.reason}`;
+  const amountPaid = await getAmountPaid(booking._id);
+
+  await refundTransactions(booking, refundAmount, {
+    reason,
+    refundedBy,
+    hostFirst: creditAmount > 0,
+  });
+
+  if (creditAmount > 0) {
+    await addCredit({
+      user: booking.customer,
+      amount: creditAmount,
+      currency: booking.pricing.currency,
+      type: "refund",
+      reference: `refund:${booking._id}`,
+      description: `Refund for booking ${booking.bookingNumber}`,
+      booking: booking._id,
+      createdBy: refundedBy,
+    });
+  }
+
+  if (paymentFlow) {
+    const fullRefund = refundAmount >= amountPaid;
+    if (fullRefund) {
+      paymentFlow.status = "refunded";
+    }
+    paymentFlow.refundDetails = {
+      refundedAt: new Date(),
+      refundAmount,
+      refundReason: reason,
+    };
+    paymentFlow.timeline.push({
+      status: paymentFlow.status,
+      note: `Refunded ${refundAmount} of ${amountPaid} on cancellation`,
+    });
+    await paymentFlow.save();
+  }
+
+  booking.cancellation.refundStatus = "completed";
+  if (refundAmount >= amountPaid) {
+    booking.paymentStatus = PAYMENT_STATUS.REFUNDED;
+  }
+}
+
+/**
+ * Apply the cancellation policy to a booking being cancelled: set
+ * cancellation.refundAmount/refundStatus and refund through the escrow or
+ * direct-payment records. Call after booking.cancellation is set and before
+ * the booking is saved.
+ *
+ * Money the platform still holds (escrow payments not yet released, or a
+ * provider wallet that still has the booking's earnings) is refunded
+ * straight away, and any non-refundable part of an escrow goes to the
+ * provider. Money already paid out to the provider leaves the refund
+ * "pending" until the provider or an admin confirms it was returned.
+ *
+ * A refund the platform makes goes to store credit when refundTo is
+ * "credit", up to what the host paid themselves (co-payers are refunded
+ * the way they paid); payments made from credit are always returned to
+ * credit.
+ */
+async function applyCancellationRefund(
+  booking,
+  user,
+  { notificationService, refundTo = "original", fullRefund } = {}
+) {
+  const escrow = await EscrowTransaction.findOne({ booking: booking._id });
+  if (escrow && escrow.status === "disputed") {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "Resolve the payment dispute before cancelling this booking"
+    );
+  }
+
+  const refund = await calculateRefund(booking, user, { fullRefund });
+  booking.cancellation.refundAmount = refund.refundAmount;
+
+  if (refund.amountPaid <= 0) return refund;
+
+  // Only what the host paid themselves can become their credit; co-payers'
+  // money goes back the way they paid it
+  const toCredit =
+    refundTo === "credit"
+      ? Math.min(
+          refund.refundAmount,
+          (await getPaidByShare(booking._id)).hostPaid
+        )
+      : Math.min(refund.refundAmount, await getCreditPaid(booking));
+  booking.cancellation.refundTo = refundTo;
+  booking.cancellation.creditAmount = toCredit;
+
+  const paymentFlow = await PaymentFlow.findOne({
+    booking: booking._id,
+    status: { $nin: ["failed", "cancelled"] },
+  });
+  if (!paymentFlow) return refund;
+
+  const heldByPlatform =
+    paymentFlow.paymentMethod === "escrow" &&
+    (!escrow || escrow.status === "held");
+
+  if (heldByPlatform) {
+    if (escrow) {
+      const refunded = await refundEscrow(escrow, {
+        refundAmount: refund.refundAmount,
+        reason: `Booking cancelled: ${booking.cancellation.reason}`,
+        refundedBy: user?._id,
+        toCredit,
+      });
+      if (!refunded) {
+        throw createError(STATUS_CODES.CONFLICT, "Escrow is no longer held");
+      }
+      if (refunded.status === "released") {
+        paymentFlow.status = "released";
+        paymentFlow.escrowDetails.releasedAt = refunded.releasedAt;
+        paymentFlow.escrowDetails.releaseReason =
+          "Non-refundable portion released on cancellation";
+      }
+    } else {
+      // Installments paid before the escrow was funded
+      const ledgerOptions = { key: booking._id, createdBy: user?._id };
+      await recordRefund(paymentFlow, refund.refundAmount, {
+        ...ledgerOptions,
+        toCredit,
+      });
+      await recordEscrowRelease(paymentFlow, refund.retainedAmount, {
+        ...ledgerOptions,
+        key: `booking:${booking._id}`,
+      });
+    }
+
+    if (refund.refundAmount > 0) {
+      await settleRefund(booking, paymentFlow, user?._id);
+    } else {
+      await paymentFlow.save();
+    }
+  } else if (refund.refundAmount > 0) {
+    // The booking's earnings must still be in the wallet, not paid out
+    const [earned, walletBalance] = await Promise.all([
+      getAccountBalance(LEDGER_ACCOUNTS.PROVIDER_PAYABLE, {
+        user: booking.provider,
+        booking: booking._id,
+      }),
+      getAccountBalance(LEDGER_ACCOUNTS.PROVIDER_PAYABLE, {
+        user: booking.provider,
+      }),
+    ]);
+
+    const fromWallet =
+      refund.refundAmount -
+      getPlatformFee(paymentFlow, refund.refundAmount) +
+      getCouponSubsidy(paymentFlow, refund.refundAmount);
+
+    if (Math.min(earned, walletBalance) >= fromWallet) {
+      await recordRefund(paymentFlow, refund.refundAmount, {
+        key: booking._id,
+        createdBy: user?._id,
+        fromWallet: true,
+        toCredit,
+      });
+      await settleRefund(booking, paymentFlow, user?._id);
+    } else {
+      // The provider returns the money themselves, so nothing is credited
+      booking.cancellation.refundStatus = "pending";
+      booking.cancellation.creditAmount = 0;
+    }
+  }
+
+  if (refund.refundAmount <= 0) return refund;
+
+  if (notificationService) {
+    const { creditAmount } = booking.cancellation;
+    const { currency } = booking.pricing;
+    const creditNote =
+      creditAmount > 0
+        ? ` (${formatMoney(creditAmount, currency)} to your credit balance)`
+        : "";
+    const message =
+      booking.cancellation.refundStatus === "completed"
+        ? `${formatMoney(
+            refund.refundAmount,
+            currency
+          )} has been refunded for booking ${
+            booking.bookingNumber
+          }${creditNote}`
+        : `A refund of ${formatMoney(
+            refund.refundAmount,
+            currency
+          )} for booking ${
+            booking.bookingNumber
+          } is being processed by the provider`;
+    notificationService
+      .notifySystem(
+        booking.customer,
+        "Booking Refund",
+        message,
+        `/bookings/${booking._id}`,
+        "View Booking",
+        "high"
+      )
+      .catch(() => {});
+  }
+
+  return refund;
+}
+
+/**
+ * Close out a pending cancellation refund once the provider has paid it
+ * back (completed) or an admin decides it is not owed (rejected). Saves the
+ * booking.
+ */
+async function resolveCancellationRefund(
+  booking,
+  { status, user, note },
+  { notificationService } = {}
+) {
+  if (booking.cancellation?.refundStatus !== "pending") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Booking has no pending refund"
+    );
+  }
+
+  if (status === "completed") {
+    const paymentFlow = await PaymentFlow.findOne({
+      booking: booking._id,
+      status: { $nin: ["failed", "cancelled"] },
+    });
+    await settleRefund(booking, paymentFlow, user._id);
+  } else {
+    booking.cancellation.refundStatus = "rejected";
+  }
+
+  booking.statusHistory.push({
+    status: booking.status,
+    changedBy: user._id,
+    changedAt: new Date(),
+    reason: note || `Refund ${booking.cancellation.refundStatus}`,
+  });
+  await booking.save();
+
+  if (notificationService) {
+    notificationService
+      .notifySystem(
+        booking.customer,
+        "Booking Refund",
+        `Your refund for booking ${booking.bookingNumber} was ${booking.cancellation.refundStatus}`,
+        `/bookings/${booking._id}`,
+        "View Booking",
+        "high"
+      )
+      .catch(() => {});
+  }
+
+  return booking;
+}
+
+module.exports = {
+  getPolicyTiers,
+  getBookingPolicy,
+  calculateRefund,
+  applyCancellationRefund,
+  resolveCancellationRefund,
+  getCreditPaid,
+  refundTransactions,
+};
@@ -0,0 +1,232 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const { createConverter } = require("./fxService");
+const { createError, formatMoney } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const rejectCoupon = (message) =>
+  createError(STATUS_CODES.BAD_REQUEST, message);
+
+/**
+ * Why a coupon does not apply to a booking, or null if it does
+ * @param {Object} coupon
+ * @param {Object} coupon - With its amounts in the booking's currency
+ * (see inCurrency)
+ * @param {Object} context - { bookingType, serviceCategory, serviceProvider,
+ * eventCenter, amount, currency, at }
+ */
+function getIneligibility(coupon, context) {
+  const at = context.at || new Date();
+  const { scope = {} } = coupon;
+
+  if (!coupon.isActive) return "This code is no longer active";
+  if (coupon.validFrom && at < coupon.validFrom) {
+    return "This code is not valid yet";
+  }
+  if (coupon.validUntil && at > coupon.validUntil) {
+    return "This code has expired";
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return "This code has reached its usage limit";
+  }
+  if (scope.bookingType && scope.bookingType !== context.bookingType) {
+    return `This code only applies to ${scope.bookingType} bookings`;
+  }
+  if (
+    scope.serviceCategory &&
+    String(scope.serviceCategory).toLowerCase() !==
+      String(context.serviceCategory || "").toLowerCase()
+  ) {
+    return `This code only applies to ${scope.serviceCategory} bookings`;
+  }
+  if (
+    scope.serviceProvider &&
+    scope.serviceProvider.toString() !== String(context.serviceProvider)
+  ) {
+    return "This code does not apply to this provider";
+  }
+  if (
+    scope.eventCenter &&
+    scope.eventCenter.toString() !== String(context.eventCenter)
+  ) {
+    return "This code does not apply to this center";
+  }
+  if (coupon.minSpend && context.amount < coupon.minSpend) {
+    return `A minimum spend of ${formatMoney(
+      coupon.minSpend,
+      context.currency
+    )} is required`;
+  }
+  return null;
+}
+
+/**
+ * A coupon with its money amounts (fixed value, cap and minimum spend) in
+ * the booking's currency
+ */
+async function inCurrency(coupon, currency = "NGN") {
+  const source = coupon.toObject ? coupon.toObject() : coupon;
+  const from = source.currency || "NGN";
+  if (from === currency.toUpperCase()) return source;
+
+  const converter = await createConverter(currency);
+  const convert = (amount) => converter.convert(amount, from);
+  return {
+    ...source,
+    value:
+      source.discountType === "fixed" ? convert(source.value) : source.value,
+    maxDiscount: convert(source.maxDiscount),
+    minSpend: convert(source.minSpend),
+  };
+}
+
+/**
+ * The discount a coupon gives on an amount, and who pays for it
+ */
+function calculateCouponDiscount(coupon, amount) {
+  let discount =
+    coupon.discountType === "percentage"
+      ? (amount * coupon.value) / 100
+      : coupon.value;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, amount));
+
+  const platformCost = roundMoney((discount * coupon.platformShare) / 100);
+
+  return {
+    discount,
+    platformCost,
+    providerCost: roundMoney(discount - platformCost),
+  };
+}
+
+/**
+ * Look up a code and check it applies to this customer's booking
+ * @returns {Promise<{coupon: Object, discount: number, platformCost: number, providerCost: number}>}
+ * @throws 400 with the reason when the code cannot be used
+ */
+async function checkCoupon(code, context, customerId) {
+  const coupon = await Coupon.findOne({
+    code: String(code || "")
+      .trim()
+      .toUpperCase(),
+  });
+  if (!coupon) throw rejectCoupon("Invalid coupon code");
+
+  const priced = await inCurrency(coupon, context.currency);
+  const reason = getIneligibility(priced, context);
+  if (reason) throw rejectCoupon(reason);
+
+  if (customerId) {
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      customer: customerId,
+      status: "applied",
+    });
+    if (used >= coupon.perUserLimit) {
+      throw rejectCoupon("You have already used this code");
+    }
+  }
+
+  return { coupon, ...calculateCouponDiscount(priced, context.amount) };
+}
+
+/**
+ * Redeem a quoted coupon for a new booking. The customer's use is claimed
+ * by a unique redemption and the usage count atomically, both checked
+ * against the coupon as it is now, so the limits hold under concurrent
+ * checkouts and an expired code cannot be redeemed from an older quote.
+ * @param {Object} quoted - Coupon recorded on the quote
+ * @param {Object} booking - The booking it was applied to
+ */
+async function redeemCoupon(quoted, booking) {
+  const applied = await CouponRedemption.find({
+    coupon: quoted.couponId,
+    customer: booking.customer,
+    status: "applied",
+  }).select("useNumber");
+  const taken = new Set(applied.map((item) => item.useNumber));
+  let useNumber = 1;
+  while (taken.has(useNumber)) useNumber += 1;
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: quoted.couponId,
+      code: quoted.code,
+      booking: booking._id,
+      customer: booking.customer,
+      useNumber,
+      discount: quoted.discount,
+      platformCost: quoted.platformCost,
+      providerCost: quoted.providerCost,
+      currency: booking.pricing.currency,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw rejectCoupon("You have already used this code");
+    }
+    throw error;
+  }
+
+  const now = new Date();
+  let coupon;
+  try {
+    coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: quoted.couponId,
+        isActive: true,
+        perUserLimit: { $gte: useNumber },
+        $and: [
+          { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+          { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+          {
+            $or: [
+              { usageLimit: { $exists: false } },
+              { usageLimit: null },
+              { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+            ],
+          },
+        ],
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+  } finally {
+    if (!coupon) await CouponRedemption.deleteOne({ _id: redemption._id });
+  }
+
+  if (!coupon) {
+    throw rejectCoupon(`Coupon ${quoted.code} can no longer be used`);
+  }
+  return redemption;
+}
+
+/**
+ * Give a cancelled booking's coupon use back
+ */
+async function releaseCoupon(booking) {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { booking: booking._id, status: "applied" },
+    { $set: { status: "released", releasedAt: new Date() } },
+    { new: true }
+  );
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  return redemption;
+}
+
+module.exports = {
+  calculateCouponDiscount,
+  checkCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,170 @@
+const CreditAccount = require("../models/CreditAccount");
+const CreditTransaction = require("../models/CreditTransaction");
+const { postEntry } = require("./ledgerService");
+const {
+  createError,
+  generateReference,
+  formatMoney,
+} = require("../utils/helpers");
+const { STATUS_CODES, LEDGER_ACCOUNTS } = require("../utils/constants");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A customer's credit balance in one currency
+ */
+async function getCreditBalance(userId, currency = "NGN") {
+  const account = await CreditAccount.findOne({ user: userId, currency });
+  return account ? account.balance : 0;
+}
+
+/**
+ * Add credit to a customer's balance. The reference is claimed before the
+ * balance moves, so the same credit is never added twice.
+ * @param {Object} options
+ * @param {Object} options.user - User id
+ * @param {number} options.amount - Positive amount to add
+ * @param {string} options.type - "refund" | "goodwill" | "payment_reversal"
+ * @param {string} options.reference - Idempotency key
+ * @returns {Promise<Object>} The CreditTransaction
+ */
+async function addCredit({
+  user,
+  amount,
+  currency = "NGN",
+  type,
+  reference,
+  description,
+  booking,
+  transaction,
+  ledgerEntry,
+  createdBy,
+}) {
+  let credit;
+  try {
+    credit = await CreditTransaction.create({
+      reference,
+      user,
+      type,
+      amount: roundMoney(amount),
+      currency,
+      description,
+      booking,
+      transaction,
+      ledgerEntry,
+      createdBy,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return CreditTransaction.findOne({ reference });
+    }
+    throw error;
+  }
+
+  const account = await CreditAccount.findOneAndUpdate(
+    { user, currency },
+    { $inc: { balance: credit.amount } },
+    { upsert: true, new: true }
+  );
+
+  credit.balanceAfter = account.balance;
+  return credit.save();
+}
+
+/**
+ * Take credit off a customer's balance. The balance check and the
+ * deduction are a single update, so concurrent spends cannot overdraw it.
+ * @throws 400 when the balance does not cover the amount
+ * @returns {Promise<Object>} The CreditTransaction
+ */
+async function spendCredit({
+  user,
+  amount,
+  currency = "NGN",
+  reference,
+  description,
+  booking,
+}) {
+  const account = await CreditAccount.findOneAndUpdate(
+    { user, currency, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true }
+  );
+
+  if (!account) {
+    const balance = await getCreditBalance(user, currency);
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Insufficient credit balance (${balance} ${currency} available)`
+    );
+  }
+
+  return CreditTransaction.create({
+    reference,
+    user,
+    type: "booking_payment",
+    amount: -roundMoney(amount),
+    balanceAfter: account.balance,
+    currency,
+    description,
+    booking,
+  });
+}
+
+/**
+ * Admin grants goodwill credit; the platform bears the cost
+ */
+async function grantGoodwillCredit(
+  { user, amount, currency = "NGN", reason, grantedBy },
+  { notificationService } = {}
+) {
+  const reference = generateReference("GWC");
+
+  const entry = await postEntry({
+    reference: `goodwill:${reference}`,
+    entryType: "credit_grant",
+    description: `Goodwill credit: ${reason}`,
+    currency,
+    lines: [
+      { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, debit: amount },
+      { account: LEDGER_ACCOUNTS.CUSTOMER_CREDIT, user, credit: amount },
+    ],
+    createdBy: grantedBy,
+  });
+
+  const credit = await addCredit({
+    user,
+    amount,
+    currency,
+    type: "goodwill",
+    reference: `goodwill:${reference}`,
+    description: reason,
+    ledgerEntry: entry._id,
+    createdBy: grantedBy,
+  });
+
+  if (notificationService) {
+    notificationService
+      .notifySystem(
+        user,
+        "Credit Added",
+        `${formatMoney(
+          amount,
+          currency
+        )} has been added to your credit balance: ${reason}`,
+        "/credit",
+        "View Credit",
+        "medium"
+      )
+      .catch(() => {});
+  }
+
+  return credit;
+}
+
+module.exports = {
+  getCreditBalance,
+  addCredit,
+  spendCredit,
+  grantGoodwillCredit,
+};
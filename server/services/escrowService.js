@@ -0,0 +1,822 @@
+const Booking = require("../models/Booking");
+const PaymentFlow = require("../models/PaymentFlow");
+const EscrowTransaction = require("../models/EscrowTransaction");
+const {
+  getPlatformFee,
+  getCouponSubsidy,
+  recordEscrowRelease,
+  recordRefund,
+} = require("./ledgerService");
+const { issueReleaseReceipt } = require("./invoiceService");
+const { escrowHoldDays } = require("../config/environment");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES, PAYMENT_STATUS } = require("../utils/constants");
+
+// Dispute statuses during which funds stay frozen
+const ACTIVE_DISPUTE_STATUSES = ["open", "investigating"];
+
+// When held funds are released: escrowHoldDays after the later of
+// funding and the event
+const getHoldExpiry = (fundedAt, eventDate) => {
+  const holdStart = new Date(
+    Math.max(new Date(fundedAt).getTime(), new Date(eventDate).getTime())
+  );
+  const expiresAt = new Date(holdStart);
+  expiresAt.setDate(expiresAt.getDate() + escrowHoldDays);
+  return expiresAt;
+};
+
+/**
+ * Move a fully paid escrow payment flow into a held EscrowTransaction.
+ * The hold runs from the later of "now" and the event date, so funds paid
+ * well ahead of the event are not released before it happens.
+ * Safe to call more than once per payment flow; a held escrow is topped up
+ * when the booking's price has since gone up and been paid.
+ */
+async function fundEscrow(paymentFlow) {
+  const existing = await EscrowTransaction.findOne({
+    paymentFlow: paymentFlow._id,
+  });
+  if (existing) {
+    const topUp = paymentFlow.totalAmount - existing.amount;
+    if (existing.status !== "held" || topUp <= 0) return existing;
+
+    const toppedUp = await EscrowTransaction.findOneAndUpdate(
+      { _id: existing._id, status: "held", amount: existing.amount },
+      {
+        $inc: { amount: topUp },
+        $push: {
+          history: {
+            action: "funded",
+            note: `Topped up by ${topUp} after a booking change`,
+          },
+        },
+      },
+      { new: true }
+    );
+    return toppedUp || EscrowTransaction.findById(existing._id);
+  }
+
+  const booking = await Booking.findById(paymentFlow.booking).select(
+    "eventDetails.eventDate"
+  );
+
+  const fundedAt = new Date();
+  const expiresAt = getHoldExpiry(fundedAt, booking.eventDetails.eventDate);
+
+  let escrow;
+  try {
+    escrow = await EscrowTransaction.create({
+      paymentFlow: paymentFlow._id,
+      booking: paymentFlow.booking,
+      customer: paymentFlow.customer,
+      provider: paymentFlow.provider,
+      amount: paymentFlow.totalAmount,
+      currency: paymentFlow.currency,
+      status: "held",
+      fundedAt,
+      holdPeriod: { days: escrowHoldDays, expiresAt },
+      releaseConditions: { autoReleaseDate: expiresAt },
+      history: [
+        { action: "funded", note: "Booking payment received" },
+        {
+          action: "held",
+          note: `Held until ${expiresAt.toISOString()} unless released earlier`,
+        },
+      ],
+    });
+  } catch (error) {
+    // Another settlement created it first
+    if (error.code === 11000) {
+      return EscrowTransaction.findOne({ paymentFlow: paymentFlow._id });
+    }
+    throw error;
+  }
+
+  paymentFlow.escrowDetails.heldAt = fundedAt;
+  paymentFlow.escrowDetails.releaseDate = expiresAt;
+  await paymentFlow.save();
+
+  return escrow;
+}
+
+/**
+ * Release held funds to the provider
+ * @param {Object} escrow - EscrowTransaction document
+ * @param {Object} options
+ * @param {string} options.method - "manual" | "auto" | "admin"
+ * @param {Object} [options.releasedBy] - User id (none for auto release)
+ * @param {string} [options.note]
+ * @param {Object} [options.notificationService]
+ * @returns {Promise<Object|null>} Released escrow, or null if it was no
+ * longer held
+ */
+async function releaseEscrow(
+  escrow,
+  { method, releasedBy, note, notificationService }
+) {
+  const releasedAt = new Date();
+
+  // Claim the release atomically so the job and a manual release can't both pay out
+  const released = await EscrowTransaction.findOneAndUpdate(
+    { _id: escrow._id, status: "held", "dispute.isDisputed": { $ne: true } },
+    {
+      $set: {
+        status: "released",
+        releasedAt,
+        releasedBy,
+        releaseMethod: method,
+      },
+      $push: {
+        history: {
+          action: "released",
+          performedBy: releasedBy,
+          timestamp: releasedAt,
+          note: note || `Released (${method})`,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!released) return null;
+
+  const paymentFlow = await PaymentFlow.findById(released.paymentFlow);
+  if (paymentFlow) {
+    paymentFlow.status = "released";
+    paymentFlow.escrowDetails.releasedAt = releasedAt;
+    paymentFlow.escrowDetails.releaseReason = note || `Released (${method})`;
+    paymentFlow.timeline.push({
+      status: "released",
+      note: `Escrow released to provider (${method})`,
+    });
+    await paymentFlow.save();
+
+    await recordEscrowRelease(paymentFlow, released.amount, {
+      key: released._id,
+      escrow: released._id,
+      createdBy: releasedBy,
+    });
+  }
+
+  await issueReleaseReceipt(released).catch((error) =>
+    console.error("Error issuing release receipt:", error)
+  );
+
+  if (notificationService) {
+    const booking = await Booking.findById(released.booking);
+    const amount = paymentFlow ? paymentFlow.providerAmount : released.amount;
+    if (booking) {
+      notificationService
+        .notifyPaymentReleased(booking, amount)
+        .catch(() => {});
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Record that the booked event took place
+ */
+async function markEventCompleted(bookingId, completedBy) {
+  return EscrowTransaction.findOneAndUpdate(
+    { booking: bookingId, status: { $in: ["held", "disputed"] } },
+    {
+      $set: { "releaseConditions.eventCompleted": true },
+      $push: {
+        history: {
+          action: "event_completed",
+          performedBy: completedBy,
+          timestamp: new Date(),
+          note: "Booking marked as completed",
+        },
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Customer confirms they are satisfied and releases the funds early
+ */
+async function approveRelease(escrow, customer, { notificationService } = {}) {
+  if (escrow.status !== "held") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Escrow is ${escrow.status} and cannot be released`
+    );
+  }
+
+  if (!escrow.releaseConditions.eventCompleted) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Funds can only be released once the booking is completed"
+    );
+  }
+
+  await EscrowTransaction.updateOne(
+    { _id: escrow._id },
+    {
+      $set: { "releaseConditions.customerApproved": true },
+      $push: {
+        history: {
+          action: "customer_approved",
+          performedBy: customer,
+          timestamp: new Date(),
+          note: "Customer approved release",
+        },
+      },
+    }
+  );
+
+  const released = await releaseEscrow(escrow, {
+    method: "manual",
+    releasedBy: customer,
+    note: "Released on customer approval",
+    notificationService,
+  });
+
+  if (!released) {
+    throw createError(STATUS_CODES.CONFLICT, "Escrow is no longer held");
+  }
+  return released;
+}
+
+/**
+ * Release every undisputed hold whose auto-release date has passed
+ * @returns {Promise<number>} Number of escrows released
+ */
+async function releaseExpiredEscrows(notificationService) {
+  const expired = await EscrowTransaction.find({
+    status: "held",
+    "dispute.isDisputed": { $ne: true },
+    "releaseConditions.autoReleaseDate": { $lte: new Date() },
+  });
+
+  let releasedCount = 0;
+  for (const escrow of expired) {
+    // eslint-disable-next-line no-await-in-loop
+    const released = await releaseEscrow(escrow, {
+      method: "auto",
+      note: "Hold period expired",
+      notificationService,
+    });
+    if (released) releasedCount += 1;
+  }
+
+  if (releasedCount > 0) {
+    console.log(`Auto-released ${releasedCount} escrow transaction(s)`);
+  }
+  return releasedCount;
+}
+
+/**
+ * Check a dispute can be opened on an escrow (only while it is held)
+ * @throws 400 when it cannot
+ */
+function assertCanDispute(escrow) {
+  if (escrow.status !== "held") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Escrow is ${escrow.status} and cannot be disputed`
+    );
+  }
+}
+
+/**
+ * Check an escrow has a dispute still taking evidence
+ * @throws 400 when it does not
+ */
+function assertDisputeOpen(escrow) {
+  if (
+    escrow.status !== "disputed" ||
+    !ACTIVE_DISPUTE_STATUSES.includes(escrow.dispute?.status)
+  ) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "Dispute is not open");
+  }
+}
+
+/**
+ * Freeze a held escrow while the customer or provider disputes it
+ * @param {Object} escrow - EscrowTransaction document
+ * @param {Object} dispute - { openedBy, reason, evidence: [{ url, caption }] }
+ * @param {Object} [options] - { notificationService }
+ */
+async function openDispute(
+  escrow,
+  { openedBy, reason, evidence = [] },
+  { notificationService } = {}
+) {
+  assertCanDispute(escrow);
+
+  const now = new Date();
+  const disputed = await EscrowTransaction.findOneAndUpdate(
+    { _id: escrow._id, status: "held" },
+    {
+      $set: {
+        status: "disputed",
+        dispute: {
+          isDisputed: true,
+          disputedAt: now,
+          disputedBy: openedBy,
+          reason,
+          status: "open",
+          evidence: evidence.map((item) => ({
+            ...item,
+            uploadedBy: openedBy,
+            uploadedAt: now,
+          })),
+        },
+      },
+      $push: {
+        history: {
+          action: "dispute_opened",
+          performedBy: openedBy,
+          timestamp: now,
+          note: reason,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!disputed) {
+    throw createError(STATUS_CODES.CONFLICT, "Escrow is no longer held");
+  }
+
+  if (notificationService) {
+    notificationService
+      .notifyDisputeUpdate(
+        disputed,
+        "dispute_opened",
+        "Payment Disputed",
+        `A dispute was opened on this booking's payment: ${reason}`,
+        openedBy
+      )
+      .catch(() => {});
+  }
+
+  return disputed;
+}
+
+/**
+ * Attach more evidence to an open dispute
+ */
+async function addDisputeEvidence(
+  escrow,
+  { uploadedBy, evidence },
+  { notificationService } = {}
+) {
+  const now = new Date();
+  const updated = await EscrowTransaction.findOneAndUpdate(
+    {
+      _id: escrow._id,
+      status: "disputed",
+      "dispute.status": { $in: ACTIVE_DISPUTE_STATUSES },
+    },
+    {
+      $push: {
+        "dispute.evidence": {
+          $each: evidence.map((item) => ({
+            ...item,
+            uploadedBy,
+            uploadedAt: now,
+          })),
+        },
+        history: {
+          action: "dispute_evidence_added",
+          performedBy: uploadedBy,
+          timestamp: now,
+          note: `${evidence.length} file(s) added`,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "Dispute is not open");
+  }
+
+  if (notificationService) {
+    notificationService
+      .notifyDisputeUpdate(
+        updated,
+        "dispute_updated",
+        "Dispute Evidence Added",
+        "New evidence was added to the payment dispute",
+        uploadedBy
+      )
+      .catch(() => {});
+  }
+
+  return updated;
+}
+
+/**
+ * Admin picks up an open dispute
+ */
+async function investigateDispute(
+  escrow,
+  { admin, note },
+  { notificationService } = {}
+) {
+  const updated = await EscrowTransaction.findOneAndUpdate(
+    { _id: escrow._id, status: "disputed", "dispute.status": "open" },
+    {
+      $set: { "dispute.status": "investigating" },
+      $push: {
+        history: {
+          action: "dispute_investigating",
+          performedBy: admin,
+          timestamp: new Date(),
+          note: note || "Dispute under investigation",
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Only open disputes can be moved to investigation"
+    );
+  }
+
+  if (notificationService) {
+    notificationService
+      .notifyDisputeUpdate(
+        updated,
+        "dispute_updated",
+        "Dispute Under Investigation",
+        "Our team is now reviewing the payment dispute",
+        admin
+      )
+      .catch(() => {});
+  }
+
+  return updated;
+}
+
+/**
+ * Admin settles a dispute by releasing, refunding or splitting the funds
+ * @param {Object} escrow - EscrowTransaction document
+ * @param {Object} decision
+ * @param {Object} decision.admin - Admin user id
+ * @param {string} decision.outcome - "release" | "refund" | "split"
+ * @param {number} [decision.releaseAmount] - Amount paid to the provider on a split
+ * @param {string} decision.resolution - Explanation shared with both parties
+ * @param {Object} [options] - { notificationService }
+ */
+async function resolveDispute(
+  escrow,
+  { admin, outcome, releaseAmount, resolution },
+  { notificationService } = {}
+) {
+  let toProvider;
+  if (outcome === "release") {
+    toProvider = escrow.amount;
+  } else if (outcome === "refund") {
+    toProvider = 0;
+  } else if (outcome === "split") {
+    toProvider = Number(releaseAmount);
+    if (!(toProvider > 0) || toProvider >= escrow.amount) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        `Split release amount must be between 0 and ${escrow.amount}`
+      );
+    }
+  } else {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      'Outcome must be "release", "refund" or "split"'
+    );
+  }
+
+  const toCustomer = escrow.amount - toProvider;
+  const now = new Date();
+
+  const update = {
+    status: toProvider > 0 ? "released" : "refunded",
+    "dispute.status": "resolved",
+    "dispute.resolution": resolution,
+    "dispute.outcome": outcome,
+    "dispute.releaseAmount": toProvider,
+    "dispute.resolvedAt": now,
+    "dispute.resolvedBy": admin,
+  };
+  if (toProvider > 0) {
+    update.releasedAt = now;
+    update.releasedBy = admin;
+    update.releaseMethod = "admin";
+  }
+  if (toCustomer > 0) {
+    update.refund = {
+      refundedAt: now,
+      refundAmount: toCustomer,
+      refundReason: `Dispute resolution: ${resolution}`,
+      refundedBy: admin,
+    };
+  }
+
+  const resolved = await EscrowTransaction.findOneAndUpdate(
+    {
+      _id: escrow._id,
+      status: "disputed",
+      "dispute.status": { $in: ACTIVE_DISPUTE_STATUSES },
+    },
+    {
+      $set: update,
+      $push: {
+        history: {
+          action: "dispute_resolved",
+          performedBy: admin,
+          timestamp: now,
+          note: `${outcome}: ${toProvider} to provider, ${toCustomer} to customer`,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!resolved) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "Dispute is not open");
+  }
+
+  const paymentFlow = await PaymentFlow.findById(resolved.paymentFlow);
+  if (paymentFlow) {
+    paymentFlow.status = resolved.status;
+    if (toProvider > 0) {
+      paymentFlow.escrowDetails.releasedAt = now;
+      paymentFlow.escrowDetails.releaseReason = `Dispute resolution: ${resolution}`;
+    }
+    if (toCustomer > 0) {
+      paymentFlow.refundDetails = {
+        refundedAt: now,
+        refundAmount: toCustomer,
+        refundReason: `Dispute resolution: ${resolution}`,
+      };
+    }
+    paymentFlow.timeline.push({
+      status: paymentFlow.status,
+      note: `Dispute resolved (${outcome})`,
+    });
+    await paymentFlow.save();
+
+    const ledgerOptions = {
+      key: resolved._id,
+      escrow: resolved._id,
+      createdBy: admin,
+    };
+    await recordEscrowRelease(paymentFlow, toProvider, ledgerOptions);
+    await recordRefund(paymentFlow, toCustomer, ledgerOptions);
+  }
+
+  if (toProvider > 0) {
+    await issueReleaseReceipt(resolved, toProvider).catch((error) =>
+      console.error("Error issuing release receipt:", error)
+    );
+  }
+
+  const booking = await Booking.findById(resolved.booking);
+  if (booking && toProvider === 0) {
+    booking.paymentStatus = PAYMENT_STATUS.REFUNDED;
+    await booking.save();
+  }
+
+  if (notificationService) {
+    notificationService
+      .notifyDisputeUpdate(
+        resolved,
+        "dispute_resolved",
+        "Dispute Resolved",
+        `The payment dispute was resolved: ${resolution}`,
+        admin
+      )
+      .catch(() => {});
+
+    if (booking && toProvider > 0) {
+      const netAmount = paymentFlow
+        ? toProvider -
+          getPlatformFee(paymentFlow, toProvider) +
+          getCouponSubsidy(paymentFlow, toProvider)
+        : toProvider;
+      notificationService
+        .notifyPaymentReleased(booking, netAmount)
+        .catch(() => {});
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Refund part or all of a held escrow after a booking is cancelled.
+ * Whatever the cancellation policy does not refund goes to the provider;
+ * `toCredit` of the refund goes to the customer's store credit.
+ * @returns {Promise<Object|null>} Updated escrow, or null if it was no
+ * longer held
+ */
+async function refundEscrow(
+  escrow,
+  { refundAmount, reason, refundedBy, toCredit = 0 }
+) {
+  const toCustomer = Math.min(refundAmount, escrow.amount);
+  const toProvider = escrow.amount - toCustomer;
+  const now = new Date();
+
+  const update = {
+    status: toProvider > 0 ? "released" : "refunded",
+  };
+  if (toCustomer > 0) {
+    update.refund = {
+      refundedAt: now,
+      refundAmount: toCustomer,
+      refundReason: reason,
+      refundedBy,
+    };
+  }
+  if (toProvider > 0) {
+    update.releasedAt = now;
+    update.releasedBy = refundedBy;
+    update.releaseMethod = "admin";
+  }
+
+  const refunded = await EscrowTransaction.findOneAndUpdate(
+    { _id: escrow._id, status: "held" },
+    {
+      $set: update,
+      $push: {
+        history: {
+          action: "refunded",
+          performedBy: refundedBy,
+          timestamp: now,
+          note: `Booking cancelled: ${toCustomer} to customer, ${toProvider} to provider`,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!refunded) return null;
+
+  const paymentFlow = await PaymentFlow.findById(refunded.paymentFlow);
+  if (paymentFlow) {
+    const ledgerOptions = {
+      key: refunded._id,
+      escrow: refunded._id,
+      createdBy: refundedBy,
+    };
+    await recordEscrowRelease(paymentFlow, toProvider, ledgerOptions);
+    await recordRefund(paymentFlow, toCustomer, {
+      ...ledgerOptions,
+      toCredit: Math.min(toCredit, toCustomer),
+    });
+  }
+
+  if (toProvider > 0) {
+    await issueReleaseReceipt(refunded, toProvider).catch((error) =>
+      console.error("Error issuing release receipt:", error)
+    );
+  }
+
+  return refunded;
+}
+
+/**
+ * Give part of a held escrow back to the customer (a booking change made it
+ * cheaper); the rest stays held
+ * @param {Object} escrow - EscrowTransaction document
+ * @param {Object} options
+ * @param {number} options.amount - Amount to refund
+ * @param {string} options.key - Unique key for the ledger entry
+ * @param {number} [options.toCredit] - Part of it going to store credit
+ * @returns {Promise<Object|null>} Updated escrow, or null if it was no
+ * longer held (or holds less than the amount)
+ */
+async function refundEscrowPart(
+  escrow,
+  { amount, key, reason, refundedBy, toCredit = 0 }
+) {
+  const refunded = await EscrowTransaction.findOneAndUpdate(
+    { _id: escrow._id, status: "held", amount: { $gte: amount } },
+    {
+      $inc: { amount: -amount },
+      $push: {
+        history: {
+          action: "refunded",
+          performedBy: refundedBy,
+          timestamp: new Date(),
+          note: `${amount} refunded to customer: ${reason}`,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!refunded) return null;
+
+  const paymentFlow = await PaymentFlow.findById(refunded.paymentFlow);
+  if (paymentFlow) {
+    await recordRefund(paymentFlow, amount, {
+      key,
+      escrow: refunded._id,
+      createdBy: refundedBy,
+      toCredit: Math.min(toCredit, amount),
+    });
+  }
+
+  return refunded;
+}
+
+/**
+ * Move a held escrow's release date with its booking's new event date
+ */
+async function rescheduleEscrow(escrow, eventDate) {
+  if (escrow.status !== "held" || !escrow.fundedAt) return escrow;
+
+  const expiresAt = getHoldExpiry(escrow.fundedAt, eventDate);
+  escrow.holdPeriod.expiresAt = expiresAt;
+  escrow.releaseConditions.autoReleaseDate = expiresAt;
+  escrow.history.push({
+    action: "held",
+    note: `Event rescheduled, held until ${expiresAt.toISOString()} unless released earlier`,
+  });
+  await escrow.save();
+
+  await PaymentFlow.updateOne(
+    { _id: escrow.paymentFlow },
+    { $set: { "escrowDetails.releaseDate": expiresAt } }
+  );
+  return escrow;
+}
+
+/**
+ * The party who opened a dispute withdraws it; the hold (and auto-release)
+ * resumes as before
+ */
+async function withdrawDispute(escrow, { user }, { notificationService } = {}) {
+  const updated = await EscrowTransaction.findOneAndUpdate(
+    {
+      _id: escrow._id,
+      status: "disputed",
+      "dispute.status": { $in: ACTIVE_DISPUTE_STATUSES },
+    },
+    {
+      $set: {
+        status: "held",
+        "dispute.isDisputed": false,
+        "dispute.status": "closed",
+        "dispute.resolvedAt": new Date(),
+        "dispute.resolvedBy": user,
+        "dispute.resolution": "Withdrawn",
+      },
+      $push: {
+        history: {
+          action: "dispute_withdrawn",
+          performedBy: user,
+          timestamp: new Date(),
+          note: "Dispute withdrawn",
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "Dispute is not open");
+  }
+
+  if (notificationService) {
+    notificationService
+      .notifyDisputeUpdate(
+        updated,
+        "dispute_updated",
+        "Dispute Withdrawn",
+        "The payment dispute was withdrawn and the hold has resumed",
+        user
+      )
+      .catch(() => {});
+  }
+
+  return updated;
+}
+
+module.exports = {
+  fundEscrow,
+  releaseEscrow,
+  markEventCompleted,
+  approveRelease,
+  releaseExpiredEscrows,
+  assertCanDispute,
+  assertDisputeOpen,
+  openDispute,
+  addDisputeEvidence,
+  investigateDispute,
+  resolveDispute,
+  withdrawDispute,
+  refundEscrow,
+  refundEscrowPart,
+  rescheduleEscrow,
+};
@@ -0,0 +1,438 @@
+const Booking = require("../models/Booking");
+const EscrowTransaction = require("../models/EscrowTransaction");
+const {
+  buildQuote,
+  verifyQuote,
+  assertMatchesQuote,
+} = require("./quoteService");
+const { calculateRefund } = require("./cancellationService");
+const { getCreditBalance } = require("./creditService");
+const { payWithCredit } = require("./paymentService");
+const { createConverter } = require("./fxService");
+const {
+  createBooking,
+  discardBooking,
+  cancelBooking,
+} = require("./bookingService");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES, BOOKING_STATUS } = require("../utils/constants");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Bookings that can still be cancelled
+const OPEN_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+/**
+ * One status for the whole plan from its bookings': every vendor confirmed,
+ * some still pending, and so on. Cancelled bookings only count when
+ * nothing else is left.
+ * @returns {{status: string, counts: Object}}
+ */
+function getPlanStatus(plan, bookings) {
+  const counts = Object.values(BOOKING_STATUS).reduce(
+    (acc, status) => ({ ...acc, [status]: 0 }),
+    {}
+  );
+  bookings.forEach((booking) => {
+    counts[booking.status] += 1;
+  });
+
+  const live = bookings.length - counts[BOOKING_STATUS.CANCELLED];
+  const settled =
+    counts[BOOKING_STATUS.CONFIRMED] + counts[BOOKING_STATUS.COMPLETED];
+
+  let status;
+  if (plan.status === "cancelled" || (bookings.length > 0 && live === 0)) {
+    status = "cancelled";
+  } else if (live === 0) {
+    status = "planning";
+  } else if (counts[BOOKING_STATUS.COMPLETED] === live) {
+    status = "completed";
+  } else if (settled === live) {
+    status = "all_confirmed";
+  } else if (settled > 0) {
+    status = "partially_confirmed";
+  } else {
+    status = "pending";
+  }
+
+  return { status, counts };
+}
+
+/**
+ * Spend against the plan's budget, in the budget's currency: what live
+ * bookings commit and what the cart would add
+ */
+async function getBudgetSummary(plan, bookings) {
+  const { amount, currency } = plan.budget || {};
+  const converter = await createConverter(currency || "NGN");
+  const toBudget = (value, from) =>
+    from === converter.currency ? value : converter.convert(value, from);
+
+  const committed = bookings
+    .filter((booking) => booking.status !== BOOKING_STATUS.CANCELLED)
+    .reduce(
+      (sum, booking) =>
+        sum + toBudget(booking.pricing.totalAmount, booking.pricing.currency),
+      0
+    );
+  const inCart = plan.cart.reduce(
+    (sum, item) => sum + toBudget(item.totalAmount, item.currency),
+    0
+  );
+
+  return {
+    amount,
+    currency: converter.currency,
+    committed: roundMoney(committed),
+    inCart: roundMoney(inCart),
+    remaining:
+      amount === undefined ? undefined : roundMoney(amount - committed),
+    overBudget: amount !== undefined && committed + inCart > amount,
+  };
+}
+
+/**
+ * A plan's bookings with its combined status and budget
+ */
+async function getPlanSummary(plan) {
+  const bookings = await Booking.find({ eventPlan: plan._id })
+    .populate("provider", "name email phone")
+    .populate("serviceProvider", "serviceName serviceCategory images")
+    .populate("eventCenter", "centerName location images")
+    .populate("listing", "hallName capacity images")
+    .sort({ createdAt: 1 });
+
+  return {
+    bookings,
+    ...getPlanStatus(plan, bookings),
+    budget: await getBudgetSummary(plan, bookings),
+  };
+}
+
+/**
+ * The booking request for a cart item: the vendor and hours from the item,
+ * everything else from the plan
+ */
+function toBookingRequest(plan, item) {
+  const { eventType, eventDate, guestCount } = plan.eventDetails;
+
+  return {
+    bookingType: item.bookingType,
+    serviceProviderId: item.serviceProvider?.toString(),
+    eventCenterId: item.eventCenter?.toString(),
+    listingId: item.listing?.toString(),
+    eventDetails: {
+      eventName: plan.name,
+      eventType,
+      eventDate,
+      startTime: item.startTime,
+      endTime: item.endTime,
+      guestCount,
+      specialRequests: item.specialRequests,
+    },
+    notes: item.notes,
+  };
+}
+
+/**
+ * The quote request a cart item's quote was priced from, to price it again
+ */
+function toQuoteInput(quote) {
+  const { selection } = quote;
+
+  return {
+    bookingType: selection.bookingType,
+    serviceProviderId: selection.serviceProviderId,
+    serviceId: selection.serviceId,
+    eventCenterId: selection.eventCenterId,
+    listingId: selection.listingId,
+    packageId: selection.packageId,
+    eventDetails: {
+      eventDate: selection.eventDate,
+      startTime: selection.startTime,
+      endTime: selection.endTime,
+      guestCount: selection.guestCount,
+    },
+    addOns: quote.lineItems
+      .filter((line) => line.type === "addon")
+      .map((line) => ({ addOnId: line.addOnId, quantity: line.quantity })),
+    currency: quote.display?.currency,
+    couponCode: quote.coupon?.code,
+  };
+}
+
+/**
+ * Price every cart item again at today's prices. Items keep their new
+ * quote either way; if any total moved the host reviews the cart before
+ * checking out.
+ * @throws 409 listing the items whose price changed
+ */
+async function requoteCart(plan, user) {
+  const changed = [];
+  for (const [index, item] of plan.cart.entries()) {
+    let quote;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      quote = await buildQuote(toQuoteInput(item.quote), user._id);
+    } catch (error) {
+      throw createError(
+        error.statusCode || STATUS_CODES.INTERNAL_ERROR,
+        `Cart item ${index + 1}: ${error.message}`
+      );
+    }
+
+    if (
+      quote.pricing.totalAmount !== item.totalAmount ||
+      quote.pricing.currency !== item.currency
+    ) {
+      changed.push(index + 1);
+    }
+    item.quote = quote;
+    item.totalAmount = quote.pricing.totalAmount;
+    item.currency = quote.pricing.currency;
+  }
+
+  await plan.save();
+  if (changed.length > 0) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      `Prices have changed for cart item(s) ${changed.join(
+        ", "
+      )}, please review the cart and check out again`
+    );
+  }
+}
+
+const assertPlanning = (plan) => {
+  if (plan.status !== "planning") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Cannot change a ${plan.status} plan`
+    );
+  }
+};
+
+/**
+ * Add a quoted vendor to the plan's cart. The quote must be for the plan's
+ * date and guest count.
+ */
+async function addCartItem(plan, user, input) {
+  assertPlanning(plan);
+
+  const quote = verifyQuote(input.quoteToken, user._id);
+  const item = {
+    bookingType: input.bookingType,
+    serviceProvider: input.serviceProviderId,
+    eventCenter: input.eventCenterId,
+    listing: input.listingId,
+    startTime: input.startTime,
+    endTime: input.endTime,
+    specialRequests: input.specialRequests,
+    notes: input.notes,
+    quote,
+    totalAmount: quote.pricing.totalAmount,
+    currency: quote.pricing.currency,
+  };
+  assertMatchesQuote(quote, toBookingRequest(plan, item));
+
+  plan.cart.push(item);
+  await plan.save();
+  return plan.cart[plan.cart.length - 1];
+}
+
+/**
+ * Book every vendor in the cart at once, at today's prices. Either all of
+ * them are booked (and their slots held) or none are. Credit checkouts are then paid
+ * booking by booking; a payment that fails leaves that booking to be paid
+ * another way.
+ * @returns {Promise<{bookings: Array, paymentErrors: Array}>}
+ */
+async function checkoutPlan(
+  plan,
+  user,
+  { paymentMethod = "escrow", notificationService } = {}
+) {
+  assertPlanning(plan);
+  if (plan.cart.length === 0) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "The plan's cart is empty");
+  }
+
+  await requoteCart(plan, user);
+
+  if (paymentMethod === "credit") {
+    const totals = plan.cart.reduce(
+      (acc, item) => ({
+        ...acc,
+        [item.currency]: (acc[item.currency] || 0) + item.totalAmount,
+      }),
+      {}
+    );
+    for (const [currency, total] of Object.entries(totals)) {
+      // eslint-disable-next-line no-await-in-loop
+      const balance = await getCreditBalance(user._id, currency);
+      if (balance < total) {
+        throw createError(
+          STATUS_CODES.BAD_REQUEST,
+          `Insufficient credit balance (${balance} ${currency} available, ${roundMoney(
+            total
+          )} needed)`
+        );
+      }
+    }
+  }
+
+  const bookings = [];
+  for (const [index, item] of plan.cart.entries()) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const booking = await createBooking(
+        user,
+        { ...toBookingRequest(plan, item), paymentMethod },
+        {
+          eventPlan: plan,
+          quote: item.quote,
+          payWithCredit: false,
+          notificationService,
+        }
+      );
+      bookings.push(booking);
+    } catch (error) {
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.all(bookings.map((booking) => discardBooking(booking)));
+      throw createError(
+        error.statusCode || STATUS_CODES.INTERNAL_ERROR,
+        `Cart item ${index + 1}: ${error.message}`
+      );
+    }
+  }
+
+  plan.cart = [];
+  await plan.save();
+
+  const paymentErrors = [];
+  if (paymentMethod === "credit") {
+    for (const booking of bookings) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await payWithCredit({ booking, notificationService });
+      } catch (error) {
+        paymentErrors.push({
+          booking: booking._id,
+          bookingNumber: booking.bookingNumber,
+          message: error.message,
+        });
+      }
+    }
+  }
+
+  return {
+    bookings: await Booking.find({
+      _id: { $in: bookings.map((booking) => booking._id) },
+    }),
+    paymentErrors,
+  };
+}
+
+/**
+ * What cancelling the plan now would refund, vendor by vendor under each
+ * one's own cancellation policy
+ */
+async function previewPlanCancellation(plan, user) {
+  const bookings = await Booking.find({
+    eventPlan: plan._id,
+    status: { $in: OPEN_STATUSES },
+  });
+
+  const refunds = await Promise.all(
+    bookings.map(async (booking) => ({
+      booking: booking._id,
+      bookingNumber: booking.bookingNumber,
+      refund: await calculateRefund(booking, user),
+    }))
+  );
+
+  return {
+    refunds,
+    totalRefund: refunds.reduce(
+      (sum, item) => sum + item.refund.refundAmount,
+      0
+    ),
+    totalRetained: refunds.reduce(
+      (sum, item) => sum + item.refund.retainedAmount,
+      0
+    ),
+  };
+}
+
+/**
+ * Cancel the whole plan: every open booking is cancelled and refunded per
+ * its vendor's policy, and the cart is emptied
+ * @throws 409 when a booking has a payment dispute open
+ */
+async function cancelPlan(
+  plan,
+  user,
+  { reason, refundTo, notificationService } = {}
+) {
+  assertPlanning(plan);
+
+  const bookings = await Booking.find({
+    eventPlan: plan._id,
+    status: { $in: OPEN_STATUSES },
+  });
+
+  // Check first so the plan is not left half cancelled
+  const disputed = await EscrowTransaction.exists({
+    booking: { $in: bookings.map((booking) => booking._id) },
+    status: "disputed",
+  });
+  if (disputed) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "Resolve the payment disputes on this plan before cancelling it"
+    );
+  }
+
+  const refunds = [];
+  for (const booking of bookings) {
+    // eslint-disable-next-line no-await-in-loop
+    const refund = await cancelBooking(booking, user, {
+      reason: reason || "Event plan cancelled",
+      refundTo,
+      notificationService,
+    });
+    // eslint-disable-next-line no-await-in-loop
+    await booking.save();
+    refunds.push({
+      booking: booking._id,
+      bookingNumber: booking.bookingNumber,
+      refund,
+    });
+  }
+
+  plan.status = "cancelled";
+  plan.cart = [];
+  plan.cancellation = {
+    cancelledAt: new Date(),
+    reason: reason || "No reason provided",
+  };
+  await plan.save();
+
+  return {
+    refunds,
+    totalRefund: refunds.reduce(
+      (sum, item) => sum + item.refund.refundAmount,
+      0
+    ),
+  };
+}
+
+module.exports = {
+  getPlanStatus,
+  getPlanSummary,
+  addCartItem,
+  checkoutPlan,
+  previewPlanCancellation,
+  cancelPlan,
+};
@@ -0,0 +1,162 @@
+const FeeRule = require("../models/FeeRule");
+const User = require("../models/User");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const { createConverter } = require("./fxService");
+const { platformFeePercentage } = require("../config/environment");
+const { PROVIDER_TIERS } = require("../utils/constants");
+
+const CONDITION_FIELDS = ["bookingType", "serviceCategory", "providerTier"];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Does a rule apply to this booking context at this moment?
+ */
+function ruleMatches(rule, context, at) {
+  const conditions = rule.conditions || {};
+
+  if (conditions.validFrom && at < conditions.validFrom) return false;
+  if (conditions.validUntil && at > conditions.validUntil) return false;
+
+  return CONDITION_FIELDS.every((field) => {
+    if (!conditions[field]) return true;
+    return (
+      String(conditions[field]).toLowerCase() ===
+      String(context[field] || "").toLowerCase()
+    );
+  });
+}
+
+// Number of conditions a rule sets; more specific rules win ties
+const specificity = (rule) =>
+  CONDITION_FIELDS.filter((field) => rule.conditions?.[field]).length +
+  (rule.conditions?.validFrom || rule.conditions?.validUntil ? 1 : 0);
+
+/**
+ * Pick the fee rule for a booking context: highest priority, then the most
+ * specific, then the most recently updated
+ * @param {Object} context - { bookingType, serviceCategory, providerTier }
+ * @param {Date} [at] - When the fee applies (defaults to now)
+ * @returns {Promise<Object|null>} Matching FeeRule, or null for the default fee
+ */
+async function resolveFeeRule(context, at = new Date()) {
+  const rules = await FeeRule.find({ isActive: true }).lean();
+
+  const matching = rules
+    .filter((rule) => ruleMatches(rule, context, at))
+    .sort(
+      (a, b) =>
+        b.priority - a.priority ||
+        specificity(b) - specificity(a) ||
+        new Date(b.updatedAt) - new Date(a.updatedAt)
+    );
+
+  return matching[0] || null;
+}
+
+/**
+ * A rule's minimum fee in the currency of the booking it applies to
+ * @throws 400 when there is no exchange rate for the rule's currency
+ */
+async function getFlatMinimum(rule, currency = "NGN") {
+  if (!rule?.flatMinimum) return 0;
+
+  const from = rule.currency || "NGN";
+  if (from === currency.toUpperCase()) return rule.flatMinimum;
+
+  const converter = await createConverter(currency);
+  return converter.convert(rule.flatMinimum, from);
+}
+
+/**
+ * Fee and provider net for an amount under a rule (or the default fee)
+ * @param {number} amount
+ * @param {Object|null} rule
+ * @param {number} [flatMinimum] - The rule's minimum in the amount's
+ * currency (see getFlatMinimum); the rule's own figure when omitted
+ */
+function calculateFee(
+  amount,
+  rule,
+  flatMinimum = rule ? rule.flatMinimum || 0 : 0
+) {
+  const percentage = rule ? rule.percentage : platformFeePercentage;
+
+  const fee = roundMoney(
+    Math.min(amount, Math.max((amount * percentage) / 100, flatMinimum))
+  );
+
+  return {
+    amount,
+    percentage,
+    flatMinimum,
+    fee,
+    providerNet: roundMoney(amount - fee),
+  };
+}
+
+/**
+ * What fee rules look at for a booking
+ */
+async function getBookingFeeContext(booking) {
+  const provider = await User.findById(booking.provider).select("providerTier");
+
+  let serviceCategory;
+  if (booking.bookingType === "center") {
+    const center = await EventCenter.findById(booking.eventCenter).select(
+      "centerType"
+    );
+    serviceCategory = center?.centerType;
+  } else {
+    const serviceProvider = await ServiceProvider.findById(
+      booking.serviceProvider
+    ).select("serviceCategory");
+    serviceCategory = serviceProvider?.serviceCategory;
+  }
+
+  return {
+    bookingType: booking.bookingType,
+    serviceCategory,
+    providerTier: provider?.providerTier || PROVIDER_TIERS.STANDARD,
+  };
+}
+
+/**
+ * The PaymentFlow.platformFee fields for a booking, with a snapshot of the
+ * rule that applied
+ */
+async function resolveBookingFee(booking) {
+  const { currency } = booking.pricing;
+  const context = await getBookingFeeContext(booking);
+  const rule = await resolveFeeRule(context);
+  const appliedAt = new Date();
+
+  if (!rule) {
+    return {
+      percentage: platformFeePercentage,
+      flatMinimum: 0,
+      ruleSnapshot: { name: "Default platform fee", appliedAt },
+    };
+  }
+
+  return {
+    percentage: rule.percentage,
+    flatMinimum: await getFlatMinimum(rule, currency),
+    rule: rule._id,
+    ruleSnapshot: {
+      name: rule.name,
+      priority: rule.priority,
+      conditions: rule.conditions,
+      appliedAt,
+    },
+  };
+}
+
+module.exports = {
+  resolveFeeRule,
+  getFlatMinimum,
+  calculateFee,
+  getBookingFeeContext,
+  resolveBookingFee,
+};
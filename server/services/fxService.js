@@ -0,0 +1,294 @@
+const path = require("path");
+const FxRate = require("../models/FxRate");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+// Home currency; pairs without a stored rate are crossed through it
+const PIVOT_CURRENCY = "NGN";
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const pairKey = (base, quote) => `${base}:${quote}`;
+
+/**
+ * All stored rates keyed by "BASE:QUOTE"
+ */
+async function loadRateTable() {
+  const rates = await FxRate.find().lean();
+  return new Map(
+    rates.map((rate) => [pairKey(rate.baseCurrency, rate.quoteCurrency), rate])
+  );
+}
+
+// A stored rate in either direction
+function findPairRate(table, from, to) {
+  const direct = table.get(pairKey(from, to));
+  if (direct) return { rate: direct.rate, asOf: direct.updatedAt };
+
+  const inverse = table.get(pairKey(to, from));
+  if (inverse) return { rate: 1 / inverse.rate, asOf: inverse.updatedAt };
+
+  return null;
+}
+
+/**
+ * Rate to convert one unit of `from` into `to`: a stored pair (either way
+ * round), or a cross rate through the pivot currency
+ * @returns {{rate: number, asOf: Date, via?: string}|null}
+ */
+function findRate(table, from, to) {
+  if (from === to) return { rate: 1, asOf: new Date() };
+
+  const pair = findPairRate(table, from, to);
+  if (pair) return pair;
+
+  const toPivot = findPairRate(table, from, PIVOT_CURRENCY);
+  const fromPivot = findPairRate(table, PIVOT_CURRENCY, to);
+  if (!toPivot || !fromPivot) return null;
+
+  return {
+    rate: toPivot.rate * fromPivot.rate,
+    asOf: new Date(Math.min(toPivot.asOf, fromPivot.asOf)),
+    via: PIVOT_CURRENCY,
+  };
+}
+
+/**
+ * Normalise a currency code, rejecting anything that is not ISO-shaped
+ */
+function parseCurrency(value) {
+  const currency = String(value || "")
+    .trim()
+    .toUpperCase();
+  if (!CURRENCY_PATTERN.test(currency)) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Invalid currency "${value}", expected a 3-letter ISO code`
+    );
+  }
+  return currency;
+}
+
+/**
+ * Current rate between two currencies
+ * @throws 400 when no rate is stored for the pair
+ */
+async function getRate(from, to) {
+  const table = await loadRateTable();
+  const rate = findRate(table, parseCurrency(from), parseCurrency(to));
+
+  if (!rate) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `No exchange rate from ${from} to ${to}`
+    );
+  }
+  return rate;
+}
+
+/**
+ * Build a converter into a display currency, loading the rate table once
+ * so a page of results costs one query
+ * @param {string} currency - Display currency
+ * @returns {Promise<{currency: string, rateFrom: Function, convert: Function}>}
+ */
+async function createConverter(currency) {
+  const target = parseCurrency(currency);
+  const table = await loadRateTable();
+
+  const rateFrom = (from = PIVOT_CURRENCY) => {
+    const rate = findRate(table, from, target);
+    if (!rate) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        `No exchange rate from ${from} to ${target}`
+      );
+    }
+    return rate;
+  };
+
+  return {
+    currency: target,
+    rateFrom,
+    convert: (amount, from) =>
+      amount === undefined || amount === null
+        ? amount
+        : roundMoney(amount * rateFrom(from).rate),
+  };
+}
+
+/**
+ * A pricing block with its amounts shown in the converter's currency.
+ * The stored pricing (and what is charged) is unchanged.
+ */
+function convertPricing(pricing, converter) {
+  if (!pricing) return pricing;
+
+  const source = pricing.toObject ? pricing.toObject() : pricing;
+  const from = source.currency || PIVOT_CURRENCY;
+  const convert = (amount) => converter.convert(amount, from);
+
+  return {
+    ...source,
+    amount: convert(source.amount),
+    hourlyRate: convert(source.hourlyRate),
+    dailyRate: convert(source.dailyRate),
+    packages: (source.packages || []).map((pkg) => ({
+      ...pkg,
+      price: convert(pkg.price),
+    })),
+    addOns: (source.addOns || []).map((addOn) => ({
+      ...addOn,
+      price: convert(addOn.price),
+    })),
+    discounts: (source.discounts || []).map((discount) =>
+      discount.type === "fixed"
+        ? { ...discount, value: convert(discount.value) }
+        : discount
+    ),
+    currency: converter.currency,
+    originalCurrency: from,
+    exchangeRate: converter.rateFrom(from).rate,
+  };
+}
+
+/**
+ * Display prices for a provider profile or listing: its own pricing and
+ * that of each of its services. A listing priced in a currency with no
+ * rate is flagged unavailable rather than failing a whole page of results.
+ */
+function getDisplayPricing(listing, converter) {
+  const display = { currency: converter.currency };
+
+  try {
+    if (listing.pricing) {
+      display.pricing = convertPricing(listing.pricing, converter);
+    }
+    if (listing.services?.length) {
+      display.services = listing.services.map((service) => ({
+        _id: service._id,
+        pricing: convertPricing(service.pricing, converter),
+      }));
+    }
+  } catch (error) {
+    if (error.statusCode !== STATUS_CODES.BAD_REQUEST) throw error;
+    return { currency: converter.currency, unavailable: error.message };
+  }
+
+  return display;
+}
+
+/**
+ * Create or replace the rate for a currency pair
+ */
+async function upsertRate(
+  { baseCurrency, quoteCurrency, rate },
+  updatedBy,
+  source = "manual"
+) {
+  const base = parseCurrency(baseCurrency);
+  const quote = parseCurrency(quoteCurrency);
+
+  if (base === quote) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Base and quote currencies must differ"
+    );
+  }
+
+  // Keep one row per pair whichever way round it was entered
+  await FxRate.deleteOne({ baseCurrency: quote, quoteCurrency: base });
+
+  return FxRate.findOneAndUpdate(
+    { baseCurrency: base, quoteCurrency: quote },
+    { $set: { rate, source, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+}
+
+/**
+ * Parse an uploaded rate file: a JSON array (or { rates: [...] }) or a CSV
+ * with a baseCurrency,quoteCurrency,rate header
+ * @returns {Array<{baseCurrency: string, quoteCurrency: string, rate: number}>}
+ */
+function parseRateFile(file) {
+  const text = file.buffer.toString("utf8").trim();
+  const isJson =
+    file.mimetype === "application/json" ||
+    path.extname(file.originalname || "").toLowerCase() === ".json";
+
+  let rows;
+  if (isJson) {
+    try {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed) ? parsed : parsed.rates;
+    } catch (error) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        "Rate file is not valid JSON"
+      );
+    }
+    if (!Array.isArray(rows)) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        "JSON rate file must be an array of rates"
+      );
+    }
+  } else {
+    const [header, ...lines] = text.split(/\r?\n/).filter((l) => l.trim());
+    const columns = (header || "").split(",").map((c) => c.trim());
+    rows = lines.map((line) => {
+      const values = line.split(",").map((v) => v.trim());
+      return Object.fromEntries(columns.map((c, i) => [c, values[i]]));
+    });
+  }
+
+  const errors = [];
+  const rates = rows.map((row, index) => {
+    const rate = Number(row.rate);
+    const valid =
+      CURRENCY_PATTERN.test(String(row.baseCurrency).toUpperCase()) &&
+      CURRENCY_PATTERN.test(String(row.quoteCurrency).toUpperCase()) &&
+      rate > 0;
+    if (!valid) errors.push(`Row ${index + 1} is invalid`);
+    return {
+      baseCurrency: String(row.baseCurrency).toUpperCase(),
+      quoteCurrency: String(row.quoteCurrency).toUpperCase(),
+      rate,
+    };
+  });
+
+  if (rates.length === 0) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "Rate file has no rates");
+  }
+  if (errors.length > 0) {
+    throw createError(STATUS_CODES.BAD_REQUEST, errors.join("; "));
+  }
+
+  return rates;
+}
+
+/**
+ * Store every rate from an imported file
+ */
+async function importRates(rates, updatedBy) {
+  const imported = [];
+  for (const rate of rates) {
+    // eslint-disable-next-line no-await-in-loop
+    imported.push(await upsertRate(rate, updatedBy, "import"));
+  }
+  return imported;
+}
+
+module.exports = {
+  PIVOT_CURRENCY,
+  getRate,
+  createConverter,
+  convertPricing,
+  getDisplayPricing,
+  upsertRate,
+  parseRateFile,
+  importRates,
+};
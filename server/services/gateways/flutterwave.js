@@ -0,0 +1,123 @@
+const {
+  flutterwaveSecretKey,
+  flutterwaveWebhookHash,
+} = require("../../config/environment");
+const { hmac, safeEqual } = require("./signature");
+const { PAYMENT_GATEWAYS } = require("../../utils/constants");
+
+const BASE_URL = "https://api.flutterwave.com/v3";
+
+/**
+ * Call the Flutterwave API and unwrap its { status, message, data } envelope
+ */
+async function request(path, options = {}) {
+  if (!flutterwaveSecretKey) {
+    throw new Error("Flutterwave not configured. Set FLUTTERWAVE_SECRET_KEY");
+  }
+
+  const response = await fetch(`${BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${flutterwaveSecretKey}`,
+      "Content-Type": "application/json",
+    },
+  });
+  const body = await response.json();
+
+  if (!response.ok || body.status !== "success") {
+    throw new Error(
+      `Flutterwave error: ${body.message || response.statusText}`
+    );
+  }
+  return body.data;
+}
+
+const STATUS_MAP = {
+  successful: "successful",
+  failed: "failed",
+  cancelled: "failed",
+};
+
+const flutterwaveGateway = {
+  name: PAYMENT_GATEWAYS.FLUTTERWAVE,
+
+  async initialize({
+    reference,
+    amount,
+    currency,
+    email,
+    callbackUrl,
+    metadata,
+  }) {
+    const data = await request("/payments", {
+      method: "POST",
+      body: JSON.stringify({
+        tx_ref: reference,
+        amount,
+        currency,
+        redirect_url: callbackUrl,
+        customer: { email },
+        meta: metadata,
+      }),
+    });
+
+    return {
+      authorizationUrl: data.link,
+      raw: data,
+    };
+  },
+
+  async verify({ reference }) {
+    const data = await request(
+      `/transactions/verify_by_reference?tx_ref=${encodeURIComponent(
+        reference
+      )}`
+    );
+
+    return {
+      status: STATUS_MAP[data.status] || "pending",
+      amount: data.amount,
+      currency: data.currency,
+      transactionId: data.id ? data.id.toString() : undefined,
+      paidAt: data.created_at ? new Date(data.created_at) : undefined,
+      raw: data,
+    };
+  },
+
+  /**
+   * flutterwave-signature is the base64 HMAC-SHA256 of the raw body with the
+   * webhook secret hash; older integrations only send the hash in verif-hash
+   */
+  verifyWebhook(rawBody, headers) {
+    if (!flutterwaveWebhookHash) return false;
+
+    if (headers["flutterwave-signature"]) {
+      return safeEqual(
+        headers["flutterwave-signature"],
+        hmac("sha256", flutterwaveWebhookHash, rawBody, "base64")
+      );
+    }
+    return safeEqual(headers["verif-hash"], flutterwaveWebhookHash);
+  },
+
+  parseWebhook(payload) {
+    const data = payload.data || {};
+    const isCharge = payload.event === "charge.completed";
+
+    return {
+      eventId: data.id
+        ? `${payload.event}:${data.id}:${data.status}`
+        : undefined,
+      eventType: payload.event,
+      reference: data.tx_ref,
+      status: isCharge ? STATUS_MAP[data.status] || null : null,
+      amount: data.amount,
+      currency: data.currency,
+      transactionId: data.id ? data.id.toString() : undefined,
+      paidAt: data.created_at ? new Date(data.created_at) : undefined,
+      raw: payload,
+    };
+  },
+};
+
+module.exports = flutterwaveGateway;
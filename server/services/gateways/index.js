@@ -0,0 +1,66 @@
+const mockGateway = require("./mock");
+const paystackGateway = require("./paystack");
+const flutterwaveGateway = require("./flutterwave");
+const stripeGateway = require("./stripe");
+const {
+  env,
+  paymentGateway,
+  enableMockGateway,
+} = require("../../config/environment");
+const { createError } = require("../../utils/helpers");
+const { STATUS_CODES } = require("../../utils/constants");
+
+/**
+ * Payment gateway adapters
+ *
+ * Every adapter exposes the same interface:
+ *   initialize({ reference, amount, currency, email, callbackUrl, metadata })
+ *     -> { authorizationUrl, accessCode?, transactionId?, raw }
+ *   verify({ reference, transactionId })
+ *     -> { status: "successful" | "failed" | "pending", amount, currency,
+ *          transactionId, paidAt, raw }
+ *   verifyWebhook(rawBody, headers) -> boolean
+ *   parseWebhook(payload)
+ *     -> { eventId, eventType, reference, status (null when the event does
+ *          not settle a payment), amount, currency, transactionId, paidAt, raw }
+ *
+ * Amounts are always in major currency units (e.g. Naira, not kobo).
+ */
+const gateways = {
+  [mockGateway.name]: mockGateway,
+  [paystackGateway.name]: paystackGateway,
+  [flutterwaveGateway.name]: flutterwaveGateway,
+  [stripeGateway.name]: stripeGateway,
+};
+
+/**
+ * Resolve a gateway adapter by name (defaults to PAYMENT_GATEWAY)
+ */
+const getGateway = (name = paymentGateway) => {
+  const gateway = gateways[name];
+
+  if (!gateway) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Unsupported payment gateway "${name}"`
+    );
+  }
+
+  if (gateway === mockGateway && env === "production") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Mock gateway is not available in production"
+    );
+  }
+
+  if (gateway === mockGateway && !enableMockGateway) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Mock gateway is disabled, set ENABLE_MOCK_GATEWAY=true to use it"
+    );
+  }
+
+  return gateway;
+};
+
+module.exports = { getGateway, gateways };
@@ -0,0 +1,109 @@
+/**
+ * Mock payment gateway
+ * Local stand-in for development and testing. Checkouts live in memory and
+ * are settled by visiting the returned authorization URL (or by verifying).
+ */
+
+const { mockWebhookSecret } = require("../../config/environment");
+const { hmac, safeEqual } = require("./signature");
+const { PAYMENT_GATEWAYS } = require("../../utils/constants");
+
+// reference -> checkout state
+const checkouts = new Map();
+
+const mockGateway = {
+  name: PAYMENT_GATEWAYS.MOCK,
+
+  /**
+   * Start a checkout
+   */
+  async initialize({ reference, amount, currency, email, callbackUrl }) {
+    checkouts.set(reference, {
+      reference,
+      amount,
+      currency,
+      email,
+      callbackUrl,
+      status: "pending",
+      createdAt: new Date(),
+    });
+
+    return {
+      authorizationUrl: `/api/payments/mock/checkout/${reference}`,
+      accessCode: `mock_${reference}`,
+      transactionId: `mock_txn_${reference}`,
+      raw: checkouts.get(reference),
+    };
+  },
+
+  /**
+   * Verify a checkout. Unknown references fail; pending ones are treated as
+   * paid so that dev flows do not need a manual step.
+   */
+  async verify({ reference }) {
+    const checkout = checkouts.get(reference);
+    if (!checkout) {
+      return { status: "failed", raw: { message: "Unknown reference" } };
+    }
+
+    if (checkout.status === "pending") {
+      checkout.status = "successful";
+      checkout.paidAt = new Date();
+    }
+
+    return {
+      status: checkout.status,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      transactionId: `mock_txn_${reference}`,
+      paidAt: checkout.paidAt,
+      raw: checkout,
+    };
+  },
+
+  /**
+   * Webhooks are signed like Paystack's, with HMAC-SHA256 in x-mock-signature
+   */
+  verifyWebhook(rawBody, headers) {
+    return safeEqual(
+      headers["x-mock-signature"],
+      hmac("sha256", mockWebhookSecret, rawBody)
+    );
+  },
+
+  /**
+   * Payload: { id, event: "charge.success" | "charge.failed", data: { reference, amount } }
+   */
+  parseWebhook(payload) {
+    const statusMap = {
+      "charge.success": "successful",
+      "charge.failed": "failed",
+    };
+    const data = payload.data || {};
+
+    return {
+      eventId: payload.id,
+      eventType: payload.event,
+      reference: data.reference,
+      status: statusMap[payload.event] || null,
+      amount: data.amount,
+      currency: data.currency,
+      transactionId: `mock_txn_${data.reference}`,
+      paidAt: data.paidAt ? new Date(data.paidAt) : undefined,
+      raw: payload,
+    };
+  },
+
+  /**
+   * Force the outcome of a checkout (used by the mock checkout page)
+   */
+  complete(reference, status = "successful") {
+    const checkout = checkouts.get(reference);
+    if (!checkout) return null;
+    checkout.status = status;
+    if (status === "successful") checkout.paidAt = new Date();
+    return checkout;
+  },
+};
+
+module.exports = mockGateway;
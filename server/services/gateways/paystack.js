@@ -0,0 +1,116 @@
+const { paystackSecretKey } = require("../../config/environment");
+const { hmac, safeEqual } = require("./signature");
+const { PAYMENT_GATEWAYS } = require("../../utils/constants");
+
+const BASE_URL = "https://api.paystack.co";
+
+/**
+ * Call the Paystack API and unwrap its { status, message, data } envelope
+ */
+async function request(path, options = {}) {
+  if (!paystackSecretKey) {
+    throw new Error("Paystack not configured. Set PAYSTACK_SECRET_KEY");
+  }
+
+  const response = await fetch(`${BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${paystackSecretKey}`,
+      "Content-Type": "application/json",
+    },
+  });
+  const body = await response.json();
+
+  if (!response.ok || !body.status) {
+    throw new Error(`Paystack error: ${body.message || response.statusText}`);
+  }
+  return body.data;
+}
+
+// Paystack reports amounts in the lowest currency unit (kobo)
+const toMinor = (amount) => Math.round(amount * 100);
+const fromMinor = (amount) => amount / 100;
+
+const STATUS_MAP = {
+  success: "successful",
+  failed: "failed",
+  abandoned: "failed",
+  reversed: "failed",
+};
+
+const paystackGateway = {
+  name: PAYMENT_GATEWAYS.PAYSTACK,
+
+  async initialize({
+    reference,
+    amount,
+    currency,
+    email,
+    callbackUrl,
+    metadata,
+  }) {
+    const data = await request("/transaction/initialize", {
+      method: "POST",
+      body: JSON.stringify({
+        reference,
+        amount: toMinor(amount),
+        currency,
+        email,
+        callback_url: callbackUrl,
+        metadata,
+      }),
+    });
+
+    return {
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code,
+      raw: data,
+    };
+  },
+
+  async verify({ reference }) {
+    const data = await request(
+      `/transaction/verify/${encodeURIComponent(reference)}`
+    );
+
+    return {
+      status: STATUS_MAP[data.status] || "pending",
+      amount: fromMinor(data.amount),
+      currency: data.currency,
+      transactionId: data.id ? data.id.toString() : undefined,
+      paidAt: data.paid_at ? new Date(data.paid_at) : undefined,
+      raw: data,
+    };
+  },
+
+  /**
+   * x-paystack-signature is the HMAC-SHA512 of the raw body with the secret key
+   */
+  verifyWebhook(rawBody, headers) {
+    if (!paystackSecretKey) return false;
+    return safeEqual(
+      headers["x-paystack-signature"],
+      hmac("sha512", paystackSecretKey, rawBody)
+    );
+  },
+
+  parseWebhook(payload) {
+    const data = payload.data || {};
+    const isCharge = String(payload.event || "").startsWith("charge.");
+
+    return {
+      // Paystack events carry no id of their own
+      eventId: data.id ? `${payload.event}:${data.id}` : undefined,
+      eventType: payload.event,
+      reference: data.reference,
+      status: isCharge ? STATUS_MAP[data.status] || null : null,
+      amount: data.amount !== undefined ? fromMinor(data.amount) : undefined,
+      currency: data.currency,
+      transactionId: data.id ? data.id.toString() : undefined,
+      paidAt: data.paid_at ? new Date(data.paid_at) : undefined,
+      raw: payload,
+    };
+  },
+};
+
+module.exports = paystackGateway;
@@ -0,0 +1,23 @@
+const crypto = require("crypto");
+
+/**
+ * HMAC digest of a raw request body
+ * @param {string} algorithm - e.g. "sha512"
+ * @param {string} secret
+ * @param {Buffer|string} payload
+ * @param {string} [encoding="hex"]
+ */
+const hmac = (algorithm, secret, payload, encoding = "hex") =>
+  crypto.createHmac(algorithm, secret).update(payload).digest(encoding);
+
+/**
+ * Constant-time string comparison (false on length mismatch or missing input)
+ */
+const safeEqual = (a, b) => {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+module.exports = { hmac, safeEqual };
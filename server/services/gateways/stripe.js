@@ -0,0 +1,183 @@
+const {
+  stripeSecretKey,
+  stripeWebhookSecret,
+} = require("../../config/environment");
+const { hmac, safeEqual } = require("./signature");
+const { PAYMENT_GATEWAYS } = require("../../utils/constants");
+
+const BASE_URL = "https://api.stripe.com/v1";
+
+// Reject signed payloads older than this to limit replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Checkout session events and the payment outcome they represent
+const EVENT_STATUS_MAP = {
+  "checkout.session.async_payment_succeeded": "successful",
+  "checkout.session.async_payment_failed": "failed",
+  "checkout.session.expired": "failed",
+};
+
+/**
+ * Flatten a nested object into Stripe's form encoding (a[b][0]=c)
+ */
+function encodeForm(params, prefix) {
+  const pairs = [];
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const field = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object") {
+      pairs.push(encodeForm(value, field));
+    } else {
+      pairs.push(`${encodeURIComponent(field)}=${encodeURIComponent(value)}`);
+    }
+  });
+  return pairs.filter(Boolean).join("&");
+}
+
+/**
+ * Call the Stripe API
+ */
+async function request(path, params) {
+  if (!stripeSecretKey) {
+    throw new Error("Stripe not configured. Set STRIPE_SECRET_KEY");
+  }
+
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method: params ? "POST" : "GET",
+    headers: {
+      Authorization: `Bearer ${stripeSecretKey}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: params ? encodeForm(params) : undefined,
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(
+      `Stripe error: ${body.error?.message || response.statusText}`
+    );
+  }
+  return body;
+}
+
+// Stripe expects amounts in the lowest currency unit
+const toMinor = (amount) => Math.round(amount * 100);
+const fromMinor = (amount) => amount / 100;
+
+const stripeGateway = {
+  name: PAYMENT_GATEWAYS.STRIPE,
+
+  /**
+   * Uses a hosted Checkout Session; the session id is kept as transactionId
+   * because Stripe cannot look sessions up by our reference.
+   */
+  async initialize({
+    reference,
+    amount,
+    currency,
+    email,
+    callbackUrl,
+    metadata,
+  }) {
+    const session = await request("/checkout/sessions", {
+      mode: "payment",
+      client_reference_id: reference,
+      customer_email: email,
+      success_url: callbackUrl,
+      cancel_url: callbackUrl,
+      line_items: [
+        {
+          quantity: 1,
+          price_data: {
+            currency: currency.toLowerCase(),
+            unit_amount: toMinor(amount),
+            product_data: { name: `Booking payment ${reference}` },
+          },
+        },
+      ],
+      metadata: { ...metadata, reference },
+    });
+
+    return {
+      authorizationUrl: session.url,
+      transactionId: session.id,
+      raw: session,
+    };
+  },
+
+  async verify({ transactionId }) {
+    if (!transactionId) {
+      return { status: "pending", raw: { message: "Missing session id" } };
+    }
+
+    const session = await request(
+      `/checkout/sessions/${encodeURIComponent(transactionId)}`
+    );
+
+    let status = "pending";
+    if (session.payment_status === "paid") status = "successful";
+    else if (session.status === "expired") status = "failed";
+
+    return {
+      status,
+      amount: fromMinor(session.amount_total),
+      currency: session.currency?.toUpperCase(),
+      transactionId: session.id,
+      paidAt: status === "successful" ? new Date() : undefined,
+      raw: session,
+    };
+  },
+
+  /**
+   * Stripe-Signature: t=<timestamp>,v1=<hex HMAC-SHA256 of "t.body">
+   */
+  verifyWebhook(rawBody, headers) {
+    const header = headers["stripe-signature"];
+    if (!stripeWebhookSecret || typeof header !== "string") return false;
+
+    const parts = header.split(",").map((part) => part.split("="));
+    const timestamp = parts.find(([key]) => key === "t")?.[1];
+    const signatures = parts
+      .filter(([key]) => key === "v1")
+      .map(([, value]) => value);
+
+    if (!timestamp || signatures.length === 0) return false;
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!(age <= SIGNATURE_TOLERANCE_SECONDS)) return false;
+
+    const expected = hmac(
+      "sha256",
+      stripeWebhookSecret,
+      `${timestamp}.${rawBody.toString("utf8")}`
+    );
+    return signatures.some((signature) => safeEqual(signature, expected));
+  },
+
+  parseWebhook(payload) {
+    const session = payload.data?.object || {};
+
+    let status = EVENT_STATUS_MAP[payload.type] || null;
+    if (payload.type === "checkout.session.completed") {
+      // Delayed payment methods complete first and settle later
+      status = session.payment_status === "paid" ? "successful" : null;
+    }
+
+    return {
+      eventId: payload.id,
+      eventType: payload.type,
+      reference: session.client_reference_id || session.metadata?.reference,
+      status,
+      amount:
+        session.amount_total !== undefined
+          ? fromMinor(session.amount_total)
+          : undefined,
+      currency: session.currency?.toUpperCase(),
+      transactionId: session.id,
+      paidAt: payload.created ? new Date(payload.created * 1000) : undefined,
+      raw: payload,
+    };
+  },
+};
+
+module.exports = stripeGateway;
@@ -0,0 +1,552 @@
+const PDFDocument = require("pdfkit");
+const BillingDocument = require("../models/BillingDocument");
+const Counter = require("../models/Counter");
+const Booking = require("../models/Booking");
+const User = require("../models/User");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const PaymentFlow = require("../models/PaymentFlow");
+const DirectPaymentTransaction = require("../models/DirectPaymentTransaction");
+const EscrowTransaction = require("../models/EscrowTransaction");
+const { getPlatformFee, getCouponSubsidy } = require("./ledgerService");
+const {
+  resolveFeeRule,
+  getFlatMinimum,
+  calculateFee,
+  getBookingFeeContext,
+} = require("./feeService");
+const { platformName } = require("../config/environment");
+
+const NUMBER_PREFIXES = { invoice: "INV", receipt: "RCT" };
+
+const TRANSACTION_LABELS = {
+  deposit: "Deposit",
+  balance: "Balance payment",
+  full_payment: "Full payment",
+  contribution: "Contribution",
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Next number in a document sequence; numbering restarts every year
+ */
+async function nextNumber(documentType) {
+  const prefix = NUMBER_PREFIXES[documentType];
+  const year = new Date().getFullYear();
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${documentType}-${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  return `${prefix}-${year}-${String(counter.seq).padStart(6, "0")}`;
+}
+
+/**
+ * A payment's share of each tax on the booking
+ */
+function getTaxShare(booking, amount) {
+  const { taxes = [], totalAmount } = booking.pricing;
+  const share = totalAmount > 0 ? amount / totalAmount : 0;
+
+  const shared = taxes.map(({ name, rate, amount: taxAmount }) => ({
+    name,
+    rate,
+    amount: roundMoney(taxAmount * share),
+  }));
+
+  return {
+    taxes: shared,
+    taxTotal: roundMoney(shared.reduce((sum, tax) => sum + tax.amount, 0)),
+  };
+}
+
+/**
+ * Customer and provider details as they should appear on documents
+ */
+async function getParties(booking) {
+  const [customer, provider] = await Promise.all([
+    User.findById(booking.customer).select("name email phone"),
+    User.findById(booking.provider).select("name email phone"),
+  ]);
+
+  let businessName;
+  if (booking.bookingType === "center") {
+    const center = await EventCenter.findById(booking.eventCenter).select(
+      "centerName"
+    );
+    businessName = center?.centerName;
+  } else {
+    const serviceProvider = await ServiceProvider.findById(
+      booking.serviceProvider
+    ).select("companyName serviceName");
+    businessName = serviceProvider?.companyName || serviceProvider?.serviceName;
+  }
+
+  return {
+    customer: {
+      name: customer?.name,
+      email: customer?.email,
+      phone: customer?.phone,
+    },
+    provider: {
+      name: businessName || provider?.name,
+      email: provider?.email,
+      phone: provider?.phone,
+      vatNumber: booking.pricing.vatNumber,
+    },
+  };
+}
+
+/**
+ * Fields every document for a booking shares
+ */
+const bookingFields = (booking) => ({
+  booking: booking._id,
+  customer: booking.customer,
+  provider: booking.provider,
+  bookingNumber: booking.bookingNumber,
+  eventName: booking.eventDetails.eventName,
+  eventDate: booking.eventDetails.eventDate,
+  currency: booking.pricing.currency,
+});
+
+/**
+ * Charged line items: the quoted lines when the booking has them, otherwise
+ * the base amount and each additional charge
+ */
+function getLineItems(booking) {
+  const quoted = (booking.quote?.lineItems || []).filter(
+    (item) => item.type !== "discount"
+  );
+
+  if (quoted.length > 0) {
+    return quoted.map(({ description, quantity, unitPrice, amount }) => ({
+      description,
+      quantity,
+      unitPrice,
+      amount,
+    }));
+  }
+
+  return [
+    {
+      description: booking.eventDetails.eventName || "Booking",
+      quantity: 1,
+      unitPrice: booking.pricing.baseAmount,
+      amount: booking.pricing.baseAmount,
+    },
+    ...booking.pricing.additionalCharges.map(({ description, amount }) => ({
+      description,
+      quantity: 1,
+      unitPrice: amount,
+      amount,
+    })),
+  ];
+}
+
+/**
+ * Platform fee on a booking: from its payment flow once there is one,
+ * otherwise what the current fee rules would charge
+ */
+async function getBookingPlatformFee(booking) {
+  const flow = await PaymentFlow.findOne({
+    booking: booking._id,
+    status: { $nin: ["failed", "cancelled"] },
+  });
+
+  if (flow) {
+    return {
+      percentage: flow.platformFee.percentage,
+      amount: flow.platformFee.amount || 0,
+    };
+  }
+
+  const rule = await resolveFeeRule(await getBookingFeeContext(booking));
+  const { totalAmount, currency } = booking.pricing;
+  const { percentage, fee } = calculateFee(
+    totalAmount,
+    rule,
+    await getFlatMinimum(rule, currency)
+  );
+  return { percentage, amount: fee };
+}
+
+/**
+ * Return the document issued for a source, creating (and numbering) it on
+ * first use
+ */
+async function issueOnce(sourceKey, documentType, build) {
+  const existing = await BillingDocument.findOne({ sourceKey });
+  if (existing) return { document: existing, created: false };
+
+  const fields = await build();
+  try {
+    const document = await BillingDocument.create({
+      ...fields,
+      documentType,
+      sourceKey,
+      number: await nextNumber(documentType),
+    });
+    return { document, created: true };
+  } catch (error) {
+    // Issued by a concurrent request
+    if (error.code === 11000 && error.keyPattern?.sourceKey) {
+      return {
+        document: await BillingDocument.findOne({ sourceKey }),
+        created: false,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * The booking's invoice. Its number is fixed when first issued; the
+ * figures follow the booking so amounts paid stay current.
+ */
+async function issueInvoice(booking) {
+  const build = async () => {
+    const parties = await getParties(booking);
+    const lineItems = getLineItems(booking);
+    const { totalAmount, discount, taxes, taxTotal } = booking.pricing;
+
+    return {
+      ...bookingFields(booking),
+      billTo: parties.customer,
+      issuedBy: parties.provider,
+      lineItems,
+      subtotal: roundMoney(lineItems.reduce((sum, i) => sum + i.amount, 0)),
+      discount: discount || 0,
+      taxes,
+      taxTotal: taxTotal || 0,
+      total: totalAmount,
+      platformFee: await getBookingPlatformFee(booking),
+      amountPaid: booking.depositPaid,
+      balanceDue: booking.balanceDue,
+    };
+  };
+
+  const { document, created } = await issueOnce(
+    `invoice:${booking._id}`,
+    "invoice",
+    build
+  );
+  if (created) return document;
+
+  document.set(await build());
+  return document.save();
+}
+
+/**
+ * Receipt for a successful payment against a booking
+ */
+async function issuePaymentReceipt(transaction) {
+  const { document } = await issueOnce(
+    `payment:${transaction._id}`,
+    "receipt",
+    async () => {
+      const booking = await Booking.findById(transaction.booking);
+      const parties = await getParties(booking);
+      const flow = await PaymentFlow.findById(transaction.paymentFlow);
+      const label =
+        TRANSACTION_LABELS[transaction.transactionType] || "Payment";
+
+      return {
+        ...bookingFields(booking),
+        receiptType: "payment",
+        transaction: transaction._id,
+        // Co-payers get receipts in their own name
+        billTo: transaction.payer?.email ? transaction.payer : parties.customer,
+        issuedBy: parties.provider,
+        lineItems: [
+          {
+            description: `${label} for booking ${booking.bookingNumber}`,
+            quantity: 1,
+            unitPrice: transaction.amount,
+            amount: transaction.amount,
+          },
+        ],
+        subtotal: transaction.amount,
+        ...getTaxShare(booking, transaction.amount),
+        total: transaction.amount,
+        platformFee: {
+          percentage: flow?.platformFee.percentage,
+          amount: flow ? getPlatformFee(flow, transaction.amount) : 0,
+        },
+        amountPaid: transaction.amount,
+        balanceDue: booking.balanceDue,
+        currency: transaction.currency,
+        payment: {
+          method: transaction.gateway.name,
+          reference: transaction.gateway.reference,
+          paidAt: transaction.paidAt,
+        },
+      };
+    }
+  );
+
+  return document;
+}
+
+/**
+ * Receipt for escrowed funds released to the provider
+ * @param {Object} escrow - Released EscrowTransaction
+ * @param {number} [amount] - Amount released (defaults to the whole escrow)
+ */
+async function issueReleaseReceipt(escrow, amount = escrow.amount) {
+  const { document } = await issueOnce(
+    `release:${escrow._id}`,
+    "receipt",
+    async () => {
+      const booking = await Booking.findById(escrow.booking);
+      const parties = await getParties(booking);
+      const flow = await PaymentFlow.findById(escrow.paymentFlow);
+      const fee = flow ? getPlatformFee(flow, amount) : 0;
+      const subsidy = flow ? getCouponSubsidy(flow, amount) : 0;
+
+      return {
+        ...bookingFields(booking),
+        receiptType: "escrow_release",
+        escrow: escrow._id,
+        billTo: parties.provider,
+        issuedBy: { name: platformName },
+        lineItems: [
+          {
+            description: `Escrow release for booking ${booking.bookingNumber}`,
+            quantity: 1,
+            unitPrice: amount,
+            amount,
+          },
+        ],
+        subtotal: amount,
+        total: amount,
+        platformFee: { percentage: flow?.platformFee.percentage, amount: fee },
+        amountPaid: amount,
+        providerNet: roundMoney(amount - fee + subsidy),
+        currency: escrow.currency,
+        payment: {
+          method: "escrow",
+          reference: escrow._id.toString(),
+          paidAt: escrow.releasedAt,
+        },
+      };
+    }
+  );
+
+  return document;
+}
+
+/**
+ * Issue anything a booking is owed but does not have yet: its invoice, a
+ * receipt per successful payment and one for a released escrow
+ * @returns {Promise<{invoice: Object, receipts: Object[]}>}
+ */
+async function syncBookingDocuments(booking) {
+  const invoice = await issueInvoice(booking);
+
+  const transactions = await DirectPaymentTransaction.find({
+    booking: booking._id,
+    status: "successful",
+  });
+  for (const transaction of transactions) {
+    // eslint-disable-next-line no-await-in-loop
+    await issuePaymentReceipt(transaction);
+  }
+
+  const escrow = await EscrowTransaction.findOne({
+    booking: booking._id,
+    releasedAt: { $exists: true },
+  });
+  if (escrow) {
+    await issueReleaseReceipt(
+      escrow,
+      escrow.amount - (escrow.refund?.refundAmount || 0)
+    );
+  }
+
+  const receipts = await BillingDocument.find({
+    booking: booking._id,
+    documentType: "receipt",
+  }).sort({ issuedAt: 1 });
+
+  return { invoice, receipts };
+}
+
+/**
+ * Render a document to PDF
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(document) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    const money = (value) =>
+      `${document.currency} ${Number(value || 0).toLocaleString("en-NG", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })}`;
+    const date = (value) =>
+      value ? new Date(value).toISOString().slice(0, 10) : "-";
+    const party = (title, details = {}) =>
+      [
+        title,
+        details.name,
+        details.email,
+        details.phone,
+        details.vatNumber && `VAT No. ${details.vatNumber}`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+    // Header
+    pdf
+      .fontSize(20)
+      .text(platformName, { continued: false })
+      .fontSize(14)
+      .text(document.documentType === "invoice" ? "INVOICE" : "RECEIPT", {
+        align: "right",
+      })
+      .fontSize(10)
+      .text(`No. ${document.number}`, { align: "right" })
+      .text(`Issued ${date(document.issuedAt)}`, { align: "right" })
+      .moveDown();
+
+    // Parties
+    const partiesTop = pdf.y;
+    pdf.text(party("From", document.issuedBy), 50, partiesTop, {
+      width: 240,
+    });
+    pdf.text(
+      party(
+        document.receiptType === "escrow_release" ? "Paid to" : "Bill to",
+        document.billTo
+      ),
+      310,
+      partiesTop,
+      { width: 240 }
+    );
+    pdf.moveDown(2);
+
+    pdf
+      .text(`Booking: ${document.bookingNumber || "-"}`, 50)
+      .text(
+        `Event: ${document.eventName || "-"} on ${date(document.eventDate)}`
+      )
+      .moveDown();
+
+    // Line items
+    const columns = [
+      { label: "Description", x: 50, width: 250, align: "left" },
+      { label: "Qty", x: 300, width: 50, align: "right" },
+      { label: "Unit price", x: 350, width: 95, align: "right" },
+      { label: "Amount", x: 445, width: 100, align: "right" },
+    ];
+    const row = (values, bold) => {
+      const top = pdf.y;
+      pdf.font(bold ? "Helvetica-Bold" : "Helvetica");
+      const heights = values.map((value, i) =>
+        pdf.heightOfString(String(value), { width: columns[i].width })
+      );
+      values.forEach((value, i) =>
+        pdf.text(String(value), columns[i].x, top, {
+          width: columns[i].width,
+          align: columns[i].align,
+        })
+      );
+      pdf.y = top + Math.max(...heights) + 4;
+    };
+
+    row(
+      columns.map((column) => column.label),
+      true
+    );
+    document.lineItems.forEach((item) =>
+      row([
+        item.description || "-",
+        item.quantity ?? 1,
+        money(item.unitPrice),
+        money(item.amount),
+      ])
+    );
+    pdf.moveDown();
+
+    // Totals
+    // Invoice taxes are added to the discounted subtotal; a receipt's amount
+    // already includes its share
+    const taxLines = (document.taxes || [])
+      .filter((tax) => tax.amount > 0)
+      .map((tax) => [
+        document.documentType === "invoice"
+          ? `${tax.name} (${tax.rate}%)`
+          : `Includes ${tax.name} (${tax.rate}%)`,
+        money(tax.amount),
+      ]);
+    const totals = [
+      ["Subtotal", money(document.subtotal)],
+      ...(document.discount > 0
+        ? [["Discount", `-${money(document.discount)}`]]
+        : []),
+      ...(document.documentType === "invoice" ? taxLines : []),
+      ["Total", money(document.total), true],
+      ...(document.documentType === "invoice" ? [] : taxLines),
+    ];
+
+    if (document.documentType === "invoice") {
+      totals.push(["Amount paid", money(document.amountPaid)]);
+      totals.push(["Balance due", money(document.balanceDue), true]);
+    } else if (document.receiptType === "payment") {
+      totals.push(["Amount received", money(document.amountPaid), true]);
+      totals.push(["Balance outstanding", money(document.balanceDue)]);
+    }
+
+    if (document.platformFee?.amount > 0) {
+      totals.push([
+        document.receiptType === "escrow_release"
+          ? "Platform fee deducted"
+          : "Platform fee (deducted from provider payout)",
+        money(document.platformFee.amount),
+      ]);
+    }
+    if (document.providerNet !== undefined) {
+      totals.push(["Net to provider", money(document.providerNet), true]);
+    }
+
+    totals.forEach(([label, value, bold]) => {
+      const top = pdf.y;
+      pdf
+        .font(bold ? "Helvetica-Bold" : "Helvetica")
+        .text(label, 250, top, { width: 195, align: "right" })
+        .text(value, 445, top, { width: 100, align: "right" });
+      pdf.y = top + 16;
+    });
+
+    if (document.payment?.method) {
+      pdf
+        .moveDown()
+        .font("Helvetica")
+        .text(
+          `Paid via ${document.payment.method.replace(/_/g, " ")}` +
+            `, reference ${document.payment.reference || "-"}` +
+            `, on ${date(document.payment.paidAt)}`,
+          50
+        );
+    }
+
+    pdf.end();
+  });
+}
+
+module.exports = {
+  issueInvoice,
+  issuePaymentReceipt,
+  issueReleaseReceipt,
+  syncBookingDocuments,
+  renderPdf,
+};
@@ -0,0 +1,329 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const PaymentFlow = require("../models/PaymentFlow");
+const { LEDGER_ACCOUNTS } = require("../utils/constants");
+
+const {
+  CUSTOMER_FUNDS,
+  ESCROW,
+  PROVIDER_PAYABLE,
+  PLATFORM_REVENUE,
+  CUSTOMER_CREDIT,
+} = LEDGER_ACCOUNTS;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Append a balanced entry. Posting the same reference twice returns the
+ * existing entry, so callers can post from retries and racing handlers.
+ * @param {Object} entry - LedgerEntry fields; `lines` holds the debits/credits
+ * @returns {Promise<Object>} The stored entry
+ */
+async function postEntry(entry) {
+  try {
+    return await LedgerEntry.create(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return LedgerEntry.findOne({ reference: entry.reference });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Net balance of an account (credits less debits for the liability and
+ * revenue accounts, debits less credits for customer funds)
+ * @param {string} account - One of LEDGER_ACCOUNTS
+ * @param {Object} [filter] - { user, booking, currency }
+ */
+async function getAccountBalance(account, { user, booking, currency } = {}) {
+  const entryMatch = {};
+  if (booking) entryMatch.booking = new mongoose.Types.ObjectId(booking);
+  if (currency) entryMatch.currency = currency;
+
+  const lineMatch = { "lines.account": account };
+  if (user) lineMatch["lines.user"] = new mongoose.Types.ObjectId(user);
+
+  const result = await LedgerEntry.aggregate([
+    { $match: { ...entryMatch, "lines.account": account } },
+    { $unwind: "$lines" },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: null,
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+      },
+    },
+  ]);
+
+  if (result.length === 0) return 0;
+
+  const { debit, credit } = result[0];
+  return roundMoney(
+    account === CUSTOMER_FUNDS ? debit - credit : credit - debit
+  );
+}
+
+/**
+ * Platform fee on part of a booking's payment, at the flow's effective
+ * rate (so a flat minimum is spread over releases and refunds alike)
+ */
+const getPlatformFee = (paymentFlow, amount) => {
+  const { totalAmount, platformFee } = paymentFlow;
+  if (!totalAmount || !platformFee.amount) return 0;
+  return roundMoney((amount * platformFee.amount) / totalAmount);
+};
+
+/**
+ * Post the platform fee on an amount just credited to a provider
+ */
+async function postPlatformFee(paymentFlow, amount, reference, extra = {}) {
+  const fee = getPlatformFee(paymentFlow, amount);
+  if (fee <= 0) return null;
+
+  return postEntry({
+    reference,
+    entryType: "platform_fee",
+    description: `Platform fee (${
+      paymentFlow.platformFee.ruleSnapshot?.name || "default"
+    })`,
+    currency: paymentFlow.currency,
+    lines: [
+      { account: PROVIDER_PAYABLE, user: paymentFlow.provider, debit: fee },
+      { account: PLATFORM_REVENUE, credit: fee },
+    ],
+    booking: paymentFlow.booking,
+    paymentFlow: paymentFlow._id,
+    ...extra,
+  });
+}
+
+/**
+ * Platform-funded coupon share on part of a booking's payment, spread over
+ * releases and refunds like the fee
+ */
+const getCouponSubsidy = (paymentFlow, amount) => {
+  const { totalAmount, couponSubsidy } = paymentFlow;
+  if (!totalAmount || !couponSubsidy) return 0;
+  return roundMoney((amount * couponSubsidy) / totalAmount);
+};
+
+/**
+ * Pay the provider the platform's share of the coupon discount on an amount
+ * just released to them
+ */
+async function postCouponSubsidy(paymentFlow, amount, reference, extra = {}) {
+  const subsidy = getCouponSubsidy(paymentFlow, amount);
+  if (subsidy <= 0) return null;
+
+  return postEntry({
+    reference,
+    entryType: "coupon_subsidy",
+    description: "Platform-funded coupon discount",
+    currency: paymentFlow.currency,
+    lines: [
+      { account: PLATFORM_REVENUE, debit: subsidy },
+      {
+        account: PROVIDER_PAYABLE,
+        user: paymentFlow.provider,
+        credit: subsidy,
+      },
+    ],
+    booking: paymentFlow.booking,
+    paymentFlow: paymentFlow._id,
+    ...extra,
+  });
+}
+
+/**
+ * Record a settled payment that reached the platform. Escrow payments are
+ * held for the booking; direct payments collected by a gateway are owed to
+ * the provider straight away, less the fee. Bank transfers on direct
+ * bookings go to the provider's own account and never touch the ledger.
+ * Payments from store credit draw down the customer's credit instead of
+ * bringing in new funds.
+ */
+async function recordPaymentReceived(transaction) {
+  const paymentFlow = await PaymentFlow.findById(transaction.paymentFlow);
+  if (!paymentFlow) return null;
+
+  const isEscrow = paymentFlow.paymentMethod === "escrow";
+  if (!isEscrow && transaction.gateway.name === "bank_transfer") return null;
+
+  const entry = await postEntry({
+    reference: `payment:${transaction._id}`,
+    entryType: "payment_received",
+    description: `Payment ${transaction.gateway.reference}`,
+    currency: transaction.currency,
+    lines: [
+      {
+        account:
+          transaction.gateway.name === "credit"
+            ? CUSTOMER_CREDIT
+            : CUSTOMER_FUNDS,
+        user: transaction.customer,
+        debit: transaction.amount,
+      },
+      {
+        account: isEscrow ? ESCROW : PROVIDER_PAYABLE,
+        user: transaction.provider,
+        credit: transaction.amount,
+      },
+    ],
+    booking: transaction.booking,
+    paymentFlow: paymentFlow._id,
+    transaction: transaction._id,
+  });
+
+  if (!isEscrow) {
+    await postPlatformFee(
+      paymentFlow,
+      transaction.amount,
+      `fee:${transaction._id}`,
+      {
+        transaction: transaction._id,
+      }
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Move escrowed funds to the provider's wallet, take the platform fee and
+ * add the platform's share of any coupon discount
+ * @param {Object} paymentFlow - PaymentFlow document
+ * @param {number} amount - Amount released to the provider (before fee)
+ * @param {Object} options
+ * @param {string} options.key - Unique key for the release (escrow id, or booking id when there is no escrow)
+ * @param {Object} [options.escrow] - EscrowTransaction id
+ * @param {Object} [options.createdBy] - User id
+ */
+async function recordEscrowRelease(
+  paymentFlow,
+  amount,
+  { key, escrow, createdBy }
+) {
+  if (!(amount > 0)) return null;
+
+  const entry = await postEntry({
+    reference: `release:${key}`,
+    entryType: "escrow_release",
+    description: "Escrow released to provider",
+    currency: paymentFlow.currency,
+    lines: [
+      { account: ESCROW, user: paymentFlow.provider, debit: amount },
+      { account: PROVIDER_PAYABLE, user: paymentFlow.provider, credit: amount },
+    ],
+    booking: paymentFlow.booking,
+    paymentFlow: paymentFlow._id,
+    escrow,
+    createdBy,
+  });
+
+  await postPlatformFee(paymentFlow, amount, `fee:${key}`, {
+    escrow,
+    createdBy,
+  });
+  await postCouponSubsidy(paymentFlow, amount, `subsidy:${key}`, {
+    escrow,
+    createdBy,
+  });
+
+  return entry;
+}
+
+/**
+ * Return money to the customer from escrow or from the provider's wallet.
+ * A refund out of the wallet also reverses the platform fee taken on it and
+ * the coupon subsidy paid with it.
+ * The part refunded as store credit is owed to the customer as credit
+ * rather than paid back out.
+ * @param {Object} paymentFlow - PaymentFlow document
+ * @param {number} amount - Amount refunded
+ * @param {Object} options - { key, escrow, createdBy, fromWallet, toCredit }
+ */
+async function recordRefund(
+  paymentFlow,
+  amount,
+  { key, escrow, createdBy, fromWallet = false, toCredit = 0 }
+) {
+  if (!(amount > 0)) return null;
+
+  const lines = [];
+  const paidBack = roundMoney(amount - toCredit);
+  if (paidBack > 0) {
+    lines.push({
+      account: CUSTOMER_FUNDS,
+      user: paymentFlow.customer,
+      credit: paidBack,
+    });
+  }
+  if (toCredit > 0) {
+    lines.push({
+      account: CUSTOMER_CREDIT,
+      user: paymentFlow.customer,
+      credit: toCredit,
+    });
+  }
+  if (fromWallet) {
+    const fee = getPlatformFee(paymentFlow, amount);
+    const subsidy = getCouponSubsidy(paymentFlow, amount);
+    lines.push({
+      account: PROVIDER_PAYABLE,
+      user: paymentFlow.provider,
+      debit: roundMoney(amount - fee + subsidy),
+    });
+    if (fee > 0) lines.push({ account: PLATFORM_REVENUE, debit: fee });
+    if (subsidy > 0) lines.push({ account: PLATFORM_REVENUE, credit: subsidy });
+  } else {
+    lines.push({ account: ESCROW, user: paymentFlow.provider, debit: amount });
+  }
+
+  return postEntry({
+    reference: `refund:${key}`,
+    entryType: "refund",
+    description:
+      toCredit > 0 ? "Refund to customer (credit)" : "Refund to customer",
+    currency: paymentFlow.currency,
+    lines,
+    booking: paymentFlow.booking,
+    paymentFlow: paymentFlow._id,
+    escrow,
+    createdBy,
+  });
+}
+
+/**
+ * Pay an approved payout out of the provider's wallet
+ */
+async function recordPayout(payout, approvedBy) {
+  return postEntry({
+    reference: `payout:${payout._id}`,
+    entryType: "payout",
+    description: `Payout ${payout.reference}`,
+    currency: payout.currency,
+    lines: [
+      {
+        account: PROVIDER_PAYABLE,
+        user: payout.provider,
+        debit: payout.amount,
+      },
+      { account: CUSTOMER_FUNDS, user: payout.provider, credit: payout.amount },
+    ],
+    payout: payout._id,
+    createdBy: approvedBy,
+  });
+}
+
+module.exports = {
+  postEntry,
+  getAccountBalance,
+  getPlatformFee,
+  getCouponSubsidy,
+  recordPaymentReceived,
+  recordEscrowRelease,
+  recordRefund,
+  recordPayout,
+};
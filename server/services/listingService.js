@@ -0,0 +1,100 @@
+const Listing = require("../models/Listing");
+const {
+  getDayRange,
+  getEventInterval,
+  findConflict,
+  isWholeDayListing,
+  getListingBuffers,
+  getListingBusy,
+  describeDay,
+} = require("./availabilityService");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+/**
+ * The time a booking holds a hall: the whole day for daily and package
+ * halls, the booked hours for hourly ones
+ */
+const getListingInterval = (listing, eventDetails) =>
+  getEventInterval(eventDetails, { wholeDay: isWholeDayListing(listing) });
+
+/**
+ * Whether a hall is free between two dates (leaving room for its setup and
+ * teardown buffers), and why not when it is not
+ * @returns {Promise<{ isAvailable: boolean, reason: string|null, type: string|null }>}
+ */
+async function checkListingAvailability(listing, startDate, endDate, options) {
+  const interval = { start: startDate, end: endDate };
+  const busy = await getListingBusy(listing, interval, options);
+  const conflict = findConflict(interval, busy, getListingBuffers(listing));
+
+  return conflict
+    ? { isAvailable: false, reason: conflict.reason, type: conflict.type }
+    : { isAvailable: true, reason: null, type: null };
+}
+
+/**
+ * Free windows for a hall on a day (the whole day, or nothing, for daily
+ * and package halls)
+ */
+async function getListingSlots(listing, date) {
+  const busy = await getListingBusy(listing, getDayRange(date));
+  return describeDay(date, busy, getListingBuffers(listing), {
+    wholeDay: isWholeDayListing(listing),
+  });
+}
+
+/**
+ * Load a hall a customer can book at an event center
+ * @throws 404 when the hall is not one of the center's active listings
+ */
+async function findBookableListing(eventCenterId, listingId) {
+  const listing = await Listing.findOne({
+    _id: listingId,
+    eventCenter: eventCenterId,
+    isActive: true,
+  });
+  if (!listing) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Listing not found");
+  }
+  return listing;
+}
+
+/**
+ * Check a booking fits the hall: free for the event and within its guest
+ * capacity
+ * @param {Object} [options] - { excludeBooking } when moving a booking
+ * @throws 409 when the hall is taken, 400 when the guest count does not fit
+ */
+async function assertListingBookable(listing, eventDetails, options) {
+  const { start, end } = getListingInterval(listing, eventDetails);
+  const { isAvailable } = await checkListingAvailability(
+    listing,
+    start,
+    end,
+    options
+  );
+  if (!isAvailable) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      `${listing.hallName} is not available at the selected time`
+    );
+  }
+
+  const { guestCount } = eventDetails;
+  const { minimum, maximum } = listing.capacity;
+  if (guestCount && (guestCount < minimum || guestCount > maximum)) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Guest count must be between ${minimum} and ${maximum} for ${listing.hallName}`
+    );
+  }
+}
+
+module.exports = {
+  getListingInterval,
+  checkListingAvailability,
+  getListingSlots,
+  findBookableListing,
+  assertListingBookable,
+};
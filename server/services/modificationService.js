@@ -0,0 +1,735 @@
+const BookingModification = require("../models/BookingModification");
+const PaymentFlow = require("../models/PaymentFlow");
+const EscrowTransaction = require("../models/EscrowTransaction");
+const ServiceProvider = require("../models/ServiceProvider");
+const Listing = require("../models/Listing");
+const { buildQuote } = require("./quoteService");
+const { assertProviderAvailable } = require("./availabilityService");
+const { assertListingBookable } = require("./listingService");
+const { claimSlots } = require("./reservationService");
+const { getAmountPaid, syncBookingPayment } = require("./paymentService");
+const {
+  createPaymentSchedule,
+  applyPaymentsToSchedule,
+} = require("./paymentScheduleService");
+const { getCreditPaid, refundTransactions } = require("./cancellationService");
+const { refundEscrowPart, rescheduleEscrow } = require("./escrowService");
+const { addCredit } = require("./creditService");
+const {
+  getAccountBalance,
+  getPlatformFee,
+  getCouponSubsidy,
+  recordRefund,
+} = require("./ledgerService");
+const { createError, formatMoney } = require("../utils/helpers");
+const {
+  STATUS_CODES,
+  BOOKING_STATUS,
+  LEDGER_ACCOUNTS,
+} = require("../utils/constants");
+
+// How long the other party has to answer a proposal
+const RESPONSE_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+const FIELDS = ["eventDate", "startTime", "endTime", "guestCount", "addOns"];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Which side of the booking a user is on, if either
+ */
+function getParty(booking, user) {
+  if (booking.customer.toString() === user._id.toString()) return "customer";
+  if (booking.provider.toString() === user._id.toString()) return "provider";
+  return null;
+}
+
+/**
+ * The details a modification can change, as the booking has them now.
+ * addOns is null when the booking's add-ons were priced before their ids
+ * were kept, so they cannot be carried over.
+ */
+function getCurrentDetails(booking) {
+  const { eventDate, startTime, endTime, guestCount } = booking.eventDetails;
+  const addOnLines = (booking.quote?.lineItems || []).filter(
+    (item) => item.type === "addon"
+  );
+
+  return {
+    eventDate,
+    startTime,
+    endTime,
+    guestCount,
+    addOns: addOnLines.every((item) => item.addOnId)
+      ? addOnLines.map((item) => ({
+          addOnId: item.addOnId,
+          quantity: item.quantity,
+        }))
+      : null,
+  };
+}
+
+// Values compared (and recorded) the same way whatever their type
+const normalize = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (field === "eventDate") return new Date(value).toISOString();
+  if (field === "addOns") {
+    return value.map((addOn) => ({
+      addOnId: addOn.addOnId.toString(),
+      quantity: addOn.quantity || 1,
+    }));
+  }
+  return value;
+};
+
+/**
+ * Fields that differ between two sets of details, old and new
+ */
+const diffDetails = (previous, proposed) =>
+  FIELDS.map((field) => ({
+    field,
+    from: normalize(field, previous[field]),
+    to: normalize(field, proposed[field]),
+  })).filter(
+    (change) => JSON.stringify(change.from) !== JSON.stringify(change.to)
+  );
+
+const toEventDetails = (booking, details) => ({
+  ...booking.toObject().eventDetails,
+  eventDate: details.eventDate,
+  startTime: details.startTime,
+  endTime: details.endTime,
+  guestCount: details.guestCount,
+});
+
+/**
+ * Check the provider or hall is free for the booking's new details (its own
+ * current claim aside) and, for halls, that the guests fit
+ * @throws 409 when it is taken
+ */
+async function assertAvailable(booking, eventDetails) {
+  const options = { excludeBooking: booking._id };
+
+  if (booking.bookingType === "provider") {
+    const serviceProvider = await ServiceProvider.findById(
+      booking.serviceProvider
+    );
+    if (!serviceProvider) {
+      throw createError(STATUS_CODES.NOT_FOUND, "Service provider not found");
+    }
+    await assertProviderAvailable(serviceProvider, eventDetails, options);
+    return;
+  }
+
+  // Bookings made before halls were bookable are checked when claimed
+  const listing = booking.listing && (await Listing.findById(booking.listing));
+  if (listing) {
+    await assertListingBookable(listing, eventDetails, options);
+  }
+}
+
+/**
+ * Price the booking as it would be with new details, from the provider's
+ * or hall's current pricing. A coupon the booking was made with keeps its
+ * discount.
+ */
+function repriceBooking(booking, details) {
+  const { coupon } = booking;
+
+  return buildQuote(
+    {
+      bookingType: booking.bookingType,
+      serviceProviderId: booking.serviceProvider,
+      serviceId: booking.quote?.serviceId,
+      eventCenterId: booking.eventCenter,
+      listingId: booking.listing,
+      packageId: booking.quote?.packageId,
+      eventDetails: toEventDetails(booking, details),
+      addOns: details.addOns || [],
+      currency: booking.fx?.displayCurrency,
+    },
+    booking.customer,
+    {
+      coupon: coupon?.coupon && {
+        couponId: coupon.coupon.toString(),
+        code: coupon.code,
+        discount: coupon.discount,
+        platformCost: coupon.platformCost,
+        providerCost: coupon.providerCost,
+      },
+    }
+  );
+}
+
+const assertModifiable = (booking) => {
+  if (
+    ![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)
+  ) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Cannot change a ${booking.status} booking`
+    );
+  }
+};
+
+const notify = (notificationService, userId, title, message, booking) => {
+  if (!notificationService) return;
+  notificationService
+    .notifySystem(
+      userId,
+      title,
+      message,
+      `/bookings/${booking._id}`,
+      "View Booking",
+      "high"
+    )
+    .catch(() => {});
+};
+
+const counterparty = (booking, party) =>
+  party === "customer" ? booking.provider : booking.customer;
+
+/**
+ * Propose new details for a booking. The new slot must be free and the
+ * booking is repriced straight away, so the other party sees exactly what
+ * they are agreeing to.
+ * @param {Object} booking - Booking document
+ * @param {Object} user - Customer or provider proposing
+ * @param {Object} changes - Any of eventDate, startTime, endTime,
+ * guestCount, addOns [{ addOnId, quantity }], and a reason
+ * @param {Object} [options]
+ * @param {Object} [options.counterOf] - Modification this one answers
+ * @throws 409 when the slot is taken or another proposal is open
+ */
+async function proposeModification(
+  booking,
+  user,
+  changes,
+  { counterOf, notificationService } = {}
+) {
+  const party = getParty(booking, user);
+  if (!party) {
+    throw createError(
+      STATUS_CODES.FORBIDDEN,
+      "Only the customer or provider can change this booking"
+    );
+  }
+  assertModifiable(booking);
+
+  // A negotiated price was only agreed for the details it was offered on
+  if (booking.quoteRequest) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Negotiated bookings cannot be repriced, send the provider a new quote request"
+    );
+  }
+
+  const previous = getCurrentDetails(booking);
+  if (changes.addOns === undefined && previous.addOns === null) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "This booking's add-ons cannot be carried over, list the add-ons to keep"
+    );
+  }
+
+  const proposed = { ...previous };
+  FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) proposed[field] = changes[field];
+  });
+  if (diffDetails(previous, proposed).length === 0) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "The proposal does not change anything"
+    );
+  }
+
+  await assertAvailable(booking, toEventDetails(booking, proposed));
+  const quote = await repriceBooking(booking, proposed);
+
+  // Proposals nobody answered in time no longer block new ones
+  await BookingModification.updateMany(
+    {
+      booking: booking._id,
+      status: "pending",
+      expiresAt: { $lte: new Date() },
+    },
+    { $set: { status: "expired" } }
+  );
+
+  let modification;
+  try {
+    modification = await BookingModification.create({
+      booking: booking._id,
+      proposedBy: user._id,
+      awaiting: party === "customer" ? "provider" : "customer",
+      counterOf: counterOf?._id,
+      reason: changes.reason,
+      previous: { ...previous, addOns: previous.addOns || [] },
+      proposed,
+      previousPricing: booking.toObject().pricing,
+      pricing: quote.pricing,
+      lineItems: quote.lineItems,
+      durationHours: quote.durationHours,
+      coupon: quote.coupon,
+      display: quote.display,
+      priceDifference: roundMoney(
+        quote.pricing.totalAmount - booking.pricing.totalAmount
+      ),
+      expiresAt: new Date(Date.now() + RESPONSE_WINDOW_MS),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError(
+        STATUS_CODES.CONFLICT,
+        "This booking already has a change awaiting an answer"
+      );
+    }
+    throw error;
+  }
+
+  notify(
+    notificationService,
+    counterparty(booking, party),
+    counterOf ? "Booking Change Countered" : "Booking Change Requested",
+    `A change to booking ${booking.bookingNumber} is waiting for your answer`,
+    booking
+  );
+
+  return modification;
+}
+
+/**
+ * Check a user can answer a proposal: it is still open and they are the
+ * side it is waiting on
+ */
+function assertCanRespond(modification, booking, user) {
+  if (modification.status !== "pending") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `This change has already been ${modification.status}`
+    );
+  }
+  if (modification.expiresAt <= new Date()) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "This change has expired");
+  }
+  if (getParty(booking, user) !== modification.awaiting) {
+    throw createError(
+      STATUS_CODES.FORBIDDEN,
+      `Only the ${modification.awaiting} can answer this change`
+    );
+  }
+}
+
+/**
+ * Move a proposal out of pending, once; null if someone got there first
+ */
+const closeModification = (modification, status, user, note) =>
+  BookingModification.findOneAndUpdate(
+    { _id: modification._id, status: "pending" },
+    {
+      $set: {
+        status,
+        respondedBy: user._id,
+        respondedAt: new Date(),
+        responseNote: note,
+      },
+    },
+    { new: true }
+  );
+
+const alreadyAnswered = () =>
+  createError(STATUS_CODES.CONFLICT, "This change has already been answered");
+
+/**
+ * Refund what a customer has paid beyond the booking's new price. Money the
+ * platform still holds (a held escrow, or provider earnings still in the
+ * wallet) is refunded straight away; otherwise the provider pays it back
+ * and confirms it (the refund stays "pending"). Payments made from credit
+ * go back to credit.
+ */
+async function refundOverpayment(
+  booking,
+  paymentFlow,
+  amount,
+  { key, reason, user }
+) {
+  const toCredit = Math.min(amount, await getCreditPaid(booking));
+  const ledgerKey = `modification:${key}`;
+
+  const escrow = await EscrowTransaction.findOne({
+    paymentFlow: paymentFlow._id,
+  });
+  const heldByPlatform =
+    paymentFlow.paymentMethod === "escrow" &&
+    (!escrow || escrow.status === "held");
+
+  let settled = false;
+  if (heldByPlatform) {
+    if (escrow) {
+      const refunded = await refundEscrowPart(escrow, {
+        amount,
+        key: ledgerKey,
+        reason,
+        refundedBy: user._id,
+        toCredit,
+      });
+      if (!refunded) {
+        throw createError(STATUS_CODES.CONFLICT, "Escrow is no longer held");
+      }
+    } else {
+      // Installments paid before the escrow was funded
+      await recordRefund(paymentFlow, amount, {
+        key: ledgerKey,
+        createdBy: user._id,
+        toCredit,
+      });
+    }
+    settled = true;
+  } else {
+    // The booking's earnings must still be in the wallet, not paid out
+    const [earned, walletBalance] = await Promise.all([
+      getAccountBalance(LEDGER_ACCOUNTS.PROVIDER_PAYABLE, {
+        user: booking.provider,
+        booking: booking._id,
+      }),
+      getAccountBalance(LEDGER_ACCOUNTS.PROVIDER_PAYABLE, {
+        user: booking.provider,
+      }),
+    ]);
+    const fromWallet =
+      amount -
+      getPlatformFee(paymentFlow, amount) +
+      getCouponSubsidy(paymentFlow, amount);
+
+    if (Math.min(earned, walletBalance) >= fromWallet) {
+      await recordRefund(paymentFlow, amount, {
+        key: ledgerKey,
+        createdBy: user._id,
+        fromWallet: true,
+        toCredit,
+      });
+      settled = true;
+    }
+  }
+
+  if (!settled) {
+    return { refundAmount: amount, creditAmount: 0, refundStatus: "pending" };
+  }
+
+  await refundTransactions(booking, amount, { reason, refundedBy: user._id });
+  if (toCredit > 0) {
+    await addCredit({
+      user: booking.customer,
+      amount: toCredit,
+      currency: booking.pricing.currency,
+      type: "refund",
+      reference: `refund:${ledgerKey}`,
+      description: `Refund for changes to booking ${booking.bookingNumber}`,
+      booking: booking._id,
+      createdBy: user._id,
+    });
+  }
+
+  return {
+    refundAmount: amount,
+    creditAmount: toCredit,
+    refundStatus: "completed",
+  };
+}
+
+/**
+ * Put an accepted modification into effect: move the booking to its new
+ * slot, reprice it and settle the difference. A higher price is added to
+ * what is left to pay (the payment schedule is redone); anything paid over
+ * the new price is refunded. The change is recorded in statusHistory.
+ * Saves the booking.
+ */
+async function applyModification(booking, modification, user) {
+  assertModifiable(booking);
+
+  const { proposed } = modification;
+  const eventDetails = toEventDetails(booking, proposed);
+  await assertAvailable(booking, eventDetails);
+
+  // Move the claimed slot. The old one is only let go once the new one is
+  // secured, so on failure the booking keeps its reservation untouched.
+  const previousDetails = booking.toObject().eventDetails;
+  const held = Boolean(booking.holdExpiresAt);
+  booking.eventDetails = eventDetails;
+  try {
+    const claim = await claimSlots(booking, { hold: held });
+    if (held) booking.holdExpiresAt = claim.expiresAt;
+  } catch (error) {
+    booking.eventDetails = previousDetails;
+    throw error;
+  }
+
+  const changes = [
+    ...diffDetails(modification.previous, proposed),
+    {
+      field: "totalAmount",
+      from: booking.pricing.totalAmount,
+      to: modification.pricing.totalAmount,
+    },
+  ];
+
+  booking.pricing = modification.pricing;
+  booking.quote.lineItems = modification.lineItems;
+  booking.quote.durationHours = modification.durationHours;
+  booking.quote.quotedAt = new Date();
+  if (modification.coupon) {
+    booking.coupon.discount = modification.coupon.discount;
+    booking.coupon.platformCost = modification.coupon.platformCost;
+    booking.coupon.providerCost = modification.coupon.providerCost;
+  }
+  if (modification.display) {
+    booking.fx = {
+      displayCurrency: modification.display.currency,
+      rate: modification.display.rate,
+      rateAsOf: modification.display.rateAsOf,
+      displayTotal: modification.display.totalAmount,
+    };
+  }
+
+  // Settle the price difference
+  const totalAmount = booking.pricing.totalAmount;
+  const amountPaid = await getAmountPaid(booking._id);
+  const paymentFlow = await PaymentFlow.findOne({
+    booking: booking._id,
+    status: { $nin: ["failed", "cancelled"] },
+  });
+
+  const settlement = {
+    amountPaid,
+    amountDue: roundMoney(Math.max(0, totalAmount - amountPaid)),
+  };
+  const overpaid = roundMoney(amountPaid - totalAmount);
+  if (overpaid > 0 && paymentFlow) {
+    Object.assign(
+      settlement,
+      await refundOverpayment(booking, paymentFlow, overpaid, {
+        key: modification._id,
+        reason: `Booking changed: now ${totalAmount}`,
+        user,
+      })
+    );
+  }
+
+  if (paymentFlow) {
+    paymentFlow.totalAmount = totalAmount;
+    paymentFlow.couponSubsidy = booking.coupon?.platformCost || 0;
+    paymentFlow.timeline.push({
+      status: paymentFlow.status,
+      note: `Booking changed, total now ${totalAmount}`,
+    });
+    await paymentFlow.save();
+  }
+
+  if (booking.paymentSchedule.length > 0) {
+    await createPaymentSchedule(booking);
+    applyPaymentsToSchedule(booking, Math.min(amountPaid, totalAmount));
+  }
+
+  // Held funds are released relative to the event, wherever it moved
+  if (changes.some((change) => change.field === "eventDate")) {
+    const escrow = await EscrowTransaction.findOne({ booking: booking._id });
+    if (escrow) await rescheduleEscrow(escrow, eventDetails.eventDate);
+  }
+
+  booking.statusHistory.push({
+    status: booking.status,
+    changedBy: user._id,
+    changedAt: new Date(),
+    reason: `Booking changed (${changes
+      .map((change) => change.field)
+      .join(", ")})`,
+    modification: modification._id,
+    changes,
+  });
+  await booking.save();
+
+  // Payment status and deposit paid follow the new total
+  await syncBookingPayment(booking._id);
+
+  return settlement;
+}
+
+/**
+ * The other party agrees to a proposal, which takes effect straight away
+ * @returns {Promise<Object>} The accepted modification
+ */
+async function acceptModification(
+  modification,
+  booking,
+  user,
+  { note, notificationService } = {}
+) {
+  assertCanRespond(modification, booking, user);
+
+  const accepted = await closeModification(
+    modification,
+    "accepted",
+    user,
+    note
+  );
+  if (!accepted) throw alreadyAnswered();
+
+  try {
+    accepted.settlement = await applyModification(booking, accepted, user);
+  } catch (error) {
+    await BookingModification.updateOne(
+      { _id: accepted._id, status: "accepted" },
+      {
+        $set: { status: "pending" },
+        $unset: { respondedBy: 1, respondedAt: 1, responseNote: 1 },
+      }
+    );
+    throw error;
+  }
+  await accepted.save();
+
+  const { amountDue, refundAmount } = accepted.settlement;
+  let priceNote = "";
+  const { currency } = booking.pricing;
+  if (amountDue > 0) {
+    priceNote = `, ${formatMoney(amountDue, currency)} left to pay`;
+  } else if (refundAmount > 0) {
+    priceNote = `, ${formatMoney(refundAmount, currency)} to be refunded`;
+  }
+  notify(
+    notificationService,
+    accepted.proposedBy,
+    "Booking Change Accepted",
+    `Your change to booking ${booking.bookingNumber} was accepted${priceNote}`,
+    booking
+  );
+
+  return accepted;
+}
+
+/**
+ * The other party turns a proposal down; the booking stays as it is
+ */
+async function rejectModification(
+  modification,
+  booking,
+  user,
+  { note, notificationService } = {}
+) {
+  assertCanRespond(modification, booking, user);
+
+  const rejected = await closeModification(
+    modification,
+    "rejected",
+    user,
+    note
+  );
+  if (!rejected) throw alreadyAnswered();
+
+  notify(
+    notificationService,
+    rejected.proposedBy,
+    "Booking Change Declined",
+    `Your change to booking ${booking.bookingNumber} was declined`,
+    booking
+  );
+
+  return rejected;
+}
+
+/**
+ * The other party answers a proposal with one of their own, which is then
+ * waiting on the first party
+ */
+async function counterModification(
+  modification,
+  booking,
+  user,
+  changes,
+  { notificationService } = {}
+) {
+  assertCanRespond(modification, booking, user);
+
+  const countered = await closeModification(
+    modification,
+    "countered",
+    user,
+    changes.reason
+  );
+  if (!countered) throw alreadyAnswered();
+
+  try {
+    return await proposeModification(booking, user, changes, {
+      counterOf: countered,
+      notificationService,
+    });
+  } catch (error) {
+    await BookingModification.updateOne(
+      { _id: countered._id, status: "countered" },
+      {
+        $set: { status: "pending" },
+        $unset: { respondedBy: 1, respondedAt: 1, responseNote: 1 },
+      }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Whoever proposed a change takes it back before it is answered
+ */
+async function withdrawModification(modification, user) {
+  if (modification.proposedBy.toString() !== user._id.toString()) {
+    throw createError(
+      STATUS_CODES.FORBIDDEN,
+      "Only whoever proposed this change can withdraw it"
+    );
+  }
+
+  const withdrawn = await closeModification(modification, "withdrawn", user);
+  if (!withdrawn) throw alreadyAnswered();
+  return withdrawn;
+}
+
+/**
+ * Close out a pending refund from an accepted change once the provider has
+ * paid it back (completed) or an admin decides it is not owed (rejected)
+ */
+async function resolveModificationRefund(
+  modification,
+  booking,
+  { status, user }
+) {
+  // Claim the pending refund so it can only be closed out once
+  const resolved = await BookingModification.findOneAndUpdate(
+    { _id: modification._id, "settlement.refundStatus": "pending" },
+    { $set: { "settlement.refundStatus": status } },
+    { new: true }
+  );
+  if (!resolved) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "This change has no pending refund"
+    );
+  }
+
+  if (status === "completed") {
+    await refundTransactions(booking, resolved.settlement.refundAmount, {
+      reason: "Booking changed: refund paid by provider",
+      refundedBy: user._id,
+    });
+    await syncBookingPayment(booking._id);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  getParty,
+  proposeModification,
+  acceptModification,
+  rejectModification,
+  counterModification,
+  withdrawModification,
+  resolveModificationRefund,
+};
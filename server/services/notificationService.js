@@ -1,4 +1,5 @@
 const Notification = require("../models/Notification");
+const { formatMoney } = require("../utils/helpers");
 
 /**
  * Notification Service
@@ -188,6 +189,31 @@ class NotificationService {
     });
   }
 
+  /**
+   * Escrow dispute notification (sent to both customer and provider)
+   */
+  async notifyDisputeUpdate(escrow, notificationType, title, message, sender) {
+    return Promise.all(
+      [escrow.customer, escrow.provider].map((recipient) =>
+        this.createNotification({
+          recipient,
+          sender,
+          notificationType,
+          title,
+          message,
+          relatedBooking: escrow.booking,
+          actionLink: `/bookings/${escrow.booking}`,
+          actionText: "View Dispute",
+          priority: "high",
+          metadata: {
+            escrowId: escrow._id,
+            disputeStatus: escrow.dispute?.status,
+          },
+        })
+      )
+    );
+  }
+
   /**
    * Review received notification
    */
@@ -322,6 +348,29 @@ class NotificationService {
     });
   }
 
+  /**
+   * Upcoming installment reminder
+   */
+  async notifyPaymentReminder(booking, installment) {
+    const label = installment.installment === "deposit" ? "deposit" : "balance";
+    return this.createNotification({
+      recipient: booking.customer,
+      notificationType: "reminder",
+      title: "Payment Reminder",
+      message: `Your ${label} of ${formatMoney(
+        installment.amount,
+        booking.pricing.currency
+      )} for booking ${
+        booking.bookingNumber
+      } is due on ${installment.dueDate.toDateString()}`,
+      relatedBooking: booking._id,
+      actionLink: `/bookings/${booking._id}`,
+      actionText: "Pay Now",
+      priority: "high",
+      metadata: { installment: installment.installment },
+    });
+  }
+
   /**
    * System notification
    */
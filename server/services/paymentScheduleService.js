@@ -0,0 +1,176 @@
+const Booking = require("../models/Booking");
+const ServiceProvider = require("../models/ServiceProvider");
+const { paymentReminderDays } = require("../config/environment");
+const { BOOKING_STATUS, PAYMENT_STATUS } = require("../utils/constants");
+
+// Used when the booking has no provider terms (e.g. center bookings)
+const DEFAULT_BALANCE_DUE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out the installments for a booking from its provider's terms:
+ * a deposit due now and the balance due `balanceDueDays` before the event,
+ * or a single full payment when no deposit is required.
+ * @param {Object} booking - Booking document
+ * @param {Object} [terms] - ServiceProvider.terms
+ * @returns {Array<{installment: string, amount: number, dueDate: Date}>}
+ */
+function buildPaymentSchedule(booking, terms = {}) {
+  const now = new Date();
+  const totalAmount = booking.pricing.totalAmount;
+  const balanceDueDays =
+    terms.balanceDueDays !== undefined
+      ? terms.balanceDueDays
+      : DEFAULT_BALANCE_DUE_DAYS;
+
+  // Never due in the past: late confirmations are due straight away
+  const eventDate = new Date(booking.eventDetails.eventDate);
+  const balanceDueDate = new Date(
+    Math.max(now.getTime(), eventDate.getTime() - balanceDueDays * DAY_MS)
+  );
+
+  const depositAmount =
+    terms.depositRequired && terms.depositPercentage
+      ? Math.round((totalAmount * terms.depositPercentage) / 100)
+      : 0;
+
+  if (depositAmount <= 0 || depositAmount >= totalAmount) {
+    return [
+      {
+        installment: "full_payment",
+        amount: totalAmount,
+        dueDate: balanceDueDate,
+      },
+    ];
+  }
+
+  return [
+    { installment: "deposit", amount: depositAmount, dueDate: now },
+    {
+      installment: "balance",
+      amount: totalAmount - depositAmount,
+      dueDate: balanceDueDate,
+    },
+  ];
+}
+
+/**
+ * Generate and attach the payment schedule for a booking (does not save)
+ */
+async function createPaymentSchedule(booking) {
+  let terms;
+  if (booking.serviceProvider) {
+    const serviceProvider = await ServiceProvider.findById(
+      booking.serviceProvider
+    ).select("terms");
+    terms = serviceProvider?.terms;
+  }
+
+  booking.paymentSchedule = buildPaymentSchedule(
+    booking,
+    terms ? terms.toObject() : {}
+  );
+  return booking.paymentSchedule;
+}
+
+/**
+ * Mark installments paid, in order, against the total paid so far
+ */
+function applyPaymentsToSchedule(booking, amountPaid) {
+  let covered = 0;
+
+  booking.paymentSchedule.forEach((installment) => {
+    covered += installment.amount;
+    if (amountPaid >= covered) {
+      if (installment.status !== "paid") {
+        installment.status = "paid";
+        installment.paidAt = new Date();
+      }
+    } else {
+      installment.status = "pending";
+      installment.paidAt = undefined;
+    }
+  });
+}
+
+/**
+ * The first unpaid installment and how much of it is still owed
+ * @returns {{installment: Object, remaining: number}|null}
+ */
+function getNextInstallment(booking, amountPaid) {
+  let covered = 0;
+
+  for (const installment of booking.paymentSchedule || []) {
+    covered += installment.amount;
+    if (amountPaid < covered) {
+      return { installment, remaining: covered - amountPaid };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remind customers of installments falling due within the reminder window.
+ * Each installment is reminded once; the claim is atomic so overlapping
+ * runs do not double-notify.
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendPaymentReminders(notificationService) {
+  const dueBy = new Date(Date.now() + paymentReminderDays * DAY_MS);
+
+  const bookings = await Booking.find({
+    status: BOOKING_STATUS.CONFIRMED,
+    paymentStatus: { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PARTIAL] },
+    paymentSchedule: {
+      $elemMatch: {
+        status: "pending",
+        dueDate: { $lte: dueBy },
+        reminderSentAt: null,
+      },
+    },
+  });
+
+  let sent = 0;
+  for (const booking of bookings) {
+    const dueInstallments = booking.paymentSchedule.filter(
+      (installment) =>
+        installment.status === "pending" &&
+        installment.dueDate <= dueBy &&
+        !installment.reminderSentAt
+    );
+
+    for (const installment of dueInstallments) {
+      // eslint-disable-next-line no-await-in-loop
+      const claimed = await Booking.updateOne(
+        {
+          _id: booking._id,
+          paymentSchedule: {
+            $elemMatch: { _id: installment._id, reminderSentAt: null },
+          },
+        },
+        { $set: { "paymentSchedule.$.reminderSentAt": new Date() } }
+      );
+
+      if (claimed.modifiedCount > 0) {
+        sent += 1;
+        if (notificationService) {
+          notificationService
+            .notifyPaymentReminder(booking, installment)
+            .catch(() => {});
+        }
+      }
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  buildPaymentSchedule,
+  createPaymentSchedule,
+  applyPaymentsToSchedule,
+  getNextInstallment,
+  sendPaymentReminders,
+};
@@ -0,0 +1,820 @@
+const Booking = require("../models/Booking");
+const PaymentFlow = require("../models/PaymentFlow");
+const DirectPaymentTransaction = require("../models/DirectPaymentTransaction");
+const { getGateway } = require("./gateways");
+const { fundEscrow } = require("./escrowService");
+const { recordPaymentReceived } = require("./ledgerService");
+const { resolveBookingFee } = require("./feeService");
+const { issuePaymentReceipt } = require("./invoiceService");
+const { getAllocation, syncShares } = require("./splitPaymentService");
+const { addCredit, spendCredit } = require("./creditService");
+const { claimSlots } = require("./reservationService");
+const {
+  createPaymentSchedule,
+  applyPaymentsToSchedule,
+  getNextInstallment,
+} = require("./paymentScheduleService");
+const { paymentCallbackUrl } = require("../config/environment");
+const {
+  createError,
+  generateReference,
+  formatMoney,
+} = require("../utils/helpers");
+const {
+  STATUS_CODES,
+  BOOKING_STATUS,
+  PAYMENT_STATUS,
+} = require("../utils/constants");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Transaction statuses that will not change again on gateway verification.
+// A "failed" checkout can still be settled by a late success webhook.
+const FINAL_TRANSACTION_STATUSES = [
+  "successful",
+  "failed",
+  "cancelled",
+  "refunded",
+];
+
+/**
+ * Find the live payment flow for a booking, creating it on first payment
+ */
+async function getOrCreatePaymentFlow(booking) {
+  let flow = await PaymentFlow.findOne({
+    booking: booking._id,
+    status: { $nin: ["failed", "cancelled"] },
+  });
+
+  if (!flow) {
+    flow = await PaymentFlow.create({
+      booking: booking._id,
+      customer: booking.customer,
+      provider: booking.provider,
+      // Credit is already platform money, so it is protected like escrow
+      paymentMethod:
+        booking.paymentMethod === "credit" ? "escrow" : booking.paymentMethod,
+      totalAmount: booking.pricing.totalAmount,
+      currency: booking.pricing.currency,
+      platformFee: await resolveBookingFee(booking),
+      couponSubsidy: booking.coupon?.platformCost || 0,
+      timeline: [{ status: "initiated", note: "Payment flow created" }],
+    });
+  }
+
+  return flow;
+}
+
+/**
+ * Sum of all successful payments made against a booking, less anything
+ * already refunded from them
+ */
+async function getAmountPaid(bookingId) {
+  const result = await DirectPaymentTransaction.aggregate([
+    { $match: { booking: bookingId, status: "successful" } },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $subtract: ["$amount", { $ifNull: ["$refund.refundAmount", 0] }],
+          },
+        },
+      },
+    },
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+}
+
+/**
+ * Check a booking can take a payment and work out how much to charge.
+ * With a payment schedule the default is the next installment, and the
+ * charge is typed after the installment it starts paying off. When
+ * co-payers have been invited, each party can only pay off their own share.
+ * @param {Object} booking
+ * @param {number} [amount]
+ * @param {Object} [share] - Co-payer share being paid (host when unset)
+ * @returns {Promise<{amountPaid: number, outstanding: number, chargeAmount: number, transactionType: string}>}
+ */
+async function resolveChargeAmount(booking, amount, share) {
+  if (
+    booking.status === BOOKING_STATUS.CANCELLED ||
+    booking.status === BOOKING_STATUS.COMPLETED
+  ) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Cannot pay for a ${booking.status} booking`
+    );
+  }
+
+  if (booking.paymentMethod === "cash") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Cash bookings are settled directly with the provider"
+    );
+  }
+
+  const amountPaid = await getAmountPaid(booking._id);
+  const outstanding = booking.pricing.totalAmount - amountPaid;
+
+  if (outstanding <= 0) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Booking is already fully paid"
+    );
+  }
+
+  const { shares, hostShare, hostPaid } = await getAllocation(booking);
+
+  // What the paying party still owes
+  let payable = outstanding;
+  if (share) {
+    const entry = shares.find((s) => s.share._id.equals(share._id));
+    if (!entry) {
+      throw createError(STATUS_CODES.NOT_FOUND, "Payment share not found");
+    }
+    payable = Math.min(
+      outstanding,
+      roundMoney(entry.share.amount - entry.paid)
+    );
+  } else if (shares.length > 0) {
+    payable = Math.min(outstanding, roundMoney(hostShare - hostPaid));
+  }
+
+  if (payable <= 0) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "This share is already paid");
+  }
+
+  const next = share ? null : getNextInstallment(booking, amountPaid);
+  let transactionType = amountPaid > 0 ? "balance" : "full_payment";
+  if (share) transactionType = "contribution";
+  else if (next) transactionType = next.installment.installment;
+
+  let chargeAmount = payable;
+  if (amount !== undefined) {
+    chargeAmount = Number(amount);
+  } else if (next) {
+    chargeAmount = Math.min(next.remaining, payable);
+  }
+
+  if (!(chargeAmount > 0) || chargeAmount > payable) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Amount must be greater than 0 and at most ${payable}`
+    );
+  }
+
+  return { amountPaid, outstanding, chargeAmount, transactionType };
+}
+
+/**
+ * Start a gateway payment for a booking
+ * @param {Object} options
+ * @param {Object} options.booking - Booking document
+ * @param {Object} options.payer - User paying (needs email)
+ * @param {string} [options.gatewayName] - Adapter name, defaults to PAYMENT_GATEWAY
+ * @param {number} [options.amount] - Defaults to the outstanding balance
+ * @param {string} [options.callbackUrl] - Where the gateway redirects afterwards
+ * @param {Object} [options.share] - Co-payer share being paid (split payments)
+ * @returns {Promise<{paymentFlow: Object, transaction: Object}>}
+ */
+async function initializePayment({
+  booking,
+  payer,
+  gatewayName,
+  amount,
+  callbackUrl,
+  share,
+}) {
+  const gateway = getGateway(gatewayName);
+  const { chargeAmount, transactionType } = await resolveChargeAmount(
+    booking,
+    amount,
+    share
+  );
+
+  // Keep the slot held while the customer pays; a hold that has lapsed is
+  // taken again, unless someone else got the slot first
+  if (booking.holdExpiresAt) {
+    const hold = await claimSlots(booking, { hold: true });
+    booking.holdExpiresAt = hold.expiresAt;
+    await booking.save();
+  }
+
+  const paymentFlow = await getOrCreatePaymentFlow(booking);
+
+  // Reuse an open checkout for the same amount instead of starting another
+  const openTransaction = await DirectPaymentTransaction.findOne({
+    booking: booking._id,
+    status: "pending",
+    amount: chargeAmount,
+    "gateway.name": gateway.name,
+    paymentShare: share ? share._id : null,
+  });
+  if (openTransaction) {
+    return { paymentFlow, transaction: openTransaction };
+  }
+
+  const reference = generateReference("PAY");
+  const transaction = new DirectPaymentTransaction({
+    paymentFlow: paymentFlow._id,
+    booking: booking._id,
+    customer: booking.customer,
+    provider: booking.provider,
+    paymentShare: share?._id,
+    payer: share ? { name: share.name, email: share.email } : undefined,
+    transactionType,
+    amount: chargeAmount,
+    currency: booking.pricing.currency,
+    gateway: { name: gateway.name, reference },
+    history: [{ status: "initiated", note: `Checkout via ${gateway.name}` }],
+  });
+
+  let checkout;
+  try {
+    checkout = await gateway.initialize({
+      reference,
+      amount: chargeAmount,
+      currency: booking.pricing.currency,
+      email: payer.email,
+      callbackUrl: callbackUrl || paymentCallbackUrl,
+      metadata: {
+        bookingId: booking._id.toString(),
+        bookingNumber: booking.bookingNumber,
+      },
+    });
+  } catch (error) {
+    transaction.status = "failed";
+    transaction.history.push({ status: "failed", note: error.message });
+    await transaction.save();
+    throw createError(STATUS_CODES.BAD_GATEWAY, error.message);
+  }
+
+  transaction.status = "pending";
+  transaction.gateway.authorizationUrl = checkout.authorizationUrl;
+  transaction.gateway.accessCode = checkout.accessCode;
+  transaction.gateway.transactionId = checkout.transactionId;
+  transaction.gatewayResponse = checkout.raw;
+  transaction.history.push({
+    status: "pending",
+    note: "Awaiting payment at gateway",
+  });
+  await transaction.save();
+
+  paymentFlow.gateway = {
+    name: gateway.name,
+    reference,
+    transactionId: checkout.transactionId,
+    authorizationUrl: checkout.authorizationUrl,
+  };
+  if (paymentFlow.status === "initiated") {
+    paymentFlow.status = "pending";
+  }
+  paymentFlow.timeline.push({
+    status: paymentFlow.status,
+    note: `Checkout ${reference} started for ${chargeAmount}`,
+  });
+  await paymentFlow.save();
+
+  return { paymentFlow, transaction };
+}
+
+/**
+ * Record a bank transfer the customer says they made, with proof of payment.
+ * It stays "processing" until an admin (or the provider, for direct
+ * payments) verifies it.
+ * @param {Object} options
+ * @param {Object} options.booking - Booking document
+ * @param {number} [options.amount] - Defaults to the outstanding balance
+ * @param {Object} options.details - bankTransferDetails (accountName, accountNumber, bankName, transferReference, transferDate)
+ * @param {string} options.proofOfPayment - Uploaded receipt URL
+ * @returns {Promise<{paymentFlow: Object, transaction: Object}>}
+ */
+async function submitBankTransfer({
+  booking,
+  amount,
+  details,
+  proofOfPayment,
+}) {
+  const { amountPaid, chargeAmount, transactionType } =
+    await resolveChargeAmount(booking, amount);
+
+  // Transfers still awaiting verification count against the balance due
+  const [processing] = await DirectPaymentTransaction.aggregate([
+    { $match: { booking: booking._id, status: "processing" } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  const inProcessing = processing ? processing.total : 0;
+  const remaining = roundMoney(
+    booking.pricing.totalAmount - amountPaid - inProcessing
+  );
+  if (chargeAmount > remaining) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      remaining > 0
+        ? `Only ${remaining} is left to pay once transfers awaiting verification are counted`
+        : "Transfers awaiting verification already cover the balance due"
+    );
+  }
+
+  const paymentFlow = await getOrCreatePaymentFlow(booking);
+
+  const transaction = await DirectPaymentTransaction.create({
+    paymentFlow: paymentFlow._id,
+    booking: booking._id,
+    customer: booking.customer,
+    provider: booking.provider,
+    transactionType,
+    amount: chargeAmount,
+    currency: booking.pricing.currency,
+    gateway: { name: "bank_transfer", reference: generateReference("TRF") },
+    status: "processing",
+    bankTransferDetails: {
+      accountName: details.accountName,
+      accountNumber: details.accountNumber,
+      bankName: details.bankName,
+      transferReference: details.transferReference,
+      transferDate: details.transferDate,
+      proofOfPayment,
+    },
+    history: [
+      {
+        status: "processing",
+        note: "Bank transfer submitted, awaiting verification",
+      },
+    ],
+  });
+
+  paymentFlow.timeline.push({
+    status: paymentFlow.status,
+    note: `Bank transfer ${transaction.gateway.reference} submitted for ${chargeAmount}`,
+  });
+  await paymentFlow.save();
+
+  return { paymentFlow, transaction };
+}
+
+/**
+ * Pay for (part of) a booking from the customer's store credit. The credit
+ * is deducted first and the payment settles straight away.
+ * @param {Object} options
+ * @param {Object} options.booking - Booking document
+ * @param {number} [options.amount] - Defaults to the outstanding balance
+ * @returns {Promise<{paymentFlow: Object, transaction: Object}>}
+ */
+async function payWithCredit({ booking, amount, notificationService }) {
+  const { chargeAmount, transactionType } = await resolveChargeAmount(
+    booking,
+    amount
+  );
+
+  const reference = generateReference("CRD");
+  const currency = booking.pricing.currency;
+  const spent = await spendCredit({
+    user: booking.customer,
+    amount: chargeAmount,
+    currency,
+    reference: `payment:${reference}`,
+    description: `Payment for booking ${booking.bookingNumber}`,
+    booking: booking._id,
+  });
+
+  let paymentFlow;
+  let transaction;
+  try {
+    paymentFlow = await getOrCreatePaymentFlow(booking);
+    transaction = await DirectPaymentTransaction.create({
+      paymentFlow: paymentFlow._id,
+      booking: booking._id,
+      customer: booking.customer,
+      provider: booking.provider,
+      transactionType,
+      amount: chargeAmount,
+      currency,
+      gateway: { name: "credit", reference },
+      status: "processing",
+      history: [{ status: "processing", note: "Paid from credit balance" }],
+    });
+  } catch (error) {
+    await addCredit({
+      user: booking.customer,
+      amount: chargeAmount,
+      currency,
+      type: "payment_reversal",
+      reference: `reversal:${reference}`,
+      description: `Payment for booking ${booking.bookingNumber} failed`,
+      booking: booking._id,
+    });
+    throw error;
+  }
+
+  spent.transaction = transaction._id;
+  await spent.save();
+
+  const settled = await markTransactionSuccessful(
+    transaction,
+    { note: "Paid from credit balance" },
+    { notificationService }
+  );
+
+  return { paymentFlow, transaction: settled || transaction };
+}
+
+/**
+ * Approve a submitted bank transfer and settle the booking
+ */
+async function approveBankTransfer(
+  transaction,
+  verifiedBy,
+  { note, notificationService } = {}
+) {
+  const settled = await markTransactionSuccessful(
+    transaction,
+    {
+      verifiedBy,
+      // Only a transfer still awaiting verification can be approved
+      fromStatus: "processing",
+      paidAt: transaction.bankTransferDetails?.transferDate,
+      note: note || "Bank transfer verified",
+    },
+    { notificationService }
+  );
+
+  if (!settled) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "Transfer has already been processed"
+    );
+  }
+
+  if (notificationService) {
+    notificationService
+      .notifySystem(
+        settled.customer,
+        "Transfer Confirmed",
+        `Your bank transfer of ${formatMoney(
+          settled.amount,
+          settled.currency
+        )} has been confirmed`,
+        `/bookings/${settled.booking}`,
+        "View Booking",
+        "high"
+      )
+      .catch(() => {});
+  }
+
+  return settled;
+}
+
+/**
+ * Reject a submitted bank transfer (e.g. funds never arrived)
+ */
+async function rejectBankTransfer(
+  transaction,
+  verifiedBy,
+  { reason, notificationService } = {}
+) {
+  const rejected = await markTransactionFailed(transaction, {
+    note: `Bank transfer rejected: ${reason}`,
+    fromStatus: "processing",
+  });
+
+  if (!rejected) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "Transfer has already been processed"
+    );
+  }
+
+  rejected.verifiedBy = verifiedBy;
+  rejected.verifiedAt = new Date();
+  await rejected.save();
+
+  if (notificationService) {
+    notificationService
+      .notifySystem(
+        rejected.customer,
+        "Transfer Rejected",
+        `Your bank transfer could not be verified: ${reason}`,
+        `/bookings/${rejected.booking}`,
+        "View Booking",
+        "high"
+      )
+      .catch(() => {});
+  }
+
+  return rejected;
+}
+
+/**
+ * Recompute a booking's paid amount and payment status from its transactions
+ * and move the payment flow along accordingly. A booking paid for after its
+ * hold lapsed and its slot went to someone else is cancelled and refunded.
+ */
+async function syncBookingPayment(bookingId, { notificationService } = {}) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return null;
+
+  const amountPaid = await getAmountPaid(booking._id);
+  const totalAmount = booking.pricing.totalAmount;
+
+  // Each party only pays their own share, so the booking is paid in full
+  // exactly when every share is
+  await syncShares(booking);
+
+  if (booking.paymentStatus !== PAYMENT_STATUS.REFUNDED) {
+    booking.depositPaid = Math.min(amountPaid, totalAmount);
+    applyPaymentsToSchedule(booking, amountPaid);
+    if (amountPaid >= totalAmount) {
+      booking.paymentStatus = PAYMENT_STATUS.COMPLETED;
+    } else if (amountPaid > 0) {
+      booking.paymentStatus = PAYMENT_STATUS.PARTIAL;
+    } else {
+      booking.paymentStatus = PAYMENT_STATUS.PENDING;
+    }
+    await booking.save();
+  }
+
+  // Money in turns the checkout hold into a firm reservation
+  if (
+    amountPaid > 0 &&
+    booking.holdExpiresAt &&
+    booking.status !== BOOKING_STATUS.CANCELLED
+  ) {
+    try {
+      await claimSlots(booking);
+      booking.holdExpiresAt = undefined;
+      await booking.save();
+    } catch (error) {
+      if (error.statusCode !== STATUS_CODES.CONFLICT) throw error;
+
+      // Required here: bookingService depends on this module
+      const { cancelUnreservedBooking } = require("./bookingService");
+      await cancelUnreservedBooking(booking, { notificationService }).catch(
+        (cancelError) =>
+          console.error(
+            `Booking ${booking.bookingNumber} was paid but lost its slot and could not be cancelled:`,
+            cancelError.message
+          )
+      );
+      return booking;
+    }
+  }
+
+  const paymentFlow = await PaymentFlow.findOne({
+    booking: booking._id,
+    status: { $nin: ["failed", "cancelled"] },
+  });
+
+  if (
+    paymentFlow &&
+    ["initiated", "pending", "processing"].includes(paymentFlow.status)
+  ) {
+    if (booking.paymentStatus === PAYMENT_STATUS.COMPLETED) {
+      paymentFlow.status =
+        paymentFlow.paymentMethod === "escrow" ? "held_in_escrow" : "completed";
+      paymentFlow.timeline.push({
+        status: paymentFlow.status,
+        note: "Booking fully paid",
+      });
+      await paymentFlow.save();
+
+      if (paymentFlow.status === "held_in_escrow") {
+        await fundEscrow(paymentFlow);
+      }
+    } else if (
+      booking.paymentStatus === PAYMENT_STATUS.PARTIAL &&
+      paymentFlow.status !== "processing"
+    ) {
+      paymentFlow.status = "processing";
+      paymentFlow.timeline.push({
+        status: "processing",
+        note: `Partially paid (${amountPaid} of ${totalAmount})`,
+      });
+      await paymentFlow.save();
+    }
+  } else if (
+    paymentFlow?.status === "held_in_escrow" &&
+    booking.paymentStatus === PAYMENT_STATUS.COMPLETED
+  ) {
+    // A price rise paid after the escrow was funded goes into it too
+    await fundEscrow(paymentFlow);
+  }
+
+  return booking;
+}
+
+/**
+ * Mark a transaction as paid and settle the booking.
+ * The status change is claimed atomically so that a verify call and a
+ * webhook racing each other only settle (and notify) once.
+ * @returns {Promise<Object|null>} Updated transaction, or null if it was
+ * already settled
+ */
+async function markTransactionSuccessful(
+  transaction,
+  { transactionId, paidAt, raw, note, verifiedBy, fromStatus } = {},
+  { notificationService } = {}
+) {
+  const update = {
+    status: "successful",
+    paidAt: paidAt || new Date(),
+    verified: true,
+    verifiedAt: new Date(),
+  };
+  if (verifiedBy) update.verifiedBy = verifiedBy;
+  if (transactionId) update["gateway.transactionId"] = transactionId;
+  if (raw) update.gatewayResponse = raw;
+
+  const settled = await DirectPaymentTransaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: fromStatus || { $nin: ["successful", "refunded"] },
+    },
+    {
+      $set: update,
+      $push: {
+        history: {
+          status: "successful",
+          timestamp: new Date(),
+          note: note || "Payment confirmed by gateway",
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!settled) return null;
+
+  await recordPaymentReceived(settled);
+  const booking = await syncBookingPayment(settled.booking, {
+    notificationService,
+  });
+
+  // A missing receipt is issued again when the booking's documents are fetched
+  await issuePaymentReceipt(settled).catch((error) =>
+    console.error("Error issuing payment receipt:", error)
+  );
+
+  if (booking && notificationService) {
+    notificationService
+      .notifyPaymentReceived(booking, settled.amount)
+      .catch(() => {});
+
+    if (settled.paymentShare) {
+      const amount = formatMoney(settled.amount, settled.currency);
+      notificationService
+        .notifySystem(
+          booking.customer,
+          "Contribution Received",
+          `${settled.payer.name} paid ${amount} towards booking ${booking.bookingNumber}`,
+          `/bookings/${booking._id}`,
+          "View Contributions"
+        )
+        .catch(() => {});
+    }
+  }
+
+  return settled;
+}
+
+/**
+ * Mark a transaction as failed (a settled transaction is never downgraded)
+ * @returns {Promise<Object|null>} Updated transaction, or null if unchanged
+ */
+async function markTransactionFailed(
+  transaction,
+  { raw, note, fromStatus } = {}
+) {
+  const update = { status: "failed" };
+  if (raw) update.gatewayResponse = raw;
+
+  const failed = await DirectPaymentTransaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: fromStatus || { $nin: FINAL_TRANSACTION_STATUSES },
+    },
+    {
+      $set: update,
+      $push: {
+        history: {
+          status: "failed",
+          timestamp: new Date(),
+          note: note || "Payment failed at gateway",
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!failed) return null;
+
+  await PaymentFlow.updateOne(
+    { _id: failed.paymentFlow },
+    {
+      $push: {
+        timeline: {
+          status: "failed",
+          timestamp: new Date(),
+          note: `Checkout ${failed.gateway.reference} failed`,
+        },
+      },
+    }
+  );
+
+  return failed;
+}
+
+/**
+ * Apply a normalised gateway result to a transaction
+ * @returns {Promise<Object>} The transaction in its latest state
+ */
+async function applyGatewayResult(transaction, result, options = {}) {
+  let updated = null;
+
+  if (result.status === "successful") {
+    // Never settle more than the gateway actually collected
+    if (result.amount !== undefined && result.amount < transaction.amount) {
+      updated = await DirectPaymentTransaction.findOneAndUpdate(
+        { _id: transaction._id, status: { $nin: FINAL_TRANSACTION_STATUSES } },
+        {
+          $set: { status: "processing", gatewayResponse: result.raw },
+          $push: {
+            history: {
+              status: "processing",
+              timestamp: new Date(),
+              note: `Amount mismatch: expected ${transaction.amount}, received ${result.amount}`,
+            },
+          },
+        },
+        { new: true }
+      );
+    } else {
+      updated = await markTransactionSuccessful(transaction, result, options);
+    }
+  } else if (result.status === "failed") {
+    updated = await markTransactionFailed(transaction, result);
+  }
+
+  return updated || DirectPaymentTransaction.findById(transaction._id);
+}
+
+/**
+ * Generate a confirmed booking's installment schedule from its provider's
+ * terms and credit anything already paid against it (does not save)
+ */
+async function schedulePayments(booking) {
+  if (booking.paymentMethod === "cash") return booking;
+
+  await createPaymentSchedule(booking);
+  applyPaymentsToSchedule(booking, await getAmountPaid(booking._id));
+  return booking;
+}
+
+/**
+ * Ask the gateway for the outcome of a checkout and settle it
+ */
+async function verifyPayment(reference, options = {}) {
+  const transaction = await DirectPaymentTransaction.findOne({
+    "gateway.reference": reference,
+  });
+
+  if (!transaction) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Payment not found");
+  }
+
+  if (FINAL_TRANSACTION_STATUSES.includes(transaction.status)) {
+    return transaction;
+  }
+
+  const gateway = getGateway(transaction.gateway.name);
+
+  let result;
+  try {
+    result = await gateway.verify({
+      reference,
+      transactionId: transaction.gateway.transactionId,
+    });
+  } catch (error) {
+    throw createError(STATUS_CODES.BAD_GATEWAY, error.message);
+  }
+
+  return applyGatewayResult(transaction, result, options);
+}
+
+module.exports = {
+  getOrCreatePaymentFlow,
+  getAmountPaid,
+  initializePayment,
+  submitBankTransfer,
+  payWithCredit,
+  approveBankTransfer,
+  rejectBankTransfer,
+  verifyPayment,
+  applyGatewayResult,
+  markTransactionSuccessful,
+  markTransactionFailed,
+  syncBookingPayment,
+  schedulePayments,
+};
@@ -0,0 +1,347 @@
+const PayoutAccount = require("../models/PayoutAccount");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const { getBankLookup } = require("./bankLookup");
+const { encrypt, hmac, maskAccountNumber } = require("../utils/encryption");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES, USER_ROLES } = require("../utils/constants");
+
+// Below this share of matching words an account name needs admin approval
+const NAME_MATCH_THRESHOLD = 0.8;
+
+// Words that differ between registered and bank names without meaning much
+const NAME_NOISE = new Set([
+  "LTD",
+  "LIMITED",
+  "PLC",
+  "NIG",
+  "NIGERIA",
+  "CO",
+  "COMPANY",
+  "AND",
+  "THE",
+  "ENT",
+  "ENTERPRISE",
+  "ENTERPRISES",
+]);
+
+const USABLE_NAME_CHECKS = ["matched", "approved"];
+
+const nameWords = (name) =>
+  new Set(
+    String(name || "")
+      .toUpperCase()
+      .replace(/&/g, " AND ")
+      .replace(/[^A-Z0-9 ]/g, " ")
+      .split(/\s+/)
+      .filter((word) => word && !NAME_NOISE.has(word))
+  );
+
+/**
+ * How closely a bank account name matches the registered business name:
+ * the share of the shorter name's words found in the other
+ */
+function compareNames(accountName, expectedName) {
+  const account = nameWords(accountName);
+  const expected = nameWords(expectedName);
+  const shorter = account.size <= expected.size ? account : expected;
+  const longer = shorter === account ? expected : account;
+
+  if (shorter.size === 0) return { score: 0, matched: false };
+
+  const shared = [...shorter].filter((word) => longer.has(word)).length;
+  const score = Math.round((shared / shorter.size) * 100) / 100;
+
+  return { score, matched: score >= NAME_MATCH_THRESHOLD };
+}
+
+/**
+ * The CAC-registered name a user's payout accounts must match, and the
+ * business it belongs to
+ */
+async function getRegisteredBusiness(user, eventCenterId) {
+  if (user.role === USER_ROLES.PROVIDER) {
+    const serviceProvider = await ServiceProvider.findOne({
+      provider: user._id,
+    }).select("companyName");
+    if (!serviceProvider?.companyName) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        "Submit your CAC details before adding a payout account"
+      );
+    }
+    return {
+      expectedName: serviceProvider.companyName,
+      serviceProvider: serviceProvider._id,
+    };
+  }
+
+  const query = { owner: user._id };
+  if (eventCenterId) query._id = eventCenterId;
+  const eventCenter = await EventCenter.findOne(query).select("companyName");
+  if (!eventCenter?.companyName) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Submit your CAC details before adding a payout account"
+    );
+  }
+  return {
+    expectedName: eventCenter.companyName,
+    eventCenter: eventCenter._id,
+  };
+}
+
+const accountFingerprint = (bankCode, accountNumber) =>
+  hmac(`${bankCode}:${accountNumber}`);
+
+// Tell the owner their payout details changed, in case it was not them
+function notifyOwner(notificationService, owner, message) {
+  if (!notificationService) return;
+  notificationService
+    .notifySystem(
+      owner,
+      "Payout Details Changed",
+      `${message}. If this was not you, contact support immediately.`,
+      "/wallet/payout-accounts",
+      "Review",
+      "high"
+    )
+    .catch(() => {});
+}
+
+/**
+ * Add a payout bank account: resolve its name with the bank, check the name
+ * against the registered business, and store the number encrypted
+ * @param {Object} user - Provider or center owner
+ * @param {Object} details - { bankCode, accountNumber, eventCenterId, isDefault }
+ */
+async function addPayoutAccount(
+  user,
+  { bankCode, accountNumber, eventCenterId, isDefault },
+  { notificationService } = {}
+) {
+  const business = await getRegisteredBusiness(user, eventCenterId);
+  const fingerprint = accountFingerprint(bankCode, accountNumber);
+
+  const duplicate = await PayoutAccount.exists({
+    owner: user._id,
+    fingerprint,
+    isActive: true,
+  });
+  if (duplicate) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "This account is already one of your payout accounts"
+    );
+  }
+
+  const lookup = getBankLookup();
+  let resolved;
+  try {
+    resolved = await lookup.resolveAccount({ bankCode, accountNumber });
+  } catch (error) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Could not verify bank account: ${error.message}`
+    );
+  }
+
+  let { bankName } = resolved;
+  if (!bankName) {
+    const banks = await lookup.listBanks().catch(() => []);
+    bankName = banks.find((bank) => bank.code === bankCode)?.name;
+  }
+
+  const { score, matched } = compareNames(
+    resolved.accountName,
+    business.expectedName
+  );
+  const hasDefault = await PayoutAccount.exists({
+    owner: user._id,
+    isActive: true,
+    isDefault: true,
+  });
+  const makeDefault = Boolean(isDefault) || !hasDefault;
+
+  if (makeDefault) {
+    await PayoutAccount.updateMany(
+      { owner: user._id, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  const account = await PayoutAccount.create({
+    owner: user._id,
+    serviceProvider: business.serviceProvider,
+    eventCenter: business.eventCenter,
+    bankCode,
+    bankName,
+    accountNumberEncrypted: encrypt(accountNumber),
+    maskedAccountNumber: maskAccountNumber(accountNumber),
+    fingerprint,
+    accountName: resolved.accountName,
+    nameCheck: {
+      status: matched ? "matched" : "mismatched",
+      expectedName: business.expectedName,
+      score,
+      checkedAt: new Date(),
+    },
+    isDefault: makeDefault,
+  });
+
+  notifyOwner(
+    notificationService,
+    user._id,
+    `A payout account ${bankName || bankCode} ${
+      account.maskedAccountNumber
+    } was added`
+  );
+
+  return account;
+}
+
+/**
+ * Load one of the user's active payout accounts
+ */
+async function findOwnAccount(user, accountId) {
+  const account = await PayoutAccount.findOne({
+    _id: accountId,
+    owner: user._id,
+    isActive: true,
+  });
+  if (!account) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Payout account not found");
+  }
+  return account;
+}
+
+/**
+ * Make an account the one payouts go to
+ */
+async function setDefaultPayoutAccount(
+  user,
+  accountId,
+  { notificationService } = {}
+) {
+  const account = await findOwnAccount(user, accountId);
+
+  await PayoutAccount.updateMany(
+    { owner: user._id, isDefault: true, _id: { $ne: account._id } },
+    { $set: { isDefault: false } }
+  );
+  account.isDefault = true;
+  await account.save();
+
+  notifyOwner(
+    notificationService,
+    user._id,
+    `Payouts will now go to ${account.bankName || account.bankCode} ${
+      account.maskedAccountNumber
+    }`
+  );
+
+  return account;
+}
+
+/**
+ * Remove a payout account (kept, inactive, for past payouts). The newest
+ * remaining account becomes the default if this one was.
+ */
+async function removePayoutAccount(
+  user,
+  accountId,
+  { notificationService } = {}
+) {
+  const account = await findOwnAccount(user, accountId);
+  const wasDefault = account.isDefault;
+
+  account.isActive = false;
+  account.isDefault = false;
+  account.removedAt = new Date();
+  await account.save();
+
+  if (wasDefault) {
+    await PayoutAccount.findOneAndUpdate(
+      { owner: user._id, isActive: true },
+      { $set: { isDefault: true } },
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  notifyOwner(
+    notificationService,
+    user._id,
+    `Payout account ${account.bankName || account.bankCode} ${
+      account.maskedAccountNumber
+    } was removed`
+  );
+
+  return account;
+}
+
+/**
+ * Admin accepts an account whose name did not match the registered business
+ */
+async function approvePayoutAccount(
+  account,
+  admin,
+  { note, notificationService } = {}
+) {
+  const approved = await PayoutAccount.findOneAndUpdate(
+    { _id: account._id, isActive: true, "nameCheck.status": "mismatched" },
+    {
+      $set: {
+        "nameCheck.status": "approved",
+        "nameCheck.approvedBy": admin,
+        "nameCheck.approvedAt": new Date(),
+        "nameCheck.note": note,
+      },
+    },
+    { new: true }
+  );
+
+  if (!approved) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "Account is not awaiting name approval"
+    );
+  }
+
+  notifyOwner(
+    notificationService,
+    approved.owner,
+    `Payout account ${approved.maskedAccountNumber} was approved for payouts`
+  );
+
+  return approved;
+}
+
+/**
+ * The account a user's payouts go to
+ * @throws 400 when there is no default account with a verified name
+ */
+async function getPayoutDestination(userId) {
+  const account = await PayoutAccount.findOne({
+    owner: userId,
+    isActive: true,
+    isDefault: true,
+  });
+
+  if (!account || !USABLE_NAME_CHECKS.includes(account.nameCheck.status)) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Add a verified default payout account before requesting a payout"
+    );
+  }
+
+  return account;
+}
+
+module.exports = {
+  compareNames,
+  addPayoutAccount,
+  setDefaultPayoutAccount,
+  removePayoutAccount,
+  approvePayoutAccount,
+  getPayoutDestination,
+};
@@ -0,0 +1,272 @@
+const mongoose = require("mongoose");
+const PayoutRequest = require("../models/PayoutRequest");
+const WalletLock = require("../models/WalletLock");
+const { getAccountBalance, recordPayout } = require("./ledgerService");
+const { getPayoutDestination } = require("./payoutAccountService");
+const {
+  createError,
+  generateReference,
+  formatMoney,
+} = require("../utils/helpers");
+const { STATUS_CODES, LEDGER_ACCOUNTS } = require("../utils/constants");
+
+// Longest a wallet stays locked if whoever holds it never lets go
+const WALLET_LOCK_MS = 30 * 1000;
+
+/**
+ * Run fn while holding the provider's wallet lock, so balance checks and
+ * the writes they guard cannot interleave with another payout's
+ * @throws 409 when another payout for the wallet is in progress
+ */
+async function withWalletLock(provider, currency, fn) {
+  try {
+    await WalletLock.updateOne(
+      { provider, currency },
+      { $setOnInsert: { provider, currency } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Created by a concurrent caller
+    if (error.code !== 11000) throw error;
+  }
+
+  const now = new Date();
+  const lockId = new mongoose.Types.ObjectId();
+  const lock = await WalletLock.findOneAndUpdate(
+    {
+      provider,
+      currency,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockId,
+        lockedUntil: new Date(now.getTime() + WALLET_LOCK_MS),
+      },
+    },
+    { new: true }
+  );
+
+  if (!lock) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "Another payout from this wallet is being processed, please try again"
+    );
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await WalletLock.updateOne(
+      { _id: lock._id, lockId },
+      { $set: { lockedUntil: null } }
+    );
+  }
+}
+
+/**
+ * Sum of a provider's payout requests still awaiting review
+ */
+async function getPendingPayouts(providerId, currency) {
+  const result = await PayoutRequest.aggregate([
+    {
+      $match: {
+        provider: new mongoose.Types.ObjectId(providerId),
+        status: "pending",
+        currency,
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+}
+
+/**
+ * A provider's wallet: what the platform owes them, what is reserved by
+ * pending payout requests, and what is still held in escrow
+ */
+async function getWallet(providerId, currency = "NGN") {
+  const [balance, pendingPayouts, inEscrow] = await Promise.all([
+    getAccountBalance(LEDGER_ACCOUNTS.PROVIDER_PAYABLE, {
+      user: providerId,
+      currency,
+    }),
+    getPendingPayouts(providerId, currency),
+    getAccountBalance(LEDGER_ACCOUNTS.ESCROW, { user: providerId, currency }),
+  ]);
+
+  return {
+    currency,
+    balance,
+    pendingPayouts,
+    available: Math.max(0, balance - pendingPayouts),
+    inEscrow,
+  };
+}
+
+/**
+ * Ask for (part of) the available wallet balance to be paid out to the
+ * provider's default payout account
+ */
+async function requestPayout({ provider, amount, currency = "NGN", note }) {
+  const account = await getPayoutDestination(provider);
+
+  // Checked and reserved under the lock so concurrent requests cannot
+  // both spend the same balance
+  return withWalletLock(provider, currency, async () => {
+    const wallet = await getWallet(provider, currency);
+
+    if (amount > wallet.available) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        `Amount exceeds available balance of ${wallet.available}`
+      );
+    }
+
+    return PayoutRequest.create({
+      provider,
+      amount,
+      currency,
+      note,
+      reference: generateReference("PYT"),
+      payoutAccount: account._id,
+      destination: {
+        bankCode: account.bankCode,
+        bankName: account.bankName,
+        maskedAccountNumber: account.maskedAccountNumber,
+        accountName: account.accountName,
+      },
+    });
+  });
+}
+
+/**
+ * Admin approves a pending payout and posts it to the ledger
+ */
+async function approvePayout(payout, admin, { notificationService } = {}) {
+  // The balance check and the ledger debit happen under the lock so two
+  // approvals cannot both be covered by the same balance
+  const approved = await withWalletLock(
+    payout.provider,
+    payout.currency,
+    async () => {
+      const balance = await getAccountBalance(
+        LEDGER_ACCOUNTS.PROVIDER_PAYABLE,
+        { user: payout.provider, currency: payout.currency }
+      );
+
+      if (payout.amount > balance) {
+        throw createError(
+          STATUS_CODES.BAD_REQUEST,
+          `Wallet balance (${balance}) no longer covers this payout`
+        );
+      }
+
+      const claimed = await PayoutRequest.findOneAndUpdate(
+        { _id: payout._id, status: "pending" },
+        {
+          $set: {
+            status: "approved",
+            reviewedBy: admin,
+            reviewedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+
+      if (!claimed) {
+        throw createError(STATUS_CODES.CONFLICT, "Payout is no longer pending");
+      }
+
+      const entry = await recordPayout(claimed, admin);
+      claimed.ledgerEntry = entry._id;
+      await claimed.save();
+      return claimed;
+    }
+  );
+
+  if (notificationService) {
+    notificationService
+      .notifySystem(
+        approved.provider,
+        "Payout Approved",
+        `Your payout of ${formatMoney(
+          approved.amount,
+          approved.currency
+        )} has been approved`,
+        "/wallet",
+        "View Wallet",
+        "high"
+      )
+      .catch(() => {});
+  }
+
+  return approved;
+}
+
+/**
+ * Admin rejects a pending payout; the amount becomes available again
+ */
+async function rejectPayout(
+  payout,
+  admin,
+  { reason, notificationService } = {}
+) {
+  const rejected = await PayoutRequest.findOneAndUpdate(
+    { _id: payout._id, status: "pending" },
+    {
+      $set: {
+        status: "rejected",
+        reviewedBy: admin,
+        reviewedAt: new Date(),
+        rejectionReason: reason,
+      },
+    },
+    { new: true }
+  );
+
+  if (!rejected) {
+    throw createError(STATUS_CODES.CONFLICT, "Payout is no longer pending");
+  }
+
+  if (notificationService) {
+    notificationService
+      .notifySystem(
+        rejected.provider,
+        "Payout Rejected",
+        `Your payout request was rejected: ${reason}`,
+        "/wallet",
+        "View Wallet",
+        "high"
+      )
+      .catch(() => {});
+  }
+
+  return rejected;
+}
+
+/**
+ * Provider withdraws their own pending request
+ */
+async function cancelPayout(payout) {
+  const cancelled = await PayoutRequest.findOneAndUpdate(
+    { _id: payout._id, status: "pending" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    throw createError(STATUS_CODES.CONFLICT, "Payout is no longer pending");
+  }
+
+  return cancelled;
+}
+
+module.exports = {
+  getWallet,
+  requestPayout,
+  approvePayout,
+  rejectPayout,
+  cancelPayout,
+};
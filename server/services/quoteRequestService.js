@@ -0,0 +1,491 @@
+const QuoteRequest = require("../models/QuoteRequest");
+const ServiceProvider = require("../models/ServiceProvider");
+const { buildNegotiatedQuote, getSelection } = require("./quoteService");
+const { assertProviderAvailable } = require("./availabilityService");
+const { createBooking } = require("./bookingService");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+// How long an offer stands when the offer does not say
+const OFFER_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * Which side of the request a user is on, if either
+ */
+function getParty(request, user) {
+  if (request.customer.toString() === user._id.toString()) return "customer";
+  if (request.provider.toString() === user._id.toString()) return "provider";
+  return null;
+}
+
+const counterparty = (request, party) =>
+  party === "customer" ? request.provider : request.customer;
+
+const notify = (notificationService, userId, title, message, request) => {
+  if (!notificationService) return;
+  notificationService
+    .notifySystem(
+      userId,
+      title,
+      message,
+      `/quote-requests/${request._id}`,
+      "View Request",
+      "high"
+    )
+    .catch(() => {});
+};
+
+/**
+ * What the request asks to be priced, in the shape quoteService expects
+ */
+const toQuoteInput = (request) => ({
+  bookingType: "provider",
+  serviceProviderId: request.serviceProvider.toString(),
+  serviceId: request.serviceId?.toString(),
+  eventDetails: request.toObject().eventDetails,
+});
+
+/**
+ * Ask a provider with negotiable pricing for a price for an event
+ * @throws 400 when the service has fixed pricing (book it from a quote)
+ */
+async function createQuoteRequest(
+  customer,
+  input,
+  { notificationService } = {}
+) {
+  const { serviceProviderId, serviceId, eventDetails, message, budget } = input;
+
+  const serviceProvider = await ServiceProvider.findById(serviceProviderId);
+  if (!serviceProvider) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Service provider not found");
+  }
+
+  if (
+    !serviceProvider.isActive ||
+    serviceProvider.verificationStatus !== "verified"
+  ) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Service provider is not available"
+    );
+  }
+
+  if (serviceProvider.provider.toString() === customer._id.toString()) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "You cannot request a quote from your own service"
+    );
+  }
+
+  let { pricing } = serviceProvider;
+  if (serviceId) {
+    const service = serviceProvider.services.id(serviceId);
+    if (!service || !service.isActive) {
+      throw createError(STATUS_CODES.NOT_FOUND, "Service not found");
+    }
+    pricing = service.pricing;
+  }
+  if (pricing?.type !== "negotiable") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "This service has listed prices, book it from a quote (POST /api/bookings/quote)"
+    );
+  }
+
+  // No point negotiating for hours the provider cannot do
+  await assertProviderAvailable(serviceProvider, eventDetails);
+
+  const request = await QuoteRequest.create({
+    customer: customer._id,
+    provider: serviceProvider.provider,
+    serviceProvider: serviceProvider._id,
+    serviceId,
+    eventDetails,
+    message,
+    budget,
+  });
+
+  notify(
+    notificationService,
+    request.provider,
+    "New Quote Request",
+    `${customer.name || "A customer"} asked for a quote for ${new Date(
+      eventDetails.eventDate
+    ).toDateString()}`,
+    request
+  );
+
+  return request;
+}
+
+/**
+ * Check a request can still be negotiated; one whose event date has
+ * passed is marked expired
+ */
+async function assertOpen(request) {
+  if (request.status !== "open") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `This quote request is ${request.status}`
+    );
+  }
+
+  if (request.eventDetails.eventDate <= new Date()) {
+    await QuoteRequest.updateOne(
+      { _id: request._id, status: "open" },
+      { $set: { status: "expired", closedAt: new Date() } }
+    );
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "The event date has passed, this quote request has expired"
+    );
+  }
+}
+
+/**
+ * Mark offers nobody answered in time as expired
+ */
+const expireOffers = (request) =>
+  QuoteRequest.updateOne(
+    { _id: request._id },
+    { $set: { "offers.$[offer].status": "expired" } },
+    {
+      arrayFilters: [
+        { "offer.status": "pending", "offer.expiresAt": { $lte: new Date() } },
+      ],
+    }
+  );
+
+/**
+ * Move an offer out of pending, once; null if someone got there first
+ */
+const closeOffer = (request, offer, status, note, extra = {}) =>
+  QuoteRequest.findOneAndUpdate(
+    {
+      _id: request._id,
+      status: "open",
+      offers: {
+        $elemMatch: {
+          _id: offer._id,
+          status: "pending",
+          expiresAt: { $gt: new Date() },
+        },
+      },
+    },
+    {
+      $set: {
+        "offers.$.status": status,
+        "offers.$.respondedAt": new Date(),
+        "offers.$.responseNote": note,
+        ...extra,
+      },
+    },
+    { new: true }
+  );
+
+// Put an offer closed by mistake back to pending (and the request open)
+const reopenOffer = (request, offer) =>
+  QuoteRequest.updateOne(
+    { _id: request._id },
+    {
+      $set: { status: "open", "offers.$[offer].status": "pending" },
+      $unset: {
+        "offers.$[offer].respondedAt": 1,
+        "offers.$[offer].responseNote": 1,
+      },
+    },
+    { arrayFilters: [{ "offer._id": offer._id }] }
+  );
+
+const alreadyAnswered = () =>
+  createError(STATUS_CODES.CONFLICT, "This offer has already been answered");
+
+/**
+ * Check a user can answer an offer: it is still open and was made by the
+ * other side
+ */
+function assertCanRespond(request, offer, user) {
+  const party = getParty(request, user);
+  if (!party || party === offer.party) {
+    throw createError(
+      STATUS_CODES.FORBIDDEN,
+      `Only the ${
+        offer.party === "customer" ? "provider" : "customer"
+      } can answer this offer`
+    );
+  }
+  if (offer.status !== "pending") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `This offer has already been ${offer.status}`
+    );
+  }
+  if (offer.expiresAt <= new Date()) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "This offer has expired");
+  }
+  return party;
+}
+
+/**
+ * Make an itemised offer. The provider opens; after that either side can
+ * answer the offer waiting on them with a counter-offer (the offer it
+ * answers is marked "countered"). Only one offer is open at a time.
+ * @param {Object} input - lineItems [{ type, description, quantity,
+ * unitPrice }], an optional expiresAt and message
+ * @returns {Promise<{request: Object, offer: Object}>}
+ */
+async function makeOffer(request, user, input, { notificationService } = {}) {
+  const party = getParty(request, user);
+  if (!party) {
+    throw createError(
+      STATUS_CODES.FORBIDDEN,
+      "Only the customer or provider can make an offer"
+    );
+  }
+  await assertOpen(request);
+
+  if (party === "customer" && request.offers.length === 0) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Wait for the provider's offer before making a counter-offer"
+    );
+  }
+
+  const { eventDate } = request.eventDetails;
+  const expiresAt = input.expiresAt
+    ? new Date(input.expiresAt)
+    : new Date(Math.min(Date.now() + OFFER_WINDOW_MS, eventDate.getTime()));
+  if (expiresAt > eventDate) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "An offer must expire before the event date"
+    );
+  }
+
+  const quote = await buildNegotiatedQuote(
+    toQuoteInput(request),
+    input.lineItems
+  );
+
+  await expireOffers(request);
+
+  // An offer waiting on this user is answered by this one
+  const answering = request.offers.find(
+    (offer) =>
+      offer.status === "pending" &&
+      offer.party !== party &&
+      offer.expiresAt > new Date()
+  );
+  if (answering) {
+    const countered = await closeOffer(
+      request,
+      answering,
+      "countered",
+      input.message
+    );
+    if (!countered) throw alreadyAnswered();
+  }
+
+  const updated = await QuoteRequest.findOneAndUpdate(
+    { _id: request._id, status: "open", "offers.status": { $ne: "pending" } },
+    {
+      $push: {
+        offers: {
+          offeredBy: user._id,
+          party,
+          lineItems: quote.lineItems,
+          pricing: quote.pricing,
+          durationHours: quote.durationHours,
+          message: input.message,
+          expiresAt,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    if (answering) await reopenOffer(request, answering);
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      "There is already an offer awaiting an answer"
+    );
+  }
+
+  notify(
+    notificationService,
+    counterparty(request, party),
+    answering ? "Counter-Offer Received" : "Quote Received",
+    `You have an offer of ${
+      quote.pricing.currency
+    } ${quote.pricing.totalAmount.toLocaleString()} for ${new Date(
+      request.eventDetails.eventDate
+    ).toDateString()}`,
+    request
+  );
+
+  return { request: updated, offer: updated.offers[updated.offers.length - 1] };
+}
+
+/**
+ * Accept an offer: the customer is booked at exactly the offered price.
+ * If the booking cannot be made (the provider got booked meanwhile, or
+ * credit ran short) the offer stays open.
+ * @param {Object} [options]
+ * @param {string} [options.paymentMethod] - How the customer will pay
+ * (only when the customer accepts; otherwise escrow)
+ * @returns {Promise<{request: Object, booking: Object}>}
+ */
+async function acceptOffer(
+  request,
+  offer,
+  user,
+  { note, paymentMethod, notificationService } = {}
+) {
+  const party = assertCanRespond(request, offer, user);
+  await assertOpen(request);
+
+  const accepted = await closeOffer(request, offer, "accepted", note, {
+    status: "accepted",
+  });
+  if (!accepted) throw alreadyAnswered();
+
+  const bookingInput = {
+    bookingType: "provider",
+    serviceProviderId: request.serviceProvider.toString(),
+    eventDetails: request.toObject().eventDetails,
+    paymentMethod: party === "customer" ? paymentMethod : undefined,
+  };
+
+  let booking;
+  try {
+    booking = await createBooking({ _id: request.customer }, bookingInput, {
+      quote: {
+        selection: getSelection(toQuoteInput(request)),
+        durationHours: offer.durationHours,
+        lineItems: offer.lineItems,
+        pricing: offer.pricing,
+      },
+      quoteRequest: request,
+      // Only the customer can spend their credit
+      payWithCredit: party === "customer",
+      notificationService,
+    });
+  } catch (error) {
+    await reopenOffer(request, offer);
+    throw error;
+  }
+
+  accepted.booking = booking._id;
+  await accepted.save();
+
+  notify(
+    notificationService,
+    counterparty(request, party),
+    "Offer Accepted",
+    `Your offer was accepted, booking ${booking.bookingNumber} has been created`,
+    request
+  );
+
+  return { request: accepted, booking };
+}
+
+/**
+ * Turn an offer down; either side can then make a new one
+ */
+async function rejectOffer(
+  request,
+  offer,
+  user,
+  { note, notificationService } = {}
+) {
+  const party = assertCanRespond(request, offer, user);
+
+  const rejected = await closeOffer(request, offer, "rejected", note);
+  if (!rejected) throw alreadyAnswered();
+
+  notify(
+    notificationService,
+    counterparty(request, party),
+    "Offer Declined",
+    "Your offer was declined",
+    request
+  );
+
+  return rejected;
+}
+
+/**
+ * Take back an offer before it is answered
+ */
+async function withdrawOffer(request, offer, user) {
+  if (offer.offeredBy.toString() !== user._id.toString()) {
+    throw createError(
+      STATUS_CODES.FORBIDDEN,
+      "Only whoever made this offer can withdraw it"
+    );
+  }
+
+  const withdrawn = await closeOffer(request, offer, "withdrawn");
+  if (!withdrawn) throw alreadyAnswered();
+  return withdrawn;
+}
+
+/**
+ * End the negotiation without a booking: the customer cancels the request
+ * or the provider declines it. Any open offer is withdrawn.
+ */
+async function closeQuoteRequest(
+  request,
+  user,
+  { reason, notificationService } = {}
+) {
+  const party = getParty(request, user);
+  if (!party) {
+    throw createError(
+      STATUS_CODES.FORBIDDEN,
+      "Only the customer or provider can close this quote request"
+    );
+  }
+
+  const status = party === "customer" ? "cancelled" : "declined";
+  const closed = await QuoteRequest.findOneAndUpdate(
+    { _id: request._id, status: "open" },
+    {
+      $set: {
+        status,
+        closedBy: user._id,
+        closedAt: new Date(),
+        closeReason: reason,
+        "offers.$[offer].status": "withdrawn",
+      },
+    },
+    { arrayFilters: [{ "offer.status": "pending" }], new: true }
+  );
+  if (!closed) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `This quote request is ${request.status}`
+    );
+  }
+
+  notify(
+    notificationService,
+    counterparty(request, party),
+    party === "customer" ? "Quote Request Cancelled" : "Quote Request Declined",
+    `The quote request for ${request.eventDetails.eventDate.toDateString()} was ${status}`,
+    request
+  );
+
+  return closed;
+}
+
+module.exports = {
+  getParty,
+  createQuoteRequest,
+  makeOffer,
+  acceptOffer,
+  rejectOffer,
+  withdrawOffer,
+  closeQuoteRequest,
+};
@@ -0,0 +1,564 @@
+const jwt = require("jsonwebtoken");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const Listing = require("../models/Listing");
+const { applyTaxes } = require("./taxService");
+const { createConverter } = require("./fxService");
+const { checkCoupon } = require("./couponService");
+const { quoteSecret, quoteExpire } = require("../config/environment");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+const QUOTE_AUDIENCE = "booking-quote";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse "HH:mm" into minutes after midnight
+ */
+function parseTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+  if (!match) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Invalid time "${value}", expected HH:mm`
+    );
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Billable hours between start and end time, rounded up to the hour.
+ * An end time at or before the start time runs past midnight.
+ */
+function getDurationHours(startTime, endTime) {
+  const start = parseTime(startTime);
+  let end = parseTime(endTime);
+  if (end <= start) end += 24 * 60;
+  return Math.ceil((end - start) / 60);
+}
+
+/**
+ * Find the pricing block a quote is built from: a provider service (or the
+ * provider's own pricing), or a center listing, with the tax settings of the
+ * provider or center and what coupon scopes match against
+ */
+async function loadPricingSource(input) {
+  if (input.bookingType === "provider") {
+    const serviceProvider = await ServiceProvider.findById(
+      input.serviceProviderId
+    );
+    if (!serviceProvider) {
+      throw createError(STATUS_CODES.NOT_FOUND, "Service provider not found");
+    }
+
+    const couponScope = {
+      serviceCategory: serviceProvider.serviceCategory,
+      serviceProvider: serviceProvider._id,
+    };
+
+    if (!input.serviceId) {
+      return {
+        pricing: serviceProvider.pricing,
+        title: serviceProvider.serviceName || serviceProvider.serviceCategory,
+        taxSettings: serviceProvider.taxSettings,
+        scope: couponScope,
+      };
+    }
+
+    const service = serviceProvider.services.id(input.serviceId);
+    if (!service || !service.isActive) {
+      throw createError(STATUS_CODES.NOT_FOUND, "Service not found");
+    }
+    return {
+      pricing: service.pricing,
+      title: service.title,
+      taxSettings: serviceProvider.taxSettings,
+      scope: couponScope,
+    };
+  }
+
+  const eventCenter = await EventCenter.findById(input.eventCenterId).select(
+    "centerName centerType taxSettings"
+  );
+  if (!eventCenter) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Event center not found");
+  }
+
+  const listing = await Listing.findOne({
+    _id: input.listingId,
+    eventCenter: eventCenter._id,
+    isActive: true,
+  });
+  if (!listing) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Listing not found");
+  }
+  return {
+    pricing: listing.pricing,
+    title: listing.hallName,
+    taxSettings: eventCenter.taxSettings,
+    scope: {
+      serviceCategory: eventCenter.centerType,
+      eventCenter: eventCenter._id,
+    },
+  };
+}
+
+/**
+ * The base line item for the chosen pricing type
+ */
+function priceBase(pricing, { title, packageId, hours }) {
+  const type = pricing.type;
+
+  if (type === "package") {
+    const pkg = packageId && pricing.packages.id(packageId);
+    if (!pkg) {
+      throw createError(
+        STATUS_CODES.BAD_REQUEST,
+        "Select one of the available packages"
+      );
+    }
+    return {
+      type: "base",
+      description: `${title} - ${pkg.name}`,
+      quantity: 1,
+      unitPrice: pkg.price,
+      amount: pkg.price,
+    };
+  }
+
+  if (type === "negotiable") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "This service is priced by negotiation and cannot be quoted instantly"
+    );
+  }
+
+  if (type === "hourly") {
+    const rate = pricing.hourlyRate ?? pricing.amount;
+    if (rate === undefined) {
+      throw createError(STATUS_CODES.BAD_REQUEST, "Hourly rate is not set");
+    }
+    return {
+      type: "base",
+      description: `${title} (${hours} hour${hours > 1 ? "s" : ""})`,
+      quantity: hours,
+      unitPrice: rate,
+      amount: rate * hours,
+    };
+  }
+
+  if (type === "daily") {
+    const days = Math.max(1, Math.ceil(hours / 24));
+    if (pricing.dailyRate === undefined) {
+      throw createError(STATUS_CODES.BAD_REQUEST, "Daily rate is not set");
+    }
+    return {
+      type: "base",
+      description: `${title} (${days} day${days > 1 ? "s" : ""})`,
+      quantity: days,
+      unitPrice: pricing.dailyRate,
+      amount: pricing.dailyRate * days,
+    };
+  }
+
+  // Fixed price
+  if (pricing.amount === undefined) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "Price is not set");
+  }
+  return {
+    type: "base",
+    description: title,
+    quantity: 1,
+    unitPrice: pricing.amount,
+    amount: pricing.amount,
+  };
+}
+
+/**
+ * Line items for the selected add-ons
+ */
+function priceAddOns(pricing, selections = [], { hours, guestCount }) {
+  return selections.map(({ addOnId, quantity = 1 }) => {
+    const addOn = (pricing.addOns || []).find(
+      (item) => item._id.toString() === String(addOnId)
+    );
+    if (!addOn) {
+      throw createError(STATUS_CODES.BAD_REQUEST, `Unknown add-on ${addOnId}`);
+    }
+
+    let units = quantity;
+    if (addOn.unit === "per_guest") {
+      if (!guestCount) {
+        throw createError(
+          STATUS_CODES.BAD_REQUEST,
+          `Guest count is required for "${addOn.name}"`
+        );
+      }
+      units = guestCount;
+    } else if (addOn.unit === "per_hour") {
+      units = hours;
+    }
+
+    return {
+      type: "addon",
+      addOnId: addOn._id.toString(),
+      description: addOn.name,
+      quantity: units,
+      unitPrice: addOn.price,
+      amount: addOn.price * units,
+    };
+  });
+}
+
+/**
+ * The most generous discount the booking qualifies for, as a line item
+ */
+function priceDiscount(pricing, subtotal, { hours, guestCount, eventDate }) {
+  const candidates = (pricing.discounts || [])
+    .filter(
+      (discount) =>
+        (!discount.minHours || hours >= discount.minHours) &&
+        (!discount.minGuests || (guestCount || 0) >= discount.minGuests) &&
+        (!discount.validFrom || eventDate >= discount.validFrom) &&
+        (!discount.validUntil || eventDate <= discount.validUntil)
+    )
+    .map((discount) => ({
+      discount,
+      amount: Math.min(
+        subtotal,
+        discount.type === "percentage"
+          ? (subtotal * discount.value) / 100
+          : discount.value
+      ),
+    }))
+    .sort((a, b) => b.amount - a.amount);
+
+  if (candidates.length === 0 || candidates[0].amount <= 0) return null;
+
+  const { discount, amount } = candidates[0];
+  return {
+    type: "discount",
+    description: discount.name,
+    quantity: 1,
+    unitPrice: -roundMoney(amount),
+    amount: -roundMoney(amount),
+  };
+}
+
+/**
+ * What a quote is for, checked against the booking made from it
+ */
+const getSelection = (input) => ({
+  bookingType: input.bookingType,
+  serviceProviderId: input.serviceProviderId,
+  serviceId: input.serviceId,
+  eventCenterId: input.eventCenterId,
+  listingId: input.listingId,
+  packageId: input.packageId,
+  eventDate: new Date(input.eventDetails.eventDate).toISOString(),
+  startTime: input.eventDetails.startTime,
+  endTime: input.eventDetails.endTime,
+  guestCount: input.eventDetails.guestCount,
+});
+
+/**
+ * Price a booking request from the provider's or listing's own pricing
+ * @param {Object} input - bookingType, serviceProviderId/serviceId or
+ * eventCenterId/listingId, packageId, eventDetails, addOns [{ addOnId, quantity }],
+ * an optional display currency and an optional couponCode
+ * @param {Object} [customerId] - Customer the quote is for (coupon limits)
+ * @param {Object} [options]
+ * @param {Object} [options.coupon] - Coupon a booking being repriced was made
+ * with; its discount carries over (up to the new price) without being
+ * checked or redeemed again
+ * @returns {Promise<Object>} Quote with line items and booking pricing
+ */
+async function buildQuote(input, customerId, { coupon: bookedCoupon } = {}) {
+  const { eventDetails } = input;
+  const { pricing, title, taxSettings, scope } = await loadPricingSource(input);
+
+  const hours = getDurationHours(eventDetails.startTime, eventDetails.endTime);
+  const context = {
+    title,
+    hours,
+    packageId: input.packageId,
+    guestCount: eventDetails.guestCount,
+    eventDate: new Date(eventDetails.eventDate),
+  };
+
+  const base = priceBase(pricing, context);
+  const addOns = priceAddOns(pricing, input.addOns, context);
+  const subtotal = [base, ...addOns].reduce((sum, i) => sum + i.amount, 0);
+  const discount = priceDiscount(pricing, subtotal, context);
+  const listingDiscount = discount ? -discount.amount : 0;
+
+  // A coupon comes off what is left after the listing's own discount
+  let coupon;
+  if (input.couponCode) {
+    const applied = await checkCoupon(
+      input.couponCode,
+      {
+        ...scope,
+        bookingType: input.bookingType,
+        amount: roundMoney(subtotal - listingDiscount),
+        currency: pricing.currency || "NGN",
+      },
+      customerId
+    );
+    coupon = {
+      couponId: applied.coupon._id.toString(),
+      code: applied.coupon.code,
+      discount: applied.discount,
+      platformCost: applied.platformCost,
+      providerCost: applied.providerCost,
+    };
+  } else if (bookedCoupon) {
+    const discountAmount = Math.min(
+      bookedCoupon.discount,
+      roundMoney(subtotal - listingDiscount)
+    );
+    const share = bookedCoupon.discount
+      ? discountAmount / bookedCoupon.discount
+      : 0;
+    coupon = {
+      couponId: bookedCoupon.couponId,
+      code: bookedCoupon.code,
+      discount: discountAmount,
+      platformCost: roundMoney((bookedCoupon.platformCost || 0) * share),
+      providerCost: roundMoney((bookedCoupon.providerCost || 0) * share),
+    };
+  }
+  const couponLine = coupon && {
+    type: "discount",
+    description: `Coupon ${coupon.code}`,
+    quantity: 1,
+    unitPrice: -coupon.discount,
+    amount: -coupon.discount,
+  };
+
+  const discountAmount = listingDiscount + (coupon ? coupon.discount : 0);
+  const discountLines = [discount, couponLine].filter(Boolean);
+  const { lineItems, taxes, taxTotal } = applyTaxes(
+    [base, ...addOns, ...discountLines].map((item) => ({
+      ...item,
+      amount: roundMoney(item.amount),
+    })),
+    taxSettings,
+    discountAmount
+  );
+
+  const totalAmount = roundMoney(subtotal - discountAmount + taxTotal);
+  const currency = pricing.currency || "NGN";
+
+  // The total in the customer's currency, at the rate the booking records
+  let display;
+  if (input.currency && input.currency.toUpperCase() !== currency) {
+    const converter = await createConverter(input.currency);
+    const { rate, asOf } = converter.rateFrom(currency);
+    display = {
+      currency: converter.currency,
+      rate,
+      rateAsOf: asOf,
+      totalAmount: converter.convert(totalAmount, currency),
+    };
+  }
+
+  return {
+    selection: getSelection(input),
+    durationHours: hours,
+    lineItems,
+    pricing: {
+      baseAmount: roundMoney(base.amount),
+      additionalCharges: addOns.map((item) => ({
+        description: item.description,
+        amount: roundMoney(item.amount),
+      })),
+      discount: roundMoney(discountAmount),
+      taxes,
+      taxTotal,
+      vatNumber: taxSettings?.vatRegistered ? taxSettings.vatNumber : undefined,
+      totalAmount,
+      currency,
+    },
+    display,
+    coupon,
+  };
+}
+
+/**
+ * Price a negotiated offer from its own line items instead of the listed
+ * pricing; taxes and currency still follow the provider's settings
+ * @param {Object} input - As for buildQuote (without add-ons or coupon)
+ * @param {Array} items - Offer lines ({ type: "base"|"addon"|"discount",
+ * description, quantity, unitPrice })
+ * @returns {Promise<Object>} Quote in the same shape as buildQuote's
+ */
+async function buildNegotiatedQuote(input, items) {
+  const { eventDetails } = input;
+  const { pricing, taxSettings } = await loadPricingSource(input);
+  const hours = getDurationHours(eventDetails.startTime, eventDetails.endTime);
+
+  const lines = items.map(
+    ({ type = "base", description, quantity = 1, unitPrice }) => {
+      const sign = type === "discount" ? -1 : 1;
+      return {
+        type,
+        description,
+        quantity,
+        unitPrice: sign * unitPrice,
+        amount: sign * roundMoney(quantity * unitPrice),
+      };
+    }
+  );
+  const sumOf = (type) =>
+    lines
+      .filter((item) => item.type === type)
+      .reduce((sum, item) => sum + item.amount, 0);
+
+  const baseAmount = sumOf("base");
+  const subtotal = baseAmount + sumOf("addon");
+  const discountAmount = -sumOf("discount");
+  if (subtotal <= 0) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "An offer needs at least one charged item"
+    );
+  }
+  if (discountAmount > subtotal) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Discounts cannot exceed the offer's charges"
+    );
+  }
+
+  const { lineItems, taxes, taxTotal } = applyTaxes(
+    lines,
+    taxSettings,
+    discountAmount
+  );
+
+  return {
+    selection: getSelection(input),
+    durationHours: hours,
+    lineItems,
+    pricing: {
+      baseAmount: roundMoney(baseAmount),
+      additionalCharges: lines
+        .filter((item) => item.type === "addon")
+        .map((item) => ({
+          description: item.description,
+          amount: item.amount,
+        })),
+      discount: roundMoney(discountAmount),
+      taxes,
+      taxTotal,
+      vatNumber: taxSettings?.vatRegistered ? taxSettings.vatNumber : undefined,
+      totalAmount: roundMoney(subtotal - discountAmount + taxTotal),
+      currency: pricing.currency || "NGN",
+    },
+  };
+}
+
+/**
+ * Sign a quote for a customer so the booking endpoint can trust its prices
+ * @returns {{quoteToken: string, expiresAt: Date}}
+ */
+function signQuote(quote, customerId) {
+  const quoteToken = jwt.sign(
+    { quote, customer: customerId.toString() },
+    quoteSecret,
+    { expiresIn: quoteExpire, audience: QUOTE_AUDIENCE }
+  );
+  const { exp } = jwt.decode(quoteToken);
+  return { quoteToken, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Check a quote token was issued to this customer and has not expired
+ * @returns {Object} The signed quote
+ */
+function verifyQuote(quoteToken, customerId) {
+  let payload;
+  try {
+    payload = jwt.verify(quoteToken, quoteSecret, {
+      audience: QUOTE_AUDIENCE,
+    });
+  } catch (error) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      error.name === "TokenExpiredError"
+        ? "Quote has expired, please request a new one"
+        : "Invalid quote"
+    );
+  }
+
+  if (payload.customer !== customerId.toString()) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Quote was issued to another user"
+    );
+  }
+
+  return payload.quote;
+}
+
+/**
+ * Check a booking request is for exactly what was quoted
+ */
+function assertMatchesQuote(quote, request) {
+  const { selection } = quote;
+  const { eventDetails = {} } = request;
+
+  const mismatches = [];
+  const compare = (field, requested, quoted) => {
+    if (String(requested ?? "") !== String(quoted ?? ""))
+      mismatches.push(field);
+  };
+
+  compare("bookingType", request.bookingType, selection.bookingType);
+  compare(
+    "serviceProviderId",
+    request.serviceProviderId,
+    selection.serviceProviderId
+  );
+  compare("eventCenterId", request.eventCenterId, selection.eventCenterId);
+  compare("listingId", request.listingId, selection.listingId);
+  compare("startTime", eventDetails.startTime, selection.startTime);
+  compare("endTime", eventDetails.endTime, selection.endTime);
+  compare("guestCount", eventDetails.guestCount, selection.guestCount);
+  if (
+    !eventDetails.eventDate ||
+    new Date(eventDetails.eventDate).toISOString() !== selection.eventDate
+  ) {
+    mismatches.push("eventDate");
+  }
+
+  if (mismatches.length > 0) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Booking does not match the quote (${mismatches.join(", ")})`
+    );
+  }
+
+  if (
+    request.pricing?.totalAmount !== undefined &&
+    Number(request.pricing.totalAmount) !== quote.pricing.totalAmount
+  ) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Total ${request.pricing.totalAmount} does not match the quoted ${quote.pricing.totalAmount}`
+    );
+  }
+}
+
+module.exports = {
+  parseTime,
+  getDurationHours,
+  buildQuote,
+  buildNegotiatedQuote,
+  getSelection,
+  signQuote,
+  verifyQuote,
+  assertMatchesQuote,
+};
@@ -0,0 +1,328 @@
+const DirectPaymentTransaction = require("../models/DirectPaymentTransaction");
+const ReconciliationReport = require("../models/ReconciliationReport");
+const { createError, generateReference } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+// Export headers per gateway, compared lowercased without punctuation
+const COLUMN_ALIASES = {
+  paystack: {
+    reference: ["reference", "transactionreference"],
+    transactionId: ["transactionid", "id"],
+    amount: ["amount", "amountpaid"],
+    currency: ["currency"],
+    status: ["status"],
+    date: ["paidat", "transactiondate", "date", "createdat"],
+  },
+  flutterwave: {
+    reference: ["txref", "transactionreference", "merchantreference"],
+    transactionId: ["transactionid", "id"],
+    amount: ["amount", "chargedamount"],
+    currency: ["currency"],
+    status: ["status"],
+    date: ["createdat", "date", "transactiondate"],
+  },
+};
+
+const SUCCESS_STATUSES = ["success", "successful"];
+
+// Our transactions the gateway charged (a refund comes after the charge)
+const CHARGED_STATUSES = ["successful", "refunded"];
+
+const normaliseHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Split CSV text into rows, honouring quoted fields ("a, b" and "")
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Read a gateway settlement export into { reference, transactionId,
+ * amount, currency, status, date } rows
+ * @param {string} text - CSV contents
+ * @param {string} gateway - "paystack" | "flutterwave"
+ * @param {Object} [options]
+ * @param {boolean} [options.minorUnits] - Amounts are in kobo/cents
+ */
+function parseSettlementFile(text, gateway, { minorUnits = false } = {}) {
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header || lines.length === 0) {
+    throw createError(STATUS_CODES.BAD_REQUEST, "Settlement file is empty");
+  }
+
+  const headers = header.map(normaliseHeader);
+  const columnFor = (field) =>
+    COLUMN_ALIASES[gateway][field]
+      .map((alias) => headers.indexOf(alias))
+      .find((index) => index !== -1);
+
+  const columns = {};
+  Object.keys(COLUMN_ALIASES[gateway]).forEach((field) => {
+    columns[field] = columnFor(field);
+  });
+
+  if (columns.amount === undefined) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Settlement file has no amount column"
+    );
+  }
+  if (columns.reference === undefined && columns.transactionId === undefined) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Settlement file needs a reference or transaction id column"
+    );
+  }
+
+  return lines.map((values, index) => {
+    const value = (field) =>
+      columns[field] === undefined
+        ? undefined
+        : (values[columns[field]] || "").trim() || undefined;
+
+    const amount = Number(String(value("amount") || "").replace(/,/g, ""));
+    const date = value("date") ? new Date(value("date")) : undefined;
+
+    return {
+      row: index + 1,
+      reference: value("reference"),
+      transactionId: value("transactionId"),
+      amount: Number.isFinite(amount)
+        ? minorUnits
+          ? amount / 100
+          : amount
+        : undefined,
+      currency: value("currency")?.toUpperCase(),
+      status: value("status")?.toLowerCase(),
+      date: date && !Number.isNaN(date.getTime()) ? date : undefined,
+    };
+  });
+}
+
+/**
+ * Match settlement rows with our transactions and record every
+ * discrepancy: rows we have no transaction for, successful transactions
+ * in the file's period that the file does not have, references that
+ * appear more than once, and amount, status or currency disagreements
+ * @param {Object} options
+ * @param {string} options.gateway
+ * @param {Array} options.rows - Parsed settlement rows
+ * @param {string} [options.fileName]
+ * @param {Object} options.uploadedBy - Admin user id
+ * @returns {Promise<Object>} Saved ReconciliationReport
+ */
+async function reconcileSettlement({ gateway, rows, fileName, uploadedBy }) {
+  const references = rows.map((r) => r.reference).filter(Boolean);
+  const transactionIds = rows.map((r) => r.transactionId).filter(Boolean);
+
+  const transactions = await DirectPaymentTransaction.find({
+    "gateway.name": gateway,
+    $or: [
+      { "gateway.reference": { $in: references } },
+      { "gateway.transactionId": { $in: transactionIds } },
+    ],
+  }).lean();
+
+  const byReference = new Map(
+    transactions.map((txn) => [txn.gateway.reference, txn])
+  );
+  const byTransactionId = new Map(
+    transactions
+      .filter((txn) => txn.gateway.transactionId)
+      .map((txn) => [txn.gateway.transactionId, txn])
+  );
+
+  const items = [];
+  const summary = {
+    totalRows: rows.length,
+    matched: 0,
+    skipped: 0,
+    missingInSystem: 0,
+    missingInGateway: 0,
+    duplicates: 0,
+    amountMismatches: 0,
+    statusMismatches: 0,
+    currencyMismatches: 0,
+  };
+  const seen = new Set();
+  const matchedIds = new Set();
+
+  const itemFor = (issue, row, txn) => ({
+    issue,
+    row: row?.row,
+    gatewayReference: row?.reference || txn?.gateway.reference,
+    gatewayTransactionId: row?.transactionId || txn?.gateway.transactionId,
+    gatewayAmount: row?.amount,
+    gatewayStatus: row?.status,
+    systemAmount: txn?.amount,
+    systemStatus: txn?.status,
+    currency: row?.currency || txn?.currency,
+    systemCurrency: txn?.currency,
+    transaction: txn?._id,
+    paymentFlow: txn?.paymentFlow,
+    booking: txn?.booking,
+  });
+
+  rows.forEach((row) => {
+    const key = row.reference || row.transactionId;
+    if (!key) {
+      summary.skipped += 1;
+      return;
+    }
+
+    const txn =
+      byReference.get(row.reference) || byTransactionId.get(row.transactionId);
+
+    // The same charge reported twice, by reference or by transaction id
+    if (seen.has(key) || (txn && matchedIds.has(txn._id.toString()))) {
+      summary.duplicates += 1;
+      items.push(itemFor("duplicate", row, txn));
+      return;
+    }
+    seen.add(key);
+
+    const gatewaySucceeded = SUCCESS_STATUSES.includes(row.status);
+
+    if (!txn) {
+      // A failed or abandoned charge we never recorded is not a discrepancy
+      if (row.status && !gatewaySucceeded) {
+        summary.skipped += 1;
+      } else {
+        summary.missingInSystem += 1;
+        items.push(itemFor("missing_in_system", row));
+      }
+      return;
+    }
+
+    matchedIds.add(txn._id.toString());
+
+    let clean = true;
+    if (row.amount === undefined || Math.abs(row.amount - txn.amount) > 0.01) {
+      summary.amountMismatches += 1;
+      items.push(itemFor("amount_mismatch", row, txn));
+      clean = false;
+    }
+    if (
+      row.status &&
+      gatewaySucceeded !== CHARGED_STATUSES.includes(txn.status)
+    ) {
+      summary.statusMismatches += 1;
+      items.push(itemFor("status_mismatch", row, txn));
+      clean = false;
+    }
+    if (
+      row.currency &&
+      txn.currency &&
+      row.currency !== txn.currency.toUpperCase()
+    ) {
+      summary.currencyMismatches += 1;
+      items.push(itemFor("currency_mismatch", row, txn));
+      clean = false;
+    }
+    if (clean) summary.matched += 1;
+  });
+
+  // Charges in the file's period that the gateway did not report
+  const dates = rows.map((r) => r.date).filter(Boolean);
+  const period = {};
+  if (dates.length > 0) {
+    period.from = new Date(Math.min(...dates));
+    period.to = new Date(Math.max(...dates));
+
+    const unreported = await DirectPaymentTransaction.find({
+      "gateway.name": gateway,
+      status: { $in: CHARGED_STATUSES },
+      paidAt: { $gte: period.from, $lte: period.to },
+    }).lean();
+
+    unreported
+      .filter((txn) => !matchedIds.has(txn._id.toString()))
+      .forEach((txn) => {
+        summary.missingInGateway += 1;
+        items.push(itemFor("missing_in_gateway", null, txn));
+      });
+  }
+
+  return ReconciliationReport.create({
+    reference: generateReference("REC"),
+    gateway,
+    fileName,
+    uploadedBy,
+    period,
+    summary,
+    items,
+    status: items.length === 0 ? "resolved" : "open",
+    resolvedAt: items.length === 0 ? new Date() : undefined,
+  });
+}
+
+/**
+ * Close out one discrepancy; the report is resolved once none are open
+ */
+async function resolveItem(report, itemId, { status, note, resolvedBy }) {
+  const item = report.items.id(itemId);
+  if (!item) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Reconciliation item not found");
+  }
+
+  item.resolution = {
+    status,
+    note,
+    resolvedBy,
+    resolvedAt: new Date(),
+  };
+
+  const open = report.items.some((i) => i.resolution.status === "open");
+  report.status = open ? "open" : "resolved";
+  report.resolvedAt = open ? undefined : new Date();
+
+  return report.save();
+}
+
+module.exports = {
+  parseSettlementFile,
+  reconcileSettlement,
+  resolveItem,
+};
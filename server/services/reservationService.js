@@ -0,0 +1,254 @@
+const Reservation = require("../models/Reservation");
+const Listing = require("../models/Listing");
+const ServiceProvider = require("../models/ServiceProvider");
+const EventCenter = require("../models/EventCenter");
+const {
+  SLOT_MINUTES,
+  getEventInterval,
+  getBuffers,
+  withBuffers,
+  isWholeDayListing,
+  getListingBuffers,
+} = require("./availabilityService");
+const { bookingHoldMinutes } = require("../config/environment");
+const { createError } = require("../utils/helpers");
+const { STATUS_CODES } = require("../utils/constants");
+
+const SLOT = SLOT_MINUTES * 60 * 1000;
+
+/**
+ * Start of every slot an interval touches
+ */
+function getSlots({ start, end }) {
+  const slots = [];
+  const first = Math.floor(start.getTime() / SLOT) * SLOT;
+  for (let time = first; time < end.getTime(); time += SLOT) {
+    slots.push(new Date(time));
+  }
+  return slots;
+}
+
+/**
+ * What a booking reserves and for how long: the hall (or provider) it is
+ * for, and its event interval widened by setup and teardown buffers
+ * @returns {Promise<{resourceType: string, resources: Array, interval: Object}>}
+ */
+async function getBookingClaim(booking) {
+  if (booking.bookingType === "center") {
+    const listing =
+      booking.listing &&
+      (await Listing.findById(booking.listing).select("pricing availability"));
+
+    // Bookings made before halls were bookable reserve the whole center:
+    // every hall in it, so they run into bookings of any one hall
+    if (!listing) {
+      const halls = await Listing.find({
+        eventCenter: booking.eventCenter,
+      }).select("_id");
+      const interval = getEventInterval(booking.eventDetails, {
+        wholeDay: true,
+      });
+
+      return halls.length > 0
+        ? {
+            resourceType: "listing",
+            resources: halls.map((hall) => hall._id),
+            interval,
+          }
+        : {
+            resourceType: "event_center",
+            resources: [booking.eventCenter],
+            interval,
+          };
+    }
+
+    return {
+      resourceType: "listing",
+      resources: [listing._id],
+      interval: withBuffers(
+        getEventInterval(booking.eventDetails, {
+          wholeDay: isWholeDayListing(listing),
+        }),
+        getListingBuffers(listing)
+      ),
+    };
+  }
+
+  const serviceProvider = await ServiceProvider.findById(
+    booking.serviceProvider
+  ).select("availability");
+
+  return {
+    resourceType: "service_provider",
+    resources: [booking.serviceProvider],
+    interval: withBuffers(
+      getEventInterval(booking.eventDetails, { wholeDay: false }),
+      getBuffers(serviceProvider?.availability)
+    ),
+  };
+}
+
+/**
+ * How long a new booking holds its slot: the center's own setting, or the
+ * platform default
+ */
+async function getHoldMinutes(booking) {
+  if (booking.bookingType === "center") {
+    const eventCenter = await EventCenter.findById(booking.eventCenter).select(
+      "holdMinutes"
+    );
+    if (eventCenter?.holdMinutes) return eventCenter.holdMinutes;
+  }
+  return bookingHoldMinutes;
+}
+
+const isLive = (reservation, now) =>
+  reservation.status !== "held" || reservation.expiresAt > now;
+
+const isSameClaim = (reservation, resources, interval) =>
+  resources.some((resource) => reservation.resource.equals(resource)) &&
+  reservation.start.getTime() === interval.start.getTime() &&
+  reservation.end.getTime() === interval.end.getTime();
+
+/**
+ * Claim a booking's time on its hall or provider, either as a short hold
+ * during checkout or as a firm booking. Every slot is a unique key, so if
+ * any of them is taken the claim fails as a whole and nothing new is left
+ * behind. Claiming again is safe: a live claim is kept (a firm claim turns
+ * a hold into a booking) and a lapsed hold is claimed afresh. A booking
+ * that moves keeps its old slots until the new ones are secured, so a
+ * failed move leaves it where it was.
+ * @param {Object} booking - Booking document
+ * @param {Object} [options]
+ * @param {boolean} [options.hold] - Hold until the checkout window ends
+ * @throws 409 when another booking holds part of the interval
+ * @returns {Promise<{start: Date, end: Date, status: string, expiresAt?: Date}>}
+ */
+async function claimSlots(booking, { hold = false } = {}) {
+  const now = new Date();
+  const { resourceType, resources, interval } = await getBookingClaim(booking);
+
+  const existing = await Reservation.findOne({ booking: booking._id });
+  if (
+    existing &&
+    isLive(existing, now) &&
+    isSameClaim(existing, resources, interval)
+  ) {
+    if (existing.status === "booked" || hold) {
+      return {
+        ...interval,
+        status: existing.status,
+        expiresAt: existing.expiresAt,
+      };
+    }
+
+    const firmed = await Reservation.updateMany(
+      { booking: booking._id, status: "held", expiresAt: { $gt: now } },
+      { $set: { status: "booked" }, $unset: { expiresAt: 1 } }
+    );
+    if (firmed.modifiedCount > 0) return { ...interval, status: "booked" };
+  }
+
+  // The booking's own lapsed hold no longer counts as its time
+  await Reservation.deleteMany({
+    booking: booking._id,
+    status: "held",
+    expiresAt: { $lte: now },
+  });
+
+  const slots = getSlots(interval);
+  const status = hold ? "held" : "booked";
+  const expiresAt = hold
+    ? new Date(now.getTime() + (await getHoldMinutes(booking)) * 60 * 1000)
+    : undefined;
+
+  // Slots the booking already has (where its old and new times overlap)
+  // are kept rather than claimed again
+  const claimed = {
+    resourceType,
+    resource: { $in: resources },
+    slot: { $in: slots },
+  };
+  const owned = await Reservation.find({
+    ...claimed,
+    booking: booking._id,
+  }).select("resource slot");
+  const slotKey = (resource, slot) => `${resource}:${slot.getTime()}`;
+  const ownedKeys = new Set(
+    owned.map((item) => slotKey(item.resource, item.slot))
+  );
+  const newSlots = resources.flatMap((resource) =>
+    slots
+      .filter((slot) => !ownedKeys.has(slotKey(resource, slot)))
+      .map((slot) => ({ resource, slot }))
+  );
+
+  // Lapsed holds may not have been cleaned up yet
+  await Reservation.deleteMany({
+    ...claimed,
+    status: "held",
+    expiresAt: { $lte: now },
+  });
+
+  try {
+    await Reservation.insertMany(
+      newSlots.map(({ resource, slot }) => ({
+        resourceType,
+        resource,
+        slot,
+        booking: booking._id,
+        status,
+        expiresAt,
+        start: interval.start,
+        end: interval.end,
+      })),
+      { ordered: true }
+    );
+  } catch (error) {
+    // Only undo what this claim inserted; the booking's old time stands
+    await Reservation.deleteMany({
+      ...claimed,
+      booking: booking._id,
+      _id: { $nin: owned.map((item) => item._id) },
+    });
+    if (error.code === 11000) {
+      throw createError(
+        STATUS_CODES.CONFLICT,
+        "The selected time has just been booked by someone else"
+      );
+    }
+    throw error;
+  }
+
+  // The new time is secured: bring kept slots in line and let go of the rest
+  await Reservation.updateMany(
+    { ...claimed, booking: booking._id },
+    hold
+      ? {
+          $set: { status, expiresAt, start: interval.start, end: interval.end },
+        }
+      : {
+          $set: { status, start: interval.start, end: interval.end },
+          $unset: { expiresAt: 1 },
+        }
+  );
+  await Reservation.deleteMany({
+    booking: booking._id,
+    $nor: [claimed],
+  });
+
+  return { ...interval, status, expiresAt };
+}
+
+/**
+ * Give up a booking's claimed time
+ */
+async function releaseSlots(booking) {
+  await Reservation.deleteMany({ booking: booking._id });
+}
+
+module.exports = {
+  SLOT_MINUTES,
+  claimSlots,
+  releaseSlots,
+};
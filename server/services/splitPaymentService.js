@@ -0,0 +1,288 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const PaymentShare = require("../models/PaymentShare");
+const DirectPaymentTransaction = require("../models/DirectPaymentTransaction");
+const User = require("../models/User");
+const { clientUrl } = require("../config/environment");
+const { createError, formatMoney } = require("../utils/helpers");
+const {
+  STATUS_CODES,
+  BOOKING_STATUS,
+  PAYMENT_STATUS,
+} = require("../utils/constants");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const paymentLink = (share) => `${clientUrl}/pay/${share.token}`;
+
+/**
+ * Successful payments against a booking (less what has been refunded from
+ * them, as getAmountPaid counts them), split between the host and each
+ * co-payer share
+ * @returns {Promise<{hostPaid: number, byShare: Map<string, number>}>}
+ */
+async function getPaidByShare(bookingId) {
+  const totals = await DirectPaymentTransaction.aggregate([
+    {
+      $match: {
+        booking: new mongoose.Types.ObjectId(bookingId.toString()),
+        status: "successful",
+      },
+    },
+    {
+      $group: {
+        _id: "$paymentShare",
+        total: {
+          $sum: {
+            $subtract: ["$amount", { $ifNull: ["$refund.refundAmount", 0] }],
+          },
+        },
+      },
+    },
+  ]);
+
+  const byShare = new Map();
+  let hostPaid = 0;
+  totals.forEach(({ _id, total }) => {
+    if (_id) byShare.set(_id.toString(), total);
+    else hostPaid += total;
+  });
+
+  return { hostPaid, byShare };
+}
+
+/**
+ * How a booking's total is divided: each live co-payer share and what is
+ * left for the host, with what each has paid so far
+ */
+async function getAllocation(booking) {
+  const shares = await PaymentShare.find({
+    booking: booking._id,
+    status: { $ne: "cancelled" },
+  }).sort({ createdAt: 1 });
+  const { hostPaid, byShare } = await getPaidByShare(booking._id);
+
+  const allocated = shares.reduce((sum, share) => sum + share.amount, 0);
+
+  return {
+    shares: shares.map((share) => ({
+      share,
+      paid: byShare.get(share._id.toString()) || 0,
+    })),
+    hostShare: roundMoney(booking.pricing.totalAmount - allocated),
+    hostPaid,
+  };
+}
+
+/**
+ * Invite co-payers to fund part of a booking. Shares come out of what the
+ * host has not paid yet, and nobody is invited twice.
+ * @param {Object} booking - Booking document
+ * @param {Array<{name: string, email: string, amount: number, note?: string}>} invites
+ * @param {Object} host - The booking customer
+ * @returns {Promise<Array>} Created shares
+ */
+async function inviteCoPayers(booking, invites, host, { notificationService }) {
+  if (
+    [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.COMPLETED].includes(
+      booking.status
+    ) ||
+    booking.paymentStatus === PAYMENT_STATUS.COMPLETED
+  ) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Co-payers can only be invited to bookings that are still being paid"
+    );
+  }
+  if (booking.paymentMethod === "cash") {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "Cash bookings are settled directly with the provider"
+    );
+  }
+
+  const { shares, hostShare, hostPaid } = await getAllocation(booking);
+
+  const emails = invites.map((invite) => invite.email.toLowerCase());
+  const taken = new Set([
+    host.email.toLowerCase(),
+    ...shares.map(({ share }) => share.email),
+  ]);
+  const duplicate = emails.find(
+    (email, index) => taken.has(email) || emails.indexOf(email) !== index
+  );
+  if (duplicate) {
+    throw createError(
+      STATUS_CODES.CONFLICT,
+      `${duplicate} is already paying towards this booking`
+    );
+  }
+
+  const requested = roundMoney(
+    invites.reduce((sum, invite) => sum + invite.amount, 0)
+  );
+  const available = roundMoney(hostShare - hostPaid);
+  if (requested > available) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      `Shares total ${requested} but only ${available} of your share is unpaid`
+    );
+  }
+
+  const users = await User.find({ email: { $in: emails } }).select("email");
+  const userByEmail = new Map(users.map((user) => [user.email, user._id]));
+
+  const created = await PaymentShare.insertMany(
+    invites.map((invite) => ({
+      booking: booking._id,
+      host: host._id,
+      name: invite.name,
+      email: invite.email.toLowerCase(),
+      user: userByEmail.get(invite.email.toLowerCase()),
+      amount: invite.amount,
+      currency: booking.pricing.currency,
+      token: crypto.randomBytes(24).toString("hex"),
+      note: invite.note,
+    }))
+  );
+
+  if (notificationService) {
+    created
+      .filter((share) => share.user)
+      .forEach((share) => {
+        const amount = formatMoney(share.amount, share.currency);
+        notificationService
+          .notifySystem(
+            share.user,
+            "Payment Request",
+            `${host.name} has asked you to contribute ${amount} towards booking ${booking.bookingNumber}`,
+            `/pay/${share.token}`,
+            "Pay Now",
+            "high"
+          )
+          .catch(() => {});
+      });
+  }
+
+  return created;
+}
+
+/**
+ * Withdraw an invitation nobody has paid against yet; its amount goes back
+ * to the host's share
+ */
+async function cancelShare(booking, shareId) {
+  const { byShare } = await getPaidByShare(booking._id);
+  if (byShare.get(shareId.toString())) {
+    throw createError(
+      STATUS_CODES.BAD_REQUEST,
+      "A share that has received payments cannot be cancelled"
+    );
+  }
+
+  const share = await PaymentShare.findOneAndUpdate(
+    { _id: shareId, booking: booking._id, status: "invited" },
+    { $set: { status: "cancelled", cancelledAt: new Date() } },
+    { new: true }
+  );
+
+  if (!share) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Open payment share not found");
+  }
+
+  return share;
+}
+
+/**
+ * Bring each share's paid amount and status in line with its transactions
+ */
+async function syncShares(booking) {
+  const { shares } = await getAllocation(booking);
+
+  await Promise.all(
+    shares.map(({ share, paid }) => {
+      const status =
+        paid >= share.amount ? "paid" : paid > 0 ? "partially_paid" : "invited";
+      if (share.amountPaid === paid && share.status === status) return null;
+
+      share.amountPaid = paid;
+      share.status = status;
+      share.paidAt = status === "paid" ? share.paidAt || new Date() : undefined;
+      return share.save();
+    })
+  );
+}
+
+/**
+ * Who is paying what towards a booking and how far along each of them is
+ */
+async function getContributions(booking) {
+  const { shares, hostShare, hostPaid } = await getAllocation(booking);
+
+  const contributor = (fields, amount, paid) => ({
+    ...fields,
+    amount,
+    amountPaid: paid,
+    remaining: roundMoney(Math.max(amount - paid, 0)),
+    percentPaid:
+      amount > 0 ? Math.min(Math.round((paid / amount) * 100), 100) : 100,
+  });
+
+  const contributors = [
+    contributor({ role: "host", user: booking.customer }, hostShare, hostPaid),
+    ...shares.map(({ share, paid }) =>
+      contributor(
+        {
+          role: "co_payer",
+          shareId: share._id,
+          name: share.name,
+          email: share.email,
+          user: share.user,
+          status: share.status,
+          paidAt: share.paidAt,
+          paymentLink: paymentLink(share),
+        },
+        share.amount,
+        paid
+      )
+    ),
+  ];
+
+  const totalPaid = roundMoney(
+    contributors.reduce((sum, c) => sum + c.amountPaid, 0)
+  );
+
+  return {
+    totalAmount: booking.pricing.totalAmount,
+    currency: booking.pricing.currency,
+    totalPaid,
+    remaining: roundMoney(Math.max(booking.pricing.totalAmount - totalPaid, 0)),
+    paymentStatus: booking.paymentStatus,
+    contributors,
+  };
+}
+
+/**
+ * Load a live share from its payment link token
+ */
+async function findShareByToken(token) {
+  const share = await PaymentShare.findOne({
+    token,
+    status: { $ne: "cancelled" },
+  });
+  if (!share) {
+    throw createError(STATUS_CODES.NOT_FOUND, "Payment link not found");
+  }
+  return share;
+}
+
+module.exports = {
+  paymentLink,
+  getPaidByShare,
+  getAllocation,
+  inviteCoPayers,
+  cancelShare,
+  syncShares,
+  getContributions,
+  findShareByToken,
+};
@@ -0,0 +1,78 @@
+const { vatRate } = require("../config/environment");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Taxes a provider or center charges: VAT when VAT-registered, plus any
+ * additional taxes on their profile
+ * @param {Object} [taxSettings] - ServiceProvider/EventCenter taxSettings
+ * @returns {Array<{name: string, rate: number, appliesTo: string}>}
+ */
+function getTaxRates(taxSettings = {}) {
+  const rates = [];
+
+  if (taxSettings.vatRegistered) {
+    rates.push({ name: "VAT", rate: vatRate, appliesTo: "all" });
+  }
+
+  (taxSettings.additionalTaxes || []).forEach(({ name, rate, appliesTo }) => {
+    rates.push({ name, rate, appliesTo: appliesTo || "all" });
+  });
+
+  return rates;
+}
+
+/**
+ * Compute taxes per charged line. The discount is spread over the lines in
+ * proportion to their amount, so each tax is charged on what is actually
+ * paid for that line.
+ * @param {Array} lineItems - Quote lines ({ type: "base"|"addon"|"discount", amount })
+ * @param {Object} [taxSettings]
+ * @param {number} [discount] - Total discount on the charged lines
+ * @returns {{lineItems: Array, taxes: Array, taxTotal: number}} Lines with
+ * their `taxes`, and the totals per tax
+ */
+function applyTaxes(lineItems, taxSettings, discount = 0) {
+  const rates = getTaxRates(taxSettings);
+  const subtotal = lineItems
+    .filter((item) => item.type !== "discount")
+    .reduce((sum, item) => sum + item.amount, 0);
+  const discountShare = subtotal > 0 ? Math.min(discount / subtotal, 1) : 0;
+
+  const totals = new Map();
+
+  const taxed = lineItems.map((item) => {
+    if (item.type === "discount") return { ...item, taxes: [] };
+
+    const taxable = item.amount * (1 - discountShare);
+    const taxes = rates
+      .filter((tax) => tax.appliesTo === "all" || tax.appliesTo === item.type)
+      .map((tax) => ({
+        name: tax.name,
+        rate: tax.rate,
+        amount: roundMoney((taxable * tax.rate) / 100),
+      }));
+
+    taxes.forEach((tax) => {
+      const key = `${tax.name}:${tax.rate}`;
+      const total = totals.get(key) || { ...tax, amount: 0 };
+      total.amount = roundMoney(total.amount + tax.amount);
+      totals.set(key, total);
+    });
+
+    return { ...item, taxes };
+  });
+
+  const taxes = [...totals.values()];
+
+  return {
+    lineItems: taxed,
+    taxes,
+    taxTotal: roundMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+  };
+}
+
+module.exports = {
+  getTaxRates,
+  applyTaxes,
+};
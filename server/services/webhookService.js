@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+const WebhookEvent = require("../models/WebhookEvent");
+const PaymentFlow = require("../models/PaymentFlow");
+const DirectPaymentTransaction = require("../models/DirectPaymentTransaction");
+const { getGateway } = require("./gateways");
+const { applyGatewayResult } = require("./paymentService");
+
+// Headers worth keeping with a stored delivery (never auth/cookies)
+const STORED_HEADERS = [
+  "content-type",
+  "user-agent",
+  "x-paystack-signature",
+  "verif-hash",
+  "flutterwave-signature",
+  "stripe-signature",
+  "x-mock-signature",
+];
+
+const pickHeaders = (headers) =>
+  STORED_HEADERS.reduce((picked, name) => {
+    if (headers[name] !== undefined) picked[name] = headers[name];
+    return picked;
+  }, {});
+
+/**
+ * Apply a stored, signature-verified event to its payment records
+ */
+async function processEvent(event, parsed, { notificationService } = {}) {
+  event.attempts += 1;
+
+  try {
+    if (!parsed.reference || !parsed.status) {
+      event.status = "ignored";
+      event.result = "Event does not settle a payment";
+      return await event.save();
+    }
+
+    const transaction = await DirectPaymentTransaction.findOne({
+      "gateway.reference": parsed.reference,
+    });
+    const paymentFlow = transaction
+      ? await PaymentFlow.findById(transaction.paymentFlow)
+      : await PaymentFlow.findOne({ "gateway.reference": parsed.reference });
+
+    if (!transaction && !paymentFlow) {
+      event.status = "ignored";
+      event.result = "No payment matches this reference";
+      return await event.save();
+    }
+
+    if (transaction && transaction.gateway.name !== event.gateway) {
+      event.status = "ignored";
+      event.result = `Reference belongs to ${transaction.gateway.name}`;
+      return await event.save();
+    }
+
+    const note = `Webhook ${event.eventType} (${event.eventId}): ${parsed.status}`;
+
+    if (paymentFlow) {
+      event.paymentFlow = paymentFlow._id;
+      await PaymentFlow.updateOne(
+        { _id: paymentFlow._id },
+        {
+          $push: {
+            timeline: {
+              status: paymentFlow.status,
+              timestamp: new Date(),
+              note,
+            },
+          },
+        }
+      );
+    }
+
+    if (transaction) {
+      event.transaction = transaction._id;
+      await DirectPaymentTransaction.updateOne(
+        { _id: transaction._id },
+        {
+          $push: {
+            history: {
+              status: transaction.status,
+              timestamp: new Date(),
+              note,
+            },
+          },
+        }
+      );
+
+      // applyGatewayResult only moves a transaction forward, so replays and
+      // late deliveries (e.g. "failed" after "successful") change nothing
+      const previousStatus = transaction.status;
+      const updated = await applyGatewayResult(
+        transaction,
+        { ...parsed, note: `Confirmed by ${event.eventType} webhook` },
+        { notificationService }
+      );
+
+      event.result =
+        updated.status === previousStatus
+          ? `No change: transaction already ${previousStatus}`
+          : `Transaction ${previousStatus} -> ${updated.status}`;
+    } else {
+      event.result = "Recorded on payment flow";
+    }
+
+    event.status = "processed";
+    event.processedAt = new Date();
+    event.error = undefined;
+    return await event.save();
+  } catch (error) {
+    event.status = "failed";
+    event.error = error.message;
+    await event.save();
+    throw error;
+  }
+}
+
+/**
+ * Verify, store and apply a gateway webhook delivery
+ * @param {string} gatewayName - Adapter name from the URL
+ * @param {Object} request - { rawBody, headers, body }
+ * @param {Object} [options] - { notificationService }
+ * @returns {Promise<{event: Object, duplicate?: boolean, rejected?: boolean}>}
+ */
+async function handleWebhook(gatewayName, { rawBody, headers, body }, options) {
+  const gateway = getGateway(gatewayName);
+  const payload = body || {};
+
+  const signatureValid = Boolean(
+    rawBody && gateway.verifyWebhook(rawBody, headers)
+  );
+  const parsed = gateway.parseWebhook(payload);
+  const eventId =
+    parsed.eventId ||
+    crypto
+      .createHash("sha256")
+      .update(rawBody || JSON.stringify(payload))
+      .digest("hex");
+
+  const eventData = {
+    gateway: gateway.name,
+    eventId,
+    eventType: parsed.eventType,
+    reference: parsed.reference,
+    signatureValid,
+    payload,
+    headers: pickHeaders(headers),
+  };
+
+  if (!signatureValid) {
+    const event = await WebhookEvent.create({
+      ...eventData,
+      status: "rejected",
+      error: "Invalid signature",
+    });
+    return { event, rejected: true };
+  }
+
+  let event;
+  try {
+    event = await WebhookEvent.create(eventData);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Redelivery: only retry if the earlier attempt failed
+    event = await WebhookEvent.findOne({
+      gateway: gateway.name,
+      eventId,
+      signatureValid: true,
+    });
+    if (event.status !== "failed") {
+      return { event, duplicate: true };
+    }
+  }
+
+  event = await processEvent(event, parsed, options);
+  return { event };
+}
+
+module.exports = { handleWebhook };
@@ -15,6 +15,56 @@ module.exports = {
     COMPLETED: "completed",
   },
 
+  // Booking Payment Status
+  PAYMENT_STATUS: {
+    PENDING: "pending",
+    PARTIAL: "partial",
+    COMPLETED: "completed",
+    REFUNDED: "refunded",
+  },
+
+  // Payment Gateways
+  PAYMENT_GATEWAYS: {
+    MOCK: "mock",
+    PAYSTACK: "paystack",
+    FLUTTERWAVE: "flutterwave",
+    STRIPE: "stripe",
+  },
+
+  // Provider tiers (used by fee rules)
+  PROVIDER_TIERS: {
+    STANDARD: "standard",
+    PRO: "pro",
+    PREMIUM: "premium",
+  },
+
+  // Double-entry ledger accounts
+  LEDGER_ACCOUNTS: {
+    CUSTOMER_FUNDS: "customer_funds", // Cash collected by the platform
+    ESCROW: "escrow", // Held for a booking until release or refund
+    PROVIDER_PAYABLE: "provider_payable", // Owed to a provider (their wallet)
+    PLATFORM_REVENUE: "platform_revenue", // Fees earned by the platform
+    CUSTOMER_CREDIT: "customer_credit", // Store credit owed to customers
+  },
+
+  // Cancellation policy presets: the first tier whose daysBefore the
+  // cancellation meets sets the refund; anything later refunds nothing
+  CANCELLATION_POLICIES: {
+    flexible: [
+      { daysBefore: 7, refundPercentage: 100 },
+      { daysBefore: 1, refundPercentage: 50 },
+    ],
+    moderate: [
+      { daysBefore: 14, refundPercentage: 100 },
+      { daysBefore: 7, refundPercentage: 50 },
+      { daysBefore: 2, refundPercentage: 25 },
+    ],
+    strict: [
+      { daysBefore: 30, refundPercentage: 100 },
+      { daysBefore: 14, refundPercentage: 50 },
+    ],
+  },
+
   // CAC Verification Status
   CAC_STATUS: {
     PENDING: "pending",
@@ -31,6 +81,7 @@ module.exports = {
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
+    BAD_GATEWAY: 502,
     INTERNAL_ERROR: 500,
   },
 
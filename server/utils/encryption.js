@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+const { dataEncryptionKey } = require("../config/environment");
+
+const ALGORITHM = "aes-256-gcm";
+
+// 32-byte key from the configured secret
+const getKey = () => {
+  if (!dataEncryptionKey) {
+    throw new Error("Encryption not configured. Set DATA_ENCRYPTION_KEY");
+  }
+  return crypto.createHash("sha256").update(dataEncryptionKey).digest();
+};
+
+/**
+ * Encrypt a value for storage as "iv:authTag:ciphertext" (base64 parts)
+ */
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainText), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(":");
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ */
+const decrypt = (stored) => {
+  const [iv, authTag, encrypted] = stored
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+/**
+ * Keyed hash of a value, to match stored values without decrypting them.
+ * Keyed so a short value (an account number) cannot be guessed from it.
+ */
+const hmac = (value) =>
+  crypto.createHmac("sha256", getKey()).update(String(value)).digest("hex");
+
+/**
+ * Show only the last four digits, e.g. ******6789
+ */
+const maskAccountNumber = (accountNumber) =>
+  String(accountNumber).slice(-4).padStart(String(accountNumber).length, "*");
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hmac,
+  maskAccountNumber,
+};
@@ -37,8 +37,39 @@ const errorResponse = (res, statusCode, message, errors = null) => {
   return res.status(statusCode).json(response);
 };
 
+/**
+ * Create an error carrying an HTTP status code (picked up by errorHandler)
+ */
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Generate a unique, human-readable reference (e.g. PAY-1700000000000-0042)
+ */
+const generateReference = (prefix) => {
+  const timestamp = Date.now().toString();
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, "0");
+  return `${prefix}-${timestamp}-${random}`;
+};
+
+/**
+ * Format an amount in its currency for messages (e.g. ₦25,000 or USD 120)
+ */
+const formatMoney = (amount, currency = "NGN") =>
+  currency === "NGN"
+    ? `₦${amount.toLocaleString()}`
+    : `${currency} ${amount.toLocaleString()}`;
+
 module.exports = {
   generateToken,
   successResponse,
   errorResponse,
+  createError,
+  generateReference,
+  formatMoney,
 };